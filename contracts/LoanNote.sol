@@ -0,0 +1,98 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./interfaces/ILoanNoteIssuer.sol";
+
+error NotNoteIssuer();
+
+/**
+ * @title LoanNote
+ * @dev 貸し手ポジションを表す譲渡可能なERC-721ノート
+ *      発行元（レンディングコントラクト）のみがミントでき、譲渡は発行元に通知される
+ */
+contract LoanNote is ERC721 {
+    using Strings for uint256;
+    using Strings for address;
+
+    ILoanNoteIssuer public immutable issuer;
+
+    constructor() ERC721("Social Lending Loan Note", "SLNOTE") {
+        issuer = ILoanNoteIssuer(msg.sender);
+    }
+
+    /**
+     * @notice Mints a note for a lender position
+     * @param to The lender receiving the note
+     * @param noteId The ID of the note
+     */
+    function mint(address to, uint256 noteId) external {
+        if (msg.sender != address(issuer)) revert NotNoteIssuer();
+        _mint(to, noteId);
+    }
+
+    /**
+     * @notice Burns a note whose position has been closed out
+     * @param noteId The ID of the note
+     */
+    function burn(uint256 noteId) external {
+        if (msg.sender != address(issuer)) revert NotNoteIssuer();
+        _burn(noteId);
+    }
+
+    /**
+     * @notice Returns on-chain JSON metadata with the loan terms and state
+     * @param tokenId The ID of the note
+     * @return A base64-encoded data URI
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireMinted(tokenId);
+        ILoanNoteIssuer.NoteDetails memory details = issuer.getNoteDetails(tokenId);
+
+        bytes memory attributes = abi.encodePacked(
+            '[{"trait_type":"Loan ID","value":', details.loanId.toString(),
+            '},{"trait_type":"State","value":"', _stateName(details.state),
+            '"},{"trait_type":"Principal Token","value":"', details.principalToken.toHexString(),
+            '"},{"trait_type":"Share","value":', details.share.toString(),
+            '},{"trait_type":"Principal Amount","value":', details.principalAmount.toString()
+        );
+        attributes = abi.encodePacked(
+            attributes,
+            '},{"trait_type":"Repayment Amount","value":', details.repaymentAmount.toString(),
+            '},{"trait_type":"Remaining Repayment Amount","value":', details.remainingRepaymentAmount.toString(),
+            '},{"trait_type":"Interest Rate","value":', details.interestRate.toString(),
+            '},{"trait_type":"Duration","value":', details.duration.toString(),
+            '},{"trait_type":"Start Time","value":', details.startTime.toString(),
+            '}]'
+        );
+
+        bytes memory json = abi.encodePacked(
+            '{"name":"Loan Note #', tokenId.toString(),
+            '","description":"Lender position in social lending loan #', details.loanId.toString(),
+            '","attributes":', attributes,
+            '}'
+        );
+
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+
+    // 譲渡時に発行元へ通知（ミント・バーン時は除く）
+    function _afterTokenTransfer(address from, address to, uint256 firstTokenId, uint256 batchSize) internal override {
+        super._afterTokenTransfer(from, to, firstTokenId, batchSize);
+        if (from != address(0) && to != address(0)) {
+            issuer.onNoteTransfer(from, to, firstTokenId);
+        }
+    }
+
+    // ローン状態の表示名
+    function _stateName(uint8 state) internal pure returns (string memory) {
+        if (state == 0) return "Requested";
+        if (state == 1) return "Funded";
+        if (state == 2) return "Repaid";
+        if (state == 3) return "Defaulted";
+        if (state == 4) return "Cancelled";
+        return "Liquidated";
+    }
+}
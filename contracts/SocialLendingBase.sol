@@ -0,0 +1,1557 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+// OpenZeppelinのライブラリをインポート
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
+// プロキシ経由で使用するため、親コントラクトはアップグレード可能版（initializerで初期化、ストレージギャップ付き）
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlEnumerableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+
+// Chainlinkのオラクルインターフェースをインポート
+import "./interfaces/AggregatorV3Interface.sol";
+
+// 貸し手ポジションのERC-721ノート
+import "./LoanNote.sol";
+import "./interfaces/ILoanNoteIssuer.sol";
+
+// カスタムエラー定義
+error InvalidAmount();
+error InvalidInterestRate();
+error InvalidDuration();
+error InvalidCollateral();
+error InsufficientCollateralValue();
+error TokenNotAllowed();
+error DecimalsNotSet();
+error InvalidLoanState();
+error LoanNotExpired();
+error LoanAlreadyRepaid();
+error SelfFunding();
+error IncorrectFundingAmount();
+error StaleData();
+error PriceFeedNotAvailable();
+error InvalidPriceData();
+error InvalidAddress();
+error InvalidLoanId();
+error InvalidParameter();
+error Unauthorized();
+error TooManyActiveLoans();
+error LoanTooLarge();
+error InsufficientUnlockedCollateral();
+error CollateralSufficient();
+error InvalidOfferId();
+error InvalidOfferState();
+error OfferAmountExceeded();
+error InsufficientUnlockedBalance();
+error PrincipalTokenMismatch();
+error TooManyLenders();
+error NothingToRefund();
+error NothingToWithdraw();
+error InvalidInstallmentCount();
+error NoPendingExtension();
+error InvalidSignature();
+error SignatureExpired();
+error GuaranteePending();
+error GuaranteeAlreadyAccepted();
+error AuctionNotActive();
+error AuctionNotEnded();
+error TimelockRequired();
+error ChangeNotQueued();
+error ChangeAlreadyQueued();
+error ChangeNotReady();
+error ChangeExpired();
+error SupplyCapExceeded();
+error CollateralLimitExceeded();
+error PriceDeviationTooHigh();
+error RequestExpired();
+error InvalidNonce();
+error InvalidReferrer();
+error FunctionNotFound();
+
+/**
+ * @title SocialLendingBase
+ * @dev SocialLendingWithCollateralとそのモジュールが共有するストレージ・イベント・修飾子・内部関数
+ *      コントラクトサイズの上限（EIP-170）に収めるため外部関数をモジュールに分割し、
+ *      メインコントラクトが実装しない関数の呼び出しはモジュールの連鎖へdelegatecallで転送する
+ *      全てのコントラクトがこの基底を継承して同じストレージレイアウトを共有するため、状態変数はここにのみ追加する
+ */
+abstract contract SocialLendingBase is
+    Initializable,
+    ReentrancyGuardUpgradeable,
+    AccessControlEnumerableUpgradeable,
+    PausableUpgradeable,
+    EIP712Upgradeable
+{
+    using SafeERC20 for IERC20;
+    using Address for address payable;
+
+    // 定数
+    uint256 public constant BASIS_POINTS = 10000;
+    uint256 public constant MAX_INTEREST_RATE = 2000; // 20%
+    uint256 public constant MAX_PLATFORM_FEE = 500;  // 5%
+    uint256 public constant MAX_REFERRAL_SHARE = 5000; // 紹介者1人あたりの手数料の取り分の上限（50%）
+    uint256 public constant SECONDS_PER_YEAR = 365 days;
+    uint256 public constant PRICE_FEED_TIMEOUT = 1 hours; // ハートビート未設定のフィードの有効期限
+    uint256 public constant MAX_FEED_HEARTBEAT = 2 days; // フィードごとのハートビートの上限
+    uint256 public constant MAX_PRICE_DEVIATION = 5000; // プライマリとセカンダリの乖離許容値の上限（50%）
+    uint256 public constant MAX_LOAN_DURATION = 365 days; // ローン期間の上限
+    uint256 public constant MAX_GRACE_PERIOD = 30 days; // 猶予期間の上限
+    uint256 public constant MAX_LATE_PENALTY_RATE = 5000; // 50% (年率)
+    uint256 public constant MAX_LIQUIDATION_BONUS = 2000; // 20%
+    uint256 public constant MAX_COLLATERAL_TOKENS = 5; // 1ローンあたりの担保トークン数の上限
+    uint256 public constant MAX_SYNDICATE_LENDERS = 20; // シンジケートローンの貸し手数の上限
+    uint256 public constant MAX_SYNDICATION_PERIOD = 30 days; // 募集期間の上限
+    uint256 public constant MAX_INSTALLMENTS = 52; // 分割返済の回数の上限
+    uint256 public constant MIN_INSTALLMENT_INTERVAL = 1 days; // 分割返済の最短間隔
+    uint256 public constant MAX_MIN_INTEREST_PERIOD = 90 days; // 最低利息期間の上限
+    uint256 public constant EXTENSION_PROPOSAL_PERIOD = 7 days; // 期間延長提案の有効期間
+    uint256 public constant MAX_REPUTATION_TIERS = 10; // 信用ティアの上限数
+    uint256 public constant MAX_GUARANTORS = 5; // 1ローンあたりの保証人数の上限
+    uint256 public constant MAX_PAGE_SIZE = 100; // ローン一覧の1ページあたりの件数の上限
+    uint256 public constant MAX_AUCTION_DURATION = 7 days; // 担保オークション期間の上限
+    uint256 public constant MAX_AUCTION_START_PREMIUM = 10000; // 100%
+    uint256 public constant MAX_AUCTION_RESERVE_RATIO = 10000; // 最低価格の上限（オラクル価格の100%）
+    uint256 public constant MIN_TIMELOCK_DELAY = 1 days; // タイムロック遅延の下限
+    uint256 public constant MAX_TIMELOCK_DELAY = 30 days; // タイムロック遅延の上限
+    uint256 public constant TIMELOCK_EXECUTION_WINDOW = 14 days; // 実行可能になってから失効するまでの期間
+
+    // 管理ロール（DEFAULT_ADMIN_ROLEが各ロールを管理、KEEPER_ROLEはRISK_MANAGER_ROLEが管理）
+    bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE"); // 緊急停止
+    bytes32 public constant RISK_MANAGER_ROLE = keccak256("RISK_MANAGER_ROLE"); // 担保率・借入上限などのリスクパラメータ
+    bytes32 public constant LISTING_MANAGER_ROLE = keccak256("LISTING_MANAGER_ROLE"); // 担保・元本トークンと価格フィード
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE"); // 手数料・紹介者の登録と資金回収
+
+    // 信用スコアの配点
+    uint256 public constant REPUTATION_ON_TIME_POINTS = 10; // 期日内の完済1件あたり
+    uint256 public constant REPUTATION_LATE_POINTS = 3; // 期日後の完済1件あたり
+    uint256 public constant REPUTATION_VOLUME_POINTS_PER_ETH = 1; // 完済元本（ETH換算）1 ETHあたり
+    uint256 public constant REPUTATION_DEFAULT_PENALTY = 50; // デフォルト1件あたりの減点
+    uint256 public constant REPUTATION_MIN_LOAN_DURATION = 7 days; // スコアに算入するローンの最短期間
+    uint256 public constant REPUTATION_MIN_LOAN_PRINCIPAL = 0.1 ether; // スコアに算入するローンの最低元本（ETH換算）
+    uint256 public constant REPUTATION_MAX_LOANS_PER_LENDER = 3; // 同じ貸し手とのローンをスコアに算入する上限数
+
+    // 借り手による借り換え同意の署名（EIP-712）
+    bytes32 public constant REFINANCE_CONSENT_TYPEHASH = keccak256(
+        "RefinanceConsent(uint256 loanId,address newLender,uint256 newInterestRate,uint256 newDuration,uint256 nonce,uint256 deadline)"
+    );
+
+    // オフチェーンで署名されたローン条件（EIP-712）: 借り手が署名するリクエストと貸し手が署名するオファー
+    bytes32 public constant LOAN_REQUEST_TYPEHASH = keccak256(
+        "LoanRequest(address borrower,address lender,address principalToken,uint256 amount,uint256 interestRate,uint256 duration,address[] collateralTokens,uint256[] collateralAmounts,address referrer,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant LOAN_OFFER_TYPEHASH = keccak256(
+        "LoanOffer(address borrower,address lender,address principalToken,uint256 amount,uint256 interestRate,uint256 duration,address[] collateralTokens,uint256[] collateralAmounts,address referrer,uint256 nonce,uint256 deadline)"
+    );
+
+    // ローンの状態を表す列挙型
+    enum LoanState { Requested, Funded, Repaid, Defaulted, Cancelled, Liquidated }
+
+    // ローンオファーの状態を表す列挙型
+    enum OfferState { Open, Filled, Cancelled }
+
+    // ローンの構造体
+    struct Loan {
+        // Slot 1: borrower (20) + state (1) + interestRate (2) + gracePeriod (4) + latePenaltyRate (2) = 29 bytes
+        address payable borrower;
+        LoanState state;         // ローンの状態 (1 byte)
+        uint16 interestRate;     // 利率 (2 bytes)
+        uint32 gracePeriod;      // 実行時に固定した猶予期間（秒） (4 bytes)
+        uint16 latePenaltyRate;  // 実行時に固定した延滞ペナルティ率 (2 bytes)
+        
+        // Slot 2: lender (20)
+        address payable lender;
+
+        // Slot 3
+        address principalToken;  // 元本資産のアドレス（address(0)はETH）
+
+        // Slot 4
+        uint256 principalAmount; // 元本
+
+        // Slot 5
+        uint256 repaymentAmount; // 返済総額
+
+        // Slot 6
+        uint256 duration;        // 期間（秒）
+
+        // Slot 7
+        uint256 startTime;       // 開始時刻
+
+        // Slot 8
+        uint256 remainingRepaymentAmount; // 残りの返済額
+    }
+
+    // 担保バスケットの構成要素
+    struct CollateralItem {
+        address token;           // 担保トークンのアドレス
+        uint256 amount;          // 担保数量
+    }
+
+    // 保証人による担保（amountが0の間は未承諾）
+    struct Guarantee {
+        address guarantor;       // 保証人のアドレス
+        address token;           // 担保トークンのアドレス
+        uint256 amount;          // 担保数量
+    }
+
+    // デフォルトした担保のダッチオークション
+    struct CollateralAuction {
+        uint256 startTime;       // 開始時刻
+        uint256 endTime;         // 終了時刻（以降は売れ残りを貸し手に移転）
+        uint256 startPremium;    // 開始価格のオラクル価格に対するプレミアム（ベーシスポイント）
+        uint256 debt;            // 売却代金から貸し手に支払う上限（元本資産建て）
+        bool settled;            // 売却または売れ残りの移転が完了したか
+        uint256 reserveRatio;    // 最低価格のオラクル価格に対する比率（ベーシスポイント）
+    }
+
+    // タイムロック中の管理者操作
+    struct QueuedChange {
+        bytes data;              // 実行するコールデータ
+        uint256 eta;             // 実行可能になる時刻
+    }
+
+    // ローンリクエストのパラメータ
+    struct LoanRequestParams {
+        address principalToken;  // 元本資産のアドレス（address(0)はETH）
+        uint256 amount;          // 元本
+        uint256 interestRate;    // 利率（ベーシスポイント）
+        uint256 duration;        // 期間（秒）
+        uint256 expiresAt;       // リクエストの有効期限（0は無期限）
+        address[] collateralTokens;  // 担保トークンのアドレス（バスケット）
+        uint256[] collateralAmounts; // 担保数量（バスケット）
+    }
+
+    // オフチェーンで署名されたローン条件
+    struct SignedLoanTerms {
+        address borrower;        // 借り手（オファーではaddress(0)で誰でも受入可能）
+        address lender;          // 貸し手（リクエストではaddress(0)で誰でも資金提供可能）
+        address principalToken;  // 元本資産のアドレス（address(0)はETH）
+        uint256 amount;          // 元本
+        uint256 interestRate;    // 利率（ベーシスポイント）
+        uint256 duration;        // 期間（秒）
+        address[] collateralTokens;  // 担保トークンのアドレス（バスケット）
+        uint256[] collateralAmounts; // 担保数量（バスケット）
+        address referrer;        // 署名者側の紹介者（address(0)は紹介なし）
+        uint256 nonce;           // 署名者のナンス（nonces[署名者]以上の未使用値）
+        uint256 deadline;        // 署名の有効期限
+    }
+
+    // ローン一覧の各行（ローン情報と派生値）
+    struct LoanView {
+        uint256 loanId;
+        Loan loan;
+        uint256 dueDate;                // 満期（未開始は0）
+        bool overdue;                   // 返済中で満期を過ぎているか
+        uint256 amountOwed;             // 現時点の完済額（返済中のみ、延滞ペナルティ込み・未経過利息控除後）
+        bool ratioAvailable;            // 価格フィードから担保率を算出できたか
+        uint256 collateralizationRatio; // 現在の担保率（ベーシスポイント、返済中かつ算出可能な場合のみ）
+        uint256 liquidationRatio;       // 清算判定に使う調整後の担保率（返済中のみ、getLiquidationRatio）
+        bool liquidatable;              // 清算可能か（返済中のみ）
+    }
+
+    // 借り手による期間延長提案の構造体
+    struct ExtensionProposal {
+        uint256 newDuration;     // 延長後の期間（秒、開始時刻から）
+        uint256 newInterestRate; // 延長後の利率（ベーシスポイント）
+        uint256 expiresAt;       // 提案の有効期限
+    }
+
+    // 借り手の返済実績
+    struct BorrowerReputation {
+        uint256 repaidLoans;       // 完済したローン数
+        uint256 onTimeRepayments;  // 期日内の完済数（スコア算入分）
+        uint256 lateRepayments;    // 期日後の完済数（スコア算入分）
+        uint256 repaidVolume;      // 完済したローンの元本合計（リクエスト時のETH換算、スコア算入分）
+        uint256 defaults;          // デフォルト数
+        uint256 cancellations;     // キャンセルしたリクエスト数
+    }
+
+    // 信用スコアに応じた借入条件
+    struct ReputationTier {
+        uint256 minScore;          // ティアに必要な最低スコア
+        uint256 collateralRatio;   // 必要担保率（ベーシスポイント）
+        uint256 maxLoanAmount;     // 1ローンあたりの借入上限（ETH換算）
+        uint256 maxActiveLoans;    // 借り手あたりのアクティブローン上限
+    }
+
+    // 担保トークンごとのリスクパラメータ（0は未設定）
+    struct CollateralRiskParams {
+        uint256 minCollateralRatio;   // このトークンに求める最低担保率（ベーシスポイント）
+        uint256 liquidationThreshold; // このトークンの清算閾値（ベーシスポイント）
+        uint256 supplyCap;            // コントラクト全体でロックできる上限量
+        uint256 maxPerLoan;           // 1ローン（または1保証）あたりの上限量
+    }
+
+    // 担保トークンごとのオラクル設定
+    struct OracleConfig {
+        address secondaryFeed;        // プライマリが古い・不正な場合のフォールバック（address(0)は未設定）
+        uint256 maxDeviation;         // プライマリとセカンダリの乖離許容値（ベーシスポイント、0はチェックなし）
+        bool usdQuoted;               // フィードがUSD建ての場合はETH/USDフィードで二段階換算
+    }
+
+    // ローンごとの紹介者（address(0)は紹介なし）
+    struct LoanReferrers {
+        address borrowerReferrer;     // リクエスト時に借り手が指定
+        address lenderReferrer;       // 資金提供時・オファー作成時に貸し手が指定（シンジケートはリード貸し手）
+    }
+
+    // 貸し手主導のローンオファーの構造体
+    struct LoanOffer {
+        // Slot 1: lender (20) + state (1) + interestRate (2) = 23 bytes
+        address payable lender;
+        OfferState state;        // オファーの状態 (1 byte)
+        uint16 interestRate;     // 利率 (2 bytes)
+
+        // Slot 2
+        uint256 availableAmount; // 未使用のエスクロー残高
+
+        // Slot 3
+        uint256 maxAmount;       // 1ローンあたりの最大元本
+
+        // Slot 4
+        uint256 maxDuration;     // 最大期間（秒）
+    }
+
+    // ローンIDからローン情報へのマッピング
+    mapping(uint256 => Loan) public loans;
+    uint256 public loanCount;
+
+    // ローンIDごとの担保バスケット
+    mapping(uint256 => CollateralItem[]) internal _loanCollateral;
+
+    // オファーIDからオファー情報へのマッピング
+    mapping(uint256 => LoanOffer) public loanOffers;
+    uint256 public offerCount;
+
+    // オファーごとの受入担保トークンと最低担保率（0は受入不可）
+    mapping(uint256 => address[]) internal _offerCollateralTokens;
+    mapping(uint256 => mapping(address => uint256)) public offerCollateralRatios;
+
+    // シンジケートローンの貸し手と出資額（出資順）
+    mapping(uint256 => address[]) internal _loanLenders;
+    mapping(uint256 => mapping(address => uint256)) public lenderShares;
+
+    // シンジケートローンの募集済み元本と募集期限
+    mapping(uint256 => uint256) public fundedAmount;
+    mapping(uint256 => uint256) public fundingDeadline;
+
+    // 貸し手ポジションを表すノート（ERC-721）
+    LoanNote public loanNote;
+    uint256 public noteCount;
+
+    // ノートIDごとのローンIDと元本持分、ローンIDごとのノート一覧
+    mapping(uint256 => uint256) public noteLoanId;
+    mapping(uint256 => uint256) public noteShares;
+    mapping(uint256 => uint256[]) internal _loanNoteIds;
+
+    // ユーザー別ローンIDインデックス (Gas Optimization)
+    mapping(address => uint256[]) internal _borrowerLoanIds;
+    mapping(address => uint256[]) internal _lenderLoanIds;
+
+    // 貸し手ごとのローン別保有ノート数と_lenderLoanIds内の位置（+1）
+    mapping(address => mapping(uint256 => uint256)) internal _lenderNoteCount;
+    mapping(address => mapping(uint256 => uint256)) internal _lenderLoanIndex;
+
+    // 統計カウンタ (Gas Optimization)
+    uint256 public activeLoansCount;
+    uint256 public repaidLoansCount;
+    uint256 public defaultedLoansCount;
+    uint256 public cancelledLoansCount;
+    uint256 public liquidatedLoansCount;
+    uint256 public expiredLoansCount; // 期限切れで取り消されたリクエスト数（cancelledLoansCountの内数）
+
+    // ローンIDごとのリクエストの有効期限（0は無期限）
+    mapping(uint256 => uint256) public requestExpiresAt;
+
+    // ユーザーのアクティブローン数追跡
+    mapping(address => uint256) public borrowerActiveLoans;
+    mapping(address => uint256) public lenderActiveLoans;
+
+    // 許可された担保トークンリスト
+    mapping(address => bool) public allowedCollateralTokens;
+    
+    // 担保トークンのデシマル
+    mapping(address => uint8) public collateralTokenDecimals;
+
+    // 元本として許可されたERC20トークンリスト（ETHは常に許可）
+    mapping(address => bool) public allowedPrincipalTokens;
+
+    // オラクルのマッピング（担保トークンアドレス => プライスフィードアドレス）
+    mapping(address => address) public priceFeeds;
+
+    // 担保トークンごとのセカンダリフィード・乖離チェック・USD建て設定
+    mapping(address => OracleConfig) public oracleConfigs;
+
+    // フィードごとのハートビート（秒、0はPRICE_FEED_TIMEOUT）
+    mapping(address => uint256) public feedHeartbeats;
+
+    // USD建てフィードの換算に使うETH/USDフィード
+    address public ethUsdPriceFeed;
+
+    // プラットフォーム手数料（ベーシスポイント）
+    uint256 public platformFee;
+    address public feeRecipient;
+
+    // 担保トークンごとのロック済み残高
+    mapping(address => uint256) public lockedCollateral;
+
+    // 担保トークンごとのリスクパラメータ
+    mapping(address => CollateralRiskParams) public collateralRiskParams;
+
+    // オファー・シンジケート募集のエスクローとしてロック済みのETH残高
+    uint256 public lockedETH;
+
+    // シンジケート募集のエスクローとしてロック済みのERC20元本残高
+    mapping(address => uint256) public lockedPrincipal;
+
+    // 引き出し待ちのETH残高（プルペイメント）
+    mapping(address => uint256) public pendingWithdrawals;
+    uint256 public totalPendingWithdrawals;
+
+    // 借入制限
+    uint256 public maxLoanAmount;
+    uint256 public maxActiveLoansPerBorrower;
+
+    // 担保率（Collateral Ratio）（例: 15000で150%）
+    // 旧: ltvRatio
+    uint256 public collateralRatio;
+    uint256 public constant MIN_COLLATERAL_RATIO = 10000; // 100%
+    uint256 public constant MAX_COLLATERAL_RATIO = 20000; // 200%
+
+    // 返済猶予期間（満期後、デフォルト宣言が可能になるまでの期間）
+    uint256 public gracePeriod;
+
+    // 猶予期間中に残債へ課される延滞ペナルティ（年率、ベーシスポイント）
+    uint256 public latePenaltyRate;
+
+    // ローンIDごとの延滞ペナルティ計上済み時刻
+    mapping(uint256 => uint256) public penaltyAccruedUntil;
+
+    // 清算閾値（担保率がこれを下回ると清算可能）（例: 12000で120%）
+    uint256 public liquidationThreshold;
+
+    // 清算者へのボーナス（ベーシスポイント）
+    uint256 public liquidationBonus;
+
+    // シンジケートローンの募集期間（最初の出資から起算）
+    uint256 public syndicationPeriod;
+
+    // ローンIDごとの分割返済回数（0は満期一括返済）
+    // 期日は資金提供時刻から期間を均等に分割、各回の返済額は返済総額を均等に分割（端数は最終回）
+    mapping(uint256 => uint256) public installmentCount;
+
+    // デフォルト宣言が可能になる未払い分割回数
+    uint256 public missedInstallmentsForDefault;
+
+    // 日割り利息ローンで早期返済時にも請求する最低利息期間
+    uint256 public minInterestPeriod;
+
+    // ローンIDごとの日割り利息の有無と、リクエスト時点の最低利息期間
+    // 返済総額は満期までの利息で記録し、全額返済時に未経過分の利息を減額
+    mapping(uint256 => bool) public accruesInterest;
+    mapping(uint256 => uint256) public loanMinInterestPeriod;
+
+    // ローンIDごとの保留中の期間延長提案
+    mapping(uint256 => ExtensionProposal) public extensionProposals;
+
+    // 署名者ごとのナンス（署名の再利用防止）
+    // 署名済みローン条件はこの値以上の任意のナンスを一度だけ使用可能（借り換え同意はrefinanceNoncesを使用）
+    mapping(address => uint256) public nonces;
+    mapping(address => mapping(uint256 => bool)) public usedNonces;
+
+    // 借り手の返済実績と信用ティア（minScoreの昇順）
+    mapping(address => BorrowerReputation) public borrowerReputation;
+    ReputationTier[] internal _reputationTiers;
+
+    // ローンごとの保証人と、保証人ごとの保証したローンID
+    mapping(uint256 => Guarantee[]) internal _loanGuarantees;
+    mapping(address => uint256[]) internal _guarantorLoanIds;
+
+    // デフォルトした担保のオークション期間と開始価格のプレミアム
+    uint256 public auctionDuration;
+    uint256 public auctionStartPremium;
+
+    // ローンIDごとの担保オークション
+    mapping(uint256 => CollateralAuction) public collateralAuctions;
+
+    // タイムロック対象の管理者操作の最小遅延（MIN_TIMELOCK_DELAY以上）
+    uint256 public timelockMinDelay;
+
+    // 変更ID（コールデータのハッシュ）ごとのタイムロック中の操作と、保留中の変更IDの一覧
+    mapping(bytes32 => QueuedChange) public queuedChanges;
+    bytes32[] internal _pendingChangeIds;
+    mapping(bytes32 => uint256) internal _pendingChangeIndex;
+
+    // ローンごとのリクエスト時の元本（ETH換算、返済実績の集計用）
+    mapping(uint256 => uint256) public principalValueInETH;
+
+    // 貸し手ごとのノートを保有したことのあるローンID（完済・譲渡後も保持）
+    mapping(address => uint256[]) internal _lenderHistoryIds;
+    mapping(address => mapping(uint256 => bool)) internal _inLenderHistory;
+
+    // 担保トークンごとの、そのトークンを担保に預けたことのあるローンID
+    mapping(address => uint256[]) internal _collateralTokenLoanIds;
+    mapping(address => mapping(uint256 => bool)) internal _inCollateralTokenLoans;
+
+    // トレジャリーが登録した紹介者と、紹介者1人あたりのプラットフォーム手数料の取り分（ベーシスポイント、残りはfeeRecipient）
+    mapping(address => bool) public isReferrer;
+    uint256 public referralShare;
+
+    // ローンIDごとの借り手・貸し手の紹介者
+    mapping(uint256 => LoanReferrers) public loanReferrers;
+
+    // 紹介者ごと・元本資産ごとの請求可能な報酬、累計報酬、紹介したローンの元本の累計
+    mapping(address => mapping(address => uint256)) public referralBalances;
+    mapping(address => mapping(address => uint256)) public referralEarnings;
+    mapping(address => mapping(address => uint256)) public referredVolume;
+
+    // 元本資産ごとの未請求の紹介報酬の合計（資金回収の対象外）
+    mapping(address => uint256) public totalReferralBalances;
+
+    // 借り手・貸し手の組ごとにスコアへ算入した完済数（同じ相手との自己取引による水増し防止）
+    mapping(address => mapping(address => uint256)) public scoredRepaymentsByLender;
+
+    // 担保オークションの最低価格（オラクル価格に対するベーシスポイント）
+    uint256 public auctionReserveRatio;
+
+    // 借り手ごとの借り換え同意のナンス（順番に消費し、署名済みローン条件のナンスとは独立）
+    mapping(address => uint256) public refinanceNonces;
+
+    // オファーIDごとの貸し手の紹介者（受入時にローンへ引き継ぐ）
+    mapping(uint256 => address) public offerReferrers;
+
+    // 将来のバージョンで追加する状態変数の予約領域（変数を追加した分だけ縮める）
+    uint256[35] private __gap;
+
+    // イベントの定義
+    event LoanRequested(
+        uint256 indexed loanId,
+        address indexed borrower,
+        uint256 amount,
+        uint256 interestRate,
+        uint256 duration,
+        address[] collateralTokens,
+        uint256[] collateralAmounts
+    );
+    event LoanFunded(uint256 indexed loanId, address indexed lender);
+    event LoanNoteIssued(uint256 indexed noteId, uint256 indexed loanId, address indexed lender, uint256 share);
+    event LoanSubscribed(uint256 indexed loanId, address indexed lender, uint256 amount, uint256 fundedAmount);
+    event SubscriptionRefunded(uint256 indexed loanId, address indexed lender, uint256 amount);
+    event WithdrawalCredited(address indexed account, uint256 amount);
+    event Withdrawn(address indexed account, uint256 amount);
+    event CollateralDeposited(uint256 indexed loanId, address indexed token, uint256 amount);
+    event CollateralWithdrawn(uint256 indexed loanId, address indexed token, uint256 amount);
+    event LoanPartiallyRepaid(uint256 indexed loanId, address indexed borrower, uint256 amountRepaid, uint256 remainingAmount);
+    event LoanRepaid(uint256 indexed loanId, address indexed borrower, address indexed lender, uint256 repaymentAmount);
+    event DefaultDeclared(uint256 indexed loanId, address indexed lender);
+    event LoanLiquidated(
+        uint256 indexed loanId,
+        address indexed liquidator,
+        uint256 debtRepaid,
+        uint256 collateralValueSeized,
+        uint256 collateralValueReturned
+    );
+    event LoanCancelled(uint256 indexed loanId, address indexed borrower);
+    event LoanRequestExpired(uint256 indexed loanId, address indexed borrower);
+    event SignedTermsExecuted(uint256 indexed loanId, address indexed signer, uint256 nonce);
+    event NoncesInvalidated(address indexed signer, uint256 newNonce);
+    event NonceCancelled(address indexed signer, uint256 nonce);
+    event RefinanceNonceInvalidated(address indexed borrower, uint256 newNonce);
+    event LoanOfferCreated(
+        uint256 indexed offerId,
+        address indexed lender,
+        uint256 amount,
+        uint256 maxAmount,
+        uint256 interestRate,
+        uint256 maxDuration
+    );
+    event LoanOfferAccepted(uint256 indexed offerId, uint256 indexed loanId, address indexed borrower, uint256 amount);
+    event LoanOfferCancelled(uint256 indexed offerId, address indexed lender, uint256 refundedAmount);
+    event LatePenaltyCharged(uint256 indexed loanId, uint256 penaltyAmount, uint256 remainingAmount);
+    event PriceFeedUpdated(address indexed token, address indexed priceFeed);
+    event OracleConfigUpdated(address indexed token, address indexed secondaryFeed, uint256 maxDeviation, bool usdQuoted);
+    event FeedHeartbeatUpdated(address indexed priceFeed, uint256 heartbeat);
+    event EthUsdPriceFeedUpdated(address indexed priceFeed);
+    event PlatformFeeUpdated(uint256 newFee);
+    event FeeRecipientUpdated(address indexed newRecipient);
+    event ReferralShareUpdated(uint256 newShare);
+    event ReferrerStatusUpdated(address indexed referrer, bool registered);
+    event LoanReferrerSet(uint256 indexed loanId, address indexed referrer, bool borrowerSide);
+    event ReferralFeeCredited(uint256 indexed loanId, address indexed referrer, address indexed token, uint256 amount);
+    event ReferralEarningsClaimed(address indexed referrer, address indexed token, uint256 amount);
+    event CollateralRatioUpdated(uint256 newRatio);
+    event CollateralTokenStatusUpdated(address indexed token, bool allowed);
+    event CollateralTokenDecimalsUpdated(address indexed token, uint8 decimals);
+    event PrincipalTokenStatusUpdated(address indexed token, bool allowed);
+
+    event MaxActiveLoansPerBorrowerUpdated(uint256 newMax);
+    event MaxLoanAmountUpdated(uint256 newMaxAmount);
+    event GracePeriodUpdated(uint256 newGracePeriod);
+    event LatePenaltyRateUpdated(uint256 newRate);
+    event LiquidationThresholdUpdated(uint256 newThreshold);
+    event LiquidationBonusUpdated(uint256 newBonus);
+    event SyndicationPeriodUpdated(uint256 newPeriod);
+    event InstallmentScheduleCreated(uint256 indexed loanId, uint256 installmentCount);
+    event MissedInstallmentsForDefaultUpdated(uint256 newCount);
+    event InterestAccrualEnabled(uint256 indexed loanId, uint256 minInterestPeriod);
+    event InterestRebated(uint256 indexed loanId, uint256 rebateAmount, uint256 remainingAmount);
+    event MinInterestPeriodUpdated(uint256 newPeriod);
+    event ExtensionProposed(uint256 indexed loanId, uint256 newDuration, uint256 newInterestRate, uint256 expiresAt);
+    event ExtensionAccepted(uint256 indexed loanId, uint256 newDuration, uint256 newInterestRate, uint256 newRepaymentAmount);
+    event GuarantorNamed(uint256 indexed loanId, address indexed guarantor);
+    event GuaranteeAccepted(uint256 indexed loanId, address indexed guarantor, address indexed token, uint256 amount);
+    event GuaranteeReleased(uint256 indexed loanId, address indexed guarantor, address indexed token, uint256 amount);
+    event GuaranteeSeized(uint256 indexed loanId, address indexed guarantor, address indexed token, uint256 amount);
+    event CollateralAuctionStarted(uint256 indexed loanId, uint256 startTime, uint256 endTime, uint256 debt);
+    event CollateralAuctionSold(
+        uint256 indexed loanId,
+        address indexed buyer,
+        uint256 price,
+        uint256 lenderProceeds,
+        uint256 borrowerSurplus
+    );
+    event CollateralAuctionExpired(uint256 indexed loanId);
+    event AuctionDurationUpdated(uint256 newDuration);
+    event AuctionStartPremiumUpdated(uint256 newPremium);
+    event AuctionReserveRatioUpdated(uint256 newRatio);
+    event ChangeQueued(bytes32 indexed changeId, bytes4 indexed selector, bytes data, uint256 eta);
+    event ChangeExecuted(bytes32 indexed changeId, bytes4 indexed selector, bytes data);
+    event ChangeCancelled(bytes32 indexed changeId);
+    event TimelockMinDelayUpdated(uint256 newDelay);
+    event ReputationUpdated(address indexed borrower, uint256 score);
+    event ReputationTiersUpdated(uint256 tierCount);
+    event CollateralRiskParamsUpdated(
+        address indexed token,
+        uint256 minCollateralRatio,
+        uint256 liquidationThreshold,
+        uint256 supplyCap,
+        uint256 maxPerLoan
+    );
+    event LoanRefinanced(
+        uint256 indexed loanId,
+        address indexed oldLender,
+        address indexed newLender,
+        uint256 payoffAmount,
+        uint256 newInterestRate,
+        uint256 newDuration
+    );
+
+    // 実装しない関数の呼び出しを転送する次のモジュール（連鎖の末尾はaddress(0)）
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable nextModule;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _nextModule) {
+        nextModule = _nextModule;
+    }
+
+    /**
+     * @notice Allows the contract to receive ETH
+     */
+    receive() external payable {}
+
+    /**
+     * @notice Forwards calls to functions this contract does not implement to the next module
+     * @dev The module runs with delegatecall on the proxy's storage, so msg.sender and msg.value are kept
+     * @custom:oz-upgrades-unsafe-allow delegatecall
+     */
+    fallback() external payable {
+        address module = nextModule;
+        if (module == address(0)) revert FunctionNotFound();
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+
+    // 修飾子: 借り手のみ
+    modifier onlyBorrower(uint256 loanId) {
+        if (msg.sender != loans[loanId].borrower) revert Unauthorized();
+        _;
+    }
+
+    // 修飾子: 貸し手のみ
+    modifier onlyLender(uint256 loanId) {
+        if (msg.sender != loans[loanId].lender) revert Unauthorized();
+        _;
+    }
+
+    // 修飾子: タイムロック経由の実行のみ（ロール保有者でも直接は実行不可）
+    modifier onlyTimelock(bytes32 role) {
+        if (msg.sender != address(this)) {
+            _checkRole(role);
+            revert TimelockRequired();
+        }
+        _;
+    }
+
+    // 修飾子: 有効なローンIDかチェック
+    modifier validLoanId(uint256 loanId) {
+        if (loanId >= loanCount) revert InvalidLoanId();
+        _;
+    }
+
+    /**
+     * @dev Validates the request, locks the collateral and records a new loan in the Requested state
+     * @param borrower The borrower, who provides the collateral
+     * @param params The loan request parameters
+     * @param requiredRatio The collateral ratio the borrower's collateral must meet in basis points
+     * @return loanId The ID of the new loan
+     */
+    function _requestLoan(
+        address borrower,
+        LoanRequestParams memory params,
+        uint256 requiredRatio
+    ) internal returns (uint256 loanId) {
+        if (params.principalToken != address(0) && !allowedPrincipalTokens[params.principalToken]) revert TokenNotAllowed();
+        uint256 amountInETH = _validateLoanTerms(borrower, params.principalToken, params.amount, params.interestRate, params.duration);
+        if (params.expiresAt != 0 && params.expiresAt <= block.timestamp) revert RequestExpired();
+
+        loanId = loanCount++;
+        principalValueInETH[loanId] = amountInETH;
+        requestExpiresAt[loanId] = params.expiresAt;
+        _depositCollateral(
+            loanId,
+            borrower,
+            params.collateralTokens,
+            params.collateralAmounts,
+            params.principalToken,
+            params.amount,
+            requiredRatio
+        );
+
+        uint256 repaymentAmount = _calculateRepaymentAmount(params.amount, params.interestRate, params.duration);
+
+        loans[loanId] = Loan({
+            borrower: payable(borrower),
+            lender: payable(address(0)),
+            principalToken: params.principalToken,
+            principalAmount: params.amount,
+            interestRate: uint16(params.interestRate),
+            gracePeriod: 0,
+            latePenaltyRate: 0,
+            repaymentAmount: repaymentAmount,
+            duration: params.duration,
+            startTime: 0,
+            state: LoanState.Requested,
+            remainingRepaymentAmount: repaymentAmount
+        });
+
+        borrowerActiveLoans[borrower]++;
+        _borrowerLoanIds[borrower].push(loanId);
+
+        emit LoanRequested(
+            loanId,
+            borrower,
+            params.amount,
+            params.interestRate,
+            params.duration,
+            params.collateralTokens,
+            params.collateralAmounts
+        );
+    }
+
+    /**
+     * @dev Returns whether a loan request has passed its expiry
+     * @param loanId The ID of the loan
+     */
+    function _isRequestExpired(uint256 loanId) internal view returns (bool) {
+        uint256 expiresAt = requestExpiresAt[loanId];
+        return expiresAt != 0 && block.timestamp > expiresAt;
+    }
+
+    /**
+     * @dev Validates the loan terms and the borrower's limits shared by every loan creation path
+     * @param borrower The address of the borrower
+     * @param principalToken The principal asset of the loan (address(0) for ETH)
+     * @param amount The principal amount of the loan
+     * @param interestRate The annual interest rate in basis points
+     * @param duration The duration of the loan in seconds
+     * @return amountInETH The principal amount valued in ETH
+     */
+    function _validateLoanTerms(
+        address borrower,
+        address principalToken,
+        uint256 amount,
+        uint256 interestRate,
+        uint256 duration
+    ) internal view returns (uint256 amountInETH) {
+        if (amount == 0) revert InvalidAmount();
+        if (interestRate == 0 || interestRate > MAX_INTEREST_RATE) revert InvalidInterestRate();
+        if (duration == 0 || duration > MAX_LOAN_DURATION) revert InvalidDuration();
+
+        // 借入上限はETH建てで評価し、借り手の信用ティアを適用
+        (, , uint256 loanAmountLimit, uint256 activeLoansLimit) = _borrowerTier(borrower);
+        amountInETH = principalToken == address(0) ? amount : getCollateralValueInETH(principalToken, amount);
+        if (amountInETH > loanAmountLimit) revert LoanTooLarge();
+        if (borrowerActiveLoans[borrower] >= activeLoansLimit) revert TooManyActiveLoans();
+    }
+
+    /**
+     * @dev Returns the borrowing terms of the highest reputation tier the borrower qualifies for
+     * @param borrower The address of the borrower
+     * @return tier The tier level (0 when no tier applies)
+     * @return requiredRatio The required collateral ratio in basis points
+     * @return loanAmountLimit The maximum principal per loan, valued in ETH
+     * @return activeLoansLimit The maximum number of active loans
+     */
+    function _borrowerTier(address borrower) internal view returns (
+        uint256 tier,
+        uint256 requiredRatio,
+        uint256 loanAmountLimit,
+        uint256 activeLoansLimit
+    ) {
+        uint256 score = getReputationScore(borrower);
+        for (uint256 i = _reputationTiers.length; i > 0; i--) {
+            ReputationTier storage t = _reputationTiers[i - 1];
+            if (score >= t.minScore) {
+                return (i, t.collateralRatio, t.maxLoanAmount, t.maxActiveLoans);
+            }
+        }
+        return (0, collateralRatio, maxLoanAmount, maxActiveLoansPerBorrower);
+    }
+
+    /**
+     * @dev Returns the collateral ratio the borrower's reputation tier requires
+     * @param borrower The address of the borrower
+     * @return requiredRatio The required collateral ratio in basis points
+     */
+    function _requiredCollateralRatio(address borrower) internal view returns (uint256 requiredRatio) {
+        (, requiredRatio, , ) = _borrowerTier(borrower);
+    }
+
+    /**
+     * @dev Checks the combined collateral value against the required ratio and locks the basket in the contract
+     * @param loanId The ID of the loan the collateral backs
+     * @param borrower The address of the borrower
+     * @param collateralTokens The addresses of the collateral tokens
+     * @param collateralAmounts The amounts of each collateral token to deposit
+     * @param principalToken The principal asset of the loan (address(0) for ETH)
+     * @param amount The principal amount of the loan
+     * @param requiredRatio The required collateral ratio in basis points
+     */
+    function _depositCollateral(
+        uint256 loanId,
+        address borrower,
+        address[] memory collateralTokens,
+        uint256[] memory collateralAmounts,
+        address principalToken,
+        uint256 amount,
+        uint256 requiredRatio
+    ) internal {
+        uint256 count = collateralTokens.length;
+        if (count == 0 || count > MAX_COLLATERAL_TOKENS || count != collateralAmounts.length) revert InvalidCollateral();
+
+        uint256 collateralValue = 0;
+        for (uint256 i = 0; i < count; i++) {
+            address collateralToken = collateralTokens[i];
+            uint256 collateralAmount = collateralAmounts[i];
+            if (collateralAmount == 0) revert InvalidCollateral();
+            if (collateralToken == address(0)) revert InvalidAddress();
+            if (!allowedCollateralTokens[collateralToken]) revert TokenNotAllowed();
+            for (uint256 j = 0; j < i; j++) {
+                if (collateralTokens[j] == collateralToken) revert InvalidCollateral();
+            }
+            _checkCollateralCaps(collateralToken, collateralAmount, collateralAmount);
+
+            // 担保価値の評価（元本資産建て）、トークン独自の担保率は基準の担保率との比で換算して合算
+            if (requiredRatio != 0) {
+                collateralValue += getCollateralValue(collateralToken, collateralAmount, principalToken) * requiredRatio
+                    / _tokenRatio(collateralToken, requiredRatio, false);
+            }
+        }
+
+        // requiredRatio = 15000 → ローン額の150%の担保価値が必要
+        uint256 requiredCollateralValue = amount * requiredRatio / BASIS_POINTS;
+        if (collateralValue < requiredCollateralValue) revert InsufficientCollateralValue();
+
+        // 担保のデポジット
+        for (uint256 i = 0; i < count; i++) {
+            IERC20(collateralTokens[i]).safeTransferFrom(borrower, address(this), collateralAmounts[i]);
+            lockedCollateral[collateralTokens[i]] += collateralAmounts[i];
+            _loanCollateral[loanId].push(CollateralItem({ token: collateralTokens[i], amount: collateralAmounts[i] }));
+            _indexCollateralToken(collateralTokens[i], loanId);
+            emit CollateralDeposited(loanId, collateralTokens[i], collateralAmounts[i]);
+        }
+    }
+
+    /**
+     * @dev Unlocks every component of a loan's collateral basket and transfers it out
+     * @param loanId The ID of the loan
+     * @param to The recipient of the collateral
+     */
+    function _releaseCollateral(uint256 loanId, address to) internal {
+        CollateralItem[] storage basket = _loanCollateral[loanId];
+        for (uint256 i = 0; i < basket.length; i++) {
+            lockedCollateral[basket[i].token] -= basket[i].amount;
+            IERC20(basket[i].token).safeTransfer(to, basket[i].amount);
+        }
+    }
+
+    /**
+     * @dev Values the borrower's own collateral basket of a loan
+     * @param loanId The ID of the loan
+     * @param principalToken The asset to value the basket in (address(0) for ETH)
+     * @param liquidation Whether components whose price cannot be read count as zero instead of reverting
+     * @return totalValue The combined value of the basket
+     */
+    function _basketValue(uint256 loanId, address principalToken, bool liquidation) internal view returns (uint256 totalValue) {
+        CollateralItem[] storage basket = _loanCollateral[loanId];
+        for (uint256 i = 0; i < basket.length; i++) {
+            totalValue += _componentValue(basket[i].token, basket[i].amount, principalToken, liquidation);
+        }
+    }
+
+    /**
+     * @dev Values the stakes locked by the guarantors of a loan
+     * @param loanId The ID of the loan
+     * @param principalToken The asset to value the stakes in (address(0) for ETH)
+     * @param liquidation Whether stakes whose price cannot be read count as zero instead of reverting
+     * @return totalValue The combined value of the stakes
+     */
+    function _guaranteeValue(uint256 loanId, address principalToken, bool liquidation) internal view returns (uint256 totalValue) {
+        Guarantee[] storage guarantees = _loanGuarantees[loanId];
+        for (uint256 i = 0; i < guarantees.length; i++) {
+            if (guarantees[i].amount > 0) {
+                totalValue += _componentValue(guarantees[i].token, guarantees[i].amount, principalToken, liquidation);
+            }
+        }
+    }
+
+    /**
+     * @dev Values one collateral component in the principal asset
+     * @param token The address of the collateral token
+     * @param amount The amount of the token
+     * @param principalToken The asset to value the component in (address(0) for ETH)
+     * @param liquidation Whether to return zero instead of reverting when the price cannot be read
+     * @return The value in units of the principal asset
+     */
+    function _componentValue(
+        address token,
+        uint256 amount,
+        address principalToken,
+        bool liquidation
+    ) internal view returns (uint256) {
+        if (!liquidation) return getCollateralValue(token, amount, principalToken);
+
+        // 清算時は1つのフィードが古い・停止中でも清算全体を止めない（その担保は0として評価）
+        try this.getCollateralValue(token, amount, principalToken) returns (uint256 value) {
+            return value;
+        } catch {
+            return 0;
+        }
+    }
+
+    /**
+     * @dev Values a loan's basket and guarantee stakes, scaling components with their own per-token ratio
+     *      by base ratio / token ratio so that the total can be compared against the base ratio alone
+     * @param loanId The ID of the loan
+     * @param principalToken The asset to value the collateral in (address(0) for ETH)
+     * @param baseRatio The ratio that applies to tokens without their own per-token ratio
+     * @param liquidation Whether to use the per-token liquidation thresholds instead of the minimum ratios,
+     *        counting components whose price cannot be read as zero
+     * @return totalValue The adjusted collateral value in the principal asset
+     */
+    function _adjustedCollateralValue(
+        uint256 loanId,
+        address principalToken,
+        uint256 baseRatio,
+        bool liquidation
+    ) internal view returns (uint256 totalValue) {
+        totalValue = _adjustedBasketValue(loanId, principalToken, baseRatio, liquidation);
+        Guarantee[] storage guarantees = _loanGuarantees[loanId];
+        for (uint256 i = 0; i < guarantees.length; i++) {
+            if (guarantees[i].amount == 0) continue;
+            totalValue += _componentValue(guarantees[i].token, guarantees[i].amount, principalToken, liquidation) * baseRatio
+                / _tokenRatio(guarantees[i].token, baseRatio, liquidation);
+        }
+    }
+
+    /**
+     * @dev Values the borrower's own basket like _adjustedCollateralValue, leaving out the guarantors' stakes
+     * @param loanId The ID of the loan
+     * @param principalToken The asset to value the collateral in (address(0) for ETH)
+     * @param baseRatio The ratio that applies to tokens without their own per-token ratio
+     * @param liquidation Whether to use the per-token liquidation thresholds instead of the minimum ratios
+     * @return totalValue The adjusted basket value in the principal asset
+     */
+    function _adjustedBasketValue(
+        uint256 loanId,
+        address principalToken,
+        uint256 baseRatio,
+        bool liquidation
+    ) internal view returns (uint256 totalValue) {
+        CollateralItem[] storage basket = _loanCollateral[loanId];
+        for (uint256 i = 0; i < basket.length; i++) {
+            totalValue += _componentValue(basket[i].token, basket[i].amount, principalToken, liquidation) * baseRatio
+                / _tokenRatio(basket[i].token, baseRatio, liquidation);
+        }
+    }
+
+    /**
+     * @dev Returns the ratio a collateral token is held to: the token's own ratio, or the base ratio when unset
+     * @param token The address of the collateral token
+     * @param baseRatio The borrower's required collateral ratio or the global liquidation threshold
+     * @param liquidation Whether to apply the token's liquidation threshold instead of its minimum ratio
+     * @return The ratio in basis points
+     */
+    function _tokenRatio(address token, uint256 baseRatio, bool liquidation) internal view returns (uint256) {
+        CollateralRiskParams storage params = collateralRiskParams[token];
+        uint256 tokenRatio = liquidation ? params.liquidationThreshold : params.minCollateralRatio;
+        return tokenRatio != 0 ? tokenRatio : baseRatio;
+    }
+
+    /**
+     * @dev Reverts if locking more of a collateral token would exceed its supply cap or per-loan limit
+     * @param token The address of the collateral token
+     * @param loanAmount The amount of the token the loan or guarantee will hold afterwards
+     * @param addedAmount The amount about to be locked
+     */
+    function _checkCollateralCaps(address token, uint256 loanAmount, uint256 addedAmount) internal view {
+        CollateralRiskParams storage params = collateralRiskParams[token];
+        if (params.maxPerLoan != 0 && loanAmount > params.maxPerLoan) revert CollateralLimitExceeded();
+        if (params.supplyCap != 0 && lockedCollateral[token] + addedAmount > params.supplyCap) revert SupplyCapExceeded();
+    }
+
+    /**
+     * @dev Returns every accepted stake to its guarantor
+     * @param loanId The ID of the loan
+     */
+    function _releaseGuarantees(uint256 loanId) internal {
+        Guarantee[] storage guarantees = _loanGuarantees[loanId];
+        for (uint256 i = 0; i < guarantees.length; i++) {
+            Guarantee storage guarantee = guarantees[i];
+            if (guarantee.amount == 0) continue;
+
+            lockedCollateral[guarantee.token] -= guarantee.amount;
+            IERC20(guarantee.token).safeTransfer(guarantee.guarantor, guarantee.amount);
+            emit GuaranteeReleased(loanId, guarantee.guarantor, guarantee.token, guarantee.amount);
+        }
+    }
+
+    /**
+     * @dev Calculates the total repayment amount using simple interest
+     * @param amount The principal amount of the loan in wei
+     * @param interestRate The annual interest rate in basis points
+     * @param duration The duration of the loan in seconds
+     * @return The principal plus interest
+     */
+    function _calculateRepaymentAmount(uint256 amount, uint256 interestRate, uint256 duration) internal pure returns (uint256) {
+        // 単利による返済総額の計算（Math.mulDivを使用）
+        uint256 annualInterest = Math.mulDiv(amount, interestRate, BASIS_POINTS);
+        uint256 interestAmount = Math.mulDiv(annualInterest, duration, SECONDS_PER_YEAR);
+        return amount + interestAmount;
+    }
+
+    /**
+     * @dev Starts a requested loan funded in full by a single lender and disburses the principal
+     * @param loanId The ID of the loan
+     * @param loan The loan
+     * @param lender The lender (holder of ERC20 principal, or the payer of msg.value for ETH)
+     */
+    function _fundLoan(uint256 loanId, Loan storage loan, address lender) internal {
+        // 状態変更を先に行う（再入攻撃対策）
+        loan.lender = payable(lender);
+        loan.startTime = block.timestamp;
+        loan.state = LoanState.Funded;
+        _fixLateTerms(loan);
+
+        activeLoansCount++;
+        _issueNote(loanId, lender, loan.principalAmount);
+
+        // プラットフォーム手数料の控除と借り手への送金
+        _disburse(loanId, loan.principalToken, lender, loan.borrower, loan.principalAmount);
+
+        emit LoanFunded(loanId, lender);
+    }
+
+    /**
+     * @dev Copies the current grace period and late penalty rate onto a loan being funded, so that later
+     *      changes to the global settings do not alter the terms the lender and borrower agreed to
+     * @param loan The loan being funded
+     */
+    function _fixLateTerms(Loan storage loan) internal {
+        loan.gracePeriod = uint32(gracePeriod);
+        loan.latePenaltyRate = uint16(latePenaltyRate);
+    }
+
+    /**
+     * @dev Deducts the platform fee and sends the rest of the principal to the borrower.
+     *      The referrers' shares of the fee are kept by the contract as claimable balances.
+     * @param loanId The ID of the loan
+     * @param principalToken The principal asset of the loan (address(0) for ETH)
+     * @param from The holder of ERC20 principal (ignored for ETH, which is already held by the contract)
+     * @param borrower The address of the borrower
+     * @param amount The principal amount of the loan
+     */
+    function _disburse(
+        uint256 loanId,
+        address principalToken,
+        address from,
+        address payable borrower,
+        uint256 amount
+    ) internal {
+        // プラットフォーム手数料の計算
+        uint256 feeAmount = amount * platformFee / BASIS_POINTS;
+        uint256 amountToBorrower = amount - feeAmount;
+
+        // 状態変更を先に行う（再入攻撃対策）
+        LoanReferrers storage referrers = loanReferrers[loanId];
+        uint256 referralAmount = _creditReferrer(loanId, referrers.borrowerReferrer, principalToken, amount, feeAmount)
+            + _creditReferrer(loanId, referrers.lenderReferrer, principalToken, amount, feeAmount);
+
+        // 紹介者の取り分はコントラクトに残す（ETHは受領済み）
+        if (referralAmount > 0 && principalToken != address(0) && from != address(this)) {
+            IERC20(principalToken).safeTransferFrom(from, address(this), referralAmount);
+        }
+
+        // 手数料送金
+        _transferPrincipal(principalToken, from, feeRecipient, feeAmount - referralAmount);
+
+        // 借り手への送金
+        _transferPrincipal(principalToken, from, borrower, amountToBorrower);
+    }
+
+    /**
+     * @dev Records a referrer for one side of a loan
+     * @param loanId The ID of the loan
+     * @param referrer The registered referrer, who must not be the referred party or the borrower
+     * @param borrowerSide Whether the referrer brought in the borrower (otherwise the lender)
+     * @param referred The borrower or lender the referrer brought in
+     */
+    function _setLoanReferrer(uint256 loanId, address referrer, bool borrowerSide, address referred) internal {
+        if (!isReferrer[referrer] || referrer == referred || referrer == loans[loanId].borrower) revert InvalidReferrer();
+
+        if (borrowerSide) {
+            loanReferrers[loanId].borrowerReferrer = referrer;
+        } else {
+            loanReferrers[loanId].lenderReferrer = referrer;
+        }
+
+        emit LoanReferrerSet(loanId, referrer, borrowerSide);
+    }
+
+    /**
+     * @dev Credits a referrer with referralShare of the platform fee and records the referred principal
+     * @param loanId The ID of the loan
+     * @param referrer The referrer (address(0) for none)
+     * @param principalToken The principal asset of the loan (address(0) for ETH)
+     * @param amount The principal amount of the loan
+     * @param feeAmount The platform fee charged on the loan
+     * @return share The amount credited to the referrer
+     */
+    function _creditReferrer(
+        uint256 loanId,
+        address referrer,
+        address principalToken,
+        uint256 amount,
+        uint256 feeAmount
+    ) internal returns (uint256 share) {
+        if (referrer == address(0)) return 0;
+
+        share = feeAmount * referralShare / BASIS_POINTS;
+        referralBalances[referrer][principalToken] += share;
+        referralEarnings[referrer][principalToken] += share;
+        referredVolume[referrer][principalToken] += amount;
+        totalReferralBalances[principalToken] += share;
+
+        emit ReferralFeeCredited(loanId, referrer, principalToken, share);
+    }
+
+    /**
+     * @dev Transfers principal asset, pulling ERC20 from `from` unless the contract itself is the holder.
+     *      ETH owed to anyone other than the caller is credited to pendingWithdrawals so that a
+     *      recipient that rejects ETH cannot block the transaction.
+     * @param principalToken The principal asset (address(0) for ETH)
+     * @param from The holder of ERC20 principal (ignored for ETH, which is already held by the contract)
+     * @param to The recipient
+     * @param amount The amount to transfer
+     */
+    function _transferPrincipal(address principalToken, address from, address to, uint256 amount) internal {
+        if (principalToken == address(0)) {
+            if (to == msg.sender) {
+                payable(to).sendValue(amount);
+            } else {
+                _creditWithdrawal(to, amount);
+            }
+        } else if (from == address(this)) {
+            IERC20(principalToken).safeTransfer(to, amount);
+        } else {
+            IERC20(principalToken).safeTransferFrom(from, to, amount);
+        }
+    }
+
+    /**
+     * @dev Records ETH owed to an account, to be claimed with withdraw()
+     * @param account The account to credit
+     * @param amount The amount of ETH
+     */
+    function _creditWithdrawal(address account, uint256 amount) internal {
+        pendingWithdrawals[account] += amount;
+        totalPendingWithdrawals += amount;
+        emit WithdrawalCredited(account, amount);
+    }
+
+    /**
+     * @dev Pays the holders of the loan's notes, splitting the amount pro-rata by share
+     * @param loanId The ID of the loan
+     * @param from The payer of ERC20 principal (ignored for ETH, which is already held by the contract)
+     * @param amount The amount to pay out
+     */
+    function _payLenders(uint256 loanId, address from, uint256 amount) internal {
+        _payNoteHolders(loanId, loans[loanId].principalToken, from, amount);
+    }
+
+    /**
+     * @dev Pays an amount of the given asset to the note holders of a loan, pro-rata to their shares
+     * @param loanId The ID of the loan
+     * @param token The asset to pay (address(0) for ETH)
+     * @param from The payer of ERC20 amounts (ignored for ETH, which is already held by the contract)
+     * @param amount The amount to pay
+     */
+    function _payNoteHolders(uint256 loanId, address token, address from, uint256 amount) internal {
+        Loan storage loan = loans[loanId];
+        uint256[] storage noteIds = _loanNoteIds[loanId];
+
+        // 端数は最後のノート保有者に寄せる
+        uint256 remaining = amount;
+        for (uint256 i = 0; i < noteIds.length; i++) {
+            uint256 portion = i == noteIds.length - 1
+                ? remaining
+                : Math.mulDiv(amount, noteShares[noteIds[i]], loan.principalAmount);
+            remaining -= portion;
+            if (portion > 0) {
+                _transferPrincipal(token, from, loanNote.ownerOf(noteIds[i]), portion);
+            }
+        }
+    }
+
+    /**
+     * @dev Decrements the active position count of every note holder of the loan
+     * @param loanId The ID of the loan
+     */
+    function _closeLenderPositions(uint256 loanId) internal {
+        uint256[] storage noteIds = _loanNoteIds[loanId];
+        for (uint256 i = 0; i < noteIds.length; i++) {
+            lenderActiveLoans[loanNote.ownerOf(noteIds[i])]--;
+        }
+    }
+
+    /**
+     * @dev Mints a note for a lender position in a funded loan and indexes it
+     * @param loanId The ID of the loan
+     * @param lender The lender receiving the note
+     * @param share The principal amount the note represents
+     */
+    function _issueNote(uint256 loanId, address lender, uint256 share) internal {
+        uint256 noteId = noteCount++;
+        noteLoanId[noteId] = loanId;
+        noteShares[noteId] = share;
+        _loanNoteIds[loanId].push(noteId);
+
+        lenderActiveLoans[lender]++;
+        _addLenderPosition(lender, loanId);
+
+        loanNote.mint(lender, noteId);
+
+        emit LoanNoteIssued(noteId, loanId, lender, share);
+    }
+
+    // 保有ノート数が0から1になったときにローンIDをインデックスに追加
+    function _addLenderPosition(address lender, uint256 loanId) internal {
+        if (_lenderNoteCount[lender][loanId]++ == 0) {
+            _lenderLoanIds[lender].push(loanId);
+            _lenderLoanIndex[lender][loanId] = _lenderLoanIds[lender].length;
+        }
+        // 履歴は削除せず、初回のみ追加
+        if (!_inLenderHistory[lender][loanId]) {
+            _inLenderHistory[lender][loanId] = true;
+            _lenderHistoryIds[lender].push(loanId);
+        }
+    }
+
+    // 担保トークンを初めて預けたローンをトークン別のインデックスに追加
+    function _indexCollateralToken(address token, uint256 loanId) internal {
+        if (_inCollateralTokenLoans[token][loanId]) return;
+        _inCollateralTokenLoans[token][loanId] = true;
+        _collateralTokenLoanIds[token].push(loanId);
+    }
+
+    // 保有ノート数が0になったときにローンIDをインデックスから削除
+    function _removeLenderPosition(address lender, uint256 loanId) internal {
+        if (--_lenderNoteCount[lender][loanId] != 0) return;
+
+        uint256[] storage loanIds = _lenderLoanIds[lender];
+        uint256 index = _lenderLoanIndex[lender][loanId] - 1;
+        uint256 lastLoanId = loanIds[loanIds.length - 1];
+        loanIds[index] = lastLoanId;
+        _lenderLoanIndex[lender][lastLoanId] = index + 1;
+        loanIds.pop();
+        delete _lenderLoanIndex[lender][loanId];
+    }
+
+    /**
+     * @dev Adds the penalty accrued since the last checkpoint to the remaining repayment amount
+     * @param loanId The ID of the loan
+     * @param loan The loan to charge
+     */
+    function _chargeLatePenalty(uint256 loanId, Loan storage loan) internal {
+        uint256 penalty = _accruedLatePenalty(loanId, loan);
+        if (block.timestamp > _dueDate(loan)) {
+            penaltyAccruedUntil[loanId] = block.timestamp;
+        }
+        if (penalty == 0) return;
+
+        loan.remainingRepaymentAmount += penalty;
+        loan.repaymentAmount += penalty;
+        emit LatePenaltyCharged(loanId, penalty, loan.remainingRepaymentAmount);
+    }
+
+    /**
+     * @dev Calculates the penalty accrued on the remaining balance between maturity and the end of the grace period
+     * @param loanId The ID of the loan
+     * @param loan The loan to evaluate
+     * @return The penalty amount not yet added to the remaining repayment amount
+     */
+    function _accruedLatePenalty(uint256 loanId, Loan storage loan) internal view returns (uint256) {
+        return _latePenaltyAt(loanId, loan, block.timestamp);
+    }
+
+    /**
+     * @dev Calculates the penalty that will have accrued on the current remaining balance by a given time
+     * @param loanId The ID of the loan
+     * @param loan The loan to evaluate
+     * @param timestamp The time to evaluate at
+     * @return The penalty amount not yet added to the remaining repayment amount
+     */
+    function _latePenaltyAt(uint256 loanId, Loan storage loan, uint256 timestamp) internal view returns (uint256) {
+        uint256 dueDate = _dueDate(loan);
+        if (timestamp <= dueDate) return 0;
+
+        uint256 from = Math.max(dueDate, penaltyAccruedUntil[loanId]);
+        uint256 to = Math.min(timestamp, dueDate + loan.gracePeriod);
+        if (to <= from) return 0;
+
+        // 単利による延滞ペナルティ（Math.mulDivを使用）
+        return Math.mulDiv(loan.remainingRepaymentAmount, uint256(loan.latePenaltyRate) * (to - from), BASIS_POINTS * SECONDS_PER_YEAR);
+    }
+
+    /**
+     * @dev Calculates the scheduled interest of an accruing loan that has not accrued by a given time
+     * @param loanId The ID of the loan
+     * @param loan The loan to evaluate
+     * @param timestamp The time to evaluate at
+     * @return The interest to rebate on a full repayment, capped at the remaining repayment amount
+     */
+    function _unaccruedInterest(uint256 loanId, Loan storage loan, uint256 timestamp) internal view returns (uint256) {
+        if (!accruesInterest[loanId]) return 0;
+
+        // 経過時間（最低利息期間以上、ローン期間以下）に対する利息のみを請求
+        uint256 elapsed = timestamp > loan.startTime ? timestamp - loan.startTime : 0;
+        uint256 period = Math.min(Math.max(elapsed, loanMinInterestPeriod[loanId]), loan.duration);
+        uint256 scheduled = _calculateRepaymentAmount(loan.principalAmount, loan.interestRate, loan.duration);
+        uint256 accrued = _calculateRepaymentAmount(loan.principalAmount, loan.interestRate, period);
+        return Math.min(scheduled - accrued, loan.remainingRepaymentAmount);
+    }
+
+    /**
+     * @dev Removes unaccrued interest from the repayment amount of a loan
+     * @param loanId The ID of the loan
+     * @param loan The loan to adjust
+     * @param rebate The amount to remove
+     */
+    function _rebateInterest(uint256 loanId, Loan storage loan, uint256 rebate) internal {
+        if (rebate == 0) return;
+
+        loan.repaymentAmount -= rebate;
+        loan.remainingRepaymentAmount -= rebate;
+        emit InterestRebated(loanId, rebate, loan.remainingRepaymentAmount);
+    }
+
+    function _dueDate(Loan storage loan) internal view returns (uint256) {
+        return loan.startTime + loan.duration;
+    }
+
+    function _gracePeriodEnd(Loan storage loan) internal view returns (uint256) {
+        return _dueDate(loan) + loan.gracePeriod;
+    }
+
+    // 分割返済のi回目（0始まり）の期日
+    function _installmentDueDate(Loan storage loan, uint256 count, uint256 i) internal view returns (uint256) {
+        return loan.startTime + Math.mulDiv(loan.duration, i + 1, count);
+    }
+
+    // 分割返済のi回目（0始まり）までの累計返済予定額（延滞ペナルティで変動しない当初の返済額を按分）
+    function _cumulativeInstallmentAmount(Loan storage loan, uint256 count, uint256 i) internal view returns (uint256) {
+        uint256 scheduled = _calculateRepaymentAmount(loan.principalAmount, loan.interestRate, loan.duration);
+        return Math.mulDiv(scheduled, i + 1, count);
+    }
+
+    /**
+     * @dev Counts the installments whose due date plus the loan's grace period has passed without being fully
+     *      covered by repayments. Repayments are applied to installments in order.
+     * @param loanId The ID of the loan
+     * @param loan The loan to inspect
+     * @return missed The number of missed installments (always 0 for bullet loans)
+     */
+    function _missedInstallments(uint256 loanId, Loan storage loan) internal view returns (uint256 missed) {
+        uint256 count = installmentCount[loanId];
+        uint256 paid = loan.repaymentAmount - loan.remainingRepaymentAmount;
+        for (uint256 i = 0; i < count; i++) {
+            if (_installmentDueDate(loan, count, i) + loan.gracePeriod >= block.timestamp) break;
+            if (_cumulativeInstallmentAmount(loan, count, i) > paid) missed++;
+        }
+    }
+
+    /**
+     * @notice Gets the value of collateral in ETH
+     * @param collateralToken The address of the collateral token
+     * @param collateralAmount The amount of collateral
+     * @return The value in ETH
+     */
+    function getCollateralValueInETH(address collateralToken, uint256 collateralAmount) public view returns (uint256) {
+        uint256 priceInETH = getPriceInETH(collateralToken);
+
+        // 担保トークンのデシマルを考慮した計算
+        uint8 tokenDecimals = collateralTokenDecimals[collateralToken];
+        uint256 normalizedAmount = collateralAmount;
+        if (tokenDecimals > 0) {
+            normalizedAmount = collateralAmount * 10**18 / 10**uint256(tokenDecimals);
+        }
+
+        return Math.mulDiv(normalizedAmount, priceInETH, 1e18);
+    }
+
+    /**
+     * @notice Gets the ETH price of one whole token, scaled to 18 decimals
+     * @dev Reads the primary feed, falling back to the secondary feed when the primary is stale or invalid.
+     *      USD-quoted prices are converted with the ETH/USD feed.
+     * @param token The address of the token
+     * @return The price in ETH with 18 decimals
+     */
+    function getPriceInETH(address token) public view returns (uint256) {
+        address primaryFeed = priceFeeds[token];
+        if (primaryFeed == address(0)) revert PriceFeedNotAvailable();
+
+        OracleConfig storage config = oracleConfigs[token];
+        uint256 price;
+        if (config.secondaryFeed == address(0)) {
+            (, price) = _readFeed(primaryFeed, true);
+        } else {
+            (bool primaryValid, uint256 primaryPrice) = _readFeed(primaryFeed, false);
+            (bool secondaryValid, uint256 secondaryPrice) = _readFeed(config.secondaryFeed, !primaryValid);
+            if (!primaryValid) {
+                price = secondaryPrice;
+            } else {
+                // 両方有効な場合はプライマリを採用し、乖離が許容値を超えていれば拒否
+                if (secondaryValid && config.maxDeviation != 0) {
+                    uint256 difference = primaryPrice > secondaryPrice ? primaryPrice - secondaryPrice : secondaryPrice - primaryPrice;
+                    if (difference * BASIS_POINTS > primaryPrice * config.maxDeviation) revert PriceDeviationTooHigh();
+                }
+                price = primaryPrice;
+            }
+        }
+
+        if (!config.usdQuoted) {
+            return price;
+        }
+
+        // token → USD → ETH の二段階換算
+        if (ethUsdPriceFeed == address(0)) revert PriceFeedNotAvailable();
+        (, uint256 ethPriceInUSD) = _readFeed(ethUsdPriceFeed, true);
+        return Math.mulDiv(price, 1e18, ethPriceInUSD);
+    }
+
+    /**
+     * @dev Reads and validates a feed's latest answer against the feed's heartbeat
+     * @param priceFeed The address of the price feed
+     * @param strict Whether to revert instead of returning false when the answer is stale or invalid
+     * @return valid Whether the answer passed validation
+     * @return price The answer scaled to 18 decimals
+     */
+    function _readFeed(address priceFeed, bool strict) internal view returns (bool valid, uint256 price) {
+        uint80 roundId;
+        int256 answer;
+        uint256 startedAt;
+        uint256 updatedAt;
+        uint80 answeredInRound;
+        try AggregatorV3Interface(priceFeed).latestRoundData() returns (
+            uint80 _roundId,
+            int256 _answer,
+            uint256 _startedAt,
+            uint256 _updatedAt,
+            uint80 _answeredInRound
+        ) {
+            (roundId, answer, startedAt, updatedAt, answeredInRound) = (_roundId, _answer, _startedAt, _updatedAt, _answeredInRound);
+        } catch {
+            if (strict) revert InvalidPriceData();
+            return (false, 0);
+        }
+
+        // 価格データの検証
+        if (answer <= 0 || startedAt == 0 || updatedAt == 0 || updatedAt < startedAt) {
+            if (strict) revert InvalidPriceData();
+            return (false, 0);
+        }
+        uint256 heartbeat = feedHeartbeats[priceFeed];
+        if (heartbeat == 0) heartbeat = PRICE_FEED_TIMEOUT;
+        if (updatedAt + heartbeat < block.timestamp || answeredInRound < roundId) {
+            if (strict) revert StaleData();
+            return (false, 0);
+        }
+
+        uint8 decimals = AggregatorV3Interface(priceFeed).decimals();
+        return (true, Math.mulDiv(uint256(answer), 1e18, 10**uint256(decimals)));
+    }
+
+    /**
+     * @notice Gets the value of collateral denominated in a loan's principal asset
+     * @param collateralToken The address of the collateral token
+     * @param collateralAmount The amount of collateral
+     * @param principalToken The principal asset (address(0) for ETH)
+     * @return The value in units of the principal asset
+     */
+    function getCollateralValue(
+        address collateralToken,
+        uint256 collateralAmount,
+        address principalToken
+    ) public view returns (uint256) {
+        uint256 collateralValueInETH = getCollateralValueInETH(collateralToken, collateralAmount);
+        if (principalToken == address(0)) {
+            return collateralValueInETH;
+        }
+
+        // 元本トークン1単位あたりのETH価格で換算
+        uint8 principalDecimals = collateralTokenDecimals[principalToken];
+        uint256 oneToken = 10**uint256(principalDecimals > 0 ? principalDecimals : 18);
+        uint256 principalPriceInETH = getCollateralValueInETH(principalToken, oneToken);
+        return Math.mulDiv(collateralValueInETH, oneToken, principalPriceInETH);
+    }
+
+    /**
+     * @notice Gets the reputation score of a borrower
+     * @dev Full repayments add points (more when on time, plus points per ETH repaid) and each default
+     *      subtracts REPUTATION_DEFAULT_PENALTY, floored at zero
+     * @param borrower The address of the borrower
+     * @return The reputation score
+     */
+    function getReputationScore(address borrower) public view returns (uint256) {
+        BorrowerReputation storage reputation = borrowerReputation[borrower];
+        uint256 points = reputation.onTimeRepayments * REPUTATION_ON_TIME_POINTS
+            + reputation.lateRepayments * REPUTATION_LATE_POINTS
+            + reputation.repaidVolume * REPUTATION_VOLUME_POINTS_PER_ETH / 1 ether;
+        uint256 penalty = reputation.defaults * REPUTATION_DEFAULT_PENALTY;
+        return points > penalty ? points - penalty : 0;
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title SocialLendingProxy
+ * @dev SocialLendingWithCollateralのUUPSプロキシ
+ *      ローンと担保はプロキシのストレージに保持され、アップグレード後も同じアドレスで継続する
+ *      アップグレードの権限は実装側（_authorizeUpgrade）で管理者ロールとタイムロックにより制御
+ */
+contract SocialLendingProxy is ERC1967Proxy {
+    /**
+     * @param implementation The address of the SocialLendingWithCollateral implementation
+     * @param data The encoded initialize call
+     */
+    constructor(address implementation, bytes memory data) ERC1967Proxy(implementation, data) {}
+}
@@ -1,670 +1,375 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.24;
 
-// OpenZeppelinのライブラリをインポート
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
-import "@openzeppelin/contracts/utils/Address.sol";
-import "@openzeppelin/contracts/utils/math/Math.sol";
-
-// Chainlinkのオラクルインターフェースをインポート
-import "./interfaces/AggregatorV3Interface.sol";
-
-// カスタムエラー定義
-error InvalidAmount();
-error InvalidInterestRate();
-error InvalidDuration();
-error InvalidCollateral();
-error InsufficientCollateralValue();
-error TokenNotAllowed();
-error InvalidLoanState();
-error LoanNotExpired();
-error LoanAlreadyRepaid();
-error SelfFunding();
-error IncorrectFundingAmount();
-error StaleData();
-error PriceFeedNotAvailable();
-error InvalidPriceData();
-error InvalidAddress();
-error InvalidLoanId();
-error InvalidParameter();
-error Unauthorized();
-error TooManyActiveLoans();
-error LoanTooLarge();
-error InsufficientUnlockedCollateral();
-
-contract SocialLendingWithCollateral is ReentrancyGuard, Ownable, Pausable {
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
+import "./SocialLendingBase.sol";
+import "./modules/LoanConfigModule.sol";
+import "./modules/LoanNoteModule.sol";
+
+/**
+ * @title SocialLendingWithCollateral
+ * @dev プロキシの実装コントラクト: 初期化・管理者設定・タイムロック・アップグレードを実装し、
+ *      それ以外の関数は基底のフォールバックからモジュール（contracts/modules）へ転送する
+ */
+contract SocialLendingWithCollateral is SocialLendingBase, UUPSUpgradeable {
     using SafeERC20 for IERC20;
     using Address for address payable;
 
-    // 定数
-    uint256 public constant BASIS_POINTS = 10000;
-    uint256 public constant MAX_INTEREST_RATE = 2000; // 20%
-    uint256 public constant MAX_PLATFORM_FEE = 500;  // 5%
-    uint256 public constant SECONDS_PER_YEAR = 365 days;
-    uint256 public constant PRICE_FEED_TIMEOUT = 1 hours; // 価格フィードの有効期限
-    uint256 public constant MAX_LOAN_DURATION = 365 days; // ローン期間の上限
-
-    // ローンの状態を表す列挙型
-    enum LoanState { Requested, Funded, Repaid, Defaulted, Cancelled }
-
-    // ローンの構造体
-    struct Loan {
-        // Slot 1: borrower (20) + state (1) + interestRate (2) = 23 bytes
-        address payable borrower;
-        LoanState state;         // ローンの状態 (1 byte)
-        uint16 interestRate;     // 利率 (2 bytes)
-        
-        // Slot 2: lender (20)
-        address payable lender;
-
-        // Slot 3
-        address collateralToken; // 担保トークンのアドレス
-
-        // Slot 4
-        uint256 principalAmount; // 元本
-
-        // Slot 5
-        uint256 repaymentAmount; // 返済総額
-
-        // Slot 6
-        uint256 duration;        // 期間（秒）
-
-        // Slot 7
-        uint256 startTime;       // 開始時刻
-
-        // Slot 8
-        uint256 collateralAmount;// 担保数量
-
-        // Slot 9
-        uint256 remainingRepaymentAmount; // 残りの返済額
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _firstModule) SocialLendingBase(_firstModule) {
+        // 実装コントラクト自体は初期化できないようにする
+        _disableInitializers();
     }
 
-    // ローンIDからローン情報へのマッピング
-    mapping(uint256 => Loan) public loans;
-    uint256 public loanCount;
-
-    // ユーザー別ローンIDインデックス (Gas Optimization)
-    mapping(address => uint256[]) private _borrowerLoanIds;
-    mapping(address => uint256[]) private _lenderLoanIds;
-
-    // 統計カウンタ (Gas Optimization)
-    uint256 public activeLoansCount;
-    uint256 public repaidLoansCount;
-    uint256 public defaultedLoansCount;
-    uint256 public cancelledLoansCount;
-    uint256 public liquidatedLoansCount;
-
-    // ユーザーのアクティブローン数追跡
-    mapping(address => uint256) public borrowerActiveLoans;
-    mapping(address => uint256) public lenderActiveLoans;
-
-    // 許可された担保トークンリスト
-    mapping(address => bool) public allowedCollateralTokens;
-    
-    // 担保トークンのデシマル
-    mapping(address => uint8) public collateralTokenDecimals;
-
-    // オラクルのマッピング（担保トークンアドレス => プライスフィードアドレス）
-    mapping(address => address) public priceFeeds;
-
-    // プラットフォーム手数料（ベーシスポイント）
-    uint256 public platformFee = 100; // 1%
-    address public feeRecipient;
-
-    // 担保トークンごとのロック済み残高
-    mapping(address => uint256) public lockedCollateral;
-
-    // 借入制限
-    uint256 public maxLoanAmount = 10 ether;
-    uint256 public maxActiveLoansPerBorrower = 3;
-
-    // 担保率（Collateral Ratio）（例: 15000で150%）
-    // 旧: ltvRatio
-    uint256 public collateralRatio = 15000;
-    uint256 public constant MIN_COLLATERAL_RATIO = 10000; // 100%
-    uint256 public constant MAX_COLLATERAL_RATIO = 20000; // 200%
-
-    // イベントの定義
-    event LoanRequested(
-        uint256 indexed loanId,
-        address indexed borrower,
-        uint256 amount,
-        uint256 interestRate,
-        uint256 duration,
-        address collateralToken,
-        uint256 collateralAmount
-    );
-    event LoanFunded(uint256 indexed loanId, address indexed lender);
-    event LoanPartiallyRepaid(uint256 indexed loanId, address indexed borrower, uint256 amountRepaid, uint256 remainingAmount);
-    event LoanRepaid(uint256 indexed loanId, address indexed borrower, address indexed lender, uint256 repaymentAmount);
-    event DefaultDeclared(uint256 indexed loanId, address indexed lender);
-    event LoanCancelled(uint256 indexed loanId, address indexed borrower);
-    event PriceFeedUpdated(address indexed token, address indexed priceFeed);
-    event PlatformFeeUpdated(uint256 newFee);
-    event FeeRecipientUpdated(address indexed newRecipient);
-    event CollateralRatioUpdated(uint256 newRatio);
-    event CollateralTokenStatusUpdated(address indexed token, bool allowed);
-    event CollateralTokenDecimalsUpdated(address indexed token, uint8 decimals);
-
-    event MaxActiveLoansPerBorrowerUpdated(uint256 newMax);
-    event MaxLoanAmountUpdated(uint256 newMaxAmount);
-
     /**
-     * @notice Constructor to initialize the contract with the fee recipient
-     * @param _feeRecipient The address to receive platform fees
+     * @notice Initializes the proxy in place of a constructor
+     * @dev Runs the initializers of the upgradeable parents, which replace their constructors behind the proxy
+     * @param _feeRecipient The address that receives platform fees
+     * @custom:oz-upgrades-unsafe-allow-reachable delegatecall
      */
-    constructor(address _feeRecipient) {
+    function initialize(address _feeRecipient) external initializer {
         if (_feeRecipient == address(0)) revert InvalidAddress();
+        __UUPSUpgradeable_init();
+        __ReentrancyGuard_init();
+        __AccessControlEnumerable_init();
+        __Pausable_init();
+        __EIP712_init("SocialLendingWithCollateral", "1");
+
         feeRecipient = _feeRecipient;
-        _transferOwnership(msg.sender);
+        // ノートの作成コードはメインに収まらないため、モジュールにdelegatecallしてデプロイする
+        // （プロキシのコンストラクタ内ではプロキシ自身を呼び出せない）
+        Address.functionDelegateCall(nextModule, abi.encodeCall(LoanNoteModule.deployLoanNote, ()));
+
+        // 初期パラメータ
+        platformFee = 100; // 1%
+        referralShare = 2000; // 20%
+        maxLoanAmount = 10 ether;
+        maxActiveLoansPerBorrower = 3;
+        collateralRatio = 15000; // 150%
+        gracePeriod = 3 days;
+        latePenaltyRate = 1000; // 10%
+        liquidationThreshold = 12000; // 120%
+        liquidationBonus = 500; // 5%
+        syndicationPeriod = 7 days;
+        missedInstallmentsForDefault = 2;
+        minInterestPeriod = 7 days;
+        auctionDuration = 1 days;
+        auctionStartPremium = 2000; // 20%
+        auctionReserveRatio = 8000; // 80%
+        timelockMinDelay = 2 days;
+
+        // デプロイヤーに全ロールを付与し、運用開始後に各担当者へ移譲する
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(KEEPER_ROLE, msg.sender);
+        _grantRole(RISK_MANAGER_ROLE, msg.sender);
+        _grantRole(LISTING_MANAGER_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
+
+        // キーパーはリスク管理者が任命する
+        _setRoleAdmin(KEEPER_ROLE, RISK_MANAGER_ROLE);
     }
-    
-    // ... (existing code for setCollateralRatio etc)
 
-    function setMaxActiveLoansPerBorrower(uint256 _max) external onlyOwner {
-        if (_max == 0) revert InvalidParameter();
-        maxActiveLoansPerBorrower = _max;
-        emit MaxActiveLoansPerBorrowerUpdated(_max);
+    /**
+     * @notice Pauses the contract, disabling non-owner functions
+     */
+    function pause() external onlyRole(KEEPER_ROLE) {
+        _pause();
     }
 
-    function setMaxLoanAmount(uint256 _maxLoanAmount) external onlyOwner {
-        if (_maxLoanAmount == 0) revert InvalidParameter();
-        maxLoanAmount = _maxLoanAmount;
-        emit MaxLoanAmountUpdated(_maxLoanAmount);
+    /**
+     * @notice Unpauses the contract, enabling all functions
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
     }
 
     /**
-     * @notice Allows the contract to receive ETH
+     * @notice Sets the role that can grant and revoke another role
+     * @dev The admin of DEFAULT_ADMIN_ROLE cannot be changed
+     * @param role The role to reconfigure
+     * @param adminRole The new admin role
      */
-    receive() external payable {}
+    function setRoleAdmin(bytes32 role, bytes32 adminRole) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (role == DEFAULT_ADMIN_ROLE) revert InvalidParameter();
+        _setRoleAdmin(role, adminRole);
+    }
 
     ///// コントラクト動作説明用のコメント追加 /////
     /*
     コントラクトの主要な動作フロー:
     
     1. ローンリクエスト
-    - 借り手が担保トークンと条件を指定してリクエスト
-    - 担保価値がLTV比率を満たすことを検証
+    - 借り手が担保トークン（最大MAX_COLLATERAL_TOKENS種類のバスケット）と条件を指定してリクエスト
+    - 担保の合計価値がLTV比率を満たすことを検証（トークンごとの担保率が設定されている場合は、そのトークン分を基準の担保率との比で換算して評価）
+    - トークンごとの供給上限（全ローン合計のロック量）と1ローンあたりの上限を、リクエスト・担保追加・保証の承諾時に検証
     - 担保トークンをコントラクトに預託
+    - 有効期限（expiresAt）を過ぎたリクエストは資金提供できず、誰でもexpireRequestsで一括取り消し可能（担保は借り手に返却）
+    - リクエスト中・返済中は担保の追加（addCollateral）と、借り手自身の担保で担保率を維持する範囲での引き出し（withdrawCollateral）が可能
+    - 保証人付きリクエスト（requestGuaranteedLoan）では、指名された保証人が担保を預けて承諾（acceptGuarantee）
+      保証人の担保も担保率に算入し、全員の承諾後に資金提供可能
+      資金提供前は保証人が担保を引き出せる（withdrawGuarantee、再承諾まで資金提供不可）
     
     2. ローン資金提供
-    - 貸し手がETHでローンを資金化
+    - 貸し手がETHまたは許可済みERC20（元本資産）でローンを資金化
     - プラットフォーム手数料を控除
     - 残金を借り手に送金
+    - または貸し手がETHをエスクローしてオファーを作成し、借り手が担保を預けて受入（即時Funded）
+    - または複数の貸し手が元本を分割出資（シンジケート）し、全額集まった時点でFunded
+      募集期限までに集まらない場合・キャンセル時は各貸し手が出資額を引き出し可能
+      期限切れ後の資金提供・出資は未返金の出資を返金（ETHはwithdraw()で引き出し）してから新しいラウンドを開始
+    - またはオフチェーンで署名されたローン条件（EIP-712）を相手方が提出し、担保の預託・資金提供・開始を1回で実行
+      借り手の署名はfundSignedRequest、貸し手の署名（ERC20元本のみ）はacceptSignedOfferで使用
+      スマートコントラクトウォレットはERC-1271で署名
+      リクエストと同じ検証（借入上限・アクティブローン上限・担保率）を適用し、ナンスと期限で再利用を防止
+      invalidateNoncesで指定値未満のナンスの署名を一括無効化、cancelNonceで特定のナンスの署名のみ無効化
+    - 資金提供時に貸し手ポジションを表すERC-721ノートを発行（譲渡可能）
+    - トレジャリーが登録した紹介者をリクエスト時（requestLoanWithReferrer）・資金提供時（fundLoanWithReferrer）に指定すると、
+      資金提供時に手数料のうちreferralShare分を紹介者ごとに請求可能残高として計上（claimReferralEarningsで引き出し）
+      貸し手の紹介者はオファー作成時（createLoanOfferWithReferrer）・シンジケートの最初の出資時（fundLoanPartialWithReferrer）・
+      署名済みリクエストの資金提供時（fundSignedRequestWithReferrer）にも指定可能、署名済み条件では署名者側の紹介者を条件に含める
     
     3. 返済プロセス
     - 借り手が部分返済/全額返済可能
-    - 全額返済時: 担保を返却
-    - 返済期限超過時: 担保没収
+    - 分割返済ローン（requestInstallmentLoan）は返済額を古い分割から順に充当
+      各分割額は延滞ペナルティを含まない当初の返済額から算出し、各分割の期日にも猶予期間を適用
+    - 日割り利息ローン（requestAccruingLoan）は開始からの経過秒数分の利息のみを請求（最低利息期間あり）
+      全額返済・借り換え・清算時に未経過分の利息を減額
+    - 全額返済時: 担保（保証人の担保を含む）を返却
+    - 返済はノート保有者に送金（シンジケートローンは出資比率で按分）
+    - 返済期限超過時: 猶予期間中は延滞ペナルティが残債に加算
+      猶予期間と延滞ペナルティ率は実行時の値をローンに固定（以降の設定変更は既存ローンに影響しない）
+    - 借り手が期間延長を提案（proposeExtension）し、貸し手が承認（acceptExtension）すると返済額を再計算
+      承認されるまでは元の満期でデフォルト判定
+    - 借り手の署名による同意があれば、新しい貸し手が残債を支払って借り換え（refinanceLoan）
+      担保はロックされたまま、残債を元本として新しい条件で再開（借入上限と担保率を再確認）
+      スマートコントラクトウォレットの借り手はERC-1271で同意に署名
+      同意のナンスは署名済みローン条件とは別（refinanceNonces）、invalidateRefinanceNonceで未使用の同意を無効化
+    - 猶予期間終了後: 担保をオークションで売却
     
     4. デフォルト処理
+    - 猶予期間終了後に宣言可能
+    - 分割返済ローンは期日から猶予期間を過ぎた未払い分割がmissedInstallmentsForDefault回に達した時点でも宣言可能
     - 自動検出（誰でも実行可能）or 貸し手が手動実行
-    - 担保を貸し手に移転
+    - 保証人の担保は、借り手の担保で残債に不足する分のみ没収し、残りは保証人に返却
+    - 借り手の担保はETH建てのダッチオークションに出品（オラクル価格 + プレミアムから、オラクル価格に対する最低価格まで線形に減価）
+      落札代金は残債までノート保有者に支払い、余剰分は借り手に返却
+      期間内に売れなかった担保はノート保有者に移転（claimUnsoldCollateral）
+    - ノート保有者への支払い・担保の移転はシンジケートローンでは出資比率で按分
+
+    5. 清算
+    - 担保率が清算閾値（トークンごとの清算閾値が高い場合はそれを適用）を下回ると誰でも実行可能
+    - 清算者が残債を支払い、債務相当額 + ボーナス分の担保を受領（借り手の担保から優先して没収）
+    - 価格フィードが古い・停止中の担保は0として評価し、没収せずに全量を借り手（保証人）に返却
+    - 余剰担保は借り手に返却
+
+    6. 信用スコア
+    - 完済（期日内/期日後）・デフォルト・キャンセル（期限切れによる取り消しを含む）を借り手ごとに記録
+    - 実績から算出したスコアに応じて、管理者が設定したティアの担保率・借入上限・アクティブローン上限を適用
+    - スコアに算入する完済は最短期間・最低元本を満たすローンのみ、同じ貸し手とのローンは上限件数まで（同じ相手との少額・短期ローンの繰り返しによる水増しを抑制）
+      貸し手のアドレスは本人確認されないため、複数のウォレットから自己資金提供するシビル攻撃は防げない
+      （1件あたりプラットフォーム手数料と最短期間のコストのみ、ティアの優遇はこれを前提に設定する）
+    - ティアの担保率は清算閾値より高くする必要がある（リクエスト直後の清算を防止）
+
+    7. ローン照会
+    - getLoansで状態のビットマスクによる絞り込みとカーソルによるページング（1ページ最大MAX_PAGE_SIZE件、ページが埋まった時点で走査を終了）
+    - 借り手・貸し手（完了済み・譲渡済みを含む）・担保トークンごとの履歴を同じ形式で取得
+    - 各ローンに返済期日・延滞フラグ・現在の返済額・担保率（価格が取得できない場合は省略）を付加
+      清算判定と同じ調整後の担保率（トークンごとの清算閾値で換算、getLiquidationRatio）と清算可能フラグも付加
     
     主要なセキュリティ機能:
-    - リエントランシー攻撃防止（ReentrancyGuard）
-    - 緊急停止機能（Pausable）
-    - 価格フィード検証（Chainlink Oracle）
+    - プルペイメント（呼び出し元以外へのETHはwithdraw()で引き出し、受取拒否による妨害を防止）
+    - リエントランシー攻撃防止（ReentrancyGuardUpgradeable）
+    - 緊急停止機能（PausableUpgradeable）
+    - 価格フィード検証（Chainlink Oracle、フィードごとのハートビート）
+    - セカンダリフィードへのフォールバックとプライマリとの乖離チェック、USD建てフィードの二段階換算（token → USD → ETH）
     - 入力パラメータ検証
-    - アクセス制御（Ownable）
+    - 署名の検証（EIP-712、署名者ごとのナンスと有効期限）
+    - ロールベースのアクセス制御（AccessControlEnumerableUpgradeable）
+      キーパー: pause / リスク管理者: 担保率・借入上限などのリスクパラメータ
+      上場管理者: 担保・元本トークンと価格フィード（元本トークンは小数点以下桁数の設定後にのみ許可） / トレジャリー: 手数料・手数料受取者・資金回収
+      管理者（DEFAULT_ADMIN_ROLE）: unpause・タイムロック遅延・ロール管理
+    - 資金回収（rescueTokens / rescueETH）はロック中の担保・元本・引き出し待ちETH・未請求の紹介報酬を除いた分のみ
+    - 手数料・紹介報酬の取り分・担保率・猶予期間・清算閾値・清算ボーナス・信用ティア・トークンごとのリスクパラメータ・価格フィード（オラクル設定・ハートビート・ETH/USDフィードを含む）・
+      手数料受取者・担保トークン許可と小数点以下桁数・元本トークン許可・ETH救出・アップグレードはタイムロック経由（queueChange → executeChange）
+      最小遅延は初期値2日、MIN_TIMELOCK_DELAY未満には設定不可（ロール保有者も直接は実行不可）
+      pauseは緊急用に即時実行
+    - UUPSプロキシ（SocialLendingProxy）経由でデプロイし、コンストラクタの代わりにinitializeで初期化
+      親コントラクトはOpenZeppelinのアップグレード可能版を使用し、initialize内で各__X_initを実行
+      アップグレードは管理者（DEFAULT_ADMIN_ROLE）のみ、ストレージ末尾の予約領域（__gap）で将来の状態変数追加に対応
+      ストレージレイアウトの互換性はOpenZeppelin Upgradesプラグインで検証（テスト）
+    - コントラクトサイズの上限（EIP-170、24,576バイト）に収めるため、外部関数を機能ごとのモジュール（contracts/modules）に分割
+      メインが実装しない関数はフォールバックからモジュールの連鎖（nextModule）へdelegatecallで転送し、プロキシのストレージ上で実行
+      全モジュールがSocialLendingBaseを継承して同じストレージレイアウトを共有（状態変数は基底にのみ追加）
     */
 
-    // 修飾子: 借り手のみ
-    modifier onlyBorrower(uint256 loanId) {
-        if (msg.sender != loans[loanId].borrower) revert Unauthorized();
-        _;
-    }
-
-    // 修飾子: 貸し手のみ
-    modifier onlyLender(uint256 loanId) {
-        if (msg.sender != loans[loanId].lender) revert Unauthorized();
-        _;
-    }
-
-    // 修飾子: 有効なローンIDかチェック
-    modifier validLoanId(uint256 loanId) {
-        if (loanId >= loanCount) revert InvalidLoanId();
-        _;
-    }
-
-    /**
-     * @notice Pauses the contract, disabling non-owner functions
-     */
-    function pause() external onlyOwner {
-        _pause();
-    }
-
-    /**
-     * @notice Unpauses the contract, enabling all functions
-     */
-    function unpause() external onlyOwner {
-        _unpause();
-    }
-
-    /**
-     * @notice Sets the allowed status for a collateral token
-     * @param token The address of the collateral token
-     * @param allowed Whether the token is allowed as collateral
-     */
-    function setCollateralTokenStatus(address token, bool allowed) external onlyOwner {
-        if (token == address(0)) revert InvalidAddress();
-        allowedCollateralTokens[token] = allowed;
-        emit CollateralTokenStatusUpdated(token, allowed);
-    }
-
-    /**
-     * @notice Sets the decimal places for a collateral token
-     * @param token The address of the collateral token
-     * @param decimals The number of decimal places for the token
-     */
-    function setCollateralTokenDecimals(address token, uint8 decimals) external onlyOwner {
-        if (token == address(0)) revert InvalidAddress();
-        if (decimals > 18) revert InvalidParameter();
-        collateralTokenDecimals[token] = decimals;
-        emit CollateralTokenDecimalsUpdated(token, decimals);
-    }
-
-    /**
-     * @notice Sets the price feed for a collateral token
-     * @param token The address of the collateral token
-     * @param priceFeed The address of the price feed contract
-     */
-    function setPriceFeed(address token, address priceFeed) external onlyOwner {
-        if (token == address(0) || priceFeed == address(0)) revert InvalidAddress();
-        priceFeeds[token] = priceFeed;
-        emit PriceFeedUpdated(token, priceFeed);
-    }
-
     /**
-     * @notice Allows a borrower to request a loan by providing collateral
-     * @param amount The principal amount of the loan in wei
-     * @param interestRate The annual interest rate in basis points
-     * @param duration The duration of the loan in seconds
-     * @param collateralToken The address of the collateral token
-     * @param collateralAmount The amount of collateral to deposit
+     * @notice Queues a timelocked admin change for execution after timelockMinDelay
+     * @dev Covers setPlatformFee, setCollateralRatio, setGracePeriod, setLiquidationThreshold, setLiquidationBonus,
+     *      setReputationTiers, setCollateralRiskParams, setPriceFeed, setOracleConfig, setFeedHeartbeat, setEthUsdPriceFeed, setFeeRecipient,
+     *      setReferralShare, setCollateralTokenStatus, setCollateralTokenDecimals, setPrincipalTokenStatus, rescueETH,
+     *      setTimelockMinDelay, upgradeTo and upgradeToAndCall, which cannot be called directly. The change must be
+     *      executed within TIMELOCK_EXECUTION_WINDOW of becoming ready. Queuing, executing and cancelling require the role that guards the target function.
+     * @param data The calldata of the change
+     * @return changeId The ID of the queued change
      */
-    function requestLoan(
-        uint256 amount,
-        uint256 interestRate,
-        uint256 duration,
-        address collateralToken,
-        uint256 collateralAmount
-    ) external nonReentrant whenNotPaused {
-        if (amount == 0) revert InvalidAmount();
-        if (interestRate == 0 || interestRate > MAX_INTEREST_RATE) revert InvalidInterestRate();
-        if (duration == 0 || duration > MAX_LOAN_DURATION) revert InvalidDuration();
-        if (collateralAmount == 0) revert InvalidCollateral();
-        if (collateralToken == address(0)) revert InvalidAddress();
-        if (!allowedCollateralTokens[collateralToken]) revert TokenNotAllowed();
-
-        if (amount > maxLoanAmount) revert LoanTooLarge();
-        if (borrowerActiveLoans[msg.sender] >= maxActiveLoansPerBorrower) revert TooManyActiveLoans();
-
-        // 担保価値の評価
-        uint256 collateralValueInETH = getCollateralValueInETH(collateralToken, collateralAmount);
-        
-        // collateralRatio = 15000 → ローン額の150%の担保価値が必要
-        uint256 requiredCollateralValueInETH = amount * collateralRatio / BASIS_POINTS;
-        if (collateralValueInETH < requiredCollateralValueInETH) revert InsufficientCollateralValue();
-
-        // 担保のデポジット
-        IERC20(collateralToken).safeTransferFrom(msg.sender, address(this), collateralAmount);
-        lockedCollateral[collateralToken] += collateralAmount;
-
-        uint256 loanId = loanCount++;
-
-        // 単利による返済総額の計算（Math.mulDivを使用）
-        uint256 annualInterest = Math.mulDiv(amount, interestRate, BASIS_POINTS);
-        uint256 interestAmount = Math.mulDiv(annualInterest, duration, SECONDS_PER_YEAR);
-        uint256 repaymentAmount = amount + interestAmount;
-
-        loans[loanId] = Loan({
-            borrower: payable(msg.sender),
-            lender: payable(address(0)),
-            principalAmount: amount,
-            interestRate: uint16(interestRate),
-            repaymentAmount: repaymentAmount,
-            duration: duration,
-            startTime: 0,
-            state: LoanState.Requested,
-            collateralToken: collateralToken,
-            collateralAmount: collateralAmount,
-            remainingRepaymentAmount: repaymentAmount
-        });
-
-        borrowerActiveLoans[msg.sender]++;
-        _borrowerLoanIds[msg.sender].push(loanId);
-
-        emit LoanRequested(loanId, msg.sender, amount, interestRate, duration, collateralToken, collateralAmount);
+    function queueChange(bytes calldata data) external returns (bytes32 changeId) {
+        if (data.length < 4) revert InvalidParameter();
+        _checkRole(_timelockRole(bytes4(data)));
+        changeId = keccak256(data);
+        if (queuedChanges[changeId].eta != 0) revert ChangeAlreadyQueued();
+
+        uint256 eta = block.timestamp + timelockMinDelay;
+        queuedChanges[changeId] = QueuedChange({ data: data, eta: eta });
+        _pendingChangeIds.push(changeId);
+        _pendingChangeIndex[changeId] = _pendingChangeIds.length;
+
+        emit ChangeQueued(changeId, bytes4(data), data, eta);
     }
 
     /**
-     * @notice Allows the borrower to cancel a loan request before it is funded
-     * @param loanId The ID of the loan to cancel
+     * @notice Executes a queued admin change once its delay has passed
+     * @param data The calldata of the change
      */
-    function cancelLoanRequest(uint256 loanId) external nonReentrant validLoanId(loanId) onlyBorrower(loanId) whenNotPaused {
-        Loan storage loan = loans[loanId];
-        if (loan.state != LoanState.Requested) revert InvalidLoanState();
+    function executeChange(bytes calldata data) external nonReentrant {
+        bytes32 changeId = keccak256(data);
+        uint256 eta = queuedChanges[changeId].eta;
+        if (eta == 0) revert ChangeNotQueued();
+        if (block.timestamp < eta) revert ChangeNotReady();
+        if (block.timestamp > eta + TIMELOCK_EXECUTION_WINDOW) revert ChangeExpired();
+        _checkRole(_timelockRole(bytes4(data)));
 
         // 状態変更を先に行う（再入攻撃対策）
-        loan.state = LoanState.Cancelled;
-        borrowerActiveLoans[loan.borrower]--;
-        cancelledLoansCount++;
+        _removeQueuedChange(changeId);
 
-        // 担保の返却
-        lockedCollateral[loan.collateralToken] -= loan.collateralAmount;
-        IERC20(loan.collateralToken).safeTransfer(loan.borrower, loan.collateralAmount);
+        Address.functionCall(address(this), data);
 
-        emit LoanCancelled(loanId, loan.borrower);
+        emit ChangeExecuted(changeId, bytes4(data), data);
     }
 
     /**
-     * @notice Allows a lender to fund a loan request
-     * @param loanId The ID of the loan to fund
+     * @notice Cancels a queued admin change
+     * @param changeId The ID of the queued change
      */
-    function fundLoan(uint256 loanId) external payable nonReentrant validLoanId(loanId) whenNotPaused {
-        Loan storage loan = loans[loanId];
-        if (loan.state != LoanState.Requested) revert InvalidLoanState();
-        if (msg.value != loan.principalAmount) revert IncorrectFundingAmount();
-        if (loan.borrower == msg.sender) revert SelfFunding();
-
-        // 状態変更を先に行う（再入攻撃対策）
-        loan.lender = payable(msg.sender);
-        loan.startTime = block.timestamp;
-        loan.state = LoanState.Funded;
-        lenderActiveLoans[msg.sender]++;
-        
-        activeLoansCount++;
-        _lenderLoanIds[msg.sender].push(loanId);
-
-        // プラットフォーム手数料の計算と送金
-        uint256 feeAmount = msg.value * platformFee / BASIS_POINTS;
-        uint256 amountToBorrower = msg.value - feeAmount;
-
-        // 手数料送金
-        payable(feeRecipient).sendValue(feeAmount);
-
-        // 借り手への送金
-        loan.borrower.sendValue(amountToBorrower);
-
-        emit LoanFunded(loanId, msg.sender);
+    function cancelChange(bytes32 changeId) external {
+        bytes memory data = queuedChanges[changeId].data;
+        if (queuedChanges[changeId].eta == 0) revert ChangeNotQueued();
+        _checkRole(_timelockRole(bytes4(data)));
+        _removeQueuedChange(changeId);
+        emit ChangeCancelled(changeId);
     }
 
     /**
-     * @notice Allows the borrower to repay the loan, supporting partial repayments
-     * @param loanId The ID of the loan to repay
+     * @notice Sets the minimum delay of timelocked admin changes
+     * @dev The delay cannot go below MIN_TIMELOCK_DELAY, so timelocked changes always give users notice
+     * @param _timelockMinDelay The delay in seconds
      */
-    function repayLoan(uint256 loanId) external payable nonReentrant validLoanId(loanId) onlyBorrower(loanId) whenNotPaused {
-        Loan storage loan = loans[loanId];
-        if (loan.state != LoanState.Funded) revert InvalidLoanState();
-        if (msg.value == 0) revert InvalidAmount();
-
-        uint256 amount = msg.value;
-        uint256 excessAmount = 0;
-
-        // 状態変更を先に行う（再入攻撃対策）
-        if (amount >= loan.remainingRepaymentAmount) {
-            // 全額返済
-            excessAmount = amount - loan.remainingRepaymentAmount;
-            amount = loan.remainingRepaymentAmount;
-            loan.remainingRepaymentAmount = 0;
-            loan.state = LoanState.Repaid;
-            borrowerActiveLoans[loan.borrower]--;
-            lenderActiveLoans[loan.lender]--;
-            
-            activeLoansCount--;
-            repaidLoansCount++;
-
-            // 担保の返却
-            lockedCollateral[loan.collateralToken] -= loan.collateralAmount;
-            IERC20(loan.collateralToken).safeTransfer(loan.borrower, loan.collateralAmount);
-
-            emit LoanRepaid(loanId, loan.borrower, loan.lender, amount);
-        } else {
-            // 部分返済
-            loan.remainingRepaymentAmount -= amount;
-            emit LoanPartiallyRepaid(loanId, loan.borrower, amount, loan.remainingRepaymentAmount);
-        }
-
-        // 貸し手への送金
-        loan.lender.sendValue(amount);
-
-        // 余剰分を借り手に返却
-        if (excessAmount > 0) {
-            loan.borrower.sendValue(excessAmount);
-        }
+    function setTimelockMinDelay(uint256 _timelockMinDelay) external onlyTimelock(DEFAULT_ADMIN_ROLE) {
+        if (_timelockMinDelay < MIN_TIMELOCK_DELAY || _timelockMinDelay > MAX_TIMELOCK_DELAY) revert InvalidParameter();
+        timelockMinDelay = _timelockMinDelay;
+        emit TimelockMinDelayUpdated(_timelockMinDelay);
     }
 
     /**
-     * @notice Allows the lender to declare default and claim collateral if the loan is overdue
-     * @param loanId The ID of the loan to declare default
+     * @dev Authorizes upgradeTo and upgradeToAndCall, which are timelocked admin changes
+     * @param newImplementation The address of the new implementation
      */
-    function declareDefault(uint256 loanId) external nonReentrant validLoanId(loanId) onlyLender(loanId) whenNotPaused {
-        Loan storage loan = loans[loanId];
-        if (loan.state != LoanState.Funded) revert InvalidLoanState();
-        if (block.timestamp <= loan.startTime + loan.duration) revert LoanNotExpired();
-        if (loan.remainingRepaymentAmount == 0) revert LoanAlreadyRepaid();
-
-        // 状態変更を先に行う（再入攻撃対策）
-        loan.state = LoanState.Defaulted;
-        borrowerActiveLoans[loan.borrower]--;
-        lenderActiveLoans[loan.lender]--;
-        
-        activeLoansCount--;
-        defaultedLoansCount++;
-        liquidatedLoansCount++;
-
-        // 担保の貸し手への移転
-        lockedCollateral[loan.collateralToken] -= loan.collateralAmount;
-        IERC20(loan.collateralToken).safeTransfer(loan.lender, loan.collateralAmount);
-
-        emit DefaultDeclared(loanId, loan.lender);
-    }
+    function _authorizeUpgrade(address newImplementation) internal override onlyTimelock(DEFAULT_ADMIN_ROLE) {}
 
     /**
-     * @notice Automatically checks and declares default for overdue loans, claimable by anyone
-     * @param loanId The ID of the loan to check and declare default
+     * @notice Gets the queued admin changes that have not been executed or cancelled
+     * @return changeIds Array of change IDs
+     * @return data Array of change calldata
+     * @return etas Array of times at which each change can be executed
      */
-    function checkAndDeclareDefault(uint256 loanId) external nonReentrant validLoanId(loanId) whenNotPaused {
-        Loan storage loan = loans[loanId];
-        if (loan.state != LoanState.Funded) revert InvalidLoanState();
-        if (block.timestamp <= loan.startTime + loan.duration) revert LoanNotExpired();
-        if (loan.remainingRepaymentAmount == 0) revert LoanAlreadyRepaid();
-
-        // 状態変更を先に行う（再入攻撃対策）
-        loan.state = LoanState.Defaulted;
-        borrowerActiveLoans[loan.borrower]--;
-        lenderActiveLoans[loan.lender]--;
-
-        activeLoansCount--;
-        defaultedLoansCount++;
-        liquidatedLoansCount++;
-
-        // 担保の貸し手への移転
-        lockedCollateral[loan.collateralToken] -= loan.collateralAmount;
-        IERC20(loan.collateralToken).safeTransfer(loan.lender, loan.collateralAmount);
-
-        emit DefaultDeclared(loanId, loan.lender);
-    }
-
-    /**
-     * @notice Gets the value of collateral in ETH
-     * @param collateralToken The address of the collateral token
-     * @param collateralAmount The amount of collateral
-     * @return The value in ETH
-     */
-    function getCollateralValueInETH(address collateralToken, uint256 collateralAmount) public view returns (uint256) {
-        address priceFeedAddress = priceFeeds[collateralToken];
-        if (priceFeedAddress == address(0)) revert PriceFeedNotAvailable();
-
-        AggregatorV3Interface priceFeed = AggregatorV3Interface(priceFeedAddress);
-        
-        // 価格データの取得と検証
-        (
-            uint80 roundId,
-            int256 price,
-            uint256 startedAt,
-            uint256 updatedAt,
-            uint80 answeredInRound
-        ) = priceFeed.latestRoundData();
-
-        // 価格データの検証
-        if (price <= 0) revert InvalidPriceData();
-        if (startedAt == 0 || updatedAt == 0 || updatedAt < startedAt) revert InvalidPriceData();
-        if (updatedAt < block.timestamp - PRICE_FEED_TIMEOUT) revert StaleData();
-        if (answeredInRound < roundId) revert StaleData();
-
-        uint8 decimals = priceFeed.decimals();
-        
-        // 担保トークンのデシマルを考慮した計算
-        uint8 tokenDecimals = collateralTokenDecimals[collateralToken];
-        uint256 normalizedAmount = collateralAmount;
-        if (tokenDecimals > 0) {
-            normalizedAmount = collateralAmount * 10**18 / 10**uint256(tokenDecimals);
+    function getPendingChanges() external view returns (
+        bytes32[] memory changeIds,
+        bytes[] memory data,
+        uint256[] memory etas
+    ) {
+        changeIds = _pendingChangeIds;
+        data = new bytes[](changeIds.length);
+        etas = new uint256[](changeIds.length);
+        for (uint256 i = 0; i < changeIds.length; i++) {
+            data[i] = queuedChanges[changeIds[i]].data;
+            etas[i] = queuedChanges[changeIds[i]].eta;
         }
-
-        uint256 collateralValueInETH = normalizedAmount * uint256(price) / 10**uint256(decimals);
-        return collateralValueInETH;
     }
 
     /**
-     * @notice Gets the list of active loan IDs for a borrower
-     * @param borrower The address of the borrower
-     * @return Array of loan IDs
+     * @dev Returns the role that may queue, execute and cancel a timelocked function
+     * @dev Reverts with InvalidParameter if the function is not timelocked
+     * @param selector The function selector
      */
-    function getBorrowerLoans(address borrower) external view returns (uint256[] memory) {
-        uint256[] storage allLoanIds = _borrowerLoanIds[borrower];
-        uint256 activeCount = 0;
-        
-        // ファーストパス: カウント
-        for (uint256 i = 0; i < allLoanIds.length; i++) {
-            LoanState state = loans[allLoanIds[i]].state;
-            if (state == LoanState.Requested || state == LoanState.Funded) {
-                activeCount++;
-            }
+    function _timelockRole(bytes4 selector) internal pure returns (bytes32) {
+        if (
+            selector == LoanConfigModule.setCollateralRatio.selector
+            || selector == LoanConfigModule.setGracePeriod.selector
+            || selector == LoanConfigModule.setLiquidationThreshold.selector
+            || selector == LoanConfigModule.setLiquidationBonus.selector
+            || selector == LoanConfigModule.setReputationTiers.selector
+            || selector == LoanConfigModule.setCollateralRiskParams.selector
+        ) {
+            return RISK_MANAGER_ROLE;
         }
-        
-        uint256[] memory activeLoanIds = new uint256[](activeCount);
-        uint256 counter = 0;
-        
-        // セカンドパス: 充填
-        for (uint256 i = 0; i < allLoanIds.length; i++) {
-            LoanState state = loans[allLoanIds[i]].state;
-            if (state == LoanState.Requested || state == LoanState.Funded) {
-                activeLoanIds[counter] = allLoanIds[i];
-                counter++;
-            }
+        if (
+            selector == LoanConfigModule.setPriceFeed.selector
+            || selector == LoanConfigModule.setCollateralTokenStatus.selector
+            || selector == LoanConfigModule.setCollateralTokenDecimals.selector
+            || selector == LoanConfigModule.setPrincipalTokenStatus.selector
+            || selector == LoanConfigModule.setOracleConfig.selector
+            || selector == LoanConfigModule.setFeedHeartbeat.selector
+            || selector == LoanConfigModule.setEthUsdPriceFeed.selector
+        ) {
+            return LISTING_MANAGER_ROLE;
         }
-        
-        return activeLoanIds;
-    }
-
-    // 現在の担保率(BASIS_POINTS=10000)を取得する関数
-    function getCollateralizationRatio(uint256 loanId) external view validLoanId(loanId) returns (uint256) {
-        Loan storage loan = loans[loanId];
-        if (loan.state != LoanState.Funded) revert InvalidLoanState();
-
-        uint256 collateralValue = getCollateralValueInETH(loan.collateralToken, loan.collateralAmount);
-        if (loan.remainingRepaymentAmount == 0) {
-            return type(uint256).max;
+        if (
+            selector == LoanConfigModule.setPlatformFee.selector
+            || selector == LoanConfigModule.setFeeRecipient.selector
+            || selector == LoanConfigModule.setReferralShare.selector
+            || selector == this.rescueETH.selector
+        ) {
+            return TREASURY_ROLE;
         }
-        return collateralValue * BASIS_POINTS / loan.remainingRepaymentAmount;
-    }
-
-    /**
-     * @notice Gets the list of funded loan IDs for a lender
-     * @param lender The address of the lender
-     * @return Array of loan IDs
-     */
-    function getLenderLoans(address lender) external view returns (uint256[] memory) {
-        uint256[] storage allLoanIds = _lenderLoanIds[lender];
-        uint256 activeCount = 0;
-        
-        // ファーストパス: カウント
-        for (uint256 i = 0; i < allLoanIds.length; i++) {
-            if (loans[allLoanIds[i]].state == LoanState.Funded) {
-                activeCount++;
-            }
+        if (
+            selector == this.setTimelockMinDelay.selector
+            || selector == this.upgradeTo.selector
+            || selector == this.upgradeToAndCall.selector
+        ) {
+            return DEFAULT_ADMIN_ROLE;
         }
-        
-        uint256[] memory activeLoanIds = new uint256[](activeCount);
-        uint256 counter = 0;
-        
-        // セカンドパス: 充填
-        for (uint256 i = 0; i < allLoanIds.length; i++) {
-            if (loans[allLoanIds[i]].state == LoanState.Funded) {
-                activeLoanIds[counter] = allLoanIds[i];
-                counter++;
-            }
-        }
-        
-        return activeLoanIds;
-    }
-
-    // プラットフォーム手数料を設定する関数（管理者用）
-    function setPlatformFee(uint256 _platformFee) external onlyOwner {
-        if (_platformFee > MAX_PLATFORM_FEE) revert InvalidParameter();
-        platformFee = _platformFee;
-        emit PlatformFeeUpdated(_platformFee);
-    }
-
-    // 手数料受取者を設定する関数（管理者用）
-    function setFeeRecipient(address _feeRecipient) external onlyOwner {
-        if (_feeRecipient == address(0)) revert InvalidAddress();
-        feeRecipient = _feeRecipient;
-        emit FeeRecipientUpdated(_feeRecipient);
-    }
-
-    // 担保率（Collateral Ratio）を設定する関数（管理者用）
-    function setCollateralRatio(uint256 _collateralRatio) external onlyOwner {
-        if (_collateralRatio < MIN_COLLATERAL_RATIO || _collateralRatio > MAX_COLLATERAL_RATIO) revert InvalidParameter();
-        collateralRatio = _collateralRatio;
-        emit CollateralRatioUpdated(_collateralRatio);
+        revert InvalidParameter();
     }
 
     /**
-     * @notice Gets the statistics of the contract
-     * @return totalLoans Total number of loans
-     * @return activeLoans Number of funded loans
-     * @return repaidLoans Number of repaid loans
-     * @return defaultedLoans Number of defaulted loans
-     * @return cancelledLoans Number of cancelled loans
-     * @return liquidatedLoans Number of liquidated loans
+     * @dev Deletes a queued change and removes it from the pending list
+     * @param changeId The ID of the queued change
      */
-    function getStats() external view returns (
-        uint256 totalLoans,
-        uint256 activeLoans,
-        uint256 repaidLoans,
-        uint256 defaultedLoans,
-        uint256 cancelledLoans,
-        uint256 liquidatedLoans
-    ) {
-        return (
-            loanCount,
-            activeLoansCount,
-            repaidLoansCount,
-            defaultedLoansCount,
-            cancelledLoansCount,
-            liquidatedLoansCount
-        );
+    function _removeQueuedChange(bytes32 changeId) internal {
+        uint256 index = _pendingChangeIndex[changeId] - 1;
+        bytes32 lastChangeId = _pendingChangeIds[_pendingChangeIds.length - 1];
+        _pendingChangeIds[index] = lastChangeId;
+        _pendingChangeIndex[lastChangeId] = index + 1;
+        _pendingChangeIds.pop();
+        delete _pendingChangeIndex[changeId];
+        delete queuedChanges[changeId];
     }
 
     // 緊急時にトークンを回収する関数（管理者用）
-    function rescueTokens(address token, uint256 amount, address to) external onlyOwner {
+    function rescueTokens(address token, uint256 amount, address to) external onlyRole(TREASURY_ROLE) {
         if (token == address(0) || to == address(0)) revert InvalidAddress();
         uint256 contractBalance = IERC20(token).balanceOf(address(this));
-        uint256 locked = lockedCollateral[token];
+        uint256 locked = lockedCollateral[token] + lockedPrincipal[token] + totalReferralBalances[token];
         if (contractBalance < locked + amount) revert InsufficientUnlockedCollateral();
         IERC20(token).safeTransfer(to, amount);
     }
 
-    // 緊急時にETHを回収する関数（管理者用）
-    function rescueETH(uint256 amount, address to) external onlyOwner {
+    // 緊急時にETHを回収する関数（管理者用、タイムロック対象）
+    function rescueETH(uint256 amount, address to) external onlyTimelock(TREASURY_ROLE) {
         if (to == address(0)) revert InvalidAddress();
+        if (address(this).balance < lockedETH + totalPendingWithdrawals + totalReferralBalances[address(0)] + amount) {
+            revert InsufficientUnlockedBalance();
+        }
         payable(to).sendValue(amount);
     }
 }
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+/**
+ * @title ILoanNoteIssuer
+ * @dev ローンノート（ERC-721）の発行元が実装するインターフェース
+ */
+interface ILoanNoteIssuer {
+    // ノートのメタデータに含めるローン条件
+    struct NoteDetails {
+        uint256 loanId;
+        uint256 share;                    // ノートが表す元本持分
+        address principalToken;           // 元本資産のアドレス（address(0)はETH）
+        uint256 principalAmount;
+        uint256 repaymentAmount;
+        uint256 remainingRepaymentAmount;
+        uint256 interestRate;
+        uint256 duration;
+        uint256 startTime;
+        uint8 state;
+    }
+
+    function getNoteDetails(uint256 noteId) external view returns (NoteDetails memory);
+
+    function onNoteTransfer(address from, address to, uint256 noteId) external;
+}
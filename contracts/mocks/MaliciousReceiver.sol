@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+/**
+ * @title MaliciousReceiver
+ * @dev テスト用のETH受取を拒否するコントラクト
+ *      任意の呼び出しを中継できるため、貸し手・借り手・手数料受取者として利用可能
+ */
+contract MaliciousReceiver {
+    bool public rejectPayments = true;
+
+    function setRejectPayments(bool reject) external {
+        rejectPayments = reject;
+    }
+
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        if (rejectPayments) revert("MaliciousReceiver: rejected");
+    }
+}
@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockERC1271Wallet
+ * @dev テスト用のスマートコントラクトウォレット（所有者の署名をERC-1271で検証）
+ */
+contract MockERC1271Wallet is IERC1271 {
+    address public immutable owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    // 所有者の指示でウォレットから任意のコントラクトを呼び出す
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        require(msg.sender == owner, "MockERC1271Wallet: not owner");
+        return Address.functionCallWithValue(target, data, msg.value);
+    }
+
+    function isValidSignature(bytes32 hash, bytes memory signature) external view override returns (bytes4) {
+        (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(hash, signature);
+        if (error == ECDSA.RecoverError.NoError && signer == owner) {
+            return IERC1271.isValidSignature.selector;
+        }
+        return 0xffffffff;
+    }
+
+    receive() external payable {}
+}
@@ -17,6 +17,7 @@ contract MockPriceFeed is AggregatorV3Interface, Ownable {
     uint256 private _startedAt;
     uint256 private _updatedAt;
     uint80 private _answeredInRound;
+    bool private _reverting;
 
     constructor() {
         _price = 100000000; // $1.00 (8桁の小数点)
@@ -51,6 +52,17 @@ contract MockPriceFeed is AggregatorV3Interface, Ownable {
         _decimals = newDecimals;
     }
 
+    // 価格を変えずに最終更新時刻だけを変更（ハートビート切れの再現用）
+    function setUpdatedAt(uint256 updatedAt) external onlyOwner {
+        _startedAt = updatedAt;
+        _updatedAt = updatedAt;
+    }
+
+    // latestRoundDataをリバートさせる（フィード障害の再現用）
+    function setReverting(bool reverting) external onlyOwner {
+        _reverting = reverting;
+    }
+
     function decimals() external view override returns (uint8) {
         return _decimals;
     }
@@ -90,6 +102,7 @@ contract MockPriceFeed is AggregatorV3Interface, Ownable {
             uint80 answeredInRound
         )
     {
+        require(!_reverting, "MockPriceFeed: feed unavailable");
         return (_roundId, _price, _startedAt, _updatedAt, _answeredInRound);
     }
 } 
\ No newline at end of file
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "../decentralizedSocialLending.sol";
+
+/**
+ * @title SocialLendingWithCollateralV2
+ * @dev テスト用のアップグレード先の実装
+ *      既存のストレージの後ろに状態変数を追加し、reinitializerで初期化する
+ *      親コントラクトはV1のinitializeで初期化済みのため、V2では親の初期化を呼ばない
+ *      モジュールはV1と同じものを使うため、V1と同じ最初のモジュールのアドレスでデプロイする
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract SocialLendingWithCollateralV2 is SocialLendingWithCollateral {
+    uint256 public upgradeCount;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _firstModule) SocialLendingWithCollateral(_firstModule) {}
+
+    function initializeV2() external reinitializer(2) {
+        upgradeCount = 1;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
@@ -0,0 +1,180 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "../SocialLendingBase.sol";
+
+/**
+ * @title LoanCollateralModule
+ * @dev SocialLendingWithCollateralのモジュール: 担保の追加と引き出し、保証人の承諾と担保の引き出し
+ *      プロキシからdelegatecallで呼ばれ、プロキシのストレージ上で動作する
+ */
+contract LoanCollateralModule is SocialLendingBase {
+    using SafeERC20 for IERC20;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _nextModule) SocialLendingBase(_nextModule) {}
+
+    /**
+     * @notice Allows a named guarantor to back a requested loan by locking a stake of collateral
+     * @dev The stake stays locked until the loan is repaid or cancelled, and is seized after the
+     *      borrower's collateral if the loan defaults or is liquidated
+     * @param loanId The ID of the loan
+     * @param token The allowlisted collateral token to stake
+     * @param amount The amount to stake
+     */
+    function acceptGuarantee(
+        uint256 loanId,
+        address token,
+        uint256 amount
+    ) external nonReentrant validLoanId(loanId) whenNotPaused {
+        if (loans[loanId].state != LoanState.Requested) revert InvalidLoanState();
+        if (_isRequestExpired(loanId)) revert RequestExpired();
+        if (amount == 0) revert InvalidCollateral();
+        if (!allowedCollateralTokens[token]) revert TokenNotAllowed();
+
+        Guarantee storage guarantee = _findGuarantee(loanId, msg.sender);
+        if (guarantee.amount != 0) revert GuaranteeAlreadyAccepted();
+        _checkCollateralCaps(token, amount, amount);
+
+        // 状態変更を先に行う（再入攻撃対策）
+        // 引き出し後の再承諾ではローンIDを重複して記録しない
+        if (guarantee.token == address(0)) {
+            _guarantorLoanIds[msg.sender].push(loanId);
+        }
+        guarantee.token = token;
+        guarantee.amount = amount;
+        lockedCollateral[token] += amount;
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+
+        emit GuaranteeAccepted(loanId, msg.sender, token, amount);
+    }
+
+    /**
+     * @notice Allows a guarantor to take back their stake while the loan is still unfunded
+     * @dev The loan cannot be funded until the guarantor accepts again
+     * @param loanId The ID of the loan
+     */
+    function withdrawGuarantee(uint256 loanId) external nonReentrant validLoanId(loanId) whenNotPaused {
+        if (loans[loanId].state != LoanState.Requested) revert InvalidLoanState();
+
+        Guarantee storage guarantee = _findGuarantee(loanId, msg.sender);
+        uint256 amount = guarantee.amount;
+        if (amount == 0) revert GuaranteePending();
+
+        // 状態変更を先に行う（再入攻撃対策）
+        guarantee.amount = 0;
+        lockedCollateral[guarantee.token] -= amount;
+
+        IERC20(guarantee.token).safeTransfer(msg.sender, amount);
+
+        emit GuaranteeReleased(loanId, msg.sender, guarantee.token, amount);
+    }
+
+    /**
+     * @notice Allows the borrower to top up the collateral of a requested or funded loan
+     * @dev Adding a token that is not yet in the basket appends a new component
+     * @param loanId The ID of the loan
+     * @param collateralToken The address of the collateral token to add
+     * @param amount The amount of collateral to add
+     */
+    function addCollateral(
+        uint256 loanId,
+        address collateralToken,
+        uint256 amount
+    ) external nonReentrant validLoanId(loanId) onlyBorrower(loanId) whenNotPaused {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Requested && loan.state != LoanState.Funded) revert InvalidLoanState();
+        if (amount == 0) revert InvalidCollateral();
+
+        CollateralItem[] storage basket = _loanCollateral[loanId];
+        (uint256 index, bool found) = _findCollateral(loanId, collateralToken);
+        if (found) {
+            _checkCollateralCaps(collateralToken, basket[index].amount + amount, amount);
+            basket[index].amount += amount;
+        } else {
+            if (!allowedCollateralTokens[collateralToken]) revert TokenNotAllowed();
+            if (basket.length >= MAX_COLLATERAL_TOKENS) revert InvalidCollateral();
+            _checkCollateralCaps(collateralToken, amount, amount);
+            basket.push(CollateralItem({ token: collateralToken, amount: amount }));
+            _indexCollateralToken(collateralToken, loanId);
+        }
+        lockedCollateral[collateralToken] += amount;
+
+        IERC20(collateralToken).safeTransferFrom(msg.sender, address(this), amount);
+
+        emit CollateralDeposited(loanId, collateralToken, amount);
+    }
+
+    /**
+     * @notice Allows the borrower to withdraw surplus collateral from a requested or funded loan
+     * @dev The remaining basket must still satisfy the borrower's required collateral ratio after the withdrawal
+     * @param loanId The ID of the loan
+     * @param collateralToken The address of the collateral token to withdraw
+     * @param amount The amount of collateral to withdraw
+     */
+    function withdrawCollateral(
+        uint256 loanId,
+        address collateralToken,
+        uint256 amount
+    ) external nonReentrant validLoanId(loanId) onlyBorrower(loanId) whenNotPaused {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Requested && loan.state != LoanState.Funded) revert InvalidLoanState();
+
+        CollateralItem[] storage basket = _loanCollateral[loanId];
+        (uint256 index, bool found) = _findCollateral(loanId, collateralToken);
+        if (!found || amount == 0 || amount > basket[index].amount) revert InvalidCollateral();
+
+        // 状態変更を先に行う（再入攻撃対策）
+        basket[index].amount -= amount;
+        if (basket[index].amount == 0) {
+            basket[index] = basket[basket.length - 1];
+            basket.pop();
+        }
+        lockedCollateral[collateralToken] -= amount;
+
+        // 引き出し後も借り手自身の担保だけで必要担保率を満たすことを確認（保証人の担保は含めない）
+        // 資金提供前は元本、資金提供後は残りの返済額に対して評価
+        uint256 debt = loan.state == LoanState.Funded ? loan.remainingRepaymentAmount : loan.principalAmount;
+        uint256 requiredRatio = _requiredCollateralRatio(msg.sender);
+        if (_adjustedBasketValue(loanId, loan.principalToken, requiredRatio, false) < debt * requiredRatio / BASIS_POINTS) {
+            revert InsufficientCollateralValue();
+        }
+
+        IERC20(collateralToken).safeTransfer(msg.sender, amount);
+
+        emit CollateralWithdrawn(loanId, collateralToken, amount);
+    }
+
+    /**
+     * @dev Finds the position of a token in a loan's collateral basket
+     * @param loanId The ID of the loan
+     * @param collateralToken The address of the collateral token
+     * @return index The index of the token in the basket
+     * @return found Whether the token is part of the basket
+     */
+    function _findCollateral(uint256 loanId, address collateralToken) internal view returns (uint256 index, bool found) {
+        CollateralItem[] storage basket = _loanCollateral[loanId];
+        for (uint256 i = 0; i < basket.length; i++) {
+            if (basket[i].token == collateralToken) {
+                return (i, true);
+            }
+        }
+    }
+
+    /**
+     * @dev Returns the guarantee of a named guarantor, reverting if the caller is not named on the loan
+     * @param loanId The ID of the loan
+     * @param guarantor The address of the guarantor
+     * @return The guarantee
+     */
+    function _findGuarantee(uint256 loanId, address guarantor) internal view returns (Guarantee storage) {
+        Guarantee[] storage guarantees = _loanGuarantees[loanId];
+        for (uint256 i = 0; i < guarantees.length; i++) {
+            if (guarantees[i].guarantor == guarantor) {
+                return guarantees[i];
+            }
+        }
+        revert Unauthorized();
+    }
+}
@@ -0,0 +1,340 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "../SocialLendingBase.sol";
+
+/**
+ * @title LoanConfigModule
+ * @dev SocialLendingWithCollateralのモジュール: リスクパラメータ・担保と元本トークン・価格フィード・手数料・紹介者登録の設定
+ *      プロキシからdelegatecallで呼ばれ、プロキシのストレージ上で動作する
+ */
+contract LoanConfigModule is SocialLendingBase {
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _nextModule) SocialLendingBase(_nextModule) {}
+
+    function setMaxActiveLoansPerBorrower(uint256 _max) external onlyRole(RISK_MANAGER_ROLE) {
+        if (_max == 0) revert InvalidParameter();
+        maxActiveLoansPerBorrower = _max;
+        emit MaxActiveLoansPerBorrowerUpdated(_max);
+    }
+
+    function setMaxLoanAmount(uint256 _maxLoanAmount) external onlyRole(RISK_MANAGER_ROLE) {
+        if (_maxLoanAmount == 0) revert InvalidParameter();
+        maxLoanAmount = _maxLoanAmount;
+        emit MaxLoanAmountUpdated(_maxLoanAmount);
+    }
+
+    /**
+     * @notice Sets the grace period after maturity before a default can be declared
+     * @dev Timelocked (see queueChange). Applies to loans funded after the change
+     * @param _gracePeriod The grace period in seconds
+     */
+    function setGracePeriod(uint256 _gracePeriod) external onlyTimelock(RISK_MANAGER_ROLE) {
+        if (_gracePeriod > MAX_GRACE_PERIOD) revert InvalidParameter();
+        gracePeriod = _gracePeriod;
+        emit GracePeriodUpdated(_gracePeriod);
+    }
+
+    /**
+     * @notice Sets the annual penalty rate charged on overdue balances during the grace period
+     * @dev Applies to loans funded after the change
+     * @param _latePenaltyRate The penalty rate in basis points
+     */
+    function setLatePenaltyRate(uint256 _latePenaltyRate) external onlyRole(RISK_MANAGER_ROLE) {
+        if (_latePenaltyRate > MAX_LATE_PENALTY_RATE) revert InvalidParameter();
+        latePenaltyRate = _latePenaltyRate;
+        emit LatePenaltyRateUpdated(_latePenaltyRate);
+    }
+
+    /**
+     * @notice Sets the collateralization ratio below which a funded loan can be liquidated
+     * @dev Timelocked (see queueChange). Must stay below collateralRatio and every reputation tier's ratio
+     *      so that a newly funded loan is not immediately liquidatable
+     * @param _liquidationThreshold The threshold in basis points
+     */
+    function setLiquidationThreshold(uint256 _liquidationThreshold) external onlyTimelock(RISK_MANAGER_ROLE) {
+        if (_liquidationThreshold < MIN_COLLATERAL_RATIO || _liquidationThreshold > MAX_COLLATERAL_RATIO) revert InvalidParameter();
+        if (_liquidationThreshold >= collateralRatio) revert InvalidParameter();
+        for (uint256 i = 0; i < _reputationTiers.length; i++) {
+            if (_liquidationThreshold >= _reputationTiers[i].collateralRatio) revert InvalidParameter();
+        }
+        liquidationThreshold = _liquidationThreshold;
+        emit LiquidationThresholdUpdated(_liquidationThreshold);
+    }
+
+    /**
+     * @notice Sets the bonus paid to liquidators in collateral
+     * @dev Timelocked (see queueChange)
+     * @param _liquidationBonus The bonus in basis points
+     */
+    function setLiquidationBonus(uint256 _liquidationBonus) external onlyTimelock(RISK_MANAGER_ROLE) {
+        if (_liquidationBonus > MAX_LIQUIDATION_BONUS) revert InvalidParameter();
+        liquidationBonus = _liquidationBonus;
+        emit LiquidationBonusUpdated(_liquidationBonus);
+    }
+
+    /**
+     * @notice Sets how long a syndicated loan stays open for subscriptions after its first contribution
+     * @param _syndicationPeriod The subscription window in seconds
+     */
+    function setSyndicationPeriod(uint256 _syndicationPeriod) external onlyRole(RISK_MANAGER_ROLE) {
+        if (_syndicationPeriod == 0 || _syndicationPeriod > MAX_SYNDICATION_PERIOD) revert InvalidParameter();
+        syndicationPeriod = _syndicationPeriod;
+        emit SyndicationPeriodUpdated(_syndicationPeriod);
+    }
+
+    /**
+     * @notice Sets how many overdue installments allow an installment loan to be declared in default
+     * @param _missedInstallmentsForDefault The number of missed installments
+     */
+    function setMissedInstallmentsForDefault(uint256 _missedInstallmentsForDefault) external onlyRole(RISK_MANAGER_ROLE) {
+        if (_missedInstallmentsForDefault == 0 || _missedInstallmentsForDefault > MAX_INSTALLMENTS) revert InvalidParameter();
+        missedInstallmentsForDefault = _missedInstallmentsForDefault;
+        emit MissedInstallmentsForDefaultUpdated(_missedInstallmentsForDefault);
+    }
+
+    /**
+     * @notice Sets the minimum period of interest charged when an accruing loan is repaid early
+     * @dev Applies to loans requested after the change
+     * @param _minInterestPeriod The minimum period in seconds
+     */
+    function setMinInterestPeriod(uint256 _minInterestPeriod) external onlyRole(RISK_MANAGER_ROLE) {
+        if (_minInterestPeriod > MAX_MIN_INTEREST_PERIOD) revert InvalidParameter();
+        minInterestPeriod = _minInterestPeriod;
+        emit MinInterestPeriodUpdated(_minInterestPeriod);
+    }
+
+    /**
+     * @notice Sets how long defaulted collateral is auctioned before it falls back to the lenders
+     * @param _auctionDuration The auction duration in seconds
+     */
+    function setAuctionDuration(uint256 _auctionDuration) external onlyRole(RISK_MANAGER_ROLE) {
+        if (_auctionDuration == 0 || _auctionDuration > MAX_AUCTION_DURATION) revert InvalidParameter();
+        auctionDuration = _auctionDuration;
+        emit AuctionDurationUpdated(_auctionDuration);
+    }
+
+    /**
+     * @notice Sets the premium over the oracle value at which collateral auctions start
+     * @param _auctionStartPremium The premium in basis points
+     */
+    function setAuctionStartPremium(uint256 _auctionStartPremium) external onlyRole(RISK_MANAGER_ROLE) {
+        if (_auctionStartPremium > MAX_AUCTION_START_PREMIUM) revert InvalidParameter();
+        auctionStartPremium = _auctionStartPremium;
+        emit AuctionStartPremiumUpdated(_auctionStartPremium);
+    }
+
+    /**
+     * @notice Sets the reserve below which collateral auctions do not decay, as a share of the oracle value
+     * @dev Applies to auctions started after the change
+     * @param _auctionReserveRatio The reserve in basis points of the oracle value
+     */
+    function setAuctionReserveRatio(uint256 _auctionReserveRatio) external onlyRole(RISK_MANAGER_ROLE) {
+        if (_auctionReserveRatio > MAX_AUCTION_RESERVE_RATIO) revert InvalidParameter();
+        auctionReserveRatio = _auctionReserveRatio;
+        emit AuctionReserveRatioUpdated(_auctionReserveRatio);
+    }
+
+    /**
+     * @notice Replaces the reputation tiers that adjust borrowing terms by score
+     * @dev Timelocked (see queueChange). Tiers must be sorted by strictly increasing minScore, and each tier's collateral ratio must be
+     *      above the global liquidationThreshold (tokens with their own risk parameters keep their own pair).
+     *      Borrowers below the first tier use the global collateralRatio, maxLoanAmount and maxActiveLoansPerBorrower.
+     *      An empty array disables tiering.
+     * @param tiers The new tiers
+     */
+    function setReputationTiers(ReputationTier[] calldata tiers) external onlyTimelock(RISK_MANAGER_ROLE) {
+        if (tiers.length > MAX_REPUTATION_TIERS) revert InvalidParameter();
+
+        delete _reputationTiers;
+        for (uint256 i = 0; i < tiers.length; i++) {
+            ReputationTier calldata tier = tiers[i];
+            if (i > 0 && tier.minScore <= tiers[i - 1].minScore) revert InvalidParameter();
+            if (tier.collateralRatio < MIN_COLLATERAL_RATIO || tier.collateralRatio > MAX_COLLATERAL_RATIO) revert InvalidParameter();
+            if (tier.collateralRatio <= liquidationThreshold) revert InvalidParameter();
+            if (tier.maxLoanAmount == 0 || tier.maxActiveLoans == 0) revert InvalidParameter();
+            _reputationTiers.push(tier);
+        }
+
+        emit ReputationTiersUpdated(tiers.length);
+    }
+
+    /**
+     * @notice Sets the risk parameters of a collateral token
+     * @dev Timelocked (see queueChange), since a higher liquidation threshold applies to open loans at once.
+     *      The ratios replace the borrower's required collateral ratio and the global liquidationThreshold
+     *      for this token, so they are set together and the minimum ratio must be above the threshold.
+     *      A component counts toward the basket at its value scaled by base ratio / token ratio, so a token
+     *      held to a lower ratio than the base counts for more than its value.
+     *      Zero leaves a parameter unset (the global ratios apply, no cap).
+     * @param token The address of the collateral token
+     * @param params The new risk parameters
+     */
+    function setCollateralRiskParams(
+        address token,
+        CollateralRiskParams calldata params
+    ) external onlyTimelock(RISK_MANAGER_ROLE) {
+        if (token == address(0)) revert InvalidAddress();
+        if (params.minCollateralRatio != 0 && (params.minCollateralRatio < MIN_COLLATERAL_RATIO || params.minCollateralRatio > MAX_COLLATERAL_RATIO)) {
+            revert InvalidParameter();
+        }
+        if (params.liquidationThreshold != 0 && (params.liquidationThreshold < MIN_COLLATERAL_RATIO || params.liquidationThreshold > MAX_COLLATERAL_RATIO)) {
+            revert InvalidParameter();
+        }
+        // 片方だけ設定すると全体の値と組み合わさり、リクエスト直後から清算可能になり得る
+        if ((params.minCollateralRatio == 0) != (params.liquidationThreshold == 0)) revert InvalidParameter();
+        if (params.minCollateralRatio != 0 && params.liquidationThreshold >= params.minCollateralRatio) revert InvalidParameter();
+
+        collateralRiskParams[token] = params;
+        emit CollateralRiskParamsUpdated(
+            token,
+            params.minCollateralRatio,
+            params.liquidationThreshold,
+            params.supplyCap,
+            params.maxPerLoan
+        );
+    }
+
+    /**
+     * @notice Sets the allowed status for a collateral token
+     * @dev Timelocked (see queueChange)
+     * @param token The address of the collateral token
+     * @param allowed Whether the token is allowed as collateral
+     */
+    function setCollateralTokenStatus(address token, bool allowed) external onlyTimelock(LISTING_MANAGER_ROLE) {
+        if (token == address(0)) revert InvalidAddress();
+        allowedCollateralTokens[token] = allowed;
+        emit CollateralTokenStatusUpdated(token, allowed);
+    }
+
+    /**
+     * @notice Sets the decimal places for a collateral token
+     * @dev Timelocked (see queueChange). The decimals of an allowed principal token cannot be cleared
+     * @param token The address of the collateral token
+     * @param decimals The number of decimal places for the token
+     */
+    function setCollateralTokenDecimals(address token, uint8 decimals) external onlyTimelock(LISTING_MANAGER_ROLE) {
+        if (token == address(0)) revert InvalidAddress();
+        if (decimals > 18) revert InvalidParameter();
+        // 未設定（0）は18桁として扱われるため、元本トークンの桁数を消すと評価額が狂う
+        if (decimals == 0 && allowedPrincipalTokens[token]) revert DecimalsNotSet();
+        collateralTokenDecimals[token] = decimals;
+        emit CollateralTokenDecimalsUpdated(token, decimals);
+    }
+
+    /**
+     * @notice Sets the price feed for a collateral token
+     * @dev Timelocked (see queueChange)
+     * @param token The address of the collateral token
+     * @param priceFeed The address of the price feed contract
+     */
+    function setPriceFeed(address token, address priceFeed) external onlyTimelock(LISTING_MANAGER_ROLE) {
+        if (token == address(0) || priceFeed == address(0)) revert InvalidAddress();
+        priceFeeds[token] = priceFeed;
+        emit PriceFeedUpdated(token, priceFeed);
+    }
+
+    /**
+     * @notice Sets the fallback feed, deviation check and quote currency of a token's price
+     * @dev Timelocked (see queueChange). The secondary feed is used when the primary
+     *      is stale or invalid; while both are valid they must agree within maxDeviation. Both feeds must quote
+     *      the same currency.
+     * @param token The address of the collateral or principal token
+     * @param config The new oracle configuration
+     */
+    function setOracleConfig(address token, OracleConfig calldata config) external onlyTimelock(LISTING_MANAGER_ROLE) {
+        if (token == address(0)) revert InvalidAddress();
+        if (config.maxDeviation > MAX_PRICE_DEVIATION) revert InvalidParameter();
+        oracleConfigs[token] = config;
+        emit OracleConfigUpdated(token, config.secondaryFeed, config.maxDeviation, config.usdQuoted);
+    }
+
+    /**
+     * @notice Sets the ETH/USD feed used to convert USD-quoted prices to ETH
+     * @dev Timelocked (see queueChange)
+     * @param priceFeed The address of the ETH/USD price feed
+     */
+    function setEthUsdPriceFeed(address priceFeed) external onlyTimelock(LISTING_MANAGER_ROLE) {
+        if (priceFeed == address(0)) revert InvalidAddress();
+        ethUsdPriceFeed = priceFeed;
+        emit EthUsdPriceFeedUpdated(priceFeed);
+    }
+
+    /**
+     * @notice Sets the maximum age of a feed's answer, matching its heartbeat
+     * @dev Timelocked (see queueChange)
+     * @param priceFeed The address of the price feed
+     * @param heartbeat The maximum age in seconds (0 for PRICE_FEED_TIMEOUT)
+     */
+    function setFeedHeartbeat(address priceFeed, uint256 heartbeat) external onlyTimelock(LISTING_MANAGER_ROLE) {
+        if (priceFeed == address(0)) revert InvalidAddress();
+        if (heartbeat > MAX_FEED_HEARTBEAT) revert InvalidParameter();
+        feedHeartbeats[priceFeed] = heartbeat;
+        emit FeedHeartbeatUpdated(priceFeed, heartbeat);
+    }
+
+    /**
+     * @notice Sets the allowed status for an ERC20 principal token
+     * @dev Timelocked (see queueChange). The token is valued with the price feed and decimals configured by
+     *      setPriceFeed and setCollateralTokenDecimals. Its decimals must be set before it is allowed, since
+     *      unset decimals are read as 18 and would undervalue a token with fewer decimals against maxLoanAmount
+     *      and the collateral ratio
+     * @param token The address of the principal token
+     * @param allowed Whether the token can be borrowed
+     */
+    function setPrincipalTokenStatus(address token, bool allowed) external onlyTimelock(LISTING_MANAGER_ROLE) {
+        if (token == address(0)) revert InvalidAddress();
+        if (allowed && collateralTokenDecimals[token] == 0) revert DecimalsNotSet();
+        allowedPrincipalTokens[token] = allowed;
+        emit PrincipalTokenStatusUpdated(token, allowed);
+    }
+
+    /**
+     * @notice Registers or removes a referrer who can be named on loan requests, fundings and offers
+     * @dev Registration is restricted to the treasury so that borrowers and lenders cannot register their own
+     *      wallets and take back part of the platform fee. Removal keeps the referrer's claimable earnings and
+     *      the referrers already recorded on loans.
+     * @param referrer The address of the referrer
+     * @param registered Whether the address can be named as a referrer
+     */
+    function setReferrerStatus(address referrer, bool registered) external onlyRole(TREASURY_ROLE) {
+        if (referrer == address(0)) revert InvalidAddress();
+        if (isReferrer[referrer] == registered) revert InvalidParameter();
+        isReferrer[referrer] = registered;
+        emit ReferrerStatusUpdated(referrer, registered);
+    }
+
+    // プラットフォーム手数料を設定する関数（管理者用、タイムロック対象）
+    function setPlatformFee(uint256 _platformFee) external onlyTimelock(TREASURY_ROLE) {
+        if (_platformFee > MAX_PLATFORM_FEE) revert InvalidParameter();
+        platformFee = _platformFee;
+        emit PlatformFeeUpdated(_platformFee);
+    }
+
+    /**
+     * @notice Sets the share of the platform fee credited to each referrer of a loan (timelocked)
+     * @dev Applies to loans funded after the change
+     * @param _referralShare The share in basis points of the fee
+     */
+    function setReferralShare(uint256 _referralShare) external onlyTimelock(TREASURY_ROLE) {
+        if (_referralShare > MAX_REFERRAL_SHARE) revert InvalidParameter();
+        referralShare = _referralShare;
+        emit ReferralShareUpdated(_referralShare);
+    }
+
+    // 手数料受取者を設定する関数（管理者用、タイムロック対象）
+    function setFeeRecipient(address _feeRecipient) external onlyTimelock(TREASURY_ROLE) {
+        if (_feeRecipient == address(0)) revert InvalidAddress();
+        feeRecipient = _feeRecipient;
+        emit FeeRecipientUpdated(_feeRecipient);
+    }
+
+    // 担保率（Collateral Ratio）を設定する関数（管理者用、タイムロック対象、清算閾値より高く設定）
+    function setCollateralRatio(uint256 _collateralRatio) external onlyTimelock(RISK_MANAGER_ROLE) {
+        if (_collateralRatio < MIN_COLLATERAL_RATIO || _collateralRatio > MAX_COLLATERAL_RATIO) revert InvalidParameter();
+        if (_collateralRatio <= liquidationThreshold) revert InvalidParameter();
+        collateralRatio = _collateralRatio;
+        emit CollateralRatioUpdated(_collateralRatio);
+    }
+}
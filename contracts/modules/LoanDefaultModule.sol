@@ -0,0 +1,305 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "../SocialLendingBase.sol";
+
+/**
+ * @title LoanDefaultModule
+ * @dev SocialLendingWithCollateralのモジュール: デフォルト・担保オークション・清算
+ *      プロキシからdelegatecallで呼ばれ、プロキシのストレージ上で動作する
+ */
+contract LoanDefaultModule is SocialLendingBase {
+    using SafeERC20 for IERC20;
+    using Address for address payable;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _nextModule) SocialLendingBase(_nextModule) {}
+
+    /**
+     * @notice Allows the lender to declare default and claim collateral once the grace period has ended
+     * @param loanId The ID of the loan to declare default
+     */
+    function declareDefault(uint256 loanId) external nonReentrant validLoanId(loanId) onlyLender(loanId) whenNotPaused {
+        _declareDefault(loanId);
+    }
+
+    /**
+     * @notice Automatically checks and declares default for overdue loans, claimable by anyone
+     * @param loanId The ID of the loan to check and declare default
+     */
+    function checkAndDeclareDefault(uint256 loanId) external nonReentrant validLoanId(loanId) whenNotPaused {
+        _declareDefault(loanId);
+    }
+
+    /**
+     * @dev Seizes collateral worth seizeValue from the guarantors' stakes, pro-rata to their value,
+     *      and returns the rest of each stake to its guarantor
+     * @param loanId The ID of the loan
+     * @param seizeValue The value to seize, at most stakeValue
+     * @param stakeValue The combined value of the stakes
+     * @param to The recipient of the seized collateral (address(0) distributes it to the note holders)
+     * @param liquidation Whether stakes whose price cannot be read were left out of stakeValue (they are returned in full)
+     */
+    function _seizeGuarantees(uint256 loanId, uint256 seizeValue, uint256 stakeValue, address to, bool liquidation) internal {
+        Guarantee[] storage guarantees = _loanGuarantees[loanId];
+        address principalToken = loans[loanId].principalToken;
+        for (uint256 i = 0; i < guarantees.length; i++) {
+            Guarantee storage guarantee = guarantees[i];
+            if (guarantee.amount == 0) continue;
+
+            bool priced = !liquidation || _componentValue(guarantee.token, guarantee.amount, principalToken, true) != 0;
+            uint256 seizeAmount = stakeValue == 0 || !priced ? 0 : Math.mulDiv(guarantee.amount, seizeValue, stakeValue);
+            uint256 returnAmount = guarantee.amount - seizeAmount;
+            lockedCollateral[guarantee.token] -= guarantee.amount;
+
+            if (seizeAmount > 0) {
+                if (to == address(0)) {
+                    _distributeToLenders(loanId, IERC20(guarantee.token), seizeAmount);
+                } else {
+                    IERC20(guarantee.token).safeTransfer(to, seizeAmount);
+                }
+                emit GuaranteeSeized(loanId, guarantee.guarantor, guarantee.token, seizeAmount);
+            }
+            if (returnAmount > 0) {
+                IERC20(guarantee.token).safeTransfer(guarantee.guarantor, returnAmount);
+                emit GuaranteeReleased(loanId, guarantee.guarantor, guarantee.token, returnAmount);
+            }
+        }
+    }
+
+    /**
+     * @dev Transfers the collateral basket of a defaulted loan to the note holders, split pro-rata by share
+     * @param loanId The ID of the loan
+     */
+    function _releaseCollateralToLenders(uint256 loanId) internal {
+        CollateralItem[] storage basket = _loanCollateral[loanId];
+        for (uint256 i = 0; i < basket.length; i++) {
+            lockedCollateral[basket[i].token] -= basket[i].amount;
+            _distributeToLenders(loanId, IERC20(basket[i].token), basket[i].amount);
+        }
+    }
+
+    /**
+     * @dev Transfers collateral held by the contract to the note holders of a loan, pro-rata to their shares
+     * @param loanId The ID of the loan
+     * @param token The collateral token
+     * @param amount The amount to distribute
+     */
+    function _distributeToLenders(uint256 loanId, IERC20 token, uint256 amount) internal {
+        uint256 principalAmount = loans[loanId].principalAmount;
+        uint256[] storage noteIds = _loanNoteIds[loanId];
+
+        // 端数は最後のノート保有者に寄せる
+        uint256 remaining = amount;
+        for (uint256 j = 0; j < noteIds.length; j++) {
+            uint256 portion = j == noteIds.length - 1
+                ? remaining
+                : Math.mulDiv(amount, noteShares[noteIds[j]], principalAmount);
+            remaining -= portion;
+            if (portion > 0) {
+                token.safeTransfer(loanNote.ownerOf(noteIds[j]), portion);
+            }
+        }
+    }
+
+    /**
+     * @dev Validates that the grace period has ended and puts the borrower's collateral up for auction
+     * @param loanId The ID of the loan to declare default
+     */
+    function _declareDefault(uint256 loanId) internal {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Funded) revert InvalidLoanState();
+        // 猶予期間終了後、または分割返済の未払いが規定回数に達した場合に宣言可能
+        if (block.timestamp <= _gracePeriodEnd(loan) && _missedInstallments(loanId, loan) < missedInstallmentsForDefault) {
+            revert LoanNotExpired();
+        }
+        if (loan.remainingRepaymentAmount == 0) revert LoanAlreadyRepaid();
+        uint256 debt = loan.remainingRepaymentAmount + _accruedLatePenalty(loanId, loan);
+
+        // 状態変更を先に行う（再入攻撃対策）
+        loan.state = LoanState.Defaulted;
+        borrowerActiveLoans[loan.borrower]--;
+        _closeLenderPositions(loanId);
+
+        activeLoansCount--;
+        defaultedLoansCount++;
+        borrowerReputation[loan.borrower].defaults++;
+        emit ReputationUpdated(loan.borrower, getReputationScore(loan.borrower));
+
+        if (_loanGuarantees[loanId].length > 0) {
+            // 借り手の担保で不足する分のみ保証人の担保から没収し、貸し手に移転
+            uint256 basketValue = _basketValue(loanId, loan.principalToken, false);
+            uint256 stakeValue = _guaranteeValue(loanId, loan.principalToken, false);
+            uint256 seizeValue = Math.min(debt > basketValue ? debt - basketValue : 0, stakeValue);
+            _seizeGuarantees(loanId, seizeValue, stakeValue, address(0), false);
+            debt -= seizeValue;
+        }
+
+        // 借り手の担保をダッチオークションに出品
+        collateralAuctions[loanId] = CollateralAuction({
+            startTime: block.timestamp,
+            endTime: block.timestamp + auctionDuration,
+            startPremium: auctionStartPremium,
+            debt: debt,
+            settled: false,
+            reserveRatio: auctionReserveRatio
+        });
+
+        emit DefaultDeclared(loanId, loan.lender);
+        emit CollateralAuctionStarted(loanId, block.timestamp, block.timestamp + auctionDuration, debt);
+    }
+
+    /**
+     * @notice Buys the whole collateral basket of a defaulted loan at the current auction price
+     * @dev The note holders are paid up to the remaining debt (valued in ETH for ERC20 loans) and any
+     *      surplus is credited to the borrower. Excess ETH is refunded to the buyer.
+     * @param loanId The ID of the defaulted loan
+     */
+    function buyDefaultedCollateral(uint256 loanId) external payable nonReentrant validLoanId(loanId) whenNotPaused {
+        CollateralAuction storage auction = collateralAuctions[loanId];
+        uint256 price = _auctionPrice(loanId, auction);
+        if (msg.value < price) revert IncorrectFundingAmount();
+
+        Loan storage loan = loans[loanId];
+        uint256 debtInETH = loan.principalToken == address(0)
+            ? auction.debt
+            : getCollateralValueInETH(loan.principalToken, auction.debt);
+        uint256 lenderProceeds = Math.min(price, debtInETH);
+        uint256 borrowerSurplus = price - lenderProceeds;
+
+        // 状態変更を先に行う（再入攻撃対策）
+        auction.settled = true;
+
+        // 担保を落札者に移転
+        _releaseCollateral(loanId, msg.sender);
+
+        // 売却代金を貸し手に支払い、余剰分は借り手へ
+        _payNoteHolders(loanId, address(0), address(this), lenderProceeds);
+        if (borrowerSurplus > 0) {
+            _transferPrincipal(address(0), address(this), loan.borrower, borrowerSurplus);
+        }
+
+        emit CollateralAuctionSold(loanId, msg.sender, price, lenderProceeds, borrowerSurplus);
+
+        // 余剰分を落札者に返却
+        uint256 excessAmount = msg.value - price;
+        if (excessAmount > 0) {
+            payable(msg.sender).sendValue(excessAmount);
+        }
+    }
+
+    /**
+     * @notice Transfers collateral that did not sell during the auction window to the lenders, claimable by anyone
+     * @param loanId The ID of the defaulted loan
+     */
+    function claimUnsoldCollateral(uint256 loanId) external nonReentrant validLoanId(loanId) whenNotPaused {
+        CollateralAuction storage auction = collateralAuctions[loanId];
+        if (auction.startTime == 0 || auction.settled) revert AuctionNotActive();
+        if (block.timestamp <= auction.endTime) revert AuctionNotEnded();
+
+        // 状態変更を先に行う（再入攻撃対策）
+        auction.settled = true;
+
+        // 売れ残った担保をノート保有者に移転
+        _releaseCollateralToLenders(loanId);
+
+        emit CollateralAuctionExpired(loanId);
+    }
+
+    /**
+     * @notice Gets the current price of a defaulted loan's collateral auction in ETH
+     * @param loanId The ID of the defaulted loan
+     * @return The current price in wei
+     */
+    function getAuctionPrice(uint256 loanId) external view validLoanId(loanId) returns (uint256) {
+        return _auctionPrice(loanId, collateralAuctions[loanId]);
+    }
+
+    /**
+     * @dev Returns the current auction price: the oracle value of the basket plus the start premium,
+     *      decaying linearly to the reserve share of the oracle value at the end of the auction window
+     * @param loanId The ID of the defaulted loan
+     * @param auction The auction
+     * @return The current price in wei
+     */
+    function _auctionPrice(uint256 loanId, CollateralAuction storage auction) internal view returns (uint256) {
+        if (auction.startTime == 0 || auction.settled || block.timestamp > auction.endTime) revert AuctionNotActive();
+
+        uint256 value = _basketValue(loanId, address(0), false);
+        uint256 startPrice = value * (BASIS_POINTS + auction.startPremium) / BASIS_POINTS;
+        uint256 reservePrice = value * auction.reserveRatio / BASIS_POINTS;
+        return reservePrice + Math.mulDiv(startPrice - reservePrice, auction.endTime - block.timestamp, auction.endTime - auction.startTime);
+    }
+
+    /**
+     * @notice Liquidates an undercollateralized funded loan, claimable by anyone
+     * @dev The liquidator repays the outstanding debt in the loan's principal asset and receives collateral
+     *      worth the debt plus the liquidation bonus. Any remaining collateral is returned to the borrower.
+     *      Components whose price feed is stale or invalid count as zero and are returned to their owner in full.
+     * @param loanId The ID of the loan to liquidate
+     */
+    function liquidate(uint256 loanId) external payable nonReentrant validLoanId(loanId) whenNotPaused {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Funded) revert InvalidLoanState();
+
+        // 延滞ペナルティを残債に計上し、未経過分の利息を減額
+        _chargeLatePenalty(loanId, loan);
+        _rebateInterest(loanId, loan, _unaccruedInterest(loanId, loan, block.timestamp));
+
+        uint256 debt = loan.remainingRepaymentAmount;
+        if (debt == 0) revert LoanAlreadyRepaid();
+
+        // 現在の担保率を確認（保証人の担保を含む、価格を取得できない担保は0として評価）
+        uint256 basketValue = _basketValue(loanId, loan.principalToken, true);
+        uint256 collateralValue = basketValue + _guaranteeValue(loanId, loan.principalToken, true);
+        uint256 adjustedValue = _adjustedCollateralValue(loanId, loan.principalToken, liquidationThreshold, true);
+        if (adjustedValue * BASIS_POINTS / debt >= liquidationThreshold) revert CollateralSufficient();
+        if (loan.principalToken == address(0) ? msg.value < debt : msg.value != 0) revert IncorrectFundingAmount();
+
+        // 清算者が受け取る担保価値（債務相当額 + ボーナス分）
+        uint256 seizeValue = Math.min(debt * (BASIS_POINTS + liquidationBonus) / BASIS_POINTS, collateralValue);
+
+        // 状態変更を先に行う（再入攻撃対策）
+        loan.remainingRepaymentAmount = 0;
+        loan.state = LoanState.Liquidated;
+        borrowerActiveLoans[loan.borrower]--;
+        _closeLenderPositions(loanId);
+
+        activeLoansCount--;
+        liquidatedLoansCount++;
+
+        emit LoanLiquidated(loanId, msg.sender, debt, seizeValue, collateralValue - seizeValue);
+
+        // 借り手の担保から先に没収し、不足分は保証人の担保から没収
+        uint256 basketSeizeValue = Math.min(seizeValue, basketValue);
+        _seizeGuarantees(loanId, seizeValue - basketSeizeValue, collateralValue - basketValue, msg.sender, true);
+
+        // バスケットの各担保を同じ割合で清算者と借り手に分配（価格を取得できない担保は全量を借り手に返却）
+        CollateralItem[] storage basket = _loanCollateral[loanId];
+        for (uint256 i = 0; i < basket.length; i++) {
+            IERC20 token = IERC20(basket[i].token);
+            bool priced = _componentValue(basket[i].token, basket[i].amount, loan.principalToken, true) != 0;
+            uint256 seizeAmount = basketValue == 0 || !priced ? 0 : Math.mulDiv(basket[i].amount, basketSeizeValue, basketValue);
+            uint256 surplusCollateral = basket[i].amount - seizeAmount;
+            lockedCollateral[basket[i].token] -= basket[i].amount;
+
+            // 清算者にボーナス込み担保を移転
+            token.safeTransfer(msg.sender, seizeAmount);
+
+            // 余剰担保を借り手に返却
+            if (surplusCollateral > 0) {
+                token.safeTransfer(loan.borrower, surplusCollateral);
+            }
+        }
+
+        // 貸し手への送金（ERC20は清算者から直接）
+        _payLenders(loanId, msg.sender, debt);
+        if (loan.principalToken != address(0)) return;
+
+        // 余剰分を清算者に返却
+        uint256 excessAmount = msg.value - debt;
+        if (excessAmount > 0) {
+            payable(msg.sender).sendValue(excessAmount);
+        }
+    }
+}
@@ -0,0 +1,274 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "../SocialLendingBase.sol";
+
+/**
+ * @title LoanFundingModule
+ * @dev SocialLendingWithCollateralのモジュール: 資金提供（シンジケートを含む）・引き出し・紹介報酬の請求
+ *      プロキシからdelegatecallで呼ばれ、プロキシのストレージ上で動作する
+ */
+contract LoanFundingModule is SocialLendingBase {
+    using SafeERC20 for IERC20;
+    using Address for address payable;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _nextModule) SocialLendingBase(_nextModule) {}
+
+    /**
+     * @notice Allows a lender to fund a loan request
+     * @dev ETH loans are funded with msg.value; ERC20 loans pull the principal from the lender
+     * @param loanId The ID of the loan to fund
+     */
+    function fundLoan(uint256 loanId) external payable nonReentrant validLoanId(loanId) whenNotPaused {
+        _refundExpiredRound(loanId);
+        _fundRequestedLoan(loanId);
+    }
+
+    /**
+     * @notice Funds a loan request like fundLoan, crediting a registered referrer with a share of the platform fee
+     * @param loanId The ID of the loan to fund
+     * @param referrer The registered referrer who brought in the lender
+     */
+    function fundLoanWithReferrer(
+        uint256 loanId,
+        address referrer
+    ) external payable nonReentrant validLoanId(loanId) whenNotPaused {
+        _refundExpiredRound(loanId);
+        _setLoanReferrer(loanId, referrer, false, msg.sender);
+        _fundRequestedLoan(loanId);
+    }
+
+    /**
+     * @dev Validates a request and funds it in full from the caller
+     * @param loanId The ID of the loan to fund
+     */
+    function _fundRequestedLoan(uint256 loanId) internal {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Requested) revert InvalidLoanState();
+        uint256 expectedValue = loan.principalToken == address(0) ? loan.principalAmount : 0;
+        if (msg.value != expectedValue) revert IncorrectFundingAmount();
+        if (loan.borrower == msg.sender) revert SelfFunding();
+        if (fundedAmount[loanId] != 0) revert InvalidLoanState();
+        if (_isRequestExpired(loanId)) revert RequestExpired();
+        _checkGuarantees(loanId, loan);
+
+        _fundLoan(loanId, loan, msg.sender);
+    }
+
+    /**
+     * @notice Allows a lender to fund part of a loan request alongside other lenders
+     * @dev The first contribution opens a subscription window of syndicationPeriod. The loan is funded
+     *      once fully subscribed; the first contributor becomes the lead lender recorded in loan.lender.
+     *      A contribution after an unfilled window refunds the previous round and opens a new one.
+     * @param loanId The ID of the loan to fund
+     * @param amount The principal amount to contribute
+     */
+    function fundLoanPartial(uint256 loanId, uint256 amount) external payable nonReentrant validLoanId(loanId) whenNotPaused {
+        _refundExpiredRound(loanId);
+        _fundLoanPartial(loanId, amount);
+    }
+
+    /**
+     * @notice Opens a subscription round like fundLoanPartial, crediting a registered referrer with a share of the platform fee
+     * @dev Only the contribution that opens the round can name the lender-side referrer, since the first contributor
+     *      becomes the lead lender. The referrer is dropped if every contribution of the round is refunded.
+     * @param loanId The ID of the loan to fund
+     * @param amount The principal amount to contribute
+     * @param referrer The registered referrer who brought in the lead lender
+     */
+    function fundLoanPartialWithReferrer(
+        uint256 loanId,
+        uint256 amount,
+        address referrer
+    ) external payable nonReentrant validLoanId(loanId) whenNotPaused {
+        _refundExpiredRound(loanId);
+        if (fundedAmount[loanId] != 0) revert InvalidReferrer();
+        _setLoanReferrer(loanId, referrer, false, msg.sender);
+        _fundLoanPartial(loanId, amount);
+    }
+
+    /**
+     * @dev Records a syndicate contribution from the caller and funds the loan once it is fully subscribed
+     * @param loanId The ID of the loan to fund
+     * @param amount The principal amount to contribute
+     */
+    function _fundLoanPartial(uint256 loanId, uint256 amount) internal {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Requested) revert InvalidLoanState();
+        if (loan.borrower == msg.sender) revert SelfFunding();
+        if (amount == 0 || fundedAmount[loanId] + amount > loan.principalAmount) revert InvalidAmount();
+        uint256 expectedValue = loan.principalToken == address(0) ? amount : 0;
+        if (msg.value != expectedValue) revert IncorrectFundingAmount();
+        if (_isRequestExpired(loanId)) revert RequestExpired();
+        _checkGuarantees(loanId, loan);
+
+        address[] storage syndicate = _loanLenders[loanId];
+        if (fundedAmount[loanId] == 0) {
+            // 新しい募集ラウンドを開始（返金済みの前回ラウンドは破棄）
+            delete _loanLenders[loanId];
+            fundingDeadline[loanId] = block.timestamp + syndicationPeriod;
+        }
+
+        // 状態変更を先に行う（再入攻撃対策）
+        if (lenderShares[loanId][msg.sender] == 0) {
+            if (syndicate.length >= MAX_SYNDICATE_LENDERS) revert TooManyLenders();
+            syndicate.push(msg.sender);
+        }
+        lenderShares[loanId][msg.sender] += amount;
+        fundedAmount[loanId] += amount;
+
+        if (loan.principalToken == address(0)) {
+            lockedETH += amount;
+        } else {
+            lockedPrincipal[loan.principalToken] += amount;
+            IERC20(loan.principalToken).safeTransferFrom(msg.sender, address(this), amount);
+        }
+
+        emit LoanSubscribed(loanId, msg.sender, amount, fundedAmount[loanId]);
+
+        if (fundedAmount[loanId] < loan.principalAmount) return;
+
+        // 全額集まった時点で実行
+        loan.lender = payable(syndicate[0]);
+        loan.startTime = block.timestamp;
+        loan.state = LoanState.Funded;
+        _fixLateTerms(loan);
+        for (uint256 i = 0; i < syndicate.length; i++) {
+            _issueNote(loanId, syndicate[i], lenderShares[loanId][syndicate[i]]);
+        }
+
+        activeLoansCount++;
+
+        if (loan.principalToken == address(0)) {
+            lockedETH -= loan.principalAmount;
+        } else {
+            lockedPrincipal[loan.principalToken] -= loan.principalAmount;
+        }
+
+        // プラットフォーム手数料の控除と借り手への送金
+        _disburse(loanId, loan.principalToken, address(this), loan.borrower, loan.principalAmount);
+
+        emit LoanFunded(loanId, loan.lender);
+    }
+
+    /**
+     * @dev Refunds the contributions still held from a subscription round whose window passed without full funding,
+     *      so that a lender who never claims a refund cannot keep the request from being funded. ETH is credited to
+     *      pendingWithdrawals and ERC20 principal is transferred back. Does nothing while the round is open.
+     * @param loanId The ID of the loan
+     */
+    function _refundExpiredRound(uint256 loanId) internal {
+        Loan storage loan = loans[loanId];
+        uint256 remaining = fundedAmount[loanId];
+        if (loan.state != LoanState.Requested || remaining == 0 || block.timestamp <= fundingDeadline[loanId]) return;
+
+        // 状態変更を先に行う（再入攻撃対策）
+        fundedAmount[loanId] = 0;
+        delete loanReferrers[loanId].lenderReferrer;
+        if (loan.principalToken == address(0)) {
+            lockedETH -= remaining;
+        } else {
+            lockedPrincipal[loan.principalToken] -= remaining;
+        }
+
+        address[] memory syndicate = _loanLenders[loanId];
+        delete _loanLenders[loanId];
+        for (uint256 i = 0; i < syndicate.length; i++) {
+            uint256 amount = lenderShares[loanId][syndicate[i]];
+            if (amount == 0) continue;
+            lenderShares[loanId][syndicate[i]] = 0;
+            if (loan.principalToken == address(0)) {
+                _creditWithdrawal(syndicate[i], amount);
+            } else {
+                IERC20(loan.principalToken).safeTransfer(syndicate[i], amount);
+            }
+            emit SubscriptionRefunded(loanId, syndicate[i], amount);
+        }
+    }
+
+    /**
+     * @notice Allows a lender to withdraw their contribution from a syndicated loan that was not filled
+     * @dev Available once the subscription window has passed without full funding, or after the request is cancelled
+     * @param loanId The ID of the loan
+     */
+    function claimSubscriptionRefund(uint256 loanId) external nonReentrant validLoanId(loanId) {
+        Loan storage loan = loans[loanId];
+        bool expired = loan.state == LoanState.Requested && block.timestamp > fundingDeadline[loanId];
+        if (!expired && loan.state != LoanState.Cancelled) revert InvalidLoanState();
+
+        uint256 amount = lenderShares[loanId][msg.sender];
+        if (amount == 0) revert NothingToRefund();
+
+        // 状態変更を先に行う（再入攻撃対策）
+        lenderShares[loanId][msg.sender] = 0;
+        fundedAmount[loanId] -= amount;
+        // 全員が返金された募集ラウンドのリード貸し手の紹介者は次のラウンドに引き継がない
+        if (fundedAmount[loanId] == 0) delete loanReferrers[loanId].lenderReferrer;
+
+        if (loan.principalToken == address(0)) {
+            lockedETH -= amount;
+        } else {
+            lockedPrincipal[loan.principalToken] -= amount;
+        }
+        _transferPrincipal(loan.principalToken, address(this), msg.sender, amount);
+
+        emit SubscriptionRefunded(loanId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Requires every guarantor to have accepted and the combined collateral to meet the borrower's ratio
+     * @param loanId The ID of the loan
+     * @param loan The loan to fund
+     */
+    function _checkGuarantees(uint256 loanId, Loan storage loan) internal view {
+        Guarantee[] storage guarantees = _loanGuarantees[loanId];
+        if (guarantees.length == 0) return;
+
+        for (uint256 i = 0; i < guarantees.length; i++) {
+            if (guarantees[i].amount == 0) revert GuaranteePending();
+        }
+        uint256 requiredRatio = _requiredCollateralRatio(loan.borrower);
+        uint256 requiredCollateralValue = loan.principalAmount * requiredRatio / BASIS_POINTS;
+        if (_adjustedCollateralValue(loanId, loan.principalToken, requiredRatio, false) < requiredCollateralValue) {
+            revert InsufficientCollateralValue();
+        }
+    }
+
+    /**
+     * @notice Withdraws all ETH credited to the caller from fundings, repayments and fees
+     */
+    function withdraw() external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        if (amount == 0) revert NothingToWithdraw();
+
+        // 状態変更を先に行う（再入攻撃対策）
+        pendingWithdrawals[msg.sender] = 0;
+        totalPendingWithdrawals -= amount;
+
+        payable(msg.sender).sendValue(amount);
+
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @notice Claims the caller's referral earnings in one principal asset
+     * @param token The principal asset (address(0) for ETH)
+     */
+    function claimReferralEarnings(address token) external nonReentrant {
+        uint256 amount = referralBalances[msg.sender][token];
+        if (amount == 0) revert NothingToWithdraw();
+
+        // 状態変更を先に行う（再入攻撃対策）
+        referralBalances[msg.sender][token] = 0;
+        totalReferralBalances[token] -= amount;
+
+        if (token == address(0)) {
+            payable(msg.sender).sendValue(amount);
+        } else {
+            IERC20(token).safeTransfer(msg.sender, amount);
+        }
+
+        emit ReferralEarningsClaimed(msg.sender, token, amount);
+    }
+}
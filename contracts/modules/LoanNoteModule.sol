@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "../SocialLendingBase.sol";
+
+/**
+ * @title LoanNoteModule
+ * @dev SocialLendingWithCollateralのモジュール: ローンノートのデプロイとノートからのコールバック
+ *      プロキシからdelegatecallで呼ばれ、プロキシのストレージ上で動作する
+ */
+contract LoanNoteModule is SocialLendingBase, ILoanNoteIssuer {
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _nextModule) SocialLendingBase(_nextModule) {}
+
+    /**
+     * @notice Deploys the loan note contract while the proxy is being initialized
+     * @dev Called by initialize through delegatecall, so the note records the proxy as its issuer
+     */
+    function deployLoanNote() external onlyInitializing {
+        loanNote = new LoanNote();
+    }
+
+    /**
+     * @notice Keeps the lender indexes and payee in sync when a note changes hands
+     * @dev Only callable by the note contract
+     * @param from The previous holder
+     * @param to The new holder
+     * @param noteId The ID of the transferred note
+     */
+    function onNoteTransfer(address from, address to, uint256 noteId) external override {
+        if (msg.sender != address(loanNote)) revert Unauthorized();
+
+        uint256 loanId = noteLoanId[noteId];
+        Loan storage loan = loans[loanId];
+
+        _removeLenderPosition(from, loanId);
+        _addLenderPosition(to, loanId);
+        if (loan.state == LoanState.Funded) {
+            lenderActiveLoans[from]--;
+            lenderActiveLoans[to]++;
+        }
+
+        // 最初のノートの保有者をローンの貸し手とする
+        if (_loanNoteIds[loanId][0] == noteId) {
+            loan.lender = payable(to);
+        }
+    }
+
+    /**
+     * @notice Gets the loan terms and state behind a note, used for its token metadata
+     * @param noteId The ID of the note
+     * @return The note details
+     */
+    function getNoteDetails(uint256 noteId) external view override returns (NoteDetails memory) {
+        if (noteId >= noteCount) revert InvalidParameter();
+        uint256 loanId = noteLoanId[noteId];
+        Loan storage loan = loans[loanId];
+        return NoteDetails({
+            loanId: loanId,
+            share: noteShares[noteId],
+            principalToken: loan.principalToken,
+            principalAmount: loan.principalAmount,
+            repaymentAmount: loan.repaymentAmount,
+            remainingRepaymentAmount: loan.remainingRepaymentAmount,
+            interestRate: loan.interestRate,
+            duration: loan.duration,
+            startTime: loan.startTime,
+            state: uint8(loan.state)
+        });
+    }
+}
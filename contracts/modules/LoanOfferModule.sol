@@ -0,0 +1,222 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "../SocialLendingBase.sol";
+
+/**
+ * @title LoanOfferModule
+ * @dev SocialLendingWithCollateralのモジュール: 貸し手のオファーの作成・取り消し・受入
+ *      プロキシからdelegatecallで呼ばれ、プロキシのストレージ上で動作する
+ */
+contract LoanOfferModule is SocialLendingBase {
+    using Address for address payable;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _nextModule) SocialLendingBase(_nextModule) {}
+
+    // 修飾子: 有効なオファーIDかチェック
+    modifier validOfferId(uint256 offerId) {
+        if (offerId >= offerCount) revert InvalidOfferId();
+        _;
+    }
+
+    /**
+     * @notice Allows a lender to post a standing loan offer with the principal escrowed in ETH
+     * @param maxAmount The maximum principal a single borrower can take from the offer
+     * @param interestRate The annual interest rate in basis points
+     * @param maxDuration The maximum loan duration in seconds
+     * @param collateralTokens The collateral tokens accepted by the offer
+     * @param minCollateralRatios The minimum collateral ratio required for each accepted token
+     */
+    function createLoanOffer(
+        uint256 maxAmount,
+        uint256 interestRate,
+        uint256 maxDuration,
+        address[] calldata collateralTokens,
+        uint256[] calldata minCollateralRatios
+    ) external payable nonReentrant whenNotPaused {
+        _createLoanOffer(maxAmount, interestRate, maxDuration, collateralTokens, minCollateralRatios);
+    }
+
+    /**
+     * @notice Posts a loan offer like createLoanOffer, crediting a registered referrer with a share of the platform fee
+     *         on every loan taken from it
+     * @dev The referrer must still be registered, and must not be the borrower, when the offer is accepted
+     * @param maxAmount The maximum principal a single borrower can take from the offer
+     * @param interestRate The annual interest rate in basis points
+     * @param maxDuration The maximum loan duration in seconds
+     * @param collateralTokens The collateral tokens accepted by the offer
+     * @param minCollateralRatios The minimum collateral ratio required for each accepted token
+     * @param referrer The registered referrer who brought in the lender
+     */
+    function createLoanOfferWithReferrer(
+        uint256 maxAmount,
+        uint256 interestRate,
+        uint256 maxDuration,
+        address[] calldata collateralTokens,
+        uint256[] calldata minCollateralRatios,
+        address referrer
+    ) external payable nonReentrant whenNotPaused {
+        if (!isReferrer[referrer] || referrer == msg.sender) revert InvalidReferrer();
+        uint256 offerId = _createLoanOffer(maxAmount, interestRate, maxDuration, collateralTokens, minCollateralRatios);
+        offerReferrers[offerId] = referrer;
+    }
+
+    /**
+     * @dev Creates an offer escrowing msg.value for the caller
+     * @return offerId The ID of the new offer
+     */
+    function _createLoanOffer(
+        uint256 maxAmount,
+        uint256 interestRate,
+        uint256 maxDuration,
+        address[] calldata collateralTokens,
+        uint256[] calldata minCollateralRatios
+    ) internal returns (uint256 offerId) {
+        if (msg.value == 0 || maxAmount == 0) revert InvalidAmount();
+        if (interestRate == 0 || interestRate > MAX_INTEREST_RATE) revert InvalidInterestRate();
+        if (maxDuration == 0 || maxDuration > MAX_LOAN_DURATION) revert InvalidDuration();
+        if (collateralTokens.length == 0 || collateralTokens.length != minCollateralRatios.length) revert InvalidParameter();
+
+        offerId = offerCount++;
+
+        for (uint256 i = 0; i < collateralTokens.length; i++) {
+            address token = collateralTokens[i];
+            if (!allowedCollateralTokens[token]) revert TokenNotAllowed();
+            if (minCollateralRatios[i] < MIN_COLLATERAL_RATIO) revert InvalidParameter();
+            if (offerCollateralRatios[offerId][token] != 0) revert InvalidParameter();
+            offerCollateralRatios[offerId][token] = minCollateralRatios[i];
+            _offerCollateralTokens[offerId].push(token);
+        }
+
+        loanOffers[offerId] = LoanOffer({
+            lender: payable(msg.sender),
+            state: OfferState.Open,
+            interestRate: uint16(interestRate),
+            availableAmount: msg.value,
+            maxAmount: maxAmount,
+            maxDuration: maxDuration
+        });
+        lockedETH += msg.value;
+
+        emit LoanOfferCreated(offerId, msg.sender, msg.value, maxAmount, interestRate, maxDuration);
+    }
+
+    /**
+     * @notice Allows the lender to cancel an open offer and recover the unused escrow
+     * @param offerId The ID of the offer to cancel
+     */
+    function cancelLoanOffer(uint256 offerId) external nonReentrant validOfferId(offerId) {
+        LoanOffer storage offer = loanOffers[offerId];
+        if (msg.sender != offer.lender) revert Unauthorized();
+        if (offer.state != OfferState.Open) revert InvalidOfferState();
+
+        // 状態変更を先に行う（再入攻撃対策）
+        uint256 refundAmount = offer.availableAmount;
+        offer.availableAmount = 0;
+        offer.state = OfferState.Cancelled;
+        lockedETH -= refundAmount;
+
+        offer.lender.sendValue(refundAmount);
+
+        emit LoanOfferCancelled(offerId, offer.lender, refundAmount);
+    }
+
+    /**
+     * @notice Allows a borrower to accept a loan offer, creating a funded loan in one transaction
+     * @param offerId The ID of the offer to accept
+     * @param amount The principal amount to borrow from the offer
+     * @param duration The duration of the loan in seconds
+     * @param collateralToken The address of the collateral token
+     * @param collateralAmount The amount of collateral to deposit
+     */
+    function acceptOffer(
+        uint256 offerId,
+        uint256 amount,
+        uint256 duration,
+        address collateralToken,
+        uint256 collateralAmount
+    ) external nonReentrant validOfferId(offerId) whenNotPaused {
+        LoanOffer storage offer = loanOffers[offerId];
+        if (offer.state != OfferState.Open) revert InvalidOfferState();
+        if (offer.lender == msg.sender) revert SelfFunding();
+        if (amount > offer.maxAmount || amount > offer.availableAmount) revert OfferAmountExceeded();
+        if (duration > offer.maxDuration) revert InvalidDuration();
+
+        uint256 offerRatio = offerCollateralRatios[offerId][collateralToken];
+        if (offerRatio == 0) revert TokenNotAllowed();
+
+        _validateLoanTerms(msg.sender, address(0), amount, offer.interestRate, duration);
+        // オファーの担保率と借り手の必要担保率の高い方を適用
+        offerRatio = Math.max(offerRatio, _requiredCollateralRatio(msg.sender));
+
+        uint256 loanId = loanCount++;
+        principalValueInETH[loanId] = amount;
+        address[] memory collateralTokens = new address[](1);
+        uint256[] memory collateralAmounts = new uint256[](1);
+        collateralTokens[0] = collateralToken;
+        collateralAmounts[0] = collateralAmount;
+        _depositCollateral(
+            loanId,
+            msg.sender,
+            collateralTokens,
+            collateralAmounts,
+            address(0),
+            amount,
+            offerRatio
+        );
+
+        // オファー残高の更新
+        offer.availableAmount -= amount;
+        if (offer.availableAmount == 0) {
+            offer.state = OfferState.Filled;
+        }
+        lockedETH -= amount;
+
+        uint256 repaymentAmount = _calculateRepaymentAmount(amount, offer.interestRate, duration);
+
+        loans[loanId] = Loan({
+            borrower: payable(msg.sender),
+            lender: offer.lender,
+            principalToken: address(0),
+            principalAmount: amount,
+            interestRate: offer.interestRate,
+            gracePeriod: uint32(gracePeriod),
+            latePenaltyRate: uint16(latePenaltyRate),
+            repaymentAmount: repaymentAmount,
+            duration: duration,
+            startTime: block.timestamp,
+            state: LoanState.Funded,
+            remainingRepaymentAmount: repaymentAmount
+        });
+
+        borrowerActiveLoans[msg.sender]++;
+        activeLoansCount++;
+        _borrowerLoanIds[msg.sender].push(loanId);
+        _issueNote(loanId, offer.lender, amount);
+        if (offerReferrers[offerId] != address(0)) _setLoanReferrer(loanId, offerReferrers[offerId], false, offer.lender);
+
+        // プラットフォーム手数料の控除と借り手への送金
+        _disburse(loanId, address(0), address(this), payable(msg.sender), amount);
+
+        emit LoanOfferAccepted(offerId, loanId, msg.sender, amount);
+        emit LoanFunded(loanId, offer.lender);
+    }
+
+    /**
+     * @notice Gets the collateral tokens accepted by an offer and their minimum collateral ratios
+     * @param offerId The ID of the offer
+     * @return tokens Array of accepted collateral tokens
+     * @return minCollateralRatios Array of minimum collateral ratios in basis points
+     */
+    function getOfferCollateralTokens(uint256 offerId) external view validOfferId(offerId) returns (
+        address[] memory tokens,
+        uint256[] memory minCollateralRatios
+    ) {
+        tokens = _offerCollateralTokens[offerId];
+        minCollateralRatios = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            minCollateralRatios[i] = offerCollateralRatios[offerId][tokens[i]];
+        }
+    }
+}
@@ -0,0 +1,603 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "../SocialLendingBase.sol";
+
+/**
+ * @title LoanQueryModule
+ * @dev SocialLendingWithCollateralのモジュール: ローン・担保・信用スコア・紹介実績の照会
+ *      プロキシからdelegatecallで呼ばれ、プロキシのストレージ上で動作する
+ */
+contract LoanQueryModule is SocialLendingBase {
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _nextModule) SocialLendingBase(_nextModule) {}
+
+    /**
+     * @dev Sums the value of a loan's collateral basket in its principal asset
+     * @param loanId The ID of the loan
+     * @param principalToken The principal asset of the loan (address(0) for ETH)
+     * @return totalValue The combined value of the basket
+     */
+    function _collateralValue(uint256 loanId, address principalToken) internal view returns (uint256) {
+        return _basketValue(loanId, principalToken, false) + _guaranteeValue(loanId, principalToken, false);
+    }
+
+    /**
+     * @notice Gets a referrer's earnings and referred volume in one principal asset
+     * @param referrer The address of the referrer
+     * @param token The principal asset (address(0) for ETH)
+     * @return registered Whether the address is a registered referrer
+     * @return claimable Earnings not yet claimed
+     * @return totalEarned Earnings credited so far, including claimed ones
+     * @return volume Principal of the funded loans the referrer brought in a borrower or lender for
+     */
+    function getReferrerStats(address referrer, address token) external view returns (
+        bool registered,
+        uint256 claimable,
+        uint256 totalEarned,
+        uint256 volume
+    ) {
+        return (
+            isReferrer[referrer],
+            referralBalances[referrer][token],
+            referralEarnings[referrer][token],
+            referredVolume[referrer][token]
+        );
+    }
+
+    /**
+     * @notice Gets the collateral basket backing a loan
+     * @param loanId The ID of the loan
+     * @return tokens Array of collateral token addresses
+     * @return amounts Array of collateral amounts
+     */
+    function getLoanCollateral(uint256 loanId) external view validLoanId(loanId) returns (
+        address[] memory tokens,
+        uint256[] memory amounts
+    ) {
+        CollateralItem[] storage basket = _loanCollateral[loanId];
+        tokens = new address[](basket.length);
+        amounts = new uint256[](basket.length);
+        for (uint256 i = 0; i < basket.length; i++) {
+            tokens[i] = basket[i].token;
+            amounts[i] = basket[i].amount;
+        }
+    }
+
+    /**
+     * @notice Gets the current valuation of a loan's collateral basket in its principal asset
+     * @param loanId The ID of the loan
+     * @return totalValue The combined value of the basket
+     * @return values Array of the value of each basket component
+     */
+    function getLoanCollateralValue(uint256 loanId) external view validLoanId(loanId) returns (
+        uint256 totalValue,
+        uint256[] memory values
+    ) {
+        CollateralItem[] storage basket = _loanCollateral[loanId];
+        address principalToken = loans[loanId].principalToken;
+        values = new uint256[](basket.length);
+        for (uint256 i = 0; i < basket.length; i++) {
+            values[i] = getCollateralValue(basket[i].token, basket[i].amount, principalToken);
+            totalValue += values[i];
+        }
+    }
+
+    /**
+     * @notice Gets the notes representing the lender positions of a loan
+     * @param loanId The ID of the loan
+     * @return Array of note IDs
+     */
+    function getLoanNotes(uint256 loanId) external view validLoanId(loanId) returns (uint256[] memory) {
+        return _loanNoteIds[loanId];
+    }
+
+    /**
+     * @notice Gets the lenders of a syndicated loan and their contributions
+     * @dev Returns empty arrays for loans funded by a single lender through fundLoan or an offer
+     * @param loanId The ID of the loan
+     * @return lenders Array of lender addresses in order of first contribution
+     * @return shares Array of principal contributed by each lender
+     */
+    function getLoanLenders(uint256 loanId) external view validLoanId(loanId) returns (
+        address[] memory lenders,
+        uint256[] memory shares
+    ) {
+        lenders = _loanLenders[loanId];
+        shares = new uint256[](lenders.length);
+        for (uint256 i = 0; i < lenders.length; i++) {
+            shares[i] = lenderShares[loanId][lenders[i]];
+        }
+    }
+
+    /**
+     * @notice Gets the guarantors of a loan and their stakes
+     * @param loanId The ID of the loan
+     * @return guarantors Array of guarantor addresses
+     * @return tokens Array of staked tokens (address(0) until the guarantor accepts)
+     * @return amounts Array of staked amounts (0 until the guarantor accepts)
+     */
+    function getLoanGuarantees(uint256 loanId) external view validLoanId(loanId) returns (
+        address[] memory guarantors,
+        address[] memory tokens,
+        uint256[] memory amounts
+    ) {
+        Guarantee[] storage guarantees = _loanGuarantees[loanId];
+        guarantors = new address[](guarantees.length);
+        tokens = new address[](guarantees.length);
+        amounts = new uint256[](guarantees.length);
+        for (uint256 i = 0; i < guarantees.length; i++) {
+            guarantors[i] = guarantees[i].guarantor;
+            tokens[i] = guarantees[i].token;
+            amounts[i] = guarantees[i].amount;
+        }
+    }
+
+    /**
+     * @notice Gets the requested or funded loans a guarantor is backing with a stake
+     * @param guarantor The address of the guarantor
+     * @return Array of loan IDs
+     */
+    function getGuarantorLoans(address guarantor) external view returns (uint256[] memory) {
+        uint256[] storage allLoanIds = _guarantorLoanIds[guarantor];
+        uint256 activeCount = 0;
+
+        // ファーストパス: カウント
+        for (uint256 i = 0; i < allLoanIds.length; i++) {
+            LoanState state = loans[allLoanIds[i]].state;
+            if (state == LoanState.Requested || state == LoanState.Funded) {
+                activeCount++;
+            }
+        }
+
+        uint256[] memory activeLoanIds = new uint256[](activeCount);
+        uint256 counter = 0;
+
+        // セカンドパス: 充填
+        for (uint256 i = 0; i < allLoanIds.length; i++) {
+            LoanState state = loans[allLoanIds[i]].state;
+            if (state == LoanState.Requested || state == LoanState.Funded) {
+                activeLoanIds[counter] = allLoanIds[i];
+                counter++;
+            }
+        }
+
+        return activeLoanIds;
+    }
+
+    /**
+     * @notice Gets the list of active loan IDs for a borrower
+     * @param borrower The address of the borrower
+     * @return Array of loan IDs
+     */
+    function getBorrowerLoans(address borrower) external view returns (uint256[] memory) {
+        uint256[] storage allLoanIds = _borrowerLoanIds[borrower];
+        uint256 activeCount = 0;
+        
+        // ファーストパス: カウント
+        for (uint256 i = 0; i < allLoanIds.length; i++) {
+            LoanState state = loans[allLoanIds[i]].state;
+            if (state == LoanState.Requested || state == LoanState.Funded) {
+                activeCount++;
+            }
+        }
+        
+        uint256[] memory activeLoanIds = new uint256[](activeCount);
+        uint256 counter = 0;
+        
+        // セカンドパス: 充填
+        for (uint256 i = 0; i < allLoanIds.length; i++) {
+            LoanState state = loans[allLoanIds[i]].state;
+            if (state == LoanState.Requested || state == LoanState.Funded) {
+                activeLoanIds[counter] = allLoanIds[i];
+                counter++;
+            }
+        }
+        
+        return activeLoanIds;
+    }
+
+    // 現在の担保率(BASIS_POINTS=10000)を取得する関数
+    // 担保の時価と残債の単純な比率（清算判定にはトークンごとの清算閾値で調整したgetLiquidationRatioを使用）
+    function getCollateralizationRatio(uint256 loanId) external view validLoanId(loanId) returns (uint256) {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Funded) revert InvalidLoanState();
+
+        uint256 collateralValue = _collateralValue(loanId, loan.principalToken);
+        if (loan.remainingRepaymentAmount == 0) {
+            return type(uint256).max;
+        }
+        return collateralValue * BASIS_POINTS / loan.remainingRepaymentAmount;
+    }
+
+    /**
+     * @notice Gets the collateral ratio that liquidate compares against liquidationThreshold
+     * @dev Each collateral component, guarantor stakes included, counts at its value scaled by liquidationThreshold /
+     *      the token's liquidation threshold, against the amount owed now. Collateral without a usable price counts
+     *      as zero, as in liquidate.
+     * @param loanId The ID of the loan
+     * @return ratio The adjusted collateral ratio in basis points
+     * @return liquidatable Whether the ratio is below liquidationThreshold, so that liquidate would accept the loan
+     */
+    function getLiquidationRatio(uint256 loanId) public view validLoanId(loanId) returns (uint256 ratio, bool liquidatable) {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Funded) revert InvalidLoanState();
+
+        uint256 debt = loan.remainingRepaymentAmount + _accruedLatePenalty(loanId, loan)
+            - _unaccruedInterest(loanId, loan, block.timestamp);
+        if (debt == 0) return (type(uint256).max, false);
+        ratio = _adjustedCollateralValue(loanId, loan.principalToken, liquidationThreshold, true) * BASIS_POINTS / debt;
+        liquidatable = ratio < liquidationThreshold;
+    }
+
+    /**
+     * @notice Gets the maturity date of a funded loan
+     * @param loanId The ID of the loan
+     * @return The timestamp at which the loan is due
+     */
+    function getDueDate(uint256 loanId) external view validLoanId(loanId) returns (uint256) {
+        Loan storage loan = loans[loanId];
+        if (loan.startTime == 0) revert InvalidLoanState();
+        return _dueDate(loan);
+    }
+
+    /**
+     * @notice Gets the end of the grace period, after which a default can be declared
+     * @param loanId The ID of the loan
+     * @return The timestamp at which the grace period ends
+     */
+    function getGracePeriodEnd(uint256 loanId) external view validLoanId(loanId) returns (uint256) {
+        Loan storage loan = loans[loanId];
+        if (loan.startTime == 0) revert InvalidLoanState();
+        return _gracePeriodEnd(loan);
+    }
+
+    /**
+     * @notice Gets the amount currently owed on a funded loan, including accrued late penalties
+     * @dev For accruing loans, interest that has not accrued yet is deducted
+     * @param loanId The ID of the loan
+     * @return The total amount required to fully repay the loan now
+     */
+    function getAmountOwed(uint256 loanId) external view validLoanId(loanId) returns (uint256) {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Funded) revert InvalidLoanState();
+        return loan.remainingRepaymentAmount + _accruedLatePenalty(loanId, loan) - _unaccruedInterest(loanId, loan, block.timestamp);
+    }
+
+    /**
+     * @notice Gets the amount that would fully repay a funded loan at a given time
+     * @dev Based on the current remaining balance. Includes late penalties accrued by that time and, for
+     *      accruing loans, deducts the interest that has not accrued by then.
+     * @param loanId The ID of the loan
+     * @param timestamp The time of the repayment
+     * @return The payoff amount at that time
+     */
+    function getPayoffAmount(uint256 loanId, uint256 timestamp) external view validLoanId(loanId) returns (uint256) {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Funded) revert InvalidLoanState();
+        return loan.remainingRepaymentAmount + _latePenaltyAt(loanId, loan, timestamp) - _unaccruedInterest(loanId, loan, timestamp);
+    }
+
+    /**
+     * @notice Gets the next unpaid installment of a funded loan
+     * @dev For bullet loans this is the maturity date and the remaining repayment amount. The last installment
+     *      also covers any late penalties charged on the loan.
+     * @param loanId The ID of the loan
+     * @return dueDate The due date of the earliest installment not yet fully paid
+     * @return amountDue The amount still owed on that installment
+     */
+    function getNextInstallment(uint256 loanId) external view validLoanId(loanId) returns (uint256 dueDate, uint256 amountDue) {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Funded) revert InvalidLoanState();
+
+        uint256 count = installmentCount[loanId];
+        if (count == 0) {
+            return (_dueDate(loan), loan.remainingRepaymentAmount);
+        }
+
+        uint256 paid = loan.repaymentAmount - loan.remainingRepaymentAmount;
+        for (uint256 i = 0; i < count - 1; i++) {
+            uint256 cumulative = _cumulativeInstallmentAmount(loan, count, i);
+            if (cumulative > paid) {
+                return (_installmentDueDate(loan, count, i), cumulative - paid);
+            }
+        }
+
+        // 最後の分割は延滞ペナルティを含む残債全額
+        return (_installmentDueDate(loan, count, count - 1), loan.remainingRepaymentAmount);
+    }
+
+    /**
+     * @notice Gets the full installment schedule of a loan
+     * @dev Before funding, due dates are offsets from the funding time. Amounts split the repayment amount of
+     *      the loan terms, excluding late penalties.
+     * @param loanId The ID of the loan
+     * @return dueDates Array of installment due dates
+     * @return amounts Array of installment amounts
+     */
+    function getInstallmentSchedule(uint256 loanId) external view validLoanId(loanId) returns (
+        uint256[] memory dueDates,
+        uint256[] memory amounts
+    ) {
+        Loan storage loan = loans[loanId];
+        uint256 count = Math.max(installmentCount[loanId], 1);
+        dueDates = new uint256[](count);
+        amounts = new uint256[](count);
+
+        uint256 previous = 0;
+        for (uint256 i = 0; i < count; i++) {
+            uint256 cumulative = _cumulativeInstallmentAmount(loan, count, i);
+            dueDates[i] = _installmentDueDate(loan, count, i);
+            amounts[i] = cumulative - previous;
+            previous = cumulative;
+        }
+    }
+
+    /**
+     * @notice Gets the number of installments of a funded loan that are overdue and unpaid
+     * @param loanId The ID of the loan
+     * @return The number of missed installments
+     */
+    function getMissedInstallments(uint256 loanId) external view validLoanId(loanId) returns (uint256) {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Funded) revert InvalidLoanState();
+        return _missedInstallments(loanId, loan);
+    }
+
+    /**
+     * @notice Gets the list of funded loan IDs for a lender
+     * @param lender The address of the lender
+     * @return Array of loan IDs
+     */
+    function getLenderLoans(address lender) external view returns (uint256[] memory) {
+        uint256[] storage allLoanIds = _lenderLoanIds[lender];
+        uint256 activeCount = 0;
+        
+        // ファーストパス: カウント
+        for (uint256 i = 0; i < allLoanIds.length; i++) {
+            if (loans[allLoanIds[i]].state == LoanState.Funded) {
+                activeCount++;
+            }
+        }
+        
+        uint256[] memory activeLoanIds = new uint256[](activeCount);
+        uint256 counter = 0;
+        
+        // セカンドパス: 充填
+        for (uint256 i = 0; i < allLoanIds.length; i++) {
+            if (loans[allLoanIds[i]].state == LoanState.Funded) {
+                activeLoanIds[counter] = allLoanIds[i];
+                counter++;
+            }
+        }
+        
+        return activeLoanIds;
+    }
+
+    /**
+     * @notice Gets a page of loans with derived fields, optionally filtered by state
+     * @dev Scans loan IDs from cursor and stops as soon as the page is full, so a page costs no more than the loans
+     *      it walks past. Pass the returned nextCursor to get the following page; the scan is complete once
+     *      nextCursor reaches loanCount.
+     * @param cursor The loan ID to start scanning from (0 for the first page)
+     * @param limit The maximum number of loans to return (1 to MAX_PAGE_SIZE)
+     * @param stateFilter Bitmask of LoanState values to include (bit i = LoanState(i)); 0 includes every state
+     * @return page The matching loans on the page, in loan ID order
+     * @return nextCursor The loan ID to continue scanning from
+     */
+    function getLoans(
+        uint256 cursor,
+        uint256 limit,
+        uint256 stateFilter
+    ) external view returns (LoanView[] memory page, uint256 nextCursor) {
+        if (limit == 0 || limit > MAX_PAGE_SIZE) revert InvalidParameter();
+
+        // ページが埋まるまで該当するローンIDを収集
+        uint256[] memory matchedIds = new uint256[](limit);
+        uint256 counter = 0;
+        nextCursor = cursor;
+        while (nextCursor < loanCount && counter < limit) {
+            if (_matchesStateFilter(nextCursor, stateFilter)) matchedIds[counter++] = nextCursor;
+            nextCursor++;
+        }
+
+        page = new LoanView[](counter);
+        for (uint256 i = 0; i < counter; i++) {
+            page[i] = _loanView(matchedIds[i]);
+        }
+    }
+
+    /**
+     * @notice Gets a page of every loan a borrower has requested, including repaid, defaulted and cancelled ones
+     * @param borrower The address of the borrower
+     * @param offset The number of loans to skip, in request order
+     * @param limit The maximum number of loans to return (1 to MAX_PAGE_SIZE)
+     * @return page The loans on the page
+     * @return total The number of loans in the borrower's history
+     */
+    function getBorrowerHistory(
+        address borrower,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (LoanView[] memory page, uint256 total) {
+        return _loanViewPage(_borrowerLoanIds[borrower], offset, limit);
+    }
+
+    /**
+     * @notice Gets a page of every loan a lender has held a note for, including closed and transferred positions
+     * @param lender The address of the lender
+     * @param offset The number of loans to skip, in the order the positions were acquired
+     * @param limit The maximum number of loans to return (1 to MAX_PAGE_SIZE)
+     * @return page The loans on the page
+     * @return total The number of loans in the lender's history
+     */
+    function getLenderHistory(
+        address lender,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (LoanView[] memory page, uint256 total) {
+        return _loanViewPage(_lenderHistoryIds[lender], offset, limit);
+    }
+
+    /**
+     * @notice Gets a page of the loans that have had a token in their collateral basket
+     * @dev Loans stay listed after the token is withdrawn from the basket or the loan is closed
+     * @param token The address of the collateral token
+     * @param offset The number of loans to skip, in the order the token was deposited
+     * @param limit The maximum number of loans to return (1 to MAX_PAGE_SIZE)
+     * @return page The loans on the page
+     * @return total The number of loans that have used the token
+     */
+    function getLoansByCollateralToken(
+        address token,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (LoanView[] memory page, uint256 total) {
+        return _loanViewPage(_collateralTokenLoanIds[token], offset, limit);
+    }
+
+    /**
+     * @dev Builds a page of loan views from a list of loan IDs
+     * @param loanIds The loan IDs to paginate
+     * @param offset The number of loans to skip
+     * @param limit The maximum number of loans to return (1 to MAX_PAGE_SIZE)
+     */
+    function _loanViewPage(
+        uint256[] storage loanIds,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (LoanView[] memory page, uint256 total) {
+        if (limit == 0 || limit > MAX_PAGE_SIZE) revert InvalidParameter();
+
+        total = loanIds.length;
+        page = new LoanView[](_pageLength(total, offset, limit));
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = _loanView(loanIds[offset + i]);
+        }
+    }
+
+    /**
+     * @dev Returns the number of items on a page
+     */
+    function _pageLength(uint256 total, uint256 offset, uint256 limit) internal pure returns (uint256) {
+        if (offset >= total) return 0;
+        return Math.min(limit, total - offset);
+    }
+
+    /**
+     * @dev Returns whether a loan's state is included in a state bitmask (0 includes every state)
+     */
+    function _matchesStateFilter(uint256 loanId, uint256 stateFilter) internal view returns (bool) {
+        return stateFilter == 0 || stateFilter & (1 << uint256(loans[loanId].state)) != 0;
+    }
+
+    /**
+     * @dev Builds the view of a loan with its derived fields
+     * @param loanId The ID of the loan
+     */
+    function _loanView(uint256 loanId) internal view returns (LoanView memory item) {
+        Loan storage loan = loans[loanId];
+        item.loanId = loanId;
+        item.loan = loan;
+        if (loan.startTime != 0) item.dueDate = _dueDate(loan);
+        if (loan.state != LoanState.Funded) return item;
+
+        item.overdue = block.timestamp > item.dueDate;
+        item.amountOwed = loan.remainingRepaymentAmount + _accruedLatePenalty(loanId, loan)
+            - _unaccruedInterest(loanId, loan, block.timestamp);
+
+        // 価格フィードが古い・停止中の場合も一覧全体は返す
+        try this.getCollateralizationRatio(loanId) returns (uint256 ratio) {
+            item.ratioAvailable = true;
+            item.collateralizationRatio = ratio;
+        } catch {}
+        (item.liquidationRatio, item.liquidatable) = getLiquidationRatio(loanId);
+    }
+
+    /**
+     * @notice Gets a borrower's reputation score, tier and the borrowing terms that apply to them
+     * @param borrower The address of the borrower
+     * @return score The reputation score
+     * @return tier The tier level (0 when no tier applies, otherwise the 1-based index into the tiers)
+     * @return requiredCollateralRatio The required collateral ratio in basis points
+     * @return loanAmountLimit The maximum principal per loan, valued in ETH
+     * @return activeLoansLimit The maximum number of active loans
+     */
+    function getBorrowerTier(address borrower) external view returns (
+        uint256 score,
+        uint256 tier,
+        uint256 requiredCollateralRatio,
+        uint256 loanAmountLimit,
+        uint256 activeLoansLimit
+    ) {
+        score = getReputationScore(borrower);
+        (tier, requiredCollateralRatio, loanAmountLimit, activeLoansLimit) = _borrowerTier(borrower);
+    }
+
+    /**
+     * @notice Gets the configured reputation tiers
+     * @return Array of tiers sorted by increasing minScore
+     */
+    function getReputationTiers() external view returns (ReputationTier[] memory) {
+        return _reputationTiers;
+    }
+
+    /**
+     * @notice Gets the risk parameters that apply to a collateral token
+     * @dev The ratios are the effective values for a borrower without a reputation tier: the token's own
+     *      setting, or the global one when unset
+     * @param token The address of the collateral token
+     * @return allowed Whether the token is accepted as collateral
+     * @return minCollateralRatio The effective minimum collateral ratio in basis points
+     * @return tokenLiquidationThreshold The effective liquidation threshold in basis points
+     * @return supplyCap The maximum amount that can be locked across all loans (0 for no cap)
+     * @return maxPerLoan The maximum amount per loan or guarantee (0 for no limit)
+     * @return locked The amount currently locked
+     */
+    function getCollateralRiskParams(address token) external view returns (
+        bool allowed,
+        uint256 minCollateralRatio,
+        uint256 tokenLiquidationThreshold,
+        uint256 supplyCap,
+        uint256 maxPerLoan,
+        uint256 locked
+    ) {
+        CollateralRiskParams storage params = collateralRiskParams[token];
+        return (
+            allowedCollateralTokens[token],
+            _tokenRatio(token, collateralRatio, false),
+            _tokenRatio(token, liquidationThreshold, true),
+            params.supplyCap,
+            params.maxPerLoan,
+            lockedCollateral[token]
+        );
+    }
+
+    /**
+     * @notice Gets the statistics of the contract
+     * @return totalLoans Total number of loans
+     * @return activeLoans Number of funded loans
+     * @return repaidLoans Number of repaid loans
+     * @return defaultedLoans Number of defaulted loans
+     * @return cancelledLoans Number of cancelled loans
+     * @return liquidatedLoans Number of liquidated loans
+     */
+    function getStats() external view returns (
+        uint256 totalLoans,
+        uint256 activeLoans,
+        uint256 repaidLoans,
+        uint256 defaultedLoans,
+        uint256 cancelledLoans,
+        uint256 liquidatedLoans
+    ) {
+        return (
+            loanCount,
+            activeLoansCount,
+            repaidLoansCount,
+            defaultedLoansCount,
+            cancelledLoansCount,
+            liquidatedLoansCount
+        );
+    }
+}
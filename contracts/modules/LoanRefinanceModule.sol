@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "../SocialLendingBase.sol";
+
+/**
+ * @title LoanRefinanceModule
+ * @dev SocialLendingWithCollateralのモジュール: 借り手の署名による同意に基づく借り換え
+ *      プロキシからdelegatecallで呼ばれ、プロキシのストレージ上で動作する
+ */
+contract LoanRefinanceModule is SocialLendingBase {
+    using Address for address payable;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _nextModule) SocialLendingBase(_nextModule) {}
+
+    /**
+     * @notice Invalidates the caller's outstanding refinance consent by moving its nonce forward
+     */
+    function invalidateRefinanceNonce() external {
+        uint256 newNonce = ++refinanceNonces[msg.sender];
+        emit RefinanceNonceInvalidated(msg.sender, newNonce);
+    }
+
+    /**
+     * @notice Allows a new lender to pay off a funded loan and take it over on new terms
+     * @dev The borrower must have signed a RefinanceConsent for the caller and these exact terms; smart-contract
+     *      wallets sign through ERC-1271. The consent uses the borrower's refinanceNonces, so it does not consume
+     *      or invalidate signed loan terms. The payoff (remaining repayment amount including late penalties) becomes
+     *      the new principal and must meet the borrower's loan limit and collateral ratio. The loan restarts now
+     *      and the collateral stays locked. Existing notes are burned and a single note is issued to the caller.
+     * @param loanId The ID of the loan to refinance
+     * @param newInterestRate The new annual interest rate in basis points
+     * @param newDuration The new duration in seconds
+     * @param deadline The expiry timestamp of the borrower's consent
+     * @param signature The borrower's EIP-712 signature over the consent
+     */
+    function refinanceLoan(
+        uint256 loanId,
+        uint256 newInterestRate,
+        uint256 newDuration,
+        uint256 deadline,
+        bytes calldata signature
+    ) external payable nonReentrant validLoanId(loanId) whenNotPaused {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Funded) revert InvalidLoanState();
+        if (loan.borrower == msg.sender) revert SelfFunding();
+        if (newInterestRate == 0 || newInterestRate > MAX_INTEREST_RATE) revert InvalidInterestRate();
+        if (newDuration == 0 || newDuration > MAX_LOAN_DURATION) revert InvalidDuration();
+        if (block.timestamp > deadline) revert SignatureExpired();
+
+        // 借り手の同意署名を検証
+        _verifyRefinanceConsent(loanId, loan.borrower, newInterestRate, newDuration, deadline, signature);
+
+        // 延滞ペナルティを残債に計上し、未経過分の利息を減額
+        _chargeLatePenalty(loanId, loan);
+        _rebateInterest(loanId, loan, _unaccruedInterest(loanId, loan, block.timestamp));
+
+        uint256 payoff = loan.remainingRepaymentAmount;
+        if (loan.principalToken == address(0) ? msg.value < payoff : msg.value != 0) revert IncorrectFundingAmount();
+
+        // 新しい元本（残債）に借入上限と担保率を適用
+        _checkRefinanceLimits(loanId, loan, payoff);
+
+        // 既存の貸し手への返済（ERC20は新しい貸し手から直接）
+        address oldLender = loan.lender;
+        _payLenders(loanId, msg.sender, payoff);
+        _retireNotes(loanId);
+        address[] storage syndicate = _loanLenders[loanId];
+        for (uint256 i = 0; i < syndicate.length; i++) {
+            delete lenderShares[loanId][syndicate[i]];
+        }
+        delete _loanLenders[loanId];
+        delete extensionProposals[loanId];
+
+        // 新しい条件でローンを再開
+        uint256 repaymentAmount = _calculateRepaymentAmount(payoff, newInterestRate, newDuration);
+        loan.lender = payable(msg.sender);
+        loan.principalAmount = payoff;
+        loan.interestRate = uint16(newInterestRate);
+        loan.duration = newDuration;
+        loan.startTime = block.timestamp;
+        loan.repaymentAmount = repaymentAmount;
+        loan.remainingRepaymentAmount = repaymentAmount;
+        _fixLateTerms(loan);
+        penaltyAccruedUntil[loanId] = 0;
+
+        _issueNote(loanId, msg.sender, payoff);
+
+        emit LoanRefinanced(loanId, oldLender, msg.sender, payoff, newInterestRate, newDuration);
+
+        // 余剰分を新しい貸し手に返却
+        if (loan.principalToken == address(0) && msg.value > payoff) {
+            payable(msg.sender).sendValue(msg.value - payoff);
+        }
+    }
+
+    /**
+     * @dev Verifies the borrower's refinance consent and consumes its refinance nonce; smart-contract wallets sign through ERC-1271
+     * @param loanId The ID of the loan being refinanced
+     * @param borrower The borrower of the loan
+     * @param newInterestRate The new annual interest rate in basis points
+     * @param newDuration The new loan duration in seconds
+     * @param deadline Timestamp after which the consent is no longer valid
+     * @param signature The borrower's EIP-712 signature
+     */
+    function _verifyRefinanceConsent(
+        uint256 loanId,
+        address borrower,
+        uint256 newInterestRate,
+        uint256 newDuration,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal {
+        bytes32 structHash = keccak256(abi.encode(
+            REFINANCE_CONSENT_TYPEHASH,
+            loanId,
+            msg.sender,
+            newInterestRate,
+            newDuration,
+            refinanceNonces[borrower]++,
+            deadline
+        ));
+        if (!SignatureChecker.isValidSignatureNow(borrower, _hashTypedDataV4(structHash), signature)) revert InvalidSignature();
+    }
+
+    /**
+     * @dev Applies the borrower's loan limit and collateral ratio to the refinance payoff, which becomes the new principal
+     * @param loanId The ID of the loan being refinanced
+     * @param loan The loan being refinanced
+     * @param payoff The payoff amount in the principal asset
+     */
+    function _checkRefinanceLimits(uint256 loanId, Loan storage loan, uint256 payoff) internal view {
+        (, uint256 requiredRatio, uint256 loanAmountLimit, ) = _borrowerTier(loan.borrower);
+        uint256 payoffInETH = loan.principalToken == address(0) ? payoff : getCollateralValueInETH(loan.principalToken, payoff);
+        if (payoffInETH > loanAmountLimit) revert LoanTooLarge();
+        if (_adjustedCollateralValue(loanId, loan.principalToken, requiredRatio, false) < payoff * requiredRatio / BASIS_POINTS) {
+            revert InsufficientCollateralValue();
+        }
+    }
+
+    /**
+     * @dev Closes every position in the loan and burns its notes
+     * @param loanId The ID of the loan
+     */
+    function _retireNotes(uint256 loanId) internal {
+        uint256[] storage noteIds = _loanNoteIds[loanId];
+        for (uint256 i = 0; i < noteIds.length; i++) {
+            address holder = loanNote.ownerOf(noteIds[i]);
+            lenderActiveLoans[holder]--;
+            _removeLenderPosition(holder, loanId);
+            loanNote.burn(noteIds[i]);
+        }
+        delete _loanNoteIds[loanId];
+    }
+}
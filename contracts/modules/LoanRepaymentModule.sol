@@ -0,0 +1,196 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "../SocialLendingBase.sol";
+
+/**
+ * @title LoanRepaymentModule
+ * @dev SocialLendingWithCollateralのモジュール: 返済と期間延長
+ *      プロキシからdelegatecallで呼ばれ、プロキシのストレージ上で動作する
+ */
+contract LoanRepaymentModule is SocialLendingBase {
+    using Address for address payable;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _nextModule) SocialLendingBase(_nextModule) {}
+
+    /**
+     * @notice Allows the borrower to repay an ETH loan, supporting partial repayments
+     * @param loanId The ID of the loan to repay
+     */
+    function repayLoan(uint256 loanId) external payable nonReentrant validLoanId(loanId) onlyBorrower(loanId) whenNotPaused {
+        Loan storage loan = loans[loanId];
+        if (loan.principalToken != address(0)) revert PrincipalTokenMismatch();
+
+        uint256 amount = _applyRepayment(loanId, msg.value);
+
+        // 貸し手への送金
+        _payLenders(loanId, address(this), amount);
+
+        // 余剰分を借り手に返却
+        uint256 excessAmount = msg.value - amount;
+        if (excessAmount > 0) {
+            payable(msg.sender).sendValue(excessAmount);
+        }
+    }
+
+    /**
+     * @notice Allows the borrower to repay an ERC20 loan, supporting partial repayments
+     * @dev Only the amount actually owed is pulled from the borrower
+     * @param loanId The ID of the loan to repay
+     * @param amount The maximum amount of the principal token to repay
+     */
+    function repayLoanWithToken(uint256 loanId, uint256 amount) external nonReentrant validLoanId(loanId) onlyBorrower(loanId) whenNotPaused {
+        Loan storage loan = loans[loanId];
+        if (loan.principalToken == address(0)) revert PrincipalTokenMismatch();
+
+        uint256 repaidAmount = _applyRepayment(loanId, amount);
+
+        // 貸し手への送金
+        _payLenders(loanId, msg.sender, repaidAmount);
+    }
+
+    /**
+     * @dev Applies a repayment to the loan, releasing the collateral when it is fully repaid
+     * @param loanId The ID of the loan to repay
+     * @param amount The amount offered by the borrower
+     * @return The amount applied to the loan, capped at the amount owed
+     */
+    function _applyRepayment(uint256 loanId, uint256 amount) internal returns (uint256) {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Funded) revert InvalidLoanState();
+        if (amount == 0) revert InvalidAmount();
+
+        // 延滞ペナルティを残債に計上
+        _chargeLatePenalty(loanId, loan);
+
+        // 全額返済の場合は未経過分の利息を減額
+        uint256 rebate = _unaccruedInterest(loanId, loan, block.timestamp);
+        if (rebate != 0 && amount >= loan.remainingRepaymentAmount - rebate) {
+            _rebateInterest(loanId, loan, rebate);
+        }
+
+        // 状態変更を先に行う（再入攻撃対策）
+        if (amount >= loan.remainingRepaymentAmount) {
+            // 全額返済
+            amount = loan.remainingRepaymentAmount;
+            loan.remainingRepaymentAmount = 0;
+            loan.state = LoanState.Repaid;
+            borrowerActiveLoans[loan.borrower]--;
+            _closeLenderPositions(loanId);
+            
+            activeLoansCount--;
+            repaidLoansCount++;
+            _recordRepayment(loanId, loan);
+
+            // 担保の返却
+            _releaseCollateral(loanId, loan.borrower);
+            _releaseGuarantees(loanId);
+
+            emit LoanRepaid(loanId, loan.borrower, loan.lender, amount);
+        } else {
+            // 部分返済
+            loan.remainingRepaymentAmount -= amount;
+            emit LoanPartiallyRepaid(loanId, loan.borrower, amount, loan.remainingRepaymentAmount);
+        }
+
+        return amount;
+    }
+
+    /**
+     * @notice Allows the borrower to propose longer terms for a funded loan
+     * @dev The proposal expires after EXTENSION_PROPOSAL_PERIOD. Until it is accepted the original
+     *      maturity still applies, so the loan can be declared in default as usual.
+     * @param loanId The ID of the loan
+     * @param newDuration The new duration in seconds, measured from the loan start time
+     * @param newInterestRate The new annual interest rate in basis points
+     */
+    function proposeExtension(
+        uint256 loanId,
+        uint256 newDuration,
+        uint256 newInterestRate
+    ) external validLoanId(loanId) onlyBorrower(loanId) whenNotPaused {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Funded) revert InvalidLoanState();
+        if (newInterestRate == 0 || newInterestRate > MAX_INTEREST_RATE) revert InvalidInterestRate();
+        if (newDuration <= loan.duration || newDuration > MAX_LOAN_DURATION) revert InvalidDuration();
+
+        uint256 expiresAt = block.timestamp + EXTENSION_PROPOSAL_PERIOD;
+        extensionProposals[loanId] = ExtensionProposal({
+            newDuration: newDuration,
+            newInterestRate: newInterestRate,
+            expiresAt: expiresAt
+        });
+
+        emit ExtensionProposed(loanId, newDuration, newInterestRate, expiresAt);
+    }
+
+    /**
+     * @notice Allows the lender to accept the borrower's pending extension proposal
+     * @dev The lender must hold every note of the loan. The repayment amount is recomputed from the
+     *      principal with the new terms; late penalties already charged and repayments already made carry over.
+     * @param loanId The ID of the loan
+     */
+    function acceptExtension(uint256 loanId) external nonReentrant validLoanId(loanId) onlyLender(loanId) whenNotPaused {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Funded) revert InvalidLoanState();
+        _requireAllNotesHeldBy(loanId, msg.sender);
+
+        ExtensionProposal memory proposal = extensionProposals[loanId];
+        if (proposal.expiresAt == 0 || block.timestamp > proposal.expiresAt) revert NoPendingExtension();
+        delete extensionProposals[loanId];
+
+        // 延滞ペナルティを残債に計上
+        _chargeLatePenalty(loanId, loan);
+
+        uint256 penalties = loan.repaymentAmount - _calculateRepaymentAmount(loan.principalAmount, loan.interestRate, loan.duration);
+        uint256 repaid = loan.repaymentAmount - loan.remainingRepaymentAmount;
+        uint256 newRepaymentAmount = _calculateRepaymentAmount(
+            loan.principalAmount,
+            proposal.newInterestRate,
+            proposal.newDuration
+        ) + penalties;
+        if (newRepaymentAmount <= repaid) revert InvalidParameter();
+
+        loan.interestRate = uint16(proposal.newInterestRate);
+        loan.duration = proposal.newDuration;
+        loan.repaymentAmount = newRepaymentAmount;
+        loan.remainingRepaymentAmount = newRepaymentAmount - repaid;
+
+        emit ExtensionAccepted(loanId, proposal.newDuration, proposal.newInterestRate, newRepaymentAmount);
+    }
+
+    /**
+     * @dev Records a full repayment in the borrower's reputation. Only loans of at least
+     *      REPUTATION_MIN_LOAN_DURATION and REPUTATION_MIN_LOAN_PRINCIPAL count toward the score, and at most
+     *      REPUTATION_MAX_LOANS_PER_LENDER of them per lender, so that small, short or repeated loans between the
+     *      same pair of accounts do not add up. This does not stop a borrower who lends to themselves from several
+     *      wallets, which costs the platform fee and REPUTATION_MIN_LOAN_DURATION per scored loan
+     * @param loanId The ID of the repaid loan
+     * @param loan The repaid loan
+     */
+    function _recordRepayment(uint256 loanId, Loan storage loan) internal {
+        BorrowerReputation storage reputation = borrowerReputation[loan.borrower];
+        reputation.repaidLoans++;
+        if (loan.duration < REPUTATION_MIN_LOAN_DURATION || principalValueInETH[loanId] < REPUTATION_MIN_LOAN_PRINCIPAL) return;
+        if (scoredRepaymentsByLender[loan.borrower][loan.lender] >= REPUTATION_MAX_LOANS_PER_LENDER) return;
+
+        scoredRepaymentsByLender[loan.borrower][loan.lender]++;
+        reputation.repaidVolume += principalValueInETH[loanId];
+        if (block.timestamp <= _dueDate(loan)) {
+            reputation.onTimeRepayments++;
+        } else {
+            reputation.lateRepayments++;
+        }
+
+        emit ReputationUpdated(loan.borrower, getReputationScore(loan.borrower));
+    }
+
+    // 条件変更には全ノートの保有が必要（シンジケートの一部の貸し手だけでは変更不可）
+    function _requireAllNotesHeldBy(uint256 loanId, address account) internal view {
+        uint256[] storage noteIds = _loanNoteIds[loanId];
+        for (uint256 i = 0; i < noteIds.length; i++) {
+            if (loanNote.ownerOf(noteIds[i]) != account) revert Unauthorized();
+        }
+    }
+}
@@ -0,0 +1,184 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "../SocialLendingBase.sol";
+
+/**
+ * @title LoanRequestModule
+ * @dev SocialLendingWithCollateralのモジュール: ローンリクエスト（保証人付きを含む）・取り消し・期限切れリクエストの一括取り消し
+ *      プロキシからdelegatecallで呼ばれ、プロキシのストレージ上で動作する
+ */
+contract LoanRequestModule is SocialLendingBase {
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _nextModule) SocialLendingBase(_nextModule) {}
+
+    /**
+     * @notice Allows a borrower to request an ETH loan by providing collateral
+     * @param amount The principal amount of the loan in wei
+     * @param interestRate The annual interest rate in basis points
+     * @param duration The duration of the loan in seconds
+     * @param collateralToken The address of the collateral token
+     * @param collateralAmount The amount of collateral to deposit
+     * @param expiresAt The time after which the request can no longer be funded (0 for no expiry)
+     */
+    function requestLoan(
+        uint256 amount,
+        uint256 interestRate,
+        uint256 duration,
+        address collateralToken,
+        uint256 collateralAmount,
+        uint256 expiresAt
+    ) external nonReentrant whenNotPaused {
+        address[] memory collateralTokens = new address[](1);
+        uint256[] memory collateralAmounts = new uint256[](1);
+        collateralTokens[0] = collateralToken;
+        collateralAmounts[0] = collateralAmount;
+
+        _requestLoan(msg.sender, LoanRequestParams({
+            principalToken: address(0),
+            amount: amount,
+            interestRate: interestRate,
+            duration: duration,
+            expiresAt: expiresAt,
+            collateralTokens: collateralTokens,
+            collateralAmounts: collateralAmounts
+        }), _requiredCollateralRatio(msg.sender));
+    }
+
+    /**
+     * @notice Allows a borrower to request a loan in ETH or an allowlisted ERC20 principal token,
+     *         backed by a basket of up to MAX_COLLATERAL_TOKENS collateral tokens
+     * @param params The loan request parameters
+     */
+    function requestLoanWithParams(LoanRequestParams calldata params) external nonReentrant whenNotPaused {
+        _requestLoan(msg.sender, params, _requiredCollateralRatio(msg.sender));
+    }
+
+    /**
+     * @notice Requests a loan like requestLoanWithParams, crediting a registered referrer with a share
+     *         of the platform fee once the loan is funded
+     * @param params The loan request parameters
+     * @param referrer The registered referrer who brought in the borrower
+     */
+    function requestLoanWithReferrer(
+        LoanRequestParams calldata params,
+        address referrer
+    ) external nonReentrant whenNotPaused {
+        uint256 loanId = _requestLoan(msg.sender, params, _requiredCollateralRatio(msg.sender));
+        _setLoanReferrer(loanId, referrer, true, msg.sender);
+    }
+
+    /**
+     * @notice Allows a borrower to request a loan repaid in equal installments over its duration
+     * @dev Installment i (1-based) falls due at startTime + duration * i / count and brings the
+     *      cumulative amount due to repaymentAmount * i / count
+     * @param params The loan request parameters
+     * @param installments The number of installments (2 to MAX_INSTALLMENTS)
+     */
+    function requestInstallmentLoan(
+        LoanRequestParams calldata params,
+        uint256 installments
+    ) external nonReentrant whenNotPaused {
+        if (installments < 2 || installments > MAX_INSTALLMENTS) revert InvalidInstallmentCount();
+        if (params.duration / installments < MIN_INSTALLMENT_INTERVAL) revert InvalidInstallmentCount();
+
+        uint256 loanId = _requestLoan(msg.sender, params, _requiredCollateralRatio(msg.sender));
+        installmentCount[loanId] = installments;
+
+        emit InstallmentScheduleCreated(loanId, installments);
+    }
+
+    /**
+     * @notice Allows a borrower to request a loan whose interest accrues per second from the start time
+     * @dev repaymentAmount records the interest for the full duration; a full repayment before maturity is
+     *      charged only the interest accrued so far, but at least minInterestPeriod worth of interest
+     * @param params The loan request parameters
+     */
+    function requestAccruingLoan(LoanRequestParams calldata params) external nonReentrant whenNotPaused {
+        uint256 loanId = _requestLoan(msg.sender, params, _requiredCollateralRatio(msg.sender));
+        accruesInterest[loanId] = true;
+        loanMinInterestPeriod[loanId] = minInterestPeriod;
+
+        emit InterestAccrualEnabled(loanId, minInterestPeriod);
+    }
+
+    /**
+     * @notice Allows a borrower to request a loan co-signed by guarantors who stake their own collateral
+     * @dev The borrower's collateral alone does not need to meet the collateral ratio. The loan can only be
+     *      funded once every guarantor has accepted and the combined collateral meets the ratio.
+     * @param params The loan request parameters
+     * @param guarantors The addresses of the guarantors (1 to MAX_GUARANTORS)
+     */
+    function requestGuaranteedLoan(
+        LoanRequestParams calldata params,
+        address[] calldata guarantors
+    ) external nonReentrant whenNotPaused {
+        if (guarantors.length == 0 || guarantors.length > MAX_GUARANTORS) revert InvalidParameter();
+
+        uint256 loanId = _requestLoan(msg.sender, params, 0);
+        for (uint256 i = 0; i < guarantors.length; i++) {
+            address guarantor = guarantors[i];
+            if (guarantor == address(0)) revert InvalidAddress();
+            if (guarantor == msg.sender) revert InvalidParameter();
+            for (uint256 j = 0; j < i; j++) {
+                if (guarantors[j] == guarantor) revert InvalidParameter();
+            }
+            _loanGuarantees[loanId].push(Guarantee({ guarantor: guarantor, token: address(0), amount: 0 }));
+            emit GuarantorNamed(loanId, guarantor);
+        }
+    }
+
+    /**
+     * @notice Allows the borrower to cancel a loan request before it is funded
+     * @param loanId The ID of the loan to cancel
+     */
+    function cancelLoanRequest(uint256 loanId) external nonReentrant validLoanId(loanId) onlyBorrower(loanId) whenNotPaused {
+        Loan storage loan = loans[loanId];
+        if (loan.state != LoanState.Requested) revert InvalidLoanState();
+
+        // 状態変更を先に行う（再入攻撃対策）
+        loan.state = LoanState.Cancelled;
+        borrowerActiveLoans[loan.borrower]--;
+        cancelledLoansCount++;
+        borrowerReputation[loan.borrower].cancellations++;
+
+        // 担保の返却
+        _releaseCollateral(loanId, loan.borrower);
+        _releaseGuarantees(loanId);
+
+        emit LoanCancelled(loanId, loan.borrower);
+    }
+
+    /**
+     * @notice Cancels expired loan requests and returns their collateral, callable by anyone
+     * @dev Loans that are not requested or have not expired are skipped, so a batch does not fail
+     *      because one of its requests was funded or cancelled in the meantime. Lenders who subscribed
+     *      to an expired syndicated request reclaim their contribution with claimSubscriptionRefund.
+     *      An expired request counts as a cancellation in the borrower's reputation, like cancelLoanRequest.
+     * @param loanIds The IDs of the loan requests to expire
+     * @return expired The number of requests that were expired
+     */
+    function expireRequests(uint256[] calldata loanIds) external nonReentrant whenNotPaused returns (uint256 expired) {
+        for (uint256 i = 0; i < loanIds.length; i++) {
+            uint256 loanId = loanIds[i];
+            if (loanId >= loanCount) continue;
+            Loan storage loan = loans[loanId];
+            if (loan.state != LoanState.Requested || !_isRequestExpired(loanId)) continue;
+
+            // 状態変更を先に行う（再入攻撃対策）
+            loan.state = LoanState.Cancelled;
+            borrowerActiveLoans[loan.borrower]--;
+            cancelledLoansCount++;
+            expiredLoansCount++;
+            borrowerReputation[loan.borrower].cancellations++;
+            expired++;
+
+            // 担保の返却
+            _releaseCollateral(loanId, loan.borrower);
+            _releaseGuarantees(loanId);
+
+            emit LoanRequestExpired(loanId, loan.borrower);
+        }
+    }
+}
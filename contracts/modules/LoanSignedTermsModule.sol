@@ -0,0 +1,182 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "../SocialLendingBase.sol";
+
+/**
+ * @title LoanSignedTermsModule
+ * @dev SocialLendingWithCollateralのモジュール: 署名済みローン条件による資金提供とナンスの無効化
+ *      プロキシからdelegatecallで呼ばれ、プロキシのストレージ上で動作する
+ */
+contract LoanSignedTermsModule is SocialLendingBase {
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _nextModule) SocialLendingBase(_nextModule) {}
+
+    /**
+     * @notice Executes loan terms signed off-chain by a borrower: pulls the borrower's collateral,
+     *         funds the loan from the caller and starts it in one transaction
+     * @dev The request is validated like requestLoanWithParams, so loan limits and the borrower's collateral
+     *      ratio still apply. ETH loans are funded with msg.value; ERC20 loans pull the principal from the caller.
+     *      The borrower must have approved the collateral to this contract. terms.referrer is the borrower's referrer.
+     * @param terms The signed loan terms (lender is address(0) or the caller)
+     * @param signature The borrower's EIP-712 signature over a LoanRequest
+     * @return loanId The ID of the new loan
+     */
+    function fundSignedRequest(
+        SignedLoanTerms calldata terms,
+        bytes calldata signature
+    ) external payable nonReentrant whenNotPaused returns (uint256 loanId) {
+        return _fundSignedRequest(terms, signature, address(0));
+    }
+
+    /**
+     * @notice Funds signed loan terms like fundSignedRequest, crediting a registered referrer with a share of the platform fee
+     * @param terms The signed loan terms (lender is address(0) or the caller)
+     * @param signature The borrower's EIP-712 signature over a LoanRequest
+     * @param referrer The registered referrer who brought in the lender
+     * @return loanId The ID of the new loan
+     */
+    function fundSignedRequestWithReferrer(
+        SignedLoanTerms calldata terms,
+        bytes calldata signature,
+        address referrer
+    ) external payable nonReentrant whenNotPaused returns (uint256 loanId) {
+        if (referrer == address(0)) revert InvalidReferrer();
+        return _fundSignedRequest(terms, signature, referrer);
+    }
+
+    /**
+     * @dev Executes a borrower-signed request funded by the caller
+     * @param terms The signed loan terms
+     * @param signature The borrower's EIP-712 signature over a LoanRequest
+     * @param lenderReferrer The caller's referrer (address(0) for none)
+     * @return loanId The ID of the new loan
+     */
+    function _fundSignedRequest(
+        SignedLoanTerms calldata terms,
+        bytes calldata signature,
+        address lenderReferrer
+    ) internal returns (uint256 loanId) {
+        if (terms.lender != address(0) && terms.lender != msg.sender) revert Unauthorized();
+        if (terms.borrower == msg.sender) revert SelfFunding();
+        uint256 expectedValue = terms.principalToken == address(0) ? terms.amount : 0;
+        if (msg.value != expectedValue) revert IncorrectFundingAmount();
+        _useSignedTerms(LOAN_REQUEST_TYPEHASH, terms, terms.borrower, signature);
+
+        loanId = _requestLoan(terms.borrower, _signedRequestParams(terms), _requiredCollateralRatio(terms.borrower));
+        if (terms.referrer != address(0)) _setLoanReferrer(loanId, terms.referrer, true, terms.borrower);
+        if (lenderReferrer != address(0)) _setLoanReferrer(loanId, lenderReferrer, false, msg.sender);
+        _fundLoan(loanId, loans[loanId], msg.sender);
+
+        emit SignedTermsExecuted(loanId, terms.borrower, terms.nonce);
+    }
+
+    /**
+     * @notice Accepts loan terms signed off-chain by a lender: deposits the caller's collateral,
+     *         pulls the principal from the lender and starts the loan in one transaction
+     * @dev Only ERC20 principal is supported, since ETH cannot be pulled from the lender; standing ETH offers
+     *      use createLoanOffer. The lender must have approved the principal to this contract. terms.referrer is the
+     *      lender's referrer.
+     * @param terms The signed loan terms (borrower is address(0) or the caller)
+     * @param signature The lender's EIP-712 signature over a LoanOffer
+     * @return loanId The ID of the new loan
+     */
+    function acceptSignedOffer(
+        SignedLoanTerms calldata terms,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused returns (uint256 loanId) {
+        if (terms.borrower != address(0) && terms.borrower != msg.sender) revert Unauthorized();
+        if (terms.lender == msg.sender) revert SelfFunding();
+        if (terms.principalToken == address(0)) revert InvalidParameter();
+        _useSignedTerms(LOAN_OFFER_TYPEHASH, terms, terms.lender, signature);
+
+        loanId = _requestLoan(msg.sender, _signedRequestParams(terms), _requiredCollateralRatio(msg.sender));
+        if (terms.referrer != address(0)) _setLoanReferrer(loanId, terms.referrer, false, terms.lender);
+        _fundLoan(loanId, loans[loanId], terms.lender);
+
+        emit SignedTermsExecuted(loanId, terms.lender, terms.nonce);
+    }
+
+    /**
+     * @notice Invalidates every signed loan term of the caller with a nonce below newNonce
+     * @dev Cancels outstanding signed loan terms at once; refinance consents use invalidateRefinanceNonce
+     * @param newNonce The new minimum nonce (must be greater than the current one)
+     */
+    function invalidateNonces(uint256 newNonce) external {
+        if (newNonce <= nonces[msg.sender]) revert InvalidNonce();
+        nonces[msg.sender] = newNonce;
+        emit NoncesInvalidated(msg.sender, newNonce);
+    }
+
+    /**
+     * @notice Invalidates the caller's signed loan terms with a specific nonce, leaving the other nonces usable
+     * @param nonce The nonce to cancel (must be at least the current minimum and not yet used)
+     */
+    function cancelNonce(uint256 nonce) external {
+        if (nonce < nonces[msg.sender] || usedNonces[msg.sender][nonce]) revert InvalidNonce();
+        usedNonces[msg.sender][nonce] = true;
+        emit NonceCancelled(msg.sender, nonce);
+    }
+
+    /**
+     * @dev Verifies signed loan terms and consumes the signer's nonce. Smart-contract wallets sign through
+     *      ERC-1271, as for refinance consents
+     * @param typehash LOAN_REQUEST_TYPEHASH or LOAN_OFFER_TYPEHASH
+     * @param terms The signed loan terms
+     * @param signer The expected signer
+     * @param signature The EIP-712 signature
+     */
+    function _useSignedTerms(
+        bytes32 typehash,
+        SignedLoanTerms calldata terms,
+        address signer,
+        bytes calldata signature
+    ) internal {
+        if (block.timestamp > terms.deadline) revert SignatureExpired();
+        if (terms.nonce < nonces[signer] || usedNonces[signer][terms.nonce]) revert InvalidNonce();
+        if (!SignatureChecker.isValidSignatureNow(signer, _hashSignedLoanTerms(typehash, terms), signature)) {
+            revert InvalidSignature();
+        }
+
+        usedNonces[signer][terms.nonce] = true;
+    }
+
+    /**
+     * @dev Returns the EIP-712 digest of signed loan terms
+     * @param typehash LOAN_REQUEST_TYPEHASH or LOAN_OFFER_TYPEHASH
+     * @param terms The signed loan terms
+     */
+    function _hashSignedLoanTerms(bytes32 typehash, SignedLoanTerms calldata terms) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            typehash,
+            terms.borrower,
+            terms.lender,
+            terms.principalToken,
+            terms.amount,
+            terms.interestRate,
+            terms.duration,
+            keccak256(abi.encodePacked(terms.collateralTokens)),
+            keccak256(abi.encodePacked(terms.collateralAmounts)),
+            terms.referrer,
+            terms.nonce,
+            terms.deadline
+        )));
+    }
+
+    /**
+     * @dev Converts signed loan terms into request parameters (signed loans are funded at once, so they never expire)
+     * @param terms The signed loan terms
+     */
+    function _signedRequestParams(SignedLoanTerms calldata terms) internal pure returns (LoanRequestParams memory) {
+        return LoanRequestParams({
+            principalToken: terms.principalToken,
+            amount: terms.amount,
+            interestRate: terms.interestRate,
+            duration: terms.duration,
+            expiresAt: 0,
+            collateralTokens: terms.collateralTokens,
+            collateralAmounts: terms.collateralAmounts
+        });
+    }
+}
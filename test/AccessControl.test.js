@@ -1,12 +1,18 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall, queueAndExecute } = require("./helpers/timelock");
 
 describe("Access Control", function () {
     let socialLending;
-    let owner, otherUser, mockToken, mockPriceFeed;
+    let owner, otherUser, keeper, riskManager, listingManager, treasury, mockToken, mockPriceFeed;
+
+    function missingRole(account, role) {
+        return `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+    }
 
     beforeEach(async function () {
-        [owner, otherUser] = await ethers.getSigners();
+        [owner, otherUser, keeper, riskManager, listingManager, treasury] = await ethers.getSigners();
 
         // Deploy Mock Token
         const MockToken = await ethers.getContractFactory("MockERC20");
@@ -19,54 +25,53 @@ describe("Access Control", function () {
         await mockPriceFeed.waitForDeployment();
 
         // Deploy Social Lending
-        const SocialLending = await ethers.getContractFactory("SocialLendingWithCollateral");
-        socialLending = await SocialLending.deploy(owner.address);
+        socialLending = await deploySocialLending(owner.address);
         await socialLending.waitForDeployment();
     });
 
     it("should revert setPlatformFee if called by non-owner", async function () {
         await expect(socialLending.connect(otherUser).setPlatformFee(200))
-            .to.be.revertedWith("Ownable: caller is not the owner");
+            .to.be.revertedWith(missingRole(otherUser, await socialLending.TREASURY_ROLE()));
     });
 
     it("should revert setFeeRecipient if called by non-owner", async function () {
         await expect(socialLending.connect(otherUser).setFeeRecipient(otherUser.address))
-            .to.be.revertedWith("Ownable: caller is not the owner");
+            .to.be.revertedWith(missingRole(otherUser, await socialLending.TREASURY_ROLE()));
     });
 
     it("should revert setCollateralRatio if called by non-owner", async function () {
         await expect(socialLending.connect(otherUser).setCollateralRatio(12000))
-            .to.be.revertedWith("Ownable: caller is not the owner");
+            .to.be.revertedWith(missingRole(otherUser, await socialLending.RISK_MANAGER_ROLE()));
     });
 
     it("should revert setCollateralTokenStatus if called by non-owner", async function () {
         await expect(socialLending.connect(otherUser).setCollateralTokenStatus(await mockToken.getAddress(), true))
-            .to.be.revertedWith("Ownable: caller is not the owner");
+            .to.be.revertedWith(missingRole(otherUser, await socialLending.LISTING_MANAGER_ROLE()));
     });
 
     it("should revert setCollateralTokenDecimals if called by non-owner", async function () {
         await expect(socialLending.connect(otherUser).setCollateralTokenDecimals(await mockToken.getAddress(), 18))
-            .to.be.revertedWith("Ownable: caller is not the owner");
+            .to.be.revertedWith(missingRole(otherUser, await socialLending.LISTING_MANAGER_ROLE()));
     });
 
     it("should revert setPriceFeed if called by non-owner", async function () {
         await expect(socialLending.connect(otherUser).setPriceFeed(await mockToken.getAddress(), await mockPriceFeed.getAddress()))
-            .to.be.revertedWith("Ownable: caller is not the owner");
+            .to.be.revertedWith(missingRole(otherUser, await socialLending.LISTING_MANAGER_ROLE()));
     });
 
     it("should revert rescueETH if called by non-owner", async function () {
         await expect(socialLending.connect(otherUser).rescueETH(0, otherUser.address))
-            .to.be.revertedWith("Ownable: caller is not the owner");
+            .to.be.revertedWith(missingRole(otherUser, await socialLending.TREASURY_ROLE()));
     });
 
     it("should revert rescueTokens if called by non-owner", async function () {
         await expect(socialLending.connect(otherUser).rescueTokens(await mockToken.getAddress(), 0, otherUser.address))
-            .to.be.revertedWith("Ownable: caller is not the owner");
+            .to.be.revertedWith(missingRole(otherUser, await socialLending.TREASURY_ROLE()));
     });
 
     it("should revert setMaxLoanAmount if called by non-owner", async function () {
         await expect(socialLending.connect(otherUser).setMaxLoanAmount(ethers.parseEther("5")))
-            .to.be.revertedWith("Ownable: caller is not the owner");
+            .to.be.revertedWith(missingRole(otherUser, await socialLending.RISK_MANAGER_ROLE()));
     });
 
     it("should revert setMaxLoanAmount with invalid parameter", async function () {
@@ -76,7 +81,7 @@ describe("Access Control", function () {
 
     it("should revert setMaxActiveLoansPerBorrower if called by non-owner", async function () {
         await expect(socialLending.connect(otherUser).setMaxActiveLoansPerBorrower(5))
-            .to.be.revertedWith("Ownable: caller is not the owner");
+            .to.be.revertedWith(missingRole(otherUser, await socialLending.RISK_MANAGER_ROLE()));
     });
 
     it("should revert setMaxActiveLoansPerBorrower with invalid parameter", async function () {
@@ -85,24 +90,24 @@ describe("Access Control", function () {
     });
 
     it("should revert setCollateralTokenStatus with invalid address", async function () {
-        await expect(socialLending.setCollateralTokenStatus(ethers.ZeroAddress, true))
+        await expect(timelockCall(socialLending, "setCollateralTokenStatus", [ethers.ZeroAddress, true]))
             .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
     });
 
     it("should revert setCollateralTokenDecimals with invalid address", async function () {
-        await expect(socialLending.setCollateralTokenDecimals(ethers.ZeroAddress, 18))
+        await expect(timelockCall(socialLending, "setCollateralTokenDecimals", [ethers.ZeroAddress, 18]))
             .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
     });
 
     it("should revert setCollateralTokenDecimals with invalid decimals", async function () {
-        await expect(socialLending.setCollateralTokenDecimals(await mockToken.getAddress(), 19))
+        await expect(timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 19]))
             .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
     });
 
     it("should revert setPriceFeed with invalid address", async function () {
-        await expect(socialLending.setPriceFeed(ethers.ZeroAddress, await mockPriceFeed.getAddress()))
+        await expect(timelockCall(socialLending, "setPriceFeed", [ethers.ZeroAddress, await mockPriceFeed.getAddress()]))
             .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
-        await expect(socialLending.setPriceFeed(await mockToken.getAddress(), ethers.ZeroAddress))
+        await expect(timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), ethers.ZeroAddress]))
             .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
     });
 
@@ -130,46 +135,219 @@ describe("Access Control", function () {
         expect(await socialLending.maxActiveLoansPerBorrower()).to.equal(10);
     });
 
-    it("should allow owner to setCollateralTokenStatus", async function () {
-        await expect(socialLending.setCollateralTokenStatus(await mockToken.getAddress(), false))
+    it("should allow setCollateralTokenStatus through the timelock", async function () {
+        await expect(timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), false]))
             .to.emit(socialLending, "CollateralTokenStatusUpdated")
             .withArgs(await mockToken.getAddress(), false);
         expect(await socialLending.allowedCollateralTokens(await mockToken.getAddress())).to.be.false;
     });
 
-    it("should allow owner to setCollateralTokenDecimals", async function () {
-        await expect(socialLending.setCollateralTokenDecimals(await mockToken.getAddress(), 6))
+    it("should allow setCollateralTokenDecimals through the timelock", async function () {
+        await expect(timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 6]))
             .to.emit(socialLending, "CollateralTokenDecimalsUpdated")
             .withArgs(await mockToken.getAddress(), 6);
         expect(await socialLending.collateralTokenDecimals(await mockToken.getAddress())).to.equal(6);
     });
 
-    it("should allow owner to setPriceFeed", async function () {
+    it("should allow setPriceFeed through the timelock", async function () {
         const newFeed = otherUser.address; // Just a random address for test
-        await expect(socialLending.setPriceFeed(await mockToken.getAddress(), newFeed))
+        await expect(timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), newFeed]))
             .to.emit(socialLending, "PriceFeedUpdated")
             .withArgs(await mockToken.getAddress(), newFeed);
         expect(await socialLending.priceFeeds(await mockToken.getAddress())).to.equal(newFeed);
     });
 
-    it("should allow owner to setPlatformFee", async function () {
-        await expect(socialLending.setPlatformFee(200))
+    it("should allow setPlatformFee through the timelock", async function () {
+        await expect(timelockCall(socialLending, "setPlatformFee", [200]))
             .to.emit(socialLending, "PlatformFeeUpdated")
             .withArgs(200);
         expect(await socialLending.platformFee()).to.equal(200);
     });
 
-    it("should allow owner to setFeeRecipient", async function () {
-        await expect(socialLending.setFeeRecipient(otherUser.address))
+    it("should allow setFeeRecipient through the timelock", async function () {
+        await expect(timelockCall(socialLending, "setFeeRecipient", [otherUser.address]))
             .to.emit(socialLending, "FeeRecipientUpdated")
             .withArgs(otherUser.address);
         expect(await socialLending.feeRecipient()).to.equal(otherUser.address);
     });
 
-    it("should allow owner to setCollateralRatio", async function () {
-        await expect(socialLending.setCollateralRatio(13000))
+    it("should allow setCollateralRatio through the timelock", async function () {
+        await expect(timelockCall(socialLending, "setCollateralRatio", [13000]))
             .to.emit(socialLending, "CollateralRatioUpdated")
             .withArgs(13000);
         expect(await socialLending.collateralRatio()).to.equal(13000);
     });
+
+    describe("Roles", function () {
+        let KEEPER_ROLE, RISK_MANAGER_ROLE, LISTING_MANAGER_ROLE, TREASURY_ROLE, DEFAULT_ADMIN_ROLE;
+
+        beforeEach(async function () {
+            DEFAULT_ADMIN_ROLE = await socialLending.DEFAULT_ADMIN_ROLE();
+            KEEPER_ROLE = await socialLending.KEEPER_ROLE();
+            RISK_MANAGER_ROLE = await socialLending.RISK_MANAGER_ROLE();
+            LISTING_MANAGER_ROLE = await socialLending.LISTING_MANAGER_ROLE();
+            TREASURY_ROLE = await socialLending.TREASURY_ROLE();
+        });
+
+        it("should grant every role to the deployer", async function () {
+            for (const role of [DEFAULT_ADMIN_ROLE, KEEPER_ROLE, RISK_MANAGER_ROLE, LISTING_MANAGER_ROLE, TREASURY_ROLE]) {
+                expect(await socialLending.hasRole(role, owner.address)).to.be.true;
+                expect(await socialLending.getRoleMemberCount(role)).to.equal(1);
+                expect(await socialLending.getRoleMember(role, 0)).to.equal(owner.address);
+            }
+        });
+
+        it("should set up the role admin hierarchy", async function () {
+            expect(await socialLending.getRoleAdmin(DEFAULT_ADMIN_ROLE)).to.equal(DEFAULT_ADMIN_ROLE);
+            expect(await socialLending.getRoleAdmin(RISK_MANAGER_ROLE)).to.equal(DEFAULT_ADMIN_ROLE);
+            expect(await socialLending.getRoleAdmin(LISTING_MANAGER_ROLE)).to.equal(DEFAULT_ADMIN_ROLE);
+            expect(await socialLending.getRoleAdmin(TREASURY_ROLE)).to.equal(DEFAULT_ADMIN_ROLE);
+            expect(await socialLending.getRoleAdmin(KEEPER_ROLE)).to.equal(RISK_MANAGER_ROLE);
+        });
+
+        it("should enumerate role members as they are granted and revoked", async function () {
+            await socialLending.grantRole(TREASURY_ROLE, treasury.address);
+            expect(await socialLending.getRoleMemberCount(TREASURY_ROLE)).to.equal(2);
+            expect(await socialLending.getRoleMember(TREASURY_ROLE, 1)).to.equal(treasury.address);
+
+            await socialLending.revokeRole(TREASURY_ROLE, owner.address);
+            expect(await socialLending.getRoleMemberCount(TREASURY_ROLE)).to.equal(1);
+            expect(await socialLending.getRoleMember(TREASURY_ROLE, 0)).to.equal(treasury.address);
+        });
+
+        it("should let the risk manager appoint keepers but not other roles", async function () {
+            await socialLending.grantRole(RISK_MANAGER_ROLE, riskManager.address);
+
+            await expect(socialLending.connect(riskManager).grantRole(KEEPER_ROLE, keeper.address))
+                .to.emit(socialLending, "RoleGranted")
+                .withArgs(KEEPER_ROLE, keeper.address, riskManager.address);
+            await expect(socialLending.connect(riskManager).grantRole(TREASURY_ROLE, riskManager.address))
+                .to.be.revertedWith(missingRole(riskManager, DEFAULT_ADMIN_ROLE));
+            await expect(socialLending.connect(keeper).grantRole(KEEPER_ROLE, otherUser.address))
+                .to.be.revertedWith(missingRole(keeper, RISK_MANAGER_ROLE));
+        });
+
+        it("should let the admin change role admins except its own", async function () {
+            await expect(socialLending.setRoleAdmin(KEEPER_ROLE, DEFAULT_ADMIN_ROLE))
+                .to.emit(socialLending, "RoleAdminChanged")
+                .withArgs(KEEPER_ROLE, RISK_MANAGER_ROLE, DEFAULT_ADMIN_ROLE);
+            expect(await socialLending.getRoleAdmin(KEEPER_ROLE)).to.equal(DEFAULT_ADMIN_ROLE);
+
+            await expect(socialLending.setRoleAdmin(DEFAULT_ADMIN_ROLE, TREASURY_ROLE))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(socialLending.connect(otherUser).setRoleAdmin(KEEPER_ROLE, TREASURY_ROLE))
+                .to.be.revertedWith(missingRole(otherUser, DEFAULT_ADMIN_ROLE));
+        });
+
+        describe("Role boundaries", function () {
+            beforeEach(async function () {
+                await socialLending.grantRole(KEEPER_ROLE, keeper.address);
+                await socialLending.grantRole(RISK_MANAGER_ROLE, riskManager.address);
+                await socialLending.grantRole(LISTING_MANAGER_ROLE, listingManager.address);
+                await socialLending.grantRole(TREASURY_ROLE, treasury.address);
+            });
+
+            it("should let only the keeper pause", async function () {
+                await expect(socialLending.connect(keeper).pause())
+                    .to.emit(socialLending, "Paused")
+                    .withArgs(keeper.address);
+
+                for (const account of [riskManager, listingManager, treasury]) {
+                    await expect(socialLending.connect(account).pause())
+                        .to.be.revertedWith(missingRole(account, KEEPER_ROLE));
+                }
+            });
+
+            it("should reserve unpause for the admin", async function () {
+                await socialLending.connect(keeper).pause();
+                await expect(socialLending.connect(keeper).unpause())
+                    .to.be.revertedWith(missingRole(keeper, DEFAULT_ADMIN_ROLE));
+                await socialLending.unpause();
+                expect(await socialLending.paused()).to.be.false;
+            });
+
+            it("should let only the risk manager tune risk parameters", async function () {
+                await expect(queueAndExecute(socialLending.connect(riskManager), "setCollateralRatio", [13000]))
+                    .to.emit(socialLending, "CollateralRatioUpdated")
+                    .withArgs(13000);
+                await expect(socialLending.connect(riskManager).setMaxLoanAmount(ethers.parseEther("20")))
+                    .to.emit(socialLending, "MaxLoanAmountUpdated")
+                    .withArgs(ethers.parseEther("20"));
+                await expect(queueAndExecute(socialLending.connect(riskManager), "setLiquidationThreshold", [11000]))
+                    .to.emit(socialLending, "LiquidationThresholdUpdated");
+
+                for (const account of [keeper, listingManager, treasury]) {
+                    await expect(socialLending.connect(account).setCollateralRatio(13000))
+                        .to.be.revertedWith(missingRole(account, RISK_MANAGER_ROLE));
+                    await expect(socialLending.connect(account).setMaxLoanAmount(ethers.parseEther("20")))
+                        .to.be.revertedWith(missingRole(account, RISK_MANAGER_ROLE));
+                }
+            });
+
+            it("should let only the listing manager manage tokens and price feeds", async function () {
+                const token = await mockToken.getAddress();
+                await expect(queueAndExecute(socialLending.connect(listingManager), "setCollateralTokenStatus", [token, true]))
+                    .to.emit(socialLending, "CollateralTokenStatusUpdated")
+                    .withArgs(token, true);
+                await expect(queueAndExecute(socialLending.connect(listingManager), "setPriceFeed", [token, await mockPriceFeed.getAddress()]))
+                    .to.emit(socialLending, "PriceFeedUpdated")
+                    .withArgs(token, await mockPriceFeed.getAddress());
+                await expect(queueAndExecute(socialLending.connect(listingManager), "setCollateralTokenDecimals", [token, 18]))
+                    .to.emit(socialLending, "CollateralTokenDecimalsUpdated");
+                await expect(queueAndExecute(socialLending.connect(listingManager), "setPrincipalTokenStatus", [token, true]))
+                    .to.emit(socialLending, "PrincipalTokenStatusUpdated");
+
+                for (const account of [keeper, riskManager, treasury]) {
+                    await expect(socialLending.connect(account).setCollateralTokenStatus(token, true))
+                        .to.be.revertedWith(missingRole(account, LISTING_MANAGER_ROLE));
+                    await expect(socialLending.connect(account).setPriceFeed(token, await mockPriceFeed.getAddress()))
+                        .to.be.revertedWith(missingRole(account, LISTING_MANAGER_ROLE));
+                }
+            });
+
+            it("should let only the treasury move fees and rescue funds", async function () {
+                const token = await mockToken.getAddress();
+                await mockToken.mint(await socialLending.getAddress(), ethers.parseEther("1"));
+
+                await expect(queueAndExecute(socialLending.connect(treasury), "setFeeRecipient", [treasury.address]))
+                    .to.emit(socialLending, "FeeRecipientUpdated")
+                    .withArgs(treasury.address);
+                await expect(socialLending.connect(treasury).rescueTokens(token, ethers.parseEther("1"), treasury.address))
+                    .to.changeTokenBalance(mockToken, treasury, ethers.parseEther("1"));
+
+                for (const account of [keeper, riskManager, listingManager]) {
+                    await expect(socialLending.connect(account).setFeeRecipient(account.address))
+                        .to.be.revertedWith(missingRole(account, TREASURY_ROLE));
+                    await expect(socialLending.connect(account).rescueTokens(token, 0, account.address))
+                        .to.be.revertedWith(missingRole(account, TREASURY_ROLE));
+                }
+            });
+
+            it("should require the target function's role to queue, execute and cancel timelocked changes", async function () {
+                const data = socialLending.interface.encodeFunctionData("setCollateralRatio", [13000]);
+
+                await expect(socialLending.connect(treasury).queueChange(data))
+                    .to.be.revertedWith(missingRole(treasury, RISK_MANAGER_ROLE));
+                await socialLending.connect(riskManager).queueChange(data);
+
+                await ethers.provider.send("evm_increaseTime", [Number(await socialLending.timelockMinDelay())]);
+                await ethers.provider.send("evm_mine");
+
+                await expect(socialLending.connect(listingManager).executeChange(data))
+                    .to.be.revertedWith(missingRole(listingManager, RISK_MANAGER_ROLE));
+                await expect(socialLending.connect(listingManager).cancelChange(ethers.keccak256(data)))
+                    .to.be.revertedWith(missingRole(listingManager, RISK_MANAGER_ROLE));
+
+                await socialLending.connect(riskManager).executeChange(data);
+                expect(await socialLending.collateralRatio()).to.equal(13000);
+            });
+
+            it("should stop working once a role is revoked", async function () {
+                await socialLending.revokeRole(RISK_MANAGER_ROLE, riskManager.address);
+                await expect(socialLending.connect(riskManager).setMaxLoanAmount(ethers.parseEther("20")))
+                    .to.be.revertedWith(missingRole(riskManager, RISK_MANAGER_ROLE));
+                expect(await socialLending.getRoleMemberCount(RISK_MANAGER_ROLE)).to.equal(1);
+            });
+        });
+    });
 });
@@ -0,0 +1,204 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Accruing Interest", function () {
+    let socialLending;
+    let owner, borrower, lender, otherUser, mockToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DAY = 24 * 60 * 60;
+    const DURATION = 365 * DAY;
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+    const BASIS_POINTS = 10000n;
+    const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+    function interestFor(seconds) {
+        return LOAN_AMOUNT * BigInt(INTEREST_RATE) / BASIS_POINTS * BigInt(seconds) / SECONDS_PER_YEAR;
+    }
+
+    async function requestAccruingLoan() {
+        return socialLending.connect(borrower).requestAccruingLoan({
+            principalToken: ethers.ZeroAddress,
+            amount: LOAN_AMOUNT,
+            interestRate: INTEREST_RATE,
+            duration: DURATION,
+            expiresAt: 0,
+            collateralTokens: [await mockToken.getAddress()],
+            collateralAmounts: [COLLATERAL_AMOUNT]
+        });
+    }
+
+    // Mines the next transaction at startTime + elapsed and refreshes the price feed
+    async function setElapsed(loanId, elapsed) {
+        const loan = await socialLending.loans(loanId);
+        const timestamp = Number(loan.startTime) + elapsed;
+        await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp - 1]);
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8));
+        return timestamp;
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+    });
+
+    describe("Configuration", function () {
+        it("should default the minimum interest period to 7 days", async function () {
+            expect(await socialLending.minInterestPeriod()).to.equal(7 * DAY);
+        });
+
+        it("should allow the risk manager to set the minimum interest period", async function () {
+            await expect(socialLending.setMinInterestPeriod(30 * DAY))
+                .to.emit(socialLending, "MinInterestPeriodUpdated")
+                .withArgs(30 * DAY);
+            expect(await socialLending.minInterestPeriod()).to.equal(30 * DAY);
+        });
+
+        it("should revert for invalid minimum interest periods", async function () {
+            const max = await socialLending.MAX_MIN_INTEREST_PERIOD();
+            await expect(socialLending.setMinInterestPeriod(max + 1n))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(socialLending.connect(otherUser).setMinInterestPeriod(DAY))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+    });
+
+    describe("Request", function () {
+        it("should mark the loan as accruing and snapshot the minimum interest period", async function () {
+            await expect(requestAccruingLoan())
+                .to.emit(socialLending, "InterestAccrualEnabled")
+                .withArgs(0, 7 * DAY);
+
+            expect(await socialLending.accruesInterest(0)).to.be.true;
+            expect(await socialLending.loanMinInterestPeriod(0)).to.equal(7 * DAY);
+            // The full-duration interest is still recorded as the maximum repayment
+            expect((await socialLending.loans(0)).repaymentAmount).to.equal(LOAN_AMOUNT + interestFor(DURATION));
+        });
+
+        it("should keep the snapshot when the minimum interest period changes", async function () {
+            await requestAccruingLoan();
+            await socialLending.setMinInterestPeriod(30 * DAY);
+            expect(await socialLending.loanMinInterestPeriod(0)).to.equal(7 * DAY);
+        });
+    });
+
+    describe("Repayment", function () {
+        beforeEach(async function () {
+            await requestAccruingLoan();
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+        });
+
+        it("should charge only the interest accrued so far on early repayment", async function () {
+            const loan = await socialLending.loans(0);
+            const timestamp = await setElapsed(0, 10 * DAY);
+            const payoff = LOAN_AMOUNT + interestFor(10 * DAY);
+            expect(await socialLending.getPayoffAmount(0, timestamp)).to.equal(payoff);
+
+            const tx = socialLending.connect(borrower).repayLoan(0, { value: loan.repaymentAmount });
+            await expect(tx)
+                .to.emit(socialLending, "InterestRebated")
+                .withArgs(0, loan.repaymentAmount - payoff, payoff)
+                .and.to.emit(socialLending, "LoanRepaid")
+                .withArgs(0, borrower.address, lender.address, payoff);
+            await expect(tx).to.changeEtherBalance(borrower, -payoff);
+
+            const updatedLoan = await socialLending.loans(0);
+            expect(updatedLoan.state).to.equal(2); // Repaid
+            expect(updatedLoan.repaymentAmount).to.equal(payoff);
+            expect(await socialLending.pendingWithdrawals(lender.address)).to.equal(payoff);
+        });
+
+        it("should charge at least the minimum interest period", async function () {
+            const timestamp = await setElapsed(0, 2 * DAY);
+            const payoff = LOAN_AMOUNT + interestFor(7 * DAY);
+            expect(await socialLending.getPayoffAmount(0, timestamp)).to.equal(payoff);
+
+            await expect(socialLending.connect(borrower).repayLoan(0, { value: payoff }))
+                .to.emit(socialLending, "LoanRepaid")
+                .withArgs(0, borrower.address, lender.address, payoff);
+        });
+
+        it("should charge the full interest at maturity", async function () {
+            const loan = await socialLending.loans(0);
+            await setElapsed(0, DURATION);
+
+            await expect(socialLending.connect(borrower).repayLoan(0, { value: loan.repaymentAmount }))
+                .to.emit(socialLending, "LoanRepaid")
+                .withArgs(0, borrower.address, lender.address, loan.repaymentAmount)
+                .and.to.not.emit(socialLending, "InterestRebated");
+        });
+
+        it("should not rebate interest on partial repayments", async function () {
+            const loan = await socialLending.loans(0);
+            await setElapsed(0, 30 * DAY);
+            const partialAmount = ethers.parseEther("0.5");
+
+            await expect(socialLending.connect(borrower).repayLoan(0, { value: partialAmount }))
+                .to.emit(socialLending, "LoanPartiallyRepaid")
+                .withArgs(0, borrower.address, partialAmount, loan.repaymentAmount - partialAmount)
+                .and.to.not.emit(socialLending, "InterestRebated");
+
+            // The rebate is applied once the rest is paid off
+            await setElapsed(0, 60 * DAY);
+            const payoff = LOAN_AMOUNT + interestFor(60 * DAY) - partialAmount;
+            await expect(socialLending.connect(borrower).repayLoan(0, { value: payoff }))
+                .to.emit(socialLending, "LoanRepaid")
+                .withArgs(0, borrower.address, lender.address, payoff);
+        });
+
+        it("should report the accrued payoff in getAmountOwed", async function () {
+            await ethers.provider.send("evm_increaseTime", [100 * DAY]);
+            await ethers.provider.send("evm_mine");
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            const loan = await socialLending.loans(0);
+
+            expect(await socialLending.getAmountOwed(0)).to.equal(await socialLending.getPayoffAmount(0, now));
+            expect(await socialLending.getAmountOwed(0)).to.equal(LOAN_AMOUNT + interestFor(now - Number(loan.startTime)));
+        });
+    });
+
+    describe("Payoff View", function () {
+        it("should return the remaining balance before maturity for fixed-interest loans", async function () {
+            await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            const loan = await socialLending.loans(0);
+
+            expect(await socialLending.getPayoffAmount(0, loan.startTime + 10n * BigInt(DAY))).to.equal(loan.remainingRepaymentAmount);
+        });
+
+        it("should include the late penalty accrued by a future timestamp", async function () {
+            await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            const loan = await socialLending.loans(0);
+            const lateSeconds = BigInt(DAY);
+            const dueDate = loan.startTime + loan.duration;
+
+            const latePenaltyRate = await socialLending.latePenaltyRate();
+            const expectedPenalty = loan.remainingRepaymentAmount * latePenaltyRate * lateSeconds / (BASIS_POINTS * SECONDS_PER_YEAR);
+            expect(await socialLending.getPayoffAmount(0, dueDate + lateSeconds)).to.equal(loan.remainingRepaymentAmount + expectedPenalty);
+        });
+
+        it("should revert for loans that are not funded", async function () {
+            await requestAccruingLoan();
+            await expect(socialLending.getPayoffAmount(0, 0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanState");
+        });
+    });
+});
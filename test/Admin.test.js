@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
 
 describe("SocialLendingWithCollateral Admin", function () {
     let socialLending;
@@ -14,13 +16,12 @@ describe("SocialLendingWithCollateral Admin", function () {
         const MockPriceFeedFactory = await ethers.getContractFactory("MockPriceFeed");
         mockPriceFeed = await MockPriceFeedFactory.deploy();
 
-        const SocialLendingFactory = await ethers.getContractFactory("SocialLendingWithCollateral");
-        socialLending = await SocialLendingFactory.deploy(owner.address);
+        socialLending = await deploySocialLending(owner.address);
     });
 
     describe("Configuration Setters", function () {
         it("should set platform fee successfully", async function () {
-            await expect(socialLending.setPlatformFee(200))
+            await expect(timelockCall(socialLending, "setPlatformFee", [200]))
                 .to.emit(socialLending, "PlatformFeeUpdated")
                 .withArgs(200);
             expect(await socialLending.platformFee()).to.equal(200);
@@ -28,56 +29,62 @@ describe("SocialLendingWithCollateral Admin", function () {
 
         it("should revert if platform fee > MAX", async function () {
             const maxFee = await socialLending.MAX_PLATFORM_FEE();
-            await expect(socialLending.setPlatformFee(maxFee + 1n))
+            await expect(timelockCall(socialLending, "setPlatformFee", [maxFee + 1n]))
                 .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
         });
 
         it("should set fee recipient successfully", async function () {
-            await expect(socialLending.setFeeRecipient(user.address))
+            await expect(timelockCall(socialLending, "setFeeRecipient", [user.address]))
                 .to.emit(socialLending, "FeeRecipientUpdated")
                 .withArgs(user.address);
             expect(await socialLending.feeRecipient()).to.equal(user.address);
         });
 
         it("should revert if fee recipient is zero address", async function () {
-            await expect(socialLending.setFeeRecipient(ethers.ZeroAddress))
+            await expect(timelockCall(socialLending, "setFeeRecipient", [ethers.ZeroAddress]))
                 .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
         });
 
         it("should set collateral ratio successfully", async function () {
-            await expect(socialLending.setCollateralRatio(12000))
+            await expect(timelockCall(socialLending, "setCollateralRatio", [13000]))
                 .to.emit(socialLending, "CollateralRatioUpdated")
-                .withArgs(12000);
-            expect(await socialLending.collateralRatio()).to.equal(12000);
+                .withArgs(13000);
+            expect(await socialLending.collateralRatio()).to.equal(13000);
+        });
+
+        it("should revert if collateral ratio is not above the liquidation threshold", async function () {
+            const threshold = await socialLending.liquidationThreshold();
+            await expect(timelockCall(socialLending, "setCollateralRatio", [threshold]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
         });
 
         it("should revert if collateral ratio is out of bounds", async function () {
             const min = await socialLending.MIN_COLLATERAL_RATIO();
             const max = await socialLending.MAX_COLLATERAL_RATIO();
 
-            await expect(socialLending.setCollateralRatio(min - 1n))
+            await expect(timelockCall(socialLending, "setCollateralRatio", [min - 1n]))
                 .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
 
-            await expect(socialLending.setCollateralRatio(max + 1n))
+            await expect(timelockCall(socialLending, "setCollateralRatio", [max + 1n]))
                 .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
         });
 
         it("should set collateral token status", async function () {
             const token = await mockToken.getAddress();
-            await expect(socialLending.setCollateralTokenStatus(token, true))
+            await expect(timelockCall(socialLending, "setCollateralTokenStatus", [token, true]))
                 .to.emit(socialLending, "CollateralTokenStatusUpdated")
                 .withArgs(token, true);
             expect(await socialLending.allowedCollateralTokens(token)).to.be.true;
         });
 
         it("should revert setCollateralTokenStatus for zero address", async function () {
-            await expect(socialLending.setCollateralTokenStatus(ethers.ZeroAddress, true))
+            await expect(timelockCall(socialLending, "setCollateralTokenStatus", [ethers.ZeroAddress, true]))
                 .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
         });
 
         it("should set collateral token decimals", async function () {
             const token = await mockToken.getAddress();
-            await expect(socialLending.setCollateralTokenDecimals(token, 6))
+            await expect(timelockCall(socialLending, "setCollateralTokenDecimals", [token, 6]))
                 .to.emit(socialLending, "CollateralTokenDecimalsUpdated")
                 .withArgs(token, 6);
             expect(await socialLending.collateralTokenDecimals(token)).to.equal(6);
@@ -85,16 +92,16 @@ describe("SocialLendingWithCollateral Admin", function () {
 
         it("should revert setCollateralTokenDecimals invalid params", async function () {
             const token = await mockToken.getAddress();
-            await expect(socialLending.setCollateralTokenDecimals(ethers.ZeroAddress, 18))
+            await expect(timelockCall(socialLending, "setCollateralTokenDecimals", [ethers.ZeroAddress, 18]))
                 .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
-            await expect(socialLending.setCollateralTokenDecimals(token, 19))
+            await expect(timelockCall(socialLending, "setCollateralTokenDecimals", [token, 19]))
                 .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
         });
 
         it("should set price feed", async function () {
             const token = await mockToken.getAddress();
             const feed = await mockPriceFeed.getAddress();
-            await expect(socialLending.setPriceFeed(token, feed))
+            await expect(timelockCall(socialLending, "setPriceFeed", [token, feed]))
                 .to.emit(socialLending, "PriceFeedUpdated")
                 .withArgs(token, feed);
             expect(await socialLending.priceFeeds(token)).to.equal(feed);
@@ -103,9 +110,9 @@ describe("SocialLendingWithCollateral Admin", function () {
         it("should revert setPriceFeed invalid params", async function () {
             const token = await mockToken.getAddress();
             const feed = await mockPriceFeed.getAddress();
-            await expect(socialLending.setPriceFeed(ethers.ZeroAddress, feed))
+            await expect(timelockCall(socialLending, "setPriceFeed", [ethers.ZeroAddress, feed]))
                 .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
-            await expect(socialLending.setPriceFeed(token, ethers.ZeroAddress))
+            await expect(timelockCall(socialLending, "setPriceFeed", [token, ethers.ZeroAddress]))
                 .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
         });
     });
@@ -118,7 +125,7 @@ describe("SocialLendingWithCollateral Admin", function () {
             // Verify function reverts when paused
             const loanAmount = ethers.parseEther("1");
             const collateralAmount = ethers.parseEther("1");
-            await expect(socialLending.connect(user).requestLoan(loanAmount, 500, 3600, await mockToken.getAddress(), collateralAmount))
+            await expect(socialLending.connect(user).requestLoan(loanAmount, 500, 3600, await mockToken.getAddress(), collateralAmount, 0))
                 .to.be.revertedWith("Pausable: paused");
 
             await socialLending.unpause();
@@ -135,14 +142,14 @@ describe("SocialLendingWithCollateral Admin", function () {
             });
 
             const initialBalance = await ethers.provider.getBalance(user.address);
-            await socialLending.rescueETH(ethers.parseEther("1.0"), user.address);
+            await timelockCall(socialLending, "rescueETH", [ethers.parseEther("1.0"), user.address]);
             const finalBalance = await ethers.provider.getBalance(user.address);
 
             expect(finalBalance - initialBalance).to.equal(ethers.parseEther("1.0"));
         });
 
         it("should revert rescueETH invalid address", async function () {
-            await expect(socialLending.rescueETH(100, ethers.ZeroAddress))
+            await expect(timelockCall(socialLending, "rescueETH", [100, ethers.ZeroAddress]))
                 .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
         });
     });
@@ -1,14 +1,14 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
 
 describe("Basic Contract Test", function () {
   it("should deploy the contract successfully", async function () {
     const [owner, feeRecipient] = await ethers.getSigners();
 
-    const SocialLendingWithCollateral = await ethers.getContractFactory("SocialLendingWithCollateral");
-    const lendingContract = await SocialLendingWithCollateral.deploy(feeRecipient.address);
+    const lendingContract = await deploySocialLending(feeRecipient.address);
 
-    expect(await lendingContract.owner()).to.equal(owner.address);
+    expect(await lendingContract.hasRole(await lendingContract.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
     expect(await lendingContract.feeRecipient()).to.equal(feeRecipient.address);
     expect(await lendingContract.platformFee()).to.equal(100); // 1%
     expect(await lendingContract.collateralRatio()).to.equal(15000); // 150%
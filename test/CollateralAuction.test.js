@@ -0,0 +1,283 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Collateral Auction", function () {
+    let socialLending;
+    let owner, borrower, lender, buyer, otherUser, mockToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("3"); // 3 ETH at 1 token = 1 ETH
+    const BASIS_POINTS = 10000n;
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    async function latestTimestamp() {
+        return BigInt((await ethers.provider.getBlock("latest")).timestamp);
+    }
+
+    // 1 token = 1 ETH, so the start price is the collateral amount plus the premium
+    // and the reserve price is the reserve share of the collateral amount
+    function priceAt(auction, timestamp) {
+        const startPrice = COLLATERAL_AMOUNT * (BASIS_POINTS + auction.startPremium) / BASIS_POINTS;
+        const reservePrice = COLLATERAL_AMOUNT * auction.reserveRatio / BASIS_POINTS;
+        return reservePrice + (startPrice - reservePrice) * (auction.endTime - timestamp) / (auction.endTime - auction.startTime);
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, buyer, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+
+        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+        await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+    });
+
+    describe("Configuration", function () {
+        it("should have default auction parameters", async function () {
+            expect(await socialLending.auctionDuration()).to.equal(24 * 60 * 60);
+            expect(await socialLending.auctionStartPremium()).to.equal(2000);
+            expect(await socialLending.auctionReserveRatio()).to.equal(8000);
+        });
+
+        it("should allow owner to set the auction parameters", async function () {
+            await expect(socialLending.setAuctionDuration(2 * 24 * 60 * 60))
+                .to.emit(socialLending, "AuctionDurationUpdated")
+                .withArgs(2 * 24 * 60 * 60);
+            await expect(socialLending.setAuctionStartPremium(5000))
+                .to.emit(socialLending, "AuctionStartPremiumUpdated")
+                .withArgs(5000);
+            await expect(socialLending.setAuctionReserveRatio(9000))
+                .to.emit(socialLending, "AuctionReserveRatioUpdated")
+                .withArgs(9000);
+        });
+
+        it("should revert if the auction parameters are out of range", async function () {
+            await expect(socialLending.setAuctionDuration(0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            const maxDuration = await socialLending.MAX_AUCTION_DURATION();
+            await expect(socialLending.setAuctionDuration(maxDuration + 1n))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            const maxPremium = await socialLending.MAX_AUCTION_START_PREMIUM();
+            await expect(socialLending.setAuctionStartPremium(maxPremium + 1n))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            const maxReserve = await socialLending.MAX_AUCTION_RESERVE_RATIO();
+            await expect(socialLending.setAuctionReserveRatio(maxReserve + 1n))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+
+        it("should revert setters if called by non-owner", async function () {
+            await expect(socialLending.connect(otherUser).setAuctionDuration(60))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+            await expect(socialLending.connect(otherUser).setAuctionStartPremium(0))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+            await expect(socialLending.connect(otherUser).setAuctionReserveRatio(0))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+    });
+
+    describe("Auction", function () {
+        let debt;
+
+        beforeEach(async function () {
+            await increaseTime(DURATION + 10 * 24 * 60 * 60);
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // refresh the stale price
+            debt = await socialLending.getAmountOwed(0);
+        });
+
+        it("should start an auction instead of transferring the collateral on default", async function () {
+            const tx = await socialLending.connect(lender).declareDefault(0);
+            const startTime = BigInt((await ethers.provider.getBlock(tx.blockNumber)).timestamp);
+            const endTime = startTime + await socialLending.auctionDuration();
+
+            await expect(tx)
+                .to.emit(socialLending, "CollateralAuctionStarted")
+                .withArgs(0, startTime, endTime, debt);
+            await expect(tx).to.changeTokenBalance(mockToken, lender, 0);
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(COLLATERAL_AMOUNT);
+        });
+
+        it("should start at a premium to the oracle value and decay linearly to the reserve", async function () {
+            // Keep the window within the price feed timeout
+            await socialLending.setAuctionDuration(60 * 60);
+            await socialLending.connect(lender).declareDefault(0);
+            const auction = await socialLending.collateralAuctions(0);
+            expect(auction.reserveRatio).to.equal(8000);
+
+            expect(await socialLending.getAuctionPrice(0)).to.equal(ethers.parseEther("3.6"));
+
+            // Halfway between 3.6 ETH and the 2.4 ETH reserve
+            await increaseTime(30 * 60);
+            expect(await socialLending.getAuctionPrice(0)).to.equal(ethers.parseEther("3"));
+            expect(await socialLending.getAuctionPrice(0)).to.equal(priceAt(auction, await latestTimestamp()));
+        });
+
+        it("should not sell below the reserve when bid at the end of the window", async function () {
+            await socialLending.connect(lender).declareDefault(0);
+            const auction = await socialLending.collateralAuctions(0);
+            await increaseTime(Number(auction.endTime - auction.startTime) - 60);
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // refresh the stale price
+            const reservePrice = ethers.parseEther("2.4");
+
+            await expect(socialLending.connect(buyer).buyDefaultedCollateral(0, { value: reservePrice - 1n }))
+                .to.be.revertedWithCustomError(socialLending, "IncorrectFundingAmount");
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [Number(auction.endTime)]);
+            const tx = socialLending.connect(buyer).buyDefaultedCollateral(0, { value: reservePrice });
+            await expect(tx)
+                .to.emit(socialLending, "CollateralAuctionSold")
+                .withArgs(0, buyer.address, reservePrice, debt, reservePrice - debt);
+            await expect(tx).to.changeTokenBalance(mockToken, buyer, COLLATERAL_AMOUNT);
+        });
+
+        it("should apply the reserve the auction started with", async function () {
+            await socialLending.setAuctionReserveRatio(5000);
+            await socialLending.connect(lender).declareDefault(0);
+            await socialLending.setAuctionReserveRatio(9000);
+
+            expect((await socialLending.collateralAuctions(0)).reserveRatio).to.equal(5000);
+        });
+
+        it("should pay the lender up to the debt and credit the surplus to the borrower", async function () {
+            await socialLending.connect(lender).declareDefault(0);
+            const auction = await socialLending.collateralAuctions(0);
+            const borrowerCreditBefore = await socialLending.pendingWithdrawals(borrower.address);
+
+            const tx = await socialLending.connect(buyer).buyDefaultedCollateral(0, { value: ethers.parseEther("4") });
+            const price = priceAt(auction, BigInt((await ethers.provider.getBlock(tx.blockNumber)).timestamp));
+
+            await expect(tx)
+                .to.emit(socialLending, "CollateralAuctionSold")
+                .withArgs(0, buyer.address, price, debt, price - debt);
+            await expect(tx).to.changeEtherBalance(buyer, -price);
+            await expect(tx).to.changeTokenBalances(mockToken, [buyer, socialLending], [COLLATERAL_AMOUNT, -COLLATERAL_AMOUNT]);
+
+            expect(await socialLending.pendingWithdrawals(lender.address)).to.equal(debt);
+            expect(await socialLending.pendingWithdrawals(borrower.address) - borrowerCreditBefore).to.equal(price - debt);
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(0);
+            expect((await socialLending.collateralAuctions(0)).settled).to.be.true;
+        });
+
+        it("should pay the whole price to the lender when it is below the debt", async function () {
+            await socialLending.setAuctionReserveRatio(0);
+            await socialLending.connect(lender).declareDefault(0);
+            const auction = await socialLending.collateralAuctions(0);
+            // Without a reserve the price falls below 1 ETH after ~75% of the window
+            await increaseTime(Number(auction.endTime - auction.startTime) * 4 / 5);
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // refresh the stale price
+            const borrowerCreditBefore = await socialLending.pendingWithdrawals(borrower.address);
+
+            const tx = await socialLending.connect(buyer).buyDefaultedCollateral(0, { value: debt });
+            const price = priceAt(auction, BigInt((await ethers.provider.getBlock(tx.blockNumber)).timestamp));
+
+            await expect(tx)
+                .to.emit(socialLending, "CollateralAuctionSold")
+                .withArgs(0, buyer.address, price, price, 0);
+            expect(await socialLending.pendingWithdrawals(lender.address)).to.equal(price);
+            expect(await socialLending.pendingWithdrawals(borrower.address)).to.equal(borrowerCreditBefore);
+        });
+
+        it("should revert if the payment does not cover the price", async function () {
+            await socialLending.connect(lender).declareDefault(0);
+
+            await expect(socialLending.connect(buyer).buyDefaultedCollateral(0, { value: ethers.parseEther("3") }))
+                .to.be.revertedWithCustomError(socialLending, "IncorrectFundingAmount");
+        });
+
+        it("should revert for loans without an active auction", async function () {
+            await expect(socialLending.getAuctionPrice(0))
+                .to.be.revertedWithCustomError(socialLending, "AuctionNotActive");
+            await expect(socialLending.connect(buyer).buyDefaultedCollateral(0, { value: ethers.parseEther("4") }))
+                .to.be.revertedWithCustomError(socialLending, "AuctionNotActive");
+
+            await socialLending.connect(lender).declareDefault(0);
+            await socialLending.connect(buyer).buyDefaultedCollateral(0, { value: ethers.parseEther("4") });
+            await expect(socialLending.connect(buyer).buyDefaultedCollateral(0, { value: ethers.parseEther("4") }))
+                .to.be.revertedWithCustomError(socialLending, "AuctionNotActive");
+            await expect(socialLending.claimUnsoldCollateral(0))
+                .to.be.revertedWithCustomError(socialLending, "AuctionNotActive");
+        });
+
+        it("should transfer unsold collateral to the lender after the auction window", async function () {
+            await socialLending.connect(lender).declareDefault(0);
+            await expect(socialLending.connect(otherUser).claimUnsoldCollateral(0))
+                .to.be.revertedWithCustomError(socialLending, "AuctionNotEnded");
+
+            await increaseTime(Number(await socialLending.auctionDuration()) + 1);
+            await expect(socialLending.connect(buyer).buyDefaultedCollateral(0, { value: ethers.parseEther("4") }))
+                .to.be.revertedWithCustomError(socialLending, "AuctionNotActive");
+
+            const tx = socialLending.connect(otherUser).claimUnsoldCollateral(0);
+            await expect(tx)
+                .to.emit(socialLending, "CollateralAuctionExpired")
+                .withArgs(0);
+            await expect(tx).to.changeTokenBalance(mockToken, lender, COLLATERAL_AMOUNT);
+
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(0);
+            await expect(socialLending.claimUnsoldCollateral(0))
+                .to.be.revertedWithCustomError(socialLending, "AuctionNotActive");
+        });
+
+        it("should revert when paused", async function () {
+            await socialLending.connect(lender).declareDefault(0);
+            await socialLending.pause();
+
+            await expect(socialLending.connect(buyer).buyDefaultedCollateral(0, { value: ethers.parseEther("4") }))
+                .to.be.revertedWith("Pausable: paused");
+        });
+    });
+
+    describe("ERC20 Principal", function () {
+        it("should value the debt in ETH", async function () {
+            const usdc = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 6);
+            const usdcFeed = await (await ethers.getContractFactory("MockPriceFeed")).deploy();
+            await usdcFeed.setLatestPrice(ethers.parseUnits("0.0005", 8)); // 1 USDC = 0.0005 ETH
+            await timelockCall(socialLending, "setCollateralTokenDecimals", [await usdc.getAddress(), 6]);
+            await timelockCall(socialLending, "setPrincipalTokenStatus", [await usdc.getAddress(), true]);
+            await timelockCall(socialLending, "setPriceFeed", [await usdc.getAddress(), await usdcFeed.getAddress()]);
+            await usdc.mint(lender.address, ethers.parseUnits("2000", 6));
+            await usdc.connect(lender).approve(await socialLending.getAddress(), ethers.parseUnits("2000", 6));
+
+            await socialLending.connect(borrower).requestLoanWithParams({
+                principalToken: await usdc.getAddress(),
+                amount: ethers.parseUnits("2000", 6),
+                interestRate: INTEREST_RATE,
+                duration: DURATION,
+                expiresAt: 0,
+                collateralTokens: [await mockToken.getAddress()],
+                collateralAmounts: [COLLATERAL_AMOUNT]
+            });
+            await socialLending.connect(lender).fundLoan(1);
+            await increaseTime(DURATION + 10 * 24 * 60 * 60);
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8));
+            await usdcFeed.setLatestPrice(ethers.parseUnits("0.0005", 8));
+            await socialLending.connect(lender).declareDefault(1);
+
+            const auction = await socialLending.collateralAuctions(1);
+            const debtInETH = await socialLending.getCollateralValueInETH(await usdc.getAddress(), auction.debt);
+            const tx = socialLending.connect(buyer).buyDefaultedCollateral(1, { value: ethers.parseEther("4") });
+            await expect(tx).to.emit(socialLending, "CollateralAuctionSold");
+
+            expect(await socialLending.pendingWithdrawals(lender.address)).to.equal(debtInETH);
+        });
+    });
+});
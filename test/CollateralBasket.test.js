@@ -0,0 +1,232 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Collateral Baskets", function () {
+    let socialLending;
+    let owner, borrower, lender, liquidator, tokenA, tokenB, feedA, feedB;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const AMOUNT_A = ethers.parseEther("1"); // 1 ETH
+    const AMOUNT_B = ethers.parseUnits("100", 6); // 100 * 0.01 ETH = 1 ETH
+
+    async function requestBasketLoan(overrides = {}) {
+        return socialLending.connect(borrower).requestLoanWithParams({
+            principalToken: ethers.ZeroAddress,
+            amount: LOAN_AMOUNT,
+            interestRate: INTEREST_RATE,
+            duration: DURATION,
+            expiresAt: 0,
+            collateralTokens: [await tokenA.getAddress(), await tokenB.getAddress()],
+            collateralAmounts: [AMOUNT_A, AMOUNT_B],
+            ...overrides
+        });
+    }
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, liquidator] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockToken.deploy("Token A", "TKA", 18);
+        tokenB = await MockToken.deploy("Token B", "TKB", 6);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        feedA = await MockPriceFeed.deploy();
+        feedB = await MockPriceFeed.deploy();
+        await feedA.setLatestPrice(ethers.parseUnits("1", 8)); // 1 TKA = 1 ETH
+        await feedB.setLatestPrice(ethers.parseUnits("0.01", 8)); // 1 TKB = 0.01 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+
+        for (const [token, feed, decimals] of [[tokenA, feedA, 18], [tokenB, feedB, 6]]) {
+            await timelockCall(socialLending, "setCollateralTokenStatus", [await token.getAddress(), true]);
+            await timelockCall(socialLending, "setCollateralTokenDecimals", [await token.getAddress(), decimals]);
+            await timelockCall(socialLending, "setPriceFeed", [await token.getAddress(), await feed.getAddress()]);
+            await token.mint(borrower.address, ethers.parseUnits("1000", decimals));
+            await token.connect(borrower).approve(await socialLending.getAddress(), ethers.MaxUint256);
+        }
+    });
+
+    describe("Request", function () {
+        it("should emit the whole basket with the request", async function () {
+            await expect(requestBasketLoan())
+                .to.emit(socialLending, "LoanRequested")
+                .withArgs(
+                    0,
+                    borrower.address,
+                    LOAN_AMOUNT,
+                    INTEREST_RATE,
+                    DURATION,
+                    [await tokenA.getAddress(), await tokenB.getAddress()],
+                    [AMOUNT_A, AMOUNT_B]
+                );
+        });
+
+        it("should lock every basket component and emit a deposit per token", async function () {
+            const tx = requestBasketLoan();
+            await expect(tx)
+                .to.emit(socialLending, "CollateralDeposited")
+                .withArgs(0, await tokenA.getAddress(), AMOUNT_A)
+                .and.to.emit(socialLending, "CollateralDeposited")
+                .withArgs(0, await tokenB.getAddress(), AMOUNT_B);
+            await expect(tx).to.changeTokenBalances(tokenB, [borrower, socialLending], [-AMOUNT_B, AMOUNT_B]);
+
+            expect(await socialLending.lockedCollateral(await tokenA.getAddress())).to.equal(AMOUNT_A);
+            expect(await socialLending.lockedCollateral(await tokenB.getAddress())).to.equal(AMOUNT_B);
+        });
+
+        it("should check the combined basket value against the collateral ratio", async function () {
+            // Neither component covers 150% alone, but together they are worth 2 ETH
+            await expect(requestBasketLoan()).to.not.be.reverted;
+
+            await expect(requestBasketLoan({ collateralAmounts: [ethers.parseEther("0.5"), ethers.parseUnits("90", 6)] }))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+        });
+
+        it("should reject empty, oversized, mismatched or duplicate baskets", async function () {
+            const a = await tokenA.getAddress();
+            const max = Number(await socialLending.MAX_COLLATERAL_TOKENS());
+
+            await expect(requestBasketLoan({ collateralTokens: [], collateralAmounts: [] }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidCollateral");
+            await expect(requestBasketLoan({ collateralTokens: Array(max + 1).fill(a), collateralAmounts: Array(max + 1).fill(AMOUNT_A) }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidCollateral");
+            await expect(requestBasketLoan({ collateralAmounts: [AMOUNT_A] }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidCollateral");
+            await expect(requestBasketLoan({ collateralTokens: [a, a], collateralAmounts: [AMOUNT_A, AMOUNT_A] }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidCollateral");
+            await expect(requestBasketLoan({ collateralAmounts: [AMOUNT_A, 0] }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidCollateral");
+        });
+
+        it("should reject a basket containing a token that is not allowed", async function () {
+            await timelockCall(socialLending, "setCollateralTokenStatus", [await tokenB.getAddress(), false]);
+            await expect(requestBasketLoan())
+                .to.be.revertedWithCustomError(socialLending, "TokenNotAllowed");
+        });
+    });
+
+    describe("Settlement", function () {
+        beforeEach(async function () {
+            await requestBasketLoan();
+        });
+
+        it("should return every component on cancel", async function () {
+            const tx = socialLending.connect(borrower).cancelLoanRequest(0);
+            await expect(tx).to.changeTokenBalances(tokenA, [borrower, socialLending], [AMOUNT_A, -AMOUNT_A]);
+            await expect(tx).to.changeTokenBalances(tokenB, [borrower, socialLending], [AMOUNT_B, -AMOUNT_B]);
+
+            expect(await socialLending.lockedCollateral(await tokenA.getAddress())).to.equal(0);
+            expect(await socialLending.lockedCollateral(await tokenB.getAddress())).to.equal(0);
+        });
+
+        it("should return every component on full repayment", async function () {
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            const loan = await socialLending.loans(0);
+
+            const tx = socialLending.connect(borrower).repayLoan(0, { value: loan.remainingRepaymentAmount });
+            await expect(tx).to.changeTokenBalances(tokenA, [borrower, socialLending], [AMOUNT_A, -AMOUNT_A]);
+            await expect(tx).to.changeTokenBalances(tokenB, [borrower, socialLending], [AMOUNT_B, -AMOUNT_B]);
+        });
+
+        it("should transfer every unsold component to the lender after a default", async function () {
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            await increaseTime(DURATION + Number(await socialLending.gracePeriod()) + 1);
+            await socialLending.connect(lender).declareDefault(0);
+            await increaseTime(Number(await socialLending.auctionDuration()) + 1);
+
+            const tx = socialLending.connect(lender).claimUnsoldCollateral(0);
+            await expect(tx).to.changeTokenBalances(tokenA, [lender, socialLending], [AMOUNT_A, -AMOUNT_A]);
+            await expect(tx).to.changeTokenBalances(tokenB, [lender, socialLending], [AMOUNT_B, -AMOUNT_B]);
+
+            expect(await socialLending.lockedCollateral(await tokenA.getAddress())).to.equal(0);
+            expect(await socialLending.lockedCollateral(await tokenB.getAddress())).to.equal(0);
+        });
+
+        it("should seize each component pro-rata on liquidation", async function () {
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            // Basket drops to 1.2 ETH: TKA = 0.6 ETH, TKB = 0.006 ETH
+            await feedA.setLatestPrice(ethers.parseUnits("0.6", 8));
+            await feedB.setLatestPrice(ethers.parseUnits("0.006", 8));
+            const debt = (await socialLending.loans(0)).remainingRepaymentAmount;
+            const [totalValue] = await socialLending.getLoanCollateralValue(0);
+            const seizeValue = debt * 10500n / 10000n;
+
+            await expect(socialLending.connect(liquidator).liquidate(0, { value: debt }))
+                .to.emit(socialLending, "LoanLiquidated")
+                .withArgs(0, liquidator.address, debt, seizeValue, totalValue - seizeValue);
+
+            const seizedA = AMOUNT_A * seizeValue / totalValue;
+            const seizedB = AMOUNT_B * seizeValue / totalValue;
+            expect(await tokenA.balanceOf(liquidator.address)).to.equal(seizedA);
+            expect(await tokenB.balanceOf(liquidator.address)).to.equal(seizedB);
+            expect(await tokenA.balanceOf(await socialLending.getAddress())).to.equal(0);
+            expect(await tokenB.balanceOf(await socialLending.getAddress())).to.equal(0);
+        });
+
+        it("should liquidate when one component's feed is stale, returning that component to the borrower", async function () {
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            await increaseTime(2 * 60 * 60);
+            // Only TKA is refreshed (1.15 ETH); TKB's price is stale and counts as zero
+            await feedA.setLatestPrice(ethers.parseUnits("1.15", 8));
+            const valueA = ethers.parseEther("1.15");
+            const debt = (await socialLending.loans(0)).remainingRepaymentAmount;
+            const seizeValue = debt * 10500n / 10000n;
+            const balanceA = await tokenA.balanceOf(borrower.address);
+            const balanceB = await tokenB.balanceOf(borrower.address);
+
+            await expect(socialLending.connect(liquidator).liquidate(0, { value: debt }))
+                .to.emit(socialLending, "LoanLiquidated")
+                .withArgs(0, liquidator.address, debt, seizeValue, valueA - seizeValue);
+
+            const seizedA = AMOUNT_A * seizeValue / valueA;
+            expect(await tokenA.balanceOf(liquidator.address)).to.equal(seizedA);
+            expect(await tokenA.balanceOf(borrower.address)).to.equal(balanceA + AMOUNT_A - seizedA);
+            expect(await tokenB.balanceOf(liquidator.address)).to.equal(0);
+            expect(await tokenB.balanceOf(borrower.address)).to.equal(balanceB + AMOUNT_B);
+            expect(await tokenB.balanceOf(await socialLending.getAddress())).to.equal(0);
+        });
+    });
+
+    describe("View Functions", function () {
+        beforeEach(async function () {
+            await requestBasketLoan();
+        });
+
+        it("should list the basket components", async function () {
+            const [tokens, amounts] = await socialLending.getLoanCollateral(0);
+            expect(tokens).to.deep.equal([await tokenA.getAddress(), await tokenB.getAddress()]);
+            expect(amounts).to.deep.equal([AMOUNT_A, AMOUNT_B]);
+        });
+
+        it("should value the basket at current prices", async function () {
+            let [totalValue, values] = await socialLending.getLoanCollateralValue(0);
+            expect(values).to.deep.equal([ethers.parseEther("1"), ethers.parseEther("1")]);
+            expect(totalValue).to.equal(ethers.parseEther("2"));
+
+            await feedB.setLatestPrice(ethers.parseUnits("0.005", 8));
+            [totalValue, values] = await socialLending.getLoanCollateralValue(0);
+            expect(values[1]).to.equal(ethers.parseEther("0.5"));
+            expect(totalValue).to.equal(ethers.parseEther("1.5"));
+        });
+
+        it("should use the combined basket value for the collateralization ratio", async function () {
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            const loan = await socialLending.loans(0);
+            expect(await socialLending.getCollateralizationRatio(0))
+                .to.equal(ethers.parseEther("2") * 10000n / loan.remainingRepaymentAmount);
+        });
+
+        it("should revert for an invalid loan ID", async function () {
+            await expect(socialLending.getLoanCollateral(99))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanId");
+        });
+    });
+});
@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Collateral Top-up & Withdrawal", function () {
+    let socialLending;
+    let owner, borrower, lender, otherUser, mockToken, otherToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("2"); // 200% at 1 token = 1 ETH
+
+    beforeEach(async function () {
+        [owner, borrower, lender, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+        otherToken = await MockToken.deploy("Other", "OTH", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+
+        for (const token of [mockToken, otherToken]) {
+            await timelockCall(socialLending, "setCollateralTokenStatus", [await token.getAddress(), true]);
+            await timelockCall(socialLending, "setCollateralTokenDecimals", [await token.getAddress(), 18]);
+            await timelockCall(socialLending, "setPriceFeed", [await token.getAddress(), await mockPriceFeed.getAddress()]);
+            await token.mint(borrower.address, ethers.parseEther("1000"));
+            await token.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+        }
+
+        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+    });
+
+    describe("addCollateral", function () {
+        it("should top up an existing basket component", async function () {
+            const amount = ethers.parseEther("1");
+            const tx = socialLending.connect(borrower).addCollateral(0, await mockToken.getAddress(), amount);
+            await expect(tx)
+                .to.emit(socialLending, "CollateralDeposited")
+                .withArgs(0, await mockToken.getAddress(), amount);
+            await expect(tx).to.changeTokenBalances(mockToken, [borrower, socialLending], [-amount, amount]);
+
+            const [, amounts] = await socialLending.getLoanCollateral(0);
+            expect(amounts).to.deep.equal([COLLATERAL_AMOUNT + amount]);
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(COLLATERAL_AMOUNT + amount);
+        });
+
+        it("should add a new token to the basket of a funded loan", async function () {
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            const ratioBefore = await socialLending.getCollateralizationRatio(0);
+
+            await socialLending.connect(borrower).addCollateral(0, await otherToken.getAddress(), ethers.parseEther("1"));
+
+            const [tokens] = await socialLending.getLoanCollateral(0);
+            expect(tokens).to.deep.equal([await mockToken.getAddress(), await otherToken.getAddress()]);
+            expect(await socialLending.getCollateralizationRatio(0)).to.be.gt(ratioBefore);
+        });
+
+        it("should reject tokens that are not allowed", async function () {
+            await timelockCall(socialLending, "setCollateralTokenStatus", [await otherToken.getAddress(), false]);
+            await expect(socialLending.connect(borrower).addCollateral(0, await otherToken.getAddress(), 1))
+                .to.be.revertedWithCustomError(socialLending, "TokenNotAllowed");
+        });
+
+        it("should revert for zero amounts, non-borrowers and settled loans", async function () {
+            await expect(socialLending.connect(borrower).addCollateral(0, await mockToken.getAddress(), 0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidCollateral");
+            await expect(socialLending.connect(otherUser).addCollateral(0, await mockToken.getAddress(), 1))
+                .to.be.revertedWithCustomError(socialLending, "Unauthorized");
+
+            await socialLending.connect(borrower).cancelLoanRequest(0);
+            await expect(socialLending.connect(borrower).addCollateral(0, await mockToken.getAddress(), 1))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanState");
+        });
+    });
+
+    describe("withdrawCollateral", function () {
+        it("should release surplus collateral on a requested loan", async function () {
+            // 1.5 tokens still cover 150% of the principal
+            const amount = ethers.parseEther("0.5");
+            const tx = socialLending.connect(borrower).withdrawCollateral(0, await mockToken.getAddress(), amount);
+            await expect(tx)
+                .to.emit(socialLending, "CollateralWithdrawn")
+                .withArgs(0, await mockToken.getAddress(), amount);
+            await expect(tx).to.changeTokenBalances(mockToken, [borrower, socialLending], [amount, -amount]);
+
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(COLLATERAL_AMOUNT - amount);
+        });
+
+        it("should reject withdrawals that break the collateral ratio", async function () {
+            await expect(socialLending.connect(borrower).withdrawCollateral(0, await mockToken.getAddress(), ethers.parseEther("0.6")))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+        });
+
+        it("should measure funded loans against the remaining repayment amount", async function () {
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            // Repayment is ~1.008 ETH, so 1.5 tokens are no longer enough
+            await expect(socialLending.connect(borrower).withdrawCollateral(0, await mockToken.getAddress(), ethers.parseEther("0.5")))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+
+            // After the price rises the surplus can be taken back
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("2", 8));
+            await socialLending.connect(borrower).withdrawCollateral(0, await mockToken.getAddress(), ethers.parseEther("1"));
+            expect(await socialLending.getCollateralizationRatio(0)).to.be.gte(await socialLending.collateralRatio());
+        });
+
+        it("should drop a basket component that is fully withdrawn", async function () {
+            await socialLending.connect(borrower).addCollateral(0, await otherToken.getAddress(), ethers.parseEther("1"));
+            await socialLending.connect(borrower).withdrawCollateral(0, await otherToken.getAddress(), ethers.parseEther("1"));
+
+            const [tokens] = await socialLending.getLoanCollateral(0);
+            expect(tokens).to.deep.equal([await mockToken.getAddress()]);
+            expect(await socialLending.lockedCollateral(await otherToken.getAddress())).to.equal(0);
+        });
+
+        it("should return the adjusted basket on repayment", async function () {
+            await socialLending.connect(borrower).addCollateral(0, await mockToken.getAddress(), ethers.parseEther("1"));
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            const loan = await socialLending.loans(0);
+
+            await expect(socialLending.connect(borrower).repayLoan(0, { value: loan.remainingRepaymentAmount }))
+                .to.changeTokenBalance(mockToken, borrower, ethers.parseEther("3"));
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(0);
+        });
+
+        it("should revert for unknown tokens, excessive amounts and non-borrowers", async function () {
+            await expect(socialLending.connect(borrower).withdrawCollateral(0, await otherToken.getAddress(), 1))
+                .to.be.revertedWithCustomError(socialLending, "InvalidCollateral");
+            await expect(socialLending.connect(borrower).withdrawCollateral(0, await mockToken.getAddress(), COLLATERAL_AMOUNT + 1n))
+                .to.be.revertedWithCustomError(socialLending, "InvalidCollateral");
+            await expect(socialLending.connect(otherUser).withdrawCollateral(0, await mockToken.getAddress(), 1))
+                .to.be.revertedWithCustomError(socialLending, "Unauthorized");
+        });
+    });
+});
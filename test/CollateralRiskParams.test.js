@@ -0,0 +1,311 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Collateral Risk Parameters", function () {
+    let socialLending;
+    let owner, borrower, lender, guarantor, liquidator, otherUser, stableToken, longTailToken, stableFeed, longTailFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+
+    // Long-tail token: 200% minimum ratio, 150% liquidation threshold
+    const LONG_TAIL_PARAMS = {
+        minCollateralRatio: 20000,
+        liquidationThreshold: 15000,
+        supplyCap: 0,
+        maxPerLoan: 0
+    };
+
+    async function requestLoan(tokens, amounts) {
+        return socialLending.connect(borrower).requestLoanWithParams({
+            principalToken: ethers.ZeroAddress,
+            amount: LOAN_AMOUNT,
+            interestRate: INTEREST_RATE,
+            duration: DURATION,
+            expiresAt: 0,
+            collateralTokens: await Promise.all(tokens.map((token) => token.getAddress())),
+            collateralAmounts: amounts
+        });
+    }
+
+    async function setParams(token, overrides = {}) {
+        return timelockCall(socialLending, "setCollateralRiskParams", [await token.getAddress(), { ...LONG_TAIL_PARAMS, ...overrides }]);
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, guarantor, liquidator, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        stableToken = await MockToken.deploy("Stable", "STBL", 18);
+        longTailToken = await MockToken.deploy("Long Tail", "TAIL", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        stableFeed = await MockPriceFeed.deploy();
+        longTailFeed = await MockPriceFeed.deploy();
+        await stableFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+        await longTailFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+
+        for (const [token, feed] of [[stableToken, stableFeed], [longTailToken, longTailFeed]]) {
+            await timelockCall(socialLending, "setCollateralTokenStatus", [await token.getAddress(), true]);
+            await timelockCall(socialLending, "setCollateralTokenDecimals", [await token.getAddress(), 18]);
+            await timelockCall(socialLending, "setPriceFeed", [await token.getAddress(), await feed.getAddress()]);
+            for (const user of [borrower, guarantor]) {
+                await token.mint(user.address, ethers.parseEther("1000"));
+                await token.connect(user).approve(await socialLending.getAddress(), ethers.MaxUint256);
+            }
+        }
+    });
+
+    describe("Configuration", function () {
+        it("should store the parameters and emit an event", async function () {
+            const token = await longTailToken.getAddress();
+            await expect(setParams(longTailToken, { supplyCap: ethers.parseEther("100"), maxPerLoan: ethers.parseEther("10") }))
+                .to.emit(socialLending, "CollateralRiskParamsUpdated")
+                .withArgs(token, 20000, 15000, ethers.parseEther("100"), ethers.parseEther("10"));
+
+            const params = await socialLending.collateralRiskParams(token);
+            expect(params.minCollateralRatio).to.equal(20000);
+            expect(params.liquidationThreshold).to.equal(15000);
+            expect(params.supplyCap).to.equal(ethers.parseEther("100"));
+            expect(params.maxPerLoan).to.equal(ethers.parseEther("10"));
+        });
+
+        it("should return every risk parameter of a token in one view", async function () {
+            await setParams(longTailToken, { supplyCap: ethers.parseEther("100"), maxPerLoan: ethers.parseEther("10") });
+            await requestLoan([longTailToken], [ethers.parseEther("2")]);
+
+            const params = await socialLending.getCollateralRiskParams(await longTailToken.getAddress());
+            expect(params.allowed).to.be.true;
+            expect(params.minCollateralRatio).to.equal(20000);
+            expect(params.tokenLiquidationThreshold).to.equal(15000);
+            expect(params.supplyCap).to.equal(ethers.parseEther("100"));
+            expect(params.maxPerLoan).to.equal(ethers.parseEther("10"));
+            expect(params.locked).to.equal(ethers.parseEther("2"));
+        });
+
+        it("should fall back to the global ratios when a token has no floor", async function () {
+            const params = await socialLending.getCollateralRiskParams(await stableToken.getAddress());
+            expect(params.minCollateralRatio).to.equal(await socialLending.collateralRatio());
+            expect(params.tokenLiquidationThreshold).to.equal(await socialLending.liquidationThreshold());
+            expect(params.supplyCap).to.equal(0);
+            expect(params.maxPerLoan).to.equal(0);
+        });
+
+        it("should revert for invalid parameters", async function () {
+            await expect(timelockCall(socialLending, "setCollateralRiskParams", [ethers.ZeroAddress, LONG_TAIL_PARAMS]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
+            await expect(setParams(longTailToken, { minCollateralRatio: 9999 }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(setParams(longTailToken, { minCollateralRatio: 20001 }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(setParams(longTailToken, { liquidationThreshold: 20001, minCollateralRatio: 0 }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            // The liquidation threshold must be below the minimum ratio
+            await expect(setParams(longTailToken, { minCollateralRatio: 15000, liquidationThreshold: 16000 }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(setParams(longTailToken, { minCollateralRatio: 15000, liquidationThreshold: 15000 }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            // The ratios are set together
+            await expect(setParams(longTailToken, { liquidationThreshold: 0 }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(setParams(longTailToken, { minCollateralRatio: 0 }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+
+        it("should only allow the risk manager to set the parameters", async function () {
+            await expect(socialLending.connect(otherUser).setCollateralRiskParams(await longTailToken.getAddress(), LONG_TAIL_PARAMS))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+    });
+
+    describe("Minimum Collateral Ratio", function () {
+        beforeEach(async function () {
+            await setParams(longTailToken);
+        });
+
+        it("should apply the token's floor on requestLoan", async function () {
+            await expect(socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await longTailToken.getAddress(), ethers.parseEther("1.9"), 0))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+            await expect(socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await longTailToken.getAddress(), ethers.parseEther("2"), 0))
+                .to.emit(socialLending, "LoanRequested");
+        });
+
+        it("should keep the global ratio for tokens without a floor", async function () {
+            await expect(socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await stableToken.getAddress(), ethers.parseEther("1.5"), 0))
+                .to.emit(socialLending, "LoanRequested");
+        });
+
+        it("should discount only the long-tail component of a basket", async function () {
+            // 0.5 + 1 * 15000 / 20000 = 1.25 ETH < 1.5 ETH required
+            await expect(requestLoan([stableToken, longTailToken], [ethers.parseEther("0.5"), ethers.parseEther("1")]))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+            // 0.75 + 1 * 15000 / 20000 = 1.5 ETH
+            await expect(requestLoan([stableToken, longTailToken], [ethers.parseEther("0.75"), ethers.parseEther("1")]))
+                .to.emit(socialLending, "LoanRequested");
+        });
+
+        it("should apply the token's floor when withdrawing collateral", async function () {
+            await requestLoan([longTailToken], [ethers.parseEther("2.4")]);
+            const token = await longTailToken.getAddress();
+
+            await socialLending.connect(borrower).withdrawCollateral(0, token, ethers.parseEther("0.4"));
+            await expect(socialLending.connect(borrower).withdrawCollateral(0, token, 1))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+        });
+    });
+
+    describe("Ratios Below the Global Ones", function () {
+        // Stablecoin-like token: 110% minimum ratio, 105% liquidation threshold
+        const STABLE_PARAMS = { minCollateralRatio: 11000, liquidationThreshold: 10500 };
+
+        beforeEach(async function () {
+            await setParams(stableToken, STABLE_PARAMS);
+        });
+
+        it("should replace the global ratios rather than act as a floor", async function () {
+            const params = await socialLending.getCollateralRiskParams(await stableToken.getAddress());
+            expect(params.minCollateralRatio).to.equal(11000);
+            expect(params.tokenLiquidationThreshold).to.equal(10500);
+
+            await expect(socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await stableToken.getAddress(), ethers.parseEther("1.09"), 0))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+            await expect(socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await stableToken.getAddress(), ethers.parseEther("1.1"), 0))
+                .to.emit(socialLending, "LoanRequested");
+        });
+
+        it("should count the component for more than its value in a mixed basket", async function () {
+            // 0.55 * 15000 / 11000 + 0.5 = 1.25 ETH < 1.5 ETH required
+            await expect(requestLoan([stableToken, longTailToken], [ethers.parseEther("0.55"), ethers.parseEther("0.5")]))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+            // 0.55 * 15000 / 11000 + 0.75 = 1.5 ETH
+            await expect(requestLoan([stableToken, longTailToken], [ethers.parseEther("0.55"), ethers.parseEther("0.75")]))
+                .to.emit(socialLending, "LoanRequested");
+        });
+
+        it("should liquidate only below the token's own threshold", async function () {
+            await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await stableToken.getAddress(), ethers.parseEther("1.1"), 0);
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            const loan = await socialLending.loans(0);
+
+            // 1.1 ETH is below the 120% global threshold but above 105% of the debt
+            await expect(socialLending.connect(liquidator).liquidate(0, { value: loan.remainingRepaymentAmount }))
+                .to.be.revertedWithCustomError(socialLending, "CollateralSufficient");
+
+            // 1.045 ETH is below 105% of the debt
+            await stableFeed.setLatestPrice(ethers.parseUnits("0.95", 8));
+            await expect(socialLending.connect(liquidator).liquidate(0, { value: loan.remainingRepaymentAmount }))
+                .to.emit(socialLending, "LoanLiquidated");
+        });
+    });
+
+    describe("Liquidation Threshold", function () {
+        beforeEach(async function () {
+            await setParams(longTailToken);
+            await requestLoan([longTailToken], [ethers.parseEther("2")]);
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+        });
+
+        it("should keep the loan safe while above the token's threshold", async function () {
+            // 1.6 ETH * 12000 / 15000 = 1.28 ETH, above 120% of the debt
+            await longTailFeed.setLatestPrice(ethers.parseUnits("0.8", 8));
+            const loan = await socialLending.loans(0);
+            await expect(socialLending.connect(liquidator).liquidate(0, { value: loan.remainingRepaymentAmount }))
+                .to.be.revertedWithCustomError(socialLending, "CollateralSufficient");
+        });
+
+        it("should allow liquidation below the token's threshold even above the global one", async function () {
+            // 1.4 ETH is 139% of the debt, below the 150% token threshold
+            await longTailFeed.setLatestPrice(ethers.parseUnits("0.7", 8));
+            const loan = await socialLending.loans(0);
+            await expect(socialLending.connect(liquidator).liquidate(0, { value: loan.remainingRepaymentAmount }))
+                .to.emit(socialLending, "LoanLiquidated");
+        });
+
+        it("should report the adjusted ratio that liquidation uses", async function () {
+            await longTailFeed.setLatestPrice(ethers.parseUnits("0.8", 8));
+            let [ratio, liquidatable] = await socialLending.getLiquidationRatio(0);
+            expect(liquidatable).to.be.false;
+            expect(ratio).to.be.gte(12000);
+
+            // The raw ratio stays above the global threshold while the adjusted one falls below it
+            await longTailFeed.setLatestPrice(ethers.parseUnits("0.7", 8));
+            [ratio, liquidatable] = await socialLending.getLiquidationRatio(0);
+            expect(await socialLending.getCollateralizationRatio(0)).to.be.gt(12000);
+            expect(ratio).to.be.lt(12000);
+            expect(liquidatable).to.be.true;
+
+            const [page] = await socialLending.getLoans(0, 1, 0);
+            expect(page[0].liquidationRatio).to.equal(ratio);
+            expect(page[0].liquidatable).to.be.true;
+        });
+    });
+
+    describe("Exposure Caps", function () {
+        it("should enforce the supply cap on requests and top-ups", async function () {
+            const token = await longTailToken.getAddress();
+            await setParams(longTailToken, { supplyCap: ethers.parseEther("5") });
+
+            await requestLoan([longTailToken], [ethers.parseEther("2")]);
+            await requestLoan([longTailToken], [ethers.parseEther("2")]);
+            await expect(requestLoan([longTailToken], [ethers.parseEther("2")]))
+                .to.be.revertedWithCustomError(socialLending, "SupplyCapExceeded");
+
+            await socialLending.connect(borrower).addCollateral(0, token, ethers.parseEther("1"));
+            await expect(socialLending.connect(borrower).addCollateral(1, token, 1))
+                .to.be.revertedWithCustomError(socialLending, "SupplyCapExceeded");
+            expect(await socialLending.lockedCollateral(token)).to.equal(ethers.parseEther("5"));
+        });
+
+        it("should free capacity once collateral is released", async function () {
+            await setParams(longTailToken, { supplyCap: ethers.parseEther("2") });
+            await requestLoan([longTailToken], [ethers.parseEther("2")]);
+            await socialLending.connect(borrower).cancelLoanRequest(0);
+
+            await expect(requestLoan([longTailToken], [ethers.parseEther("2")]))
+                .to.emit(socialLending, "LoanRequested");
+        });
+
+        it("should enforce the per-loan maximum on requests and top-ups", async function () {
+            const token = await longTailToken.getAddress();
+            await setParams(longTailToken, { maxPerLoan: ethers.parseEther("2.5") });
+
+            await expect(requestLoan([longTailToken], [ethers.parseEther("3")]))
+                .to.be.revertedWithCustomError(socialLending, "CollateralLimitExceeded");
+
+            await requestLoan([longTailToken], [ethers.parseEther("2")]);
+            await socialLending.connect(borrower).addCollateral(0, token, ethers.parseEther("0.5"));
+            await expect(socialLending.connect(borrower).addCollateral(0, token, 1))
+                .to.be.revertedWithCustomError(socialLending, "CollateralLimitExceeded");
+        });
+
+        it("should enforce the per-loan maximum when a token is added to a basket", async function () {
+            await setParams(stableToken, { minCollateralRatio: 0, liquidationThreshold: 0, maxPerLoan: ethers.parseEther("1") });
+            await requestLoan([longTailToken], [ethers.parseEther("2")]);
+
+            await expect(socialLending.connect(borrower).addCollateral(0, await stableToken.getAddress(), ethers.parseEther("1.5")))
+                .to.be.revertedWithCustomError(socialLending, "CollateralLimitExceeded");
+        });
+
+        it("should apply the caps to guarantor stakes", async function () {
+            await setParams(longTailToken, { maxPerLoan: ethers.parseEther("1"), supplyCap: ethers.parseEther("1.5") });
+            await socialLending.connect(borrower).requestGuaranteedLoan({
+                principalToken: ethers.ZeroAddress,
+                amount: LOAN_AMOUNT,
+                interestRate: INTEREST_RATE,
+                duration: DURATION,
+                expiresAt: 0,
+                collateralTokens: [await longTailToken.getAddress()],
+                collateralAmounts: [ethers.parseEther("1")]
+            }, [guarantor.address]);
+
+            await expect(socialLending.connect(guarantor).acceptGuarantee(0, await longTailToken.getAddress(), ethers.parseEther("1.1")))
+                .to.be.revertedWithCustomError(socialLending, "CollateralLimitExceeded");
+            await expect(socialLending.connect(guarantor).acceptGuarantee(0, await longTailToken.getAddress(), ethers.parseEther("0.6")))
+                .to.be.revertedWithCustomError(socialLending, "SupplyCapExceeded");
+        });
+    });
+});
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
 
 describe("Edge Cases", function () {
     let socialLending;
@@ -25,14 +27,13 @@ describe("Edge Cases", function () {
         await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
 
         // Deploy Social Lending
-        const SocialLending = await ethers.getContractFactory("SocialLendingWithCollateral");
-        socialLending = await SocialLending.deploy(owner.address);
+        socialLending = await deploySocialLending(owner.address);
         await socialLending.waitForDeployment();
 
         // Setup collateral
-        await socialLending.setCollateralTokenStatus(await mockToken.getAddress(), true);
-        await socialLending.setCollateralTokenDecimals(await mockToken.getAddress(), 18);
-        await socialLending.setPriceFeed(await mockToken.getAddress(), await mockPriceFeed.getAddress());
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
 
         // Mint tokens to borrower and lender
         await mockToken.mint(borrower.address, ethers.parseEther("1000"));
@@ -40,22 +41,22 @@ describe("Edge Cases", function () {
     });
 
     it("should allow loan request with max interest rate", async function () {
-        await expect(socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, MAX_INTEREST_RATE, MAX_LOAN_DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT))
+        await expect(socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, MAX_INTEREST_RATE, MAX_LOAN_DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0))
             .to.emit(socialLending, "LoanRequested");
     });
 
     it("should revert loan request with interest rate > max", async function () {
-        await expect(socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, MAX_INTEREST_RATE + 1, MAX_LOAN_DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT))
+        await expect(socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, MAX_INTEREST_RATE + 1, MAX_LOAN_DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0))
             .to.be.revertedWithCustomError(socialLending, "InvalidInterestRate");
     });
 
     it("should allow loan request with max duration", async function () {
-        await expect(socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, 100, MAX_LOAN_DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT))
+        await expect(socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, 100, MAX_LOAN_DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0))
             .to.emit(socialLending, "LoanRequested");
     });
 
     it("should revert loan request with duration > max", async function () {
-        await expect(socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, 100, MAX_LOAN_DURATION + 1, await mockToken.getAddress(), COLLATERAL_AMOUNT))
+        await expect(socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, 100, MAX_LOAN_DURATION + 1, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0))
             .to.be.revertedWithCustomError(socialLending, "InvalidDuration");
     });
 
@@ -63,7 +64,7 @@ describe("Edge Cases", function () {
         const interestRate = 1000; // 10%
         const duration = 30 * 24 * 60 * 60;
 
-        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, interestRate, duration, await mockToken.getAddress(), COLLATERAL_AMOUNT);
+        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, interestRate, duration, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
         const loanId = 0;
 
         await socialLending.connect(lender).fundLoan(loanId, { value: LOAN_AMOUNT });
@@ -72,23 +73,24 @@ describe("Edge Cases", function () {
         const excessAmount = ethers.parseEther("0.1");
         const totalPayment = repaymentAmount + excessAmount; // Correct logic: repayment + excess
 
-        // Check lender balance change
+        // Check borrower refund and lender credit
         await expect(
             socialLending.connect(borrower).repayLoan(loanId, { value: totalPayment })
-        ).to.changeEtherBalance(lender, repaymentAmount);
+        ).to.changeEtherBalance(borrower, -repaymentAmount);
+        expect(await socialLending.pendingWithdrawals(lender.address)).to.equal(repaymentAmount);
 
-        // Verify contract balance is 0 (no stuck funds)
-        expect(await ethers.provider.getBalance(await socialLending.getAddress())).to.equal(0);
+        // Verify contract balance only holds withdrawable funds (no stuck funds)
+        expect(await ethers.provider.getBalance(await socialLending.getAddress())).to.equal(await socialLending.totalPendingWithdrawals());
     });
 
     it("should allow anyone to calling checkAndDeclareDefault on overdue loan", async function () {
         const duration = 100;
-        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, 100, duration, await mockToken.getAddress(), COLLATERAL_AMOUNT);
+        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, 100, duration, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
         const loanId = 0;
         await socialLending.connect(lender).fundLoan(loanId, { value: LOAN_AMOUNT });
 
         // Advance time
-        await ethers.provider.send("evm_increaseTime", [duration + 1]);
+        await ethers.provider.send("evm_increaseTime", [duration + Number(await socialLending.gracePeriod()) + 1]);
         await ethers.provider.send("evm_mine");
 
         // Other user calls it
@@ -0,0 +1,226 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Grace Period & Late Penalty", function () {
+    let socialLending;
+    let owner, borrower, lender, otherUser, mockToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+    const BASIS_POINTS = 10000n;
+    const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+        await mockToken.waitForDeployment();
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.waitForDeployment();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+        await socialLending.waitForDeployment();
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+
+        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+        await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+    });
+
+    describe("Configuration", function () {
+        it("should have a default grace period of 3 days", async function () {
+            expect(await socialLending.gracePeriod()).to.equal(3 * 24 * 60 * 60);
+        });
+
+        it("should allow owner to set the grace period", async function () {
+            await expect(timelockCall(socialLending, "setGracePeriod", [7 * 24 * 60 * 60]))
+                .to.emit(socialLending, "GracePeriodUpdated")
+                .withArgs(7 * 24 * 60 * 60);
+            expect(await socialLending.gracePeriod()).to.equal(7 * 24 * 60 * 60);
+        });
+
+        it("should revert if grace period exceeds MAX_GRACE_PERIOD", async function () {
+            const max = await socialLending.MAX_GRACE_PERIOD();
+            await expect(timelockCall(socialLending, "setGracePeriod", [max + 1n]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+
+        it("should allow owner to set the late penalty rate", async function () {
+            await expect(socialLending.setLatePenaltyRate(2000))
+                .to.emit(socialLending, "LatePenaltyRateUpdated")
+                .withArgs(2000);
+            expect(await socialLending.latePenaltyRate()).to.equal(2000);
+        });
+
+        it("should revert if late penalty rate exceeds MAX_LATE_PENALTY_RATE", async function () {
+            const max = await socialLending.MAX_LATE_PENALTY_RATE();
+            await expect(socialLending.setLatePenaltyRate(max + 1n))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+
+        it("should revert setters if called by non-owner", async function () {
+            await expect(socialLending.connect(otherUser).setGracePeriod(0))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+            await expect(socialLending.connect(otherUser).setLatePenaltyRate(0))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+    });
+
+    describe("Default Timing", function () {
+        it("should reject default during the grace period", async function () {
+            await increaseTime(DURATION + 24 * 60 * 60);
+
+            await expect(socialLending.connect(lender).declareDefault(0))
+                .to.be.revertedWithCustomError(socialLending, "LoanNotExpired");
+            await expect(socialLending.connect(otherUser).checkAndDeclareDefault(0))
+                .to.be.revertedWithCustomError(socialLending, "LoanNotExpired");
+        });
+
+        it("should allow default after the grace period ends", async function () {
+            const graceEnd = await socialLending.getGracePeriodEnd(0);
+            const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+            await increaseTime(Number(graceEnd - now) + 1);
+
+            await expect(socialLending.connect(lender).declareDefault(0))
+                .to.emit(socialLending, "DefaultDeclared")
+                .withArgs(0, lender.address);
+        });
+
+        it("should allow immediate default after maturity when grace period is zero", async function () {
+            await timelockCall(socialLending, "setGracePeriod", [0]);
+            await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+            await socialLending.connect(lender).fundLoan(1, { value: LOAN_AMOUNT });
+            await increaseTime(DURATION + 1);
+
+            await expect(socialLending.connect(otherUser).checkAndDeclareDefault(1))
+                .to.emit(socialLending, "DefaultDeclared");
+        });
+
+        it("should keep the grace period and penalty rate the loan was funded with", async function () {
+            const loan = await socialLending.loans(0);
+            expect(loan.gracePeriod).to.equal(3 * 24 * 60 * 60);
+            expect(loan.latePenaltyRate).to.equal(1000);
+
+            await timelockCall(socialLending, "setGracePeriod", [0]);
+            await socialLending.setLatePenaltyRate(5000);
+            expect(await socialLending.getGracePeriodEnd(0)).to.equal(loan.startTime + loan.duration + loan.gracePeriod);
+
+            const dueDate = await socialLending.getDueDate(0);
+            const lateSeconds = 24n * 60n * 60n;
+            const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+            await increaseTime(Number(dueDate - now + lateSeconds));
+
+            const expectedPenalty = loan.remainingRepaymentAmount * 1000n * lateSeconds / (BASIS_POINTS * SECONDS_PER_YEAR);
+            expect(await socialLending.getAmountOwed(0)).to.equal(loan.remainingRepaymentAmount + expectedPenalty);
+            await expect(socialLending.connect(otherUser).checkAndDeclareDefault(0))
+                .to.be.revertedWithCustomError(socialLending, "LoanNotExpired");
+        });
+    });
+
+    describe("Late Penalty", function () {
+        it("should not charge a penalty before maturity", async function () {
+            const loan = await socialLending.loans(0);
+            expect(await socialLending.getAmountOwed(0)).to.equal(loan.remainingRepaymentAmount);
+        });
+
+        it("should accrue a penalty on the remaining balance during the grace period", async function () {
+            const loan = await socialLending.loans(0);
+            const dueDate = await socialLending.getDueDate(0);
+            const lateSeconds = 24n * 60n * 60n;
+            const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+            await increaseTime(Number(dueDate - now + lateSeconds));
+
+            const expectedPenalty = loan.remainingRepaymentAmount * 1000n * lateSeconds / (BASIS_POINTS * SECONDS_PER_YEAR);
+            expect(await socialLending.getAmountOwed(0)).to.equal(loan.remainingRepaymentAmount + expectedPenalty);
+        });
+
+        it("should stop accruing the penalty at the end of the grace period", async function () {
+            const loan = await socialLending.loans(0);
+            const gracePeriod = await socialLending.gracePeriod();
+            await increaseTime(DURATION + 10 * 24 * 60 * 60);
+
+            const expectedPenalty = loan.remainingRepaymentAmount * 1000n * gracePeriod / (BASIS_POINTS * SECONDS_PER_YEAR);
+            expect(await socialLending.getAmountOwed(0)).to.equal(loan.remainingRepaymentAmount + expectedPenalty);
+        });
+
+        it("should charge the penalty on full repayment", async function () {
+            const loan = await socialLending.loans(0);
+            await increaseTime(DURATION + 10 * 24 * 60 * 60);
+            const owed = await socialLending.getAmountOwed(0);
+            const penalty = owed - loan.remainingRepaymentAmount;
+
+            await expect(socialLending.connect(borrower).repayLoan(0, { value: owed }))
+                .to.emit(socialLending, "LatePenaltyCharged")
+                .withArgs(0, penalty, owed)
+                .and.to.emit(socialLending, "LoanRepaid")
+                .withArgs(0, borrower.address, lender.address, owed);
+
+            const updatedLoan = await socialLending.loans(0);
+            expect(updatedLoan.state).to.equal(2); // Repaid
+            expect(updatedLoan.repaymentAmount).to.equal(loan.repaymentAmount + penalty);
+        });
+
+        it("should leave the loan funded if only the original balance is paid late", async function () {
+            const loan = await socialLending.loans(0);
+            await increaseTime(DURATION + 10 * 24 * 60 * 60);
+
+            await socialLending.connect(borrower).repayLoan(0, { value: loan.remainingRepaymentAmount });
+
+            const updatedLoan = await socialLending.loans(0);
+            expect(updatedLoan.state).to.equal(1); // Still Funded
+            expect(updatedLoan.remainingRepaymentAmount).to.be.gt(0);
+        });
+
+        it("should not charge the same penalty period twice", async function () {
+            const loan = await socialLending.loans(0);
+            await increaseTime(DURATION + 10 * 24 * 60 * 60);
+
+            const partialAmount = loan.remainingRepaymentAmount / 2n;
+            await socialLending.connect(borrower).repayLoan(0, { value: partialAmount });
+            const afterPartial = await socialLending.loans(0);
+
+            // The grace period has already been fully charged
+            expect(await socialLending.getAmountOwed(0)).to.equal(afterPartial.remainingRepaymentAmount);
+            await expect(socialLending.connect(borrower).repayLoan(0, { value: afterPartial.remainingRepaymentAmount }))
+                .to.not.emit(socialLending, "LatePenaltyCharged");
+        });
+    });
+
+    describe("View Functions", function () {
+        it("should return the due date and grace period end", async function () {
+            const loan = await socialLending.loans(0);
+            const gracePeriod = await socialLending.gracePeriod();
+
+            expect(await socialLending.getDueDate(0)).to.equal(loan.startTime + loan.duration);
+            expect(await socialLending.getGracePeriodEnd(0)).to.equal(loan.startTime + loan.duration + gracePeriod);
+        });
+
+        it("should revert date views for unfunded loans", async function () {
+            await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+
+            await expect(socialLending.getDueDate(1))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanState");
+            await expect(socialLending.getGracePeriodEnd(1))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanState");
+            await expect(socialLending.getAmountOwed(1))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanState");
+        });
+    });
+});
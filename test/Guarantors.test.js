@@ -0,0 +1,322 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Guarantors", function () {
+    let socialLending;
+    let owner, borrower, lender, guarantor1, guarantor2, liquidator, otherUser, mockToken, otherToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const BORROWER_COLLATERAL = ethers.parseEther("0.5"); // 50% at 1 token = 1 ETH
+    const STAKE = ethers.parseEther("0.5");
+    const BASIS_POINTS = 10000n;
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    async function requestGuaranteedLoan(guarantors = [guarantor1.address, guarantor2.address], collateralAmount = BORROWER_COLLATERAL) {
+        return socialLending.connect(borrower).requestGuaranteedLoan({
+            principalToken: ethers.ZeroAddress,
+            amount: LOAN_AMOUNT,
+            interestRate: INTEREST_RATE,
+            duration: DURATION,
+            expiresAt: 0,
+            collateralTokens: [await mockToken.getAddress()],
+            collateralAmounts: [collateralAmount]
+        }, guarantors);
+    }
+
+    async function acceptAll(loanId = 0, stake = STAKE) {
+        await socialLending.connect(guarantor1).acceptGuarantee(loanId, await mockToken.getAddress(), stake);
+        await socialLending.connect(guarantor2).acceptGuarantee(loanId, await mockToken.getAddress(), stake);
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, guarantor1, guarantor2, liquidator, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+        otherToken = await MockToken.deploy("Other", "OTHER", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        for (const user of [borrower, guarantor1, guarantor2, otherUser]) {
+            await mockToken.mint(user.address, ethers.parseEther("1000"));
+            await mockToken.connect(user).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+        }
+    });
+
+    describe("Request", function () {
+        it("should name the guarantors without requiring the full collateral from the borrower", async function () {
+            await expect(requestGuaranteedLoan())
+                .to.emit(socialLending, "GuarantorNamed")
+                .withArgs(0, guarantor1.address)
+                .and.to.emit(socialLending, "GuarantorNamed")
+                .withArgs(0, guarantor2.address);
+
+            const [guarantors, tokens, amounts] = await socialLending.getLoanGuarantees(0);
+            expect(guarantors).to.deep.equal([guarantor1.address, guarantor2.address]);
+            expect(tokens).to.deep.equal([ethers.ZeroAddress, ethers.ZeroAddress]);
+            expect(amounts).to.deep.equal([0n, 0n]);
+        });
+
+        it("should revert for an invalid guarantor list", async function () {
+            await expect(requestGuaranteedLoan([]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            const max = await socialLending.MAX_GUARANTORS();
+            const signers = await ethers.getSigners();
+            await expect(requestGuaranteedLoan(signers.slice(7, 8 + Number(max)).map((s) => s.address)))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(requestGuaranteedLoan([ethers.ZeroAddress]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
+            await expect(requestGuaranteedLoan([borrower.address]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(requestGuaranteedLoan([guarantor1.address, guarantor1.address]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+    });
+
+    describe("Acceptance", function () {
+        beforeEach(async function () {
+            await requestGuaranteedLoan();
+        });
+
+        it("should lock the guarantor's stake", async function () {
+            const tx = socialLending.connect(guarantor1).acceptGuarantee(0, await mockToken.getAddress(), STAKE);
+            await expect(tx)
+                .to.emit(socialLending, "GuaranteeAccepted")
+                .withArgs(0, guarantor1.address, await mockToken.getAddress(), STAKE);
+            await expect(tx).to.changeTokenBalances(mockToken, [guarantor1, socialLending], [-STAKE, STAKE]);
+
+            const [, tokens, amounts] = await socialLending.getLoanGuarantees(0);
+            expect(tokens[0]).to.equal(await mockToken.getAddress());
+            expect(amounts[0]).to.equal(STAKE);
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(BORROWER_COLLATERAL + STAKE);
+            expect(await socialLending.getGuarantorLoans(guarantor1.address)).to.deep.equal([0n]);
+            expect(await socialLending.getGuarantorLoans(guarantor2.address)).to.deep.equal([]);
+        });
+
+        it("should only allow named guarantors to accept once", async function () {
+            await expect(socialLending.connect(otherUser).acceptGuarantee(0, await mockToken.getAddress(), STAKE))
+                .to.be.revertedWithCustomError(socialLending, "Unauthorized");
+
+            await socialLending.connect(guarantor1).acceptGuarantee(0, await mockToken.getAddress(), STAKE);
+            await expect(socialLending.connect(guarantor1).acceptGuarantee(0, await mockToken.getAddress(), STAKE))
+                .to.be.revertedWithCustomError(socialLending, "GuaranteeAlreadyAccepted");
+        });
+
+        it("should revert for invalid stakes", async function () {
+            await expect(socialLending.connect(guarantor1).acceptGuarantee(0, await mockToken.getAddress(), 0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidCollateral");
+            await expect(socialLending.connect(guarantor1).acceptGuarantee(0, await otherToken.getAddress(), STAKE))
+                .to.be.revertedWithCustomError(socialLending, "TokenNotAllowed");
+        });
+
+        it("should revert once the loan is no longer requested", async function () {
+            await socialLending.connect(borrower).cancelLoanRequest(0);
+            await expect(socialLending.connect(guarantor1).acceptGuarantee(0, await mockToken.getAddress(), STAKE))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanState");
+        });
+    });
+
+    describe("Funding", function () {
+        beforeEach(async function () {
+            await requestGuaranteedLoan();
+        });
+
+        it("should not fund the loan until every guarantor has accepted", async function () {
+            await socialLending.connect(guarantor1).acceptGuarantee(0, await mockToken.getAddress(), STAKE);
+
+            await expect(socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "GuaranteePending");
+            await expect(socialLending.connect(lender).fundLoanPartial(0, LOAN_AMOUNT, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "GuaranteePending");
+        });
+
+        it("should count the stakes toward the collateral requirement", async function () {
+            await acceptAll();
+
+            await expect(socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "LoanFunded");
+
+            const loan = await socialLending.loans(0);
+            expect(await socialLending.getCollateralizationRatio(0))
+                .to.equal(ethers.parseEther("1.5") * BASIS_POINTS / loan.remainingRepaymentAmount);
+        });
+
+        it("should revert if the combined collateral is insufficient", async function () {
+            await acceptAll(0, ethers.parseEther("0.4"));
+
+            await expect(socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+        });
+    });
+
+    describe("Withdrawal", function () {
+        beforeEach(async function () {
+            await requestGuaranteedLoan(undefined, ethers.parseEther("1"));
+            await acceptAll();
+        });
+
+        it("should not let the borrower withdraw against the guarantors' stakes", async function () {
+            // 1 ETH of own collateral is below 150%, even though the stakes cover the rest
+            await expect(socialLending.connect(borrower).withdrawCollateral(0, await mockToken.getAddress(), 1))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            await expect(socialLending.connect(borrower).withdrawCollateral(0, await mockToken.getAddress(), 1))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+        });
+
+        it("should let the borrower withdraw surplus of their own collateral", async function () {
+            await socialLending.connect(borrower).addCollateral(0, await mockToken.getAddress(), ethers.parseEther("0.6"));
+
+            await expect(socialLending.connect(borrower).withdrawCollateral(0, await mockToken.getAddress(), ethers.parseEther("0.1")))
+                .to.emit(socialLending, "CollateralWithdrawn");
+            await expect(socialLending.connect(borrower).withdrawCollateral(0, await mockToken.getAddress(), 1))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+        });
+
+        it("should let a guarantor withdraw their stake before funding", async function () {
+            const tx = socialLending.connect(guarantor1).withdrawGuarantee(0);
+            await expect(tx)
+                .to.emit(socialLending, "GuaranteeReleased")
+                .withArgs(0, guarantor1.address, await mockToken.getAddress(), STAKE);
+            await expect(tx).to.changeTokenBalances(mockToken, [guarantor1, socialLending], [STAKE, -STAKE]);
+
+            const [, , amounts] = await socialLending.getLoanGuarantees(0);
+            expect(amounts).to.deep.equal([0n, STAKE]);
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(ethers.parseEther("1") + STAKE);
+
+            await expect(socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "GuaranteePending");
+        });
+
+        it("should let a guarantor accept again after withdrawing", async function () {
+            await socialLending.connect(guarantor1).withdrawGuarantee(0);
+            await socialLending.connect(guarantor1).acceptGuarantee(0, await mockToken.getAddress(), STAKE);
+
+            expect(await socialLending.getGuarantorLoans(guarantor1.address)).to.deep.equal([0n]);
+            await expect(socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "LoanFunded");
+        });
+
+        it("should revert for callers without a stake or once the loan is funded", async function () {
+            await expect(socialLending.connect(otherUser).withdrawGuarantee(0))
+                .to.be.revertedWithCustomError(socialLending, "Unauthorized");
+            await socialLending.connect(guarantor1).withdrawGuarantee(0);
+            await expect(socialLending.connect(guarantor1).withdrawGuarantee(0))
+                .to.be.revertedWithCustomError(socialLending, "GuaranteePending");
+
+            await socialLending.connect(guarantor1).acceptGuarantee(0, await mockToken.getAddress(), STAKE);
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            await expect(socialLending.connect(guarantor2).withdrawGuarantee(0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanState");
+        });
+    });
+
+    describe("Settlement", function () {
+        beforeEach(async function () {
+            await requestGuaranteedLoan();
+            await acceptAll();
+        });
+
+        it("should release the stakes when the request is cancelled", async function () {
+            const tx = socialLending.connect(borrower).cancelLoanRequest(0);
+            await expect(tx)
+                .to.emit(socialLending, "GuaranteeReleased")
+                .withArgs(0, guarantor1.address, await mockToken.getAddress(), STAKE);
+            await expect(tx).to.changeTokenBalances(mockToken, [borrower, guarantor1, guarantor2], [BORROWER_COLLATERAL, STAKE, STAKE]);
+
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(0);
+            expect(await socialLending.getGuarantorLoans(guarantor1.address)).to.deep.equal([]);
+        });
+
+        it("should release the stakes when the loan is repaid", async function () {
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            expect(await socialLending.getGuarantorLoans(guarantor2.address)).to.deep.equal([0n]);
+
+            const loan = await socialLending.loans(0);
+            const tx = socialLending.connect(borrower).repayLoan(0, { value: loan.remainingRepaymentAmount });
+            await expect(tx)
+                .to.emit(socialLending, "GuaranteeReleased")
+                .withArgs(0, guarantor2.address, await mockToken.getAddress(), STAKE);
+            await expect(tx).to.changeTokenBalances(mockToken, [guarantor1, guarantor2], [STAKE, STAKE]);
+
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(0);
+            expect(await socialLending.getGuarantorLoans(guarantor2.address)).to.deep.equal([]);
+        });
+
+        it("should seize the stakes only for the debt the borrower's collateral does not cover", async function () {
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            await increaseTime(DURATION + 10 * 24 * 60 * 60);
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // refresh the stale price
+
+            const debt = await socialLending.getAmountOwed(0);
+            const shortfall = debt - BORROWER_COLLATERAL;
+            const seized = STAKE * shortfall / (STAKE * 2n);
+
+            const tx = socialLending.connect(lender).declareDefault(0);
+            await expect(tx)
+                .to.emit(socialLending, "GuaranteeSeized")
+                .withArgs(0, guarantor1.address, await mockToken.getAddress(), seized);
+            await expect(tx).to.changeTokenBalances(
+                mockToken,
+                [lender, guarantor1, guarantor2],
+                [seized * 2n, STAKE - seized, STAKE - seized]
+            );
+
+            // The borrower's collateral is auctioned for the rest of the debt
+            expect((await socialLending.collateralAuctions(0)).debt).to.equal(debt - shortfall);
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(BORROWER_COLLATERAL);
+        });
+
+        it("should return the stakes in full if the borrower's collateral covers the debt", async function () {
+            await requestGuaranteedLoan([guarantor1.address], ethers.parseEther("2"));
+            await socialLending.connect(guarantor1).acceptGuarantee(1, await mockToken.getAddress(), STAKE);
+            await socialLending.connect(lender).fundLoan(1, { value: LOAN_AMOUNT });
+            await increaseTime(DURATION + 10 * 24 * 60 * 60);
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // refresh the stale price
+
+            const debt = await socialLending.getAmountOwed(1);
+            const tx = socialLending.connect(lender).declareDefault(1);
+            await expect(tx).to.not.emit(socialLending, "GuaranteeSeized");
+            await expect(tx).to.changeTokenBalances(mockToken, [lender, guarantor1], [0, STAKE]);
+            expect((await socialLending.collateralAuctions(1)).debt).to.equal(debt);
+        });
+
+        it("should seize the borrower's collateral before the stakes on liquidation", async function () {
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("0.75", 8));
+
+            const loan = await socialLending.loans(0);
+            const debt = loan.remainingRepaymentAmount;
+            const basketValue = await socialLending.getCollateralValueInETH(await mockToken.getAddress(), BORROWER_COLLATERAL);
+            const stakeValue = 2n * await socialLending.getCollateralValueInETH(await mockToken.getAddress(), STAKE);
+            const seizeValue = debt * (BASIS_POINTS + 500n) / BASIS_POINTS;
+            const seizedStake = STAKE * (seizeValue - basketValue) / stakeValue;
+
+            const tx = socialLending.connect(liquidator).liquidate(0, { value: debt });
+            await expect(tx)
+                .to.emit(socialLending, "LoanLiquidated")
+                .withArgs(0, liquidator.address, debt, seizeValue, basketValue + stakeValue - seizeValue);
+            await expect(tx).to.changeTokenBalances(
+                mockToken,
+                [liquidator, borrower, guarantor1, guarantor2],
+                [BORROWER_COLLATERAL + seizedStake * 2n, 0, STAKE - seizedStake, STAKE - seizedStake]
+            );
+        });
+    });
+});
@@ -0,0 +1,223 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Installment Loans", function () {
+    let socialLending;
+    let owner, borrower, lender, otherUser, mockToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const INSTALLMENTS = 4;
+    const INTERVAL = 28 * 24 * 60 * 60; // 28 days
+    const DURATION = INSTALLMENTS * INTERVAL;
+    const GRACE_PERIOD = 3 * 24 * 60 * 60; // default grace period
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    async function requestInstallmentLoan(installments = INSTALLMENTS, overrides = {}) {
+        return socialLending.connect(borrower).requestInstallmentLoan({
+            principalToken: ethers.ZeroAddress,
+            amount: LOAN_AMOUNT,
+            interestRate: INTEREST_RATE,
+            duration: DURATION,
+            expiresAt: 0,
+            collateralTokens: [await mockToken.getAddress()],
+            collateralAmounts: [COLLATERAL_AMOUNT],
+            ...overrides
+        }, installments);
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+    });
+
+    describe("Configuration", function () {
+        it("should allow owner to set the missed installments threshold", async function () {
+            expect(await socialLending.missedInstallmentsForDefault()).to.equal(2);
+            await expect(socialLending.setMissedInstallmentsForDefault(3))
+                .to.emit(socialLending, "MissedInstallmentsForDefaultUpdated")
+                .withArgs(3);
+            expect(await socialLending.missedInstallmentsForDefault()).to.equal(3);
+        });
+
+        it("should revert if the threshold is out of range or caller is not owner", async function () {
+            await expect(socialLending.setMissedInstallmentsForDefault(0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(socialLending.setMissedInstallmentsForDefault((await socialLending.MAX_INSTALLMENTS()) + 1n))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(socialLending.connect(otherUser).setMissedInstallmentsForDefault(3))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+    });
+
+    describe("Request", function () {
+        it("should record the installment schedule", async function () {
+            await expect(requestInstallmentLoan())
+                .to.emit(socialLending, "InstallmentScheduleCreated")
+                .withArgs(0, INSTALLMENTS);
+            expect(await socialLending.installmentCount(0)).to.equal(INSTALLMENTS);
+
+            const loan = await socialLending.loans(0);
+            const [dueDates, amounts] = await socialLending.getInstallmentSchedule(0);
+            expect(dueDates.map(Number)).to.deep.equal([1, 2, 3, 4].map((i) => i * INTERVAL));
+            expect(amounts.reduce((a, b) => a + b, 0n)).to.equal(loan.repaymentAmount);
+            expect(amounts[0]).to.equal(loan.repaymentAmount / 4n);
+        });
+
+        it("should reject invalid installment counts", async function () {
+            await expect(requestInstallmentLoan(1))
+                .to.be.revertedWithCustomError(socialLending, "InvalidInstallmentCount");
+            await expect(requestInstallmentLoan(Number(await socialLending.MAX_INSTALLMENTS()) + 1))
+                .to.be.revertedWithCustomError(socialLending, "InvalidInstallmentCount");
+            // Installments closer than a day apart
+            await expect(requestInstallmentLoan(4, { duration: 3 * 24 * 60 * 60 }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidInstallmentCount");
+        });
+
+        it("should treat plain requests as single-payment loans", async function () {
+            await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            const loan = await socialLending.loans(0);
+
+            const [dueDate, amountDue] = await socialLending.getNextInstallment(0);
+            expect(dueDate).to.equal(loan.startTime + loan.duration);
+            expect(amountDue).to.equal(loan.remainingRepaymentAmount);
+            expect(await socialLending.installmentCount(0)).to.equal(0);
+        });
+    });
+
+    describe("Repayment", function () {
+        let loan, installment;
+
+        beforeEach(async function () {
+            await requestInstallmentLoan();
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            loan = await socialLending.loans(0);
+            installment = loan.repaymentAmount / 4n;
+        });
+
+        it("should return the first installment as next due", async function () {
+            const [dueDate, amountDue] = await socialLending.getNextInstallment(0);
+            expect(dueDate).to.equal(loan.startTime + BigInt(INTERVAL));
+            expect(amountDue).to.equal(installment);
+        });
+
+        it("should apply partial payments to installments in order", async function () {
+            const partial = installment / 2n;
+            await socialLending.connect(borrower).repayLoan(0, { value: partial });
+
+            let [dueDate, amountDue] = await socialLending.getNextInstallment(0);
+            expect(dueDate).to.equal(loan.startTime + BigInt(INTERVAL));
+            expect(amountDue).to.equal(installment - partial);
+
+            // Overpaying the first installment carries into the second
+            await socialLending.connect(borrower).repayLoan(0, { value: installment });
+            [dueDate, amountDue] = await socialLending.getNextInstallment(0);
+            expect(dueDate).to.equal(loan.startTime + BigInt(2 * INTERVAL));
+            expect(amountDue).to.equal(loan.repaymentAmount * 2n / 4n - partial - installment);
+        });
+
+        it("should count overdue unpaid installments", async function () {
+            expect(await socialLending.getMissedInstallments(0)).to.equal(0);
+
+            // Each installment gets the grace period before it counts as missed
+            await increaseTime(INTERVAL + 1);
+            expect(await socialLending.getMissedInstallments(0)).to.equal(0);
+            await increaseTime(GRACE_PERIOD);
+            expect(await socialLending.getMissedInstallments(0)).to.equal(1);
+
+            await socialLending.connect(borrower).repayLoan(0, { value: installment });
+            expect(await socialLending.getMissedInstallments(0)).to.equal(0);
+
+            await increaseTime(2 * INTERVAL);
+            expect(await socialLending.getMissedInstallments(0)).to.equal(2);
+        });
+
+        it("should keep the schedule when late penalties are charged", async function () {
+            await increaseTime(DURATION + 24 * 60 * 60);
+            await socialLending.connect(borrower).repayLoan(0, { value: installment });
+
+            const charged = await socialLending.loans(0);
+            expect(charged.repaymentAmount).to.be.gt(loan.repaymentAmount);
+            const [, amounts] = await socialLending.getInstallmentSchedule(0);
+            expect(amounts.reduce((a, b) => a + b, 0n)).to.equal(loan.repaymentAmount);
+            expect(amounts[0]).to.equal(installment);
+
+            // The penalty is due with the last installment
+            await socialLending.connect(borrower).repayLoan(0, { value: loan.repaymentAmount * 3n / 4n - installment });
+            const [dueDate, amountDue] = await socialLending.getNextInstallment(0);
+            expect(dueDate).to.equal(loan.startTime + BigInt(DURATION));
+            expect(amountDue).to.equal((await socialLending.loans(0)).remainingRepaymentAmount);
+            expect(amountDue).to.be.gt(installment);
+        });
+    });
+
+    describe("Default", function () {
+        beforeEach(async function () {
+            await requestInstallmentLoan();
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+        });
+
+        it("should not allow default after a single missed installment", async function () {
+            await increaseTime(INTERVAL + GRACE_PERIOD + 1);
+            await expect(socialLending.connect(lender).declareDefault(0))
+                .to.be.revertedWithCustomError(socialLending, "LoanNotExpired");
+        });
+
+        it("should allow default before maturity once enough installments are missed", async function () {
+            await increaseTime(2 * INTERVAL + GRACE_PERIOD + 1);
+
+            await expect(socialLending.connect(otherUser).checkAndDeclareDefault(0))
+                .to.emit(socialLending, "DefaultDeclared")
+                .withArgs(0, lender.address);
+            expect((await socialLending.loans(0)).state).to.equal(3); // Defaulted
+        });
+
+        it("should not allow default while the second missed installment is within its grace period", async function () {
+            await increaseTime(2 * INTERVAL + 1);
+
+            await expect(socialLending.connect(lender).declareDefault(0))
+                .to.be.revertedWithCustomError(socialLending, "LoanNotExpired");
+        });
+
+        it("should not allow default while installments are kept current", async function () {
+            const loan = await socialLending.loans(0);
+            await increaseTime(INTERVAL + 1);
+            await socialLending.connect(borrower).repayLoan(0, { value: loan.repaymentAmount / 4n });
+            await increaseTime(INTERVAL);
+            await socialLending.connect(borrower).repayLoan(0, { value: loan.repaymentAmount / 4n });
+
+            await expect(socialLending.connect(lender).declareDefault(0))
+                .to.be.revertedWithCustomError(socialLending, "LoanNotExpired");
+        });
+
+        it("should respect a higher configured threshold", async function () {
+            await socialLending.setMissedInstallmentsForDefault(3);
+            await increaseTime(2 * INTERVAL + GRACE_PERIOD + 1);
+
+            await expect(socialLending.connect(lender).declareDefault(0))
+                .to.be.revertedWithCustomError(socialLending, "LoanNotExpired");
+        });
+    });
+});
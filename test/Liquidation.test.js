@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Liquidation", function () {
+    let socialLending;
+    let owner, borrower, lender, liquidator, mockToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("2"); // 200% at 1 token = 1 ETH
+    const BASIS_POINTS = 10000n;
+
+    beforeEach(async function () {
+        [owner, borrower, lender, liquidator] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+        await mockToken.waitForDeployment();
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.waitForDeployment();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+        await socialLending.waitForDeployment();
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+
+        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+        await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+    });
+
+    describe("Configuration", function () {
+        it("should have default liquidation parameters", async function () {
+            expect(await socialLending.liquidationThreshold()).to.equal(12000);
+            expect(await socialLending.liquidationBonus()).to.equal(500);
+        });
+
+        it("should allow owner to set the liquidation threshold", async function () {
+            await expect(timelockCall(socialLending, "setLiquidationThreshold", [11000]))
+                .to.emit(socialLending, "LiquidationThresholdUpdated")
+                .withArgs(11000);
+            expect(await socialLending.liquidationThreshold()).to.equal(11000);
+        });
+
+        it("should revert if the liquidation threshold is out of range", async function () {
+            await expect(timelockCall(socialLending, "setLiquidationThreshold", [9999]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(timelockCall(socialLending, "setLiquidationThreshold", [20001]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+
+        it("should revert if the liquidation threshold is not below the collateral ratio", async function () {
+            const ratio = await socialLending.collateralRatio();
+            await expect(timelockCall(socialLending, "setLiquidationThreshold", [ratio]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+
+        it("should allow owner to set the liquidation bonus", async function () {
+            await expect(timelockCall(socialLending, "setLiquidationBonus", [1000]))
+                .to.emit(socialLending, "LiquidationBonusUpdated")
+                .withArgs(1000);
+            expect(await socialLending.liquidationBonus()).to.equal(1000);
+        });
+
+        it("should revert if the liquidation bonus exceeds MAX_LIQUIDATION_BONUS", async function () {
+            const max = await socialLending.MAX_LIQUIDATION_BONUS();
+            await expect(timelockCall(socialLending, "setLiquidationBonus", [max + 1n]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+
+        it("should revert setters if called by non-owner", async function () {
+            await expect(socialLending.connect(liquidator).setLiquidationThreshold(11000))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+            await expect(socialLending.connect(liquidator).setLiquidationBonus(1000))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+    });
+
+    describe("Liquidate", function () {
+        it("should revert while the collateralization ratio is above the threshold", async function () {
+            const loan = await socialLending.loans(0);
+            await expect(socialLending.connect(liquidator).liquidate(0, { value: loan.remainingRepaymentAmount }))
+                .to.be.revertedWithCustomError(socialLending, "CollateralSufficient");
+        });
+
+        it("should revert if the payment does not cover the debt", async function () {
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("0.55", 8));
+            const loan = await socialLending.loans(0);
+
+            await expect(socialLending.connect(liquidator).liquidate(0, { value: loan.remainingRepaymentAmount - 1n }))
+                .to.be.revertedWithCustomError(socialLending, "IncorrectFundingAmount");
+        });
+
+        it("should revert for loans that are not funded", async function () {
+            await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+            await expect(socialLending.connect(liquidator).liquidate(1, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanState");
+        });
+
+        it("should pay the lender and split the collateral between liquidator and borrower", async function () {
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("0.55", 8));
+            const loan = await socialLending.loans(0);
+            const debt = loan.remainingRepaymentAmount;
+            const collateralValue = await socialLending.getCollateralValueInETH(await mockToken.getAddress(), COLLATERAL_AMOUNT);
+            const seizeValue = debt * (BASIS_POINTS + 500n) / BASIS_POINTS;
+            const seizeAmount = COLLATERAL_AMOUNT * seizeValue / collateralValue;
+            const surplus = COLLATERAL_AMOUNT - seizeAmount;
+
+            const borrowerTokensBefore = await mockToken.balanceOf(borrower.address);
+            const tx = socialLending.connect(liquidator).liquidate(0, { value: debt + ethers.parseEther("0.5") });
+            await expect(tx)
+                .to.emit(socialLending, "LoanLiquidated")
+                .withArgs(0, liquidator.address, debt, seizeValue, collateralValue - seizeValue);
+            await expect(tx).to.changeEtherBalance(liquidator, -debt);
+
+            // Accounting invariants
+            expect(seizeAmount + surplus).to.equal(COLLATERAL_AMOUNT);
+            expect(await mockToken.balanceOf(liquidator.address)).to.equal(seizeAmount);
+            expect(await mockToken.balanceOf(borrower.address)).to.equal(borrowerTokensBefore + surplus);
+            expect(await socialLending.pendingWithdrawals(lender.address)).to.equal(debt);
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(0);
+
+            const updatedLoan = await socialLending.loans(0);
+            expect(updatedLoan.state).to.equal(5); // Liquidated
+            expect(updatedLoan.remainingRepaymentAmount).to.equal(0);
+            expect(await socialLending.borrowerActiveLoans(borrower.address)).to.equal(0);
+            expect(await socialLending.lenderActiveLoans(lender.address)).to.equal(0);
+        });
+
+        it("should give the liquidator all collateral when the loan is underwater", async function () {
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("0.5", 8));
+            const loan = await socialLending.loans(0);
+
+            await expect(socialLending.connect(liquidator).liquidate(0, { value: loan.remainingRepaymentAmount }))
+                .to.emit(socialLending, "LoanLiquidated")
+                .withArgs(0, liquidator.address, loan.remainingRepaymentAmount, ethers.parseEther("1"), 0);
+
+            expect(await mockToken.balanceOf(liquidator.address)).to.equal(COLLATERAL_AMOUNT);
+        });
+
+        it("should count liquidations separately from defaults", async function () {
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("0.55", 8));
+            const loan = await socialLending.loans(0);
+            await socialLending.connect(liquidator).liquidate(0, { value: loan.remainingRepaymentAmount });
+
+            const stats = await socialLending.getStats();
+            expect(stats.activeLoans).to.equal(0);
+            expect(stats.defaultedLoans).to.equal(0);
+            expect(stats.liquidatedLoans).to.equal(1);
+        });
+
+        it("should not allow liquidating a loan twice", async function () {
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("0.55", 8));
+            const loan = await socialLending.loans(0);
+            await socialLending.connect(liquidator).liquidate(0, { value: loan.remainingRepaymentAmount });
+
+            await expect(socialLending.connect(liquidator).liquidate(0, { value: loan.remainingRepaymentAmount }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanState");
+        });
+
+        it("should revert when paused", async function () {
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("0.55", 8));
+            await socialLending.pause();
+            const loan = await socialLending.loans(0);
+
+            await expect(socialLending.connect(liquidator).liquidate(0, { value: loan.remainingRepaymentAmount }))
+                .to.be.revertedWith("Pausable: paused");
+        });
+    });
+});
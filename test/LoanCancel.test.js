@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
 
 describe("Loan Cancellation", function () {
     let socialLending;
@@ -25,14 +27,13 @@ describe("Loan Cancellation", function () {
         await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
 
         // Deploy Social Lending
-        const SocialLending = await ethers.getContractFactory("SocialLendingWithCollateral");
-        socialLending = await SocialLending.deploy(owner.address);
+        socialLending = await deploySocialLending(owner.address);
         await socialLending.waitForDeployment();
 
         // Setup collateral
-        await socialLending.setCollateralTokenStatus(await mockToken.getAddress(), true);
-        await socialLending.setCollateralTokenDecimals(await mockToken.getAddress(), 18);
-        await socialLending.setPriceFeed(await mockToken.getAddress(), await mockPriceFeed.getAddress());
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
 
         // Mint tokens to borrower
         await mockToken.mint(borrower.address, ethers.parseEther("1000"));
@@ -40,7 +41,7 @@ describe("Loan Cancellation", function () {
     });
 
     it("should allow borrower to cancel a requested loan", async function () {
-        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT);
+        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
         const loanId = 0;
 
         // Check initial collateral balance of contract
@@ -60,7 +61,7 @@ describe("Loan Cancellation", function () {
     });
 
     it("should revert if trying to cancel a funded loan", async function () {
-        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT);
+        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
         const loanId = 0;
 
         await socialLending.connect(lender).fundLoan(loanId, { value: LOAN_AMOUNT });
@@ -70,7 +71,7 @@ describe("Loan Cancellation", function () {
     });
 
     it("should revert if user tries to cancel another user's loan", async function () {
-        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT);
+        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
         const loanId = 0;
 
         await expect(socialLending.connect(otherUser).cancelLoanRequest(loanId))
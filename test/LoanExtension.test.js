@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Loan Extensions", function () {
+    let socialLending;
+    let owner, borrower, lender, otherUser, mockToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const NEW_DURATION = 60 * 24 * 60 * 60; // 60 days
+    const NEW_RATE = 1200; // 12%
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+    const BASIS_POINTS = 10000n;
+    const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+    function repaymentFor(amount, rate, duration) {
+        return amount + amount * BigInt(rate) * BigInt(duration) / (BASIS_POINTS * SECONDS_PER_YEAR);
+    }
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+
+        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+        await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+    });
+
+    describe("proposeExtension", function () {
+        it("should record a proposal that expires", async function () {
+            const tx = await socialLending.connect(borrower).proposeExtension(0, NEW_DURATION, NEW_RATE);
+            const now = BigInt((await ethers.provider.getBlock(tx.blockNumber)).timestamp);
+            const expiresAt = now + await socialLending.EXTENSION_PROPOSAL_PERIOD();
+
+            await expect(tx)
+                .to.emit(socialLending, "ExtensionProposed")
+                .withArgs(0, NEW_DURATION, NEW_RATE, expiresAt);
+
+            const proposal = await socialLending.extensionProposals(0);
+            expect(proposal.newDuration).to.equal(NEW_DURATION);
+            expect(proposal.newInterestRate).to.equal(NEW_RATE);
+            expect(proposal.expiresAt).to.equal(expiresAt);
+        });
+
+        it("should reject invalid terms", async function () {
+            const max = await socialLending.MAX_LOAN_DURATION();
+            await expect(socialLending.connect(borrower).proposeExtension(0, DURATION, NEW_RATE))
+                .to.be.revertedWithCustomError(socialLending, "InvalidDuration");
+            await expect(socialLending.connect(borrower).proposeExtension(0, max + 1n, NEW_RATE))
+                .to.be.revertedWithCustomError(socialLending, "InvalidDuration");
+            await expect(socialLending.connect(borrower).proposeExtension(0, NEW_DURATION, 0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidInterestRate");
+            await expect(socialLending.connect(borrower).proposeExtension(0, NEW_DURATION, 2001))
+                .to.be.revertedWithCustomError(socialLending, "InvalidInterestRate");
+        });
+
+        it("should only be callable by the borrower of a funded loan", async function () {
+            await expect(socialLending.connect(lender).proposeExtension(0, NEW_DURATION, NEW_RATE))
+                .to.be.revertedWithCustomError(socialLending, "Unauthorized");
+
+            await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+            await expect(socialLending.connect(borrower).proposeExtension(1, NEW_DURATION, NEW_RATE))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanState");
+        });
+    });
+
+    describe("acceptExtension", function () {
+        beforeEach(async function () {
+            await socialLending.connect(borrower).proposeExtension(0, NEW_DURATION, NEW_RATE);
+        });
+
+        it("should recompute the repayment amount with the new terms", async function () {
+            const newRepayment = repaymentFor(LOAN_AMOUNT, NEW_RATE, NEW_DURATION);
+
+            await expect(socialLending.connect(lender).acceptExtension(0))
+                .to.emit(socialLending, "ExtensionAccepted")
+                .withArgs(0, NEW_DURATION, NEW_RATE, newRepayment);
+
+            const loan = await socialLending.loans(0);
+            expect(loan.duration).to.equal(NEW_DURATION);
+            expect(loan.interestRate).to.equal(NEW_RATE);
+            expect(loan.repaymentAmount).to.equal(newRepayment);
+            expect(loan.remainingRepaymentAmount).to.equal(newRepayment);
+            expect(await socialLending.getDueDate(0)).to.equal(loan.startTime + BigInt(NEW_DURATION));
+            expect((await socialLending.extensionProposals(0)).expiresAt).to.equal(0);
+        });
+
+        it("should carry over partial repayments", async function () {
+            const paid = ethers.parseEther("0.4");
+            await socialLending.connect(borrower).repayLoan(0, { value: paid });
+
+            await socialLending.connect(lender).acceptExtension(0);
+            const loan = await socialLending.loans(0);
+            expect(loan.remainingRepaymentAmount).to.equal(repaymentFor(LOAN_AMOUNT, NEW_RATE, NEW_DURATION) - paid);
+        });
+
+        it("should keep late penalties already charged", async function () {
+            await increaseTime(DURATION + 24 * 60 * 60);
+            await socialLending.connect(borrower).proposeExtension(0, NEW_DURATION, NEW_RATE);
+
+            const receipt = await (await socialLending.connect(lender).acceptExtension(0)).wait();
+            const charged = receipt.logs
+                .map((log) => socialLending.interface.parseLog(log))
+                .find((event) => event && event.name === "LatePenaltyCharged");
+            const penalty = charged.args.penaltyAmount;
+            expect(penalty).to.be.gt(0);
+
+            const loan = await socialLending.loans(0);
+            expect(loan.repaymentAmount).to.equal(repaymentFor(LOAN_AMOUNT, NEW_RATE, NEW_DURATION) + penalty);
+            // No further penalty until the new maturity
+            expect(await socialLending.getAmountOwed(0)).to.equal(loan.remainingRepaymentAmount);
+        });
+
+        it("should reject expired proposals", async function () {
+            await increaseTime(Number(await socialLending.EXTENSION_PROPOSAL_PERIOD()) + 1);
+            await expect(socialLending.connect(lender).acceptExtension(0))
+                .to.be.revertedWithCustomError(socialLending, "NoPendingExtension");
+        });
+
+        it("should not accept the same proposal twice", async function () {
+            await socialLending.connect(lender).acceptExtension(0);
+            await expect(socialLending.connect(lender).acceptExtension(0))
+                .to.be.revertedWithCustomError(socialLending, "NoPendingExtension");
+        });
+
+        it("should only be callable by the lender", async function () {
+            await expect(socialLending.connect(borrower).acceptExtension(0))
+                .to.be.revertedWithCustomError(socialLending, "Unauthorized");
+        });
+
+        it("should require the lender to hold every note of a syndicated loan", async function () {
+            await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+            await socialLending.connect(lender).fundLoanPartial(1, ethers.parseEther("0.5"), { value: ethers.parseEther("0.5") });
+            await socialLending.connect(otherUser).fundLoanPartial(1, ethers.parseEther("0.5"), { value: ethers.parseEther("0.5") });
+            await socialLending.connect(borrower).proposeExtension(1, NEW_DURATION, NEW_RATE);
+
+            await expect(socialLending.connect(lender).acceptExtension(1))
+                .to.be.revertedWithCustomError(socialLending, "Unauthorized");
+        });
+    });
+
+    describe("Pending proposals", function () {
+        it("should leave the loan defaultable at its original maturity", async function () {
+            await increaseTime(DURATION - 24 * 60 * 60);
+            await socialLending.connect(borrower).proposeExtension(0, NEW_DURATION, NEW_RATE);
+            await increaseTime(24 * 60 * 60 + Number(await socialLending.gracePeriod()) + 1);
+
+            await expect(socialLending.connect(lender).declareDefault(0))
+                .to.emit(socialLending, "DefaultDeclared");
+            await expect(socialLending.connect(lender).acceptExtension(0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanState");
+        });
+    });
+});
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Loan Notes", function () {
+    let socialLending, loanNote;
+    let owner, borrower, lender, buyer, otherUser, mockToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    function decodeTokenURI(uri) {
+        const prefix = "data:application/json;base64,";
+        expect(uri.startsWith(prefix)).to.be.true;
+        return JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString());
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, buyer, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+        loanNote = await ethers.getContractAt("LoanNote", await socialLending.loanNote());
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+
+        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+    });
+
+    describe("Issuance", function () {
+        it("should mint a note to the lender on fundLoan", async function () {
+            await expect(socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "LoanNoteIssued")
+                .withArgs(0, 0, lender.address, LOAN_AMOUNT)
+                .and.to.emit(loanNote, "Transfer")
+                .withArgs(ethers.ZeroAddress, lender.address, 0);
+
+            expect(await loanNote.ownerOf(0)).to.equal(lender.address);
+            expect(await socialLending.getLoanNotes(0)).to.deep.equal([0n]);
+            expect(await socialLending.noteLoanId(0)).to.equal(0);
+            expect(await socialLending.noteShares(0)).to.equal(LOAN_AMOUNT);
+        });
+
+        it("should mint one note per syndicate lender", async function () {
+            await socialLending.connect(lender).fundLoanPartial(0, ethers.parseEther("0.4"), { value: ethers.parseEther("0.4") });
+            await socialLending.connect(otherUser).fundLoanPartial(0, ethers.parseEther("0.6"), { value: ethers.parseEther("0.6") });
+
+            expect(await socialLending.getLoanNotes(0)).to.deep.equal([0n, 1n]);
+            expect(await loanNote.ownerOf(1)).to.equal(otherUser.address);
+            expect(await socialLending.noteShares(1)).to.equal(ethers.parseEther("0.6"));
+        });
+
+        it("should only let the lending contract mint notes", async function () {
+            expect(await loanNote.issuer()).to.equal(await socialLending.getAddress());
+            await expect(loanNote.connect(lender).mint(lender.address, 99))
+                .to.be.revertedWithCustomError(loanNote, "NotNoteIssuer");
+            await expect(socialLending.connect(lender).onNoteTransfer(lender.address, buyer.address, 0))
+                .to.be.revertedWithCustomError(socialLending, "Unauthorized");
+        });
+    });
+
+    describe("Transfers", function () {
+        beforeEach(async function () {
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            await loanNote.connect(lender).transferFrom(lender.address, buyer.address, 0);
+        });
+
+        it("should move the position between lender indexes", async function () {
+            expect(await socialLending.getLenderLoans(lender.address)).to.deep.equal([]);
+            expect(await socialLending.lenderActiveLoans(lender.address)).to.equal(0);
+            expect(await socialLending.getLenderLoans(buyer.address)).to.deep.equal([0n]);
+            expect(await socialLending.lenderActiveLoans(buyer.address)).to.equal(1);
+            expect((await socialLending.loans(0)).lender).to.equal(buyer.address);
+        });
+
+        it("should pay repayments to the note holder", async function () {
+            const loan = await socialLending.loans(0);
+            await socialLending.connect(borrower).repayLoan(0, { value: loan.remainingRepaymentAmount });
+            expect(await socialLending.pendingWithdrawals(buyer.address)).to.equal(loan.remainingRepaymentAmount);
+            expect(await socialLending.pendingWithdrawals(lender.address)).to.equal(0);
+            expect(await socialLending.lenderActiveLoans(buyer.address)).to.equal(0);
+        });
+
+        it("should transfer unsold defaulted collateral to the note holder", async function () {
+            await increaseTime(DURATION + Number(await socialLending.gracePeriod()) + 1);
+
+            await expect(socialLending.connect(lender).declareDefault(0))
+                .to.be.revertedWithCustomError(socialLending, "Unauthorized");
+            await socialLending.connect(buyer).declareDefault(0);
+            await increaseTime(Number(await socialLending.auctionDuration()) + 1);
+
+            await expect(socialLending.connect(lender).claimUnsoldCollateral(0))
+                .to.changeTokenBalance(mockToken, buyer, COLLATERAL_AMOUNT);
+        });
+
+        it("should keep indexes consistent when a note returns to its original holder", async function () {
+            await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+            await socialLending.connect(lender).fundLoan(1, { value: LOAN_AMOUNT });
+            await loanNote.connect(buyer).transferFrom(buyer.address, lender.address, 0);
+
+            expect([...await socialLending.getLenderLoans(lender.address)]).to.have.members([0n, 1n]);
+            expect(await socialLending.lenderActiveLoans(lender.address)).to.equal(2);
+            expect(await socialLending.getLenderLoans(buyer.address)).to.deep.equal([]);
+            expect(await socialLending.lenderActiveLoans(buyer.address)).to.equal(0);
+        });
+
+        it("should not change active loan counts for settled loans", async function () {
+            const loan = await socialLending.loans(0);
+            await socialLending.connect(borrower).repayLoan(0, { value: loan.remainingRepaymentAmount });
+
+            await loanNote.connect(buyer).transferFrom(buyer.address, otherUser.address, 0);
+            expect(await socialLending.lenderActiveLoans(buyer.address)).to.equal(0);
+            expect(await socialLending.lenderActiveLoans(otherUser.address)).to.equal(0);
+        });
+    });
+
+    describe("Metadata", function () {
+        it("should expose the loan terms and state", async function () {
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            const loan = await socialLending.loans(0);
+
+            let metadata = decodeTokenURI(await loanNote.tokenURI(0));
+            const attributes = Object.fromEntries(metadata.attributes.map((a) => [a.trait_type, a.value]));
+            expect(metadata.name).to.equal("Loan Note #0");
+            expect(attributes["Loan ID"]).to.equal(0);
+            expect(attributes["State"]).to.equal("Funded");
+            expect(attributes["Principal Token"]).to.equal(ethers.ZeroAddress);
+            expect(BigInt(attributes["Interest Rate"])).to.equal(BigInt(INTEREST_RATE));
+            expect(BigInt(attributes["Duration"])).to.equal(BigInt(DURATION));
+            expect(BigInt(attributes["Start Time"])).to.equal(loan.startTime);
+
+            await socialLending.connect(borrower).repayLoan(0, { value: loan.remainingRepaymentAmount });
+            metadata = decodeTokenURI(await loanNote.tokenURI(0));
+            expect(metadata.attributes.find((a) => a.trait_type === "State").value).to.equal("Repaid");
+        });
+
+        it("should revert for notes that do not exist", async function () {
+            await expect(loanNote.tokenURI(0)).to.be.revertedWith("ERC721: invalid token ID");
+            await expect(socialLending.getNoteDetails(0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+    });
+});
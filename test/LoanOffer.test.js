@@ -0,0 +1,263 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Loan Offers", function () {
+    let socialLending;
+    let owner, borrower, lender, feeRecipient, otherUser, mockToken, otherToken, mockPriceFeed;
+    const OFFER_AMOUNT = ethers.parseEther("3");
+    const MAX_AMOUNT = ethers.parseEther("2");
+    const INTEREST_RATE = 800; // 8%
+    const MAX_DURATION = 90 * 24 * 60 * 60; // 90 days
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const BASIS_POINTS = 10000n;
+    const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+    beforeEach(async function () {
+        [owner, borrower, lender, feeRecipient, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+        await mockToken.waitForDeployment();
+        otherToken = await MockToken.deploy("Other", "OTHER", 18);
+        await otherToken.waitForDeployment();
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.waitForDeployment();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(feeRecipient.address);
+        await socialLending.waitForDeployment();
+
+        for (const token of [mockToken, otherToken]) {
+            await timelockCall(socialLending, "setCollateralTokenStatus", [await token.getAddress(), true]);
+            await timelockCall(socialLending, "setCollateralTokenDecimals", [await token.getAddress(), 18]);
+            await timelockCall(socialLending, "setPriceFeed", [await token.getAddress(), await mockPriceFeed.getAddress()]);
+        }
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+    });
+
+    async function createOffer(ratio = 20000) {
+        return socialLending.connect(lender).createLoanOffer(
+            MAX_AMOUNT,
+            INTEREST_RATE,
+            MAX_DURATION,
+            [await mockToken.getAddress()],
+            [ratio],
+            { value: OFFER_AMOUNT }
+        );
+    }
+
+    describe("Create Offer", function () {
+        it("should create an offer and escrow the principal", async function () {
+            await expect(createOffer())
+                .to.emit(socialLending, "LoanOfferCreated")
+                .withArgs(0, lender.address, OFFER_AMOUNT, MAX_AMOUNT, INTEREST_RATE, MAX_DURATION);
+
+            const offer = await socialLending.loanOffers(0);
+            expect(offer.lender).to.equal(lender.address);
+            expect(offer.state).to.equal(0); // Open
+            expect(offer.availableAmount).to.equal(OFFER_AMOUNT);
+            expect(await socialLending.offerCount()).to.equal(1);
+            expect(await socialLending.lockedETH()).to.equal(OFFER_AMOUNT);
+            expect(await ethers.provider.getBalance(await socialLending.getAddress())).to.equal(OFFER_AMOUNT);
+
+            const [tokens, ratios] = await socialLending.getOfferCollateralTokens(0);
+            expect(tokens).to.deep.equal([await mockToken.getAddress()]);
+            expect(ratios).to.deep.equal([20000n]);
+        });
+
+        it("should revert with invalid terms", async function () {
+            const token = await mockToken.getAddress();
+            await expect(socialLending.connect(lender).createLoanOffer(MAX_AMOUNT, INTEREST_RATE, MAX_DURATION, [token], [15000]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidAmount");
+            await expect(socialLending.connect(lender).createLoanOffer(MAX_AMOUNT, 2001, MAX_DURATION, [token], [15000], { value: OFFER_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidInterestRate");
+            await expect(socialLending.connect(lender).createLoanOffer(MAX_AMOUNT, INTEREST_RATE, 0, [token], [15000], { value: OFFER_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidDuration");
+            await expect(socialLending.connect(lender).createLoanOffer(MAX_AMOUNT, INTEREST_RATE, MAX_DURATION, [token], [], { value: OFFER_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(socialLending.connect(lender).createLoanOffer(MAX_AMOUNT, INTEREST_RATE, MAX_DURATION, [token], [9999], { value: OFFER_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(socialLending.connect(lender).createLoanOffer(MAX_AMOUNT, INTEREST_RATE, MAX_DURATION, [token, token], [15000, 15000], { value: OFFER_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+
+        it("should revert if a collateral token is not allowed", async function () {
+            await expect(socialLending.connect(lender).createLoanOffer(MAX_AMOUNT, INTEREST_RATE, MAX_DURATION, [otherUser.address], [15000], { value: OFFER_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "TokenNotAllowed");
+        });
+    });
+
+    describe("Cancel Offer", function () {
+        beforeEach(async function () {
+            await createOffer();
+        });
+
+        it("should refund the unused escrow to the lender", async function () {
+            const tx = socialLending.connect(lender).cancelLoanOffer(0);
+            await expect(tx)
+                .to.emit(socialLending, "LoanOfferCancelled")
+                .withArgs(0, lender.address, OFFER_AMOUNT);
+            await expect(tx).to.changeEtherBalance(lender, OFFER_AMOUNT);
+
+            const offer = await socialLending.loanOffers(0);
+            expect(offer.state).to.equal(2); // Cancelled
+            expect(offer.availableAmount).to.equal(0);
+            expect(await socialLending.lockedETH()).to.equal(0);
+        });
+
+        it("should refund only the remainder after partial use", async function () {
+            await socialLending.connect(borrower).acceptOffer(0, ethers.parseEther("1"), DURATION, await mockToken.getAddress(), ethers.parseEther("2"));
+
+            await expect(socialLending.connect(lender).cancelLoanOffer(0))
+                .to.changeEtherBalance(lender, ethers.parseEther("2"));
+        });
+
+        it("should revert if called by someone other than the lender", async function () {
+            await expect(socialLending.connect(otherUser).cancelLoanOffer(0))
+                .to.be.revertedWithCustomError(socialLending, "Unauthorized");
+        });
+
+        it("should revert if the offer is already cancelled", async function () {
+            await socialLending.connect(lender).cancelLoanOffer(0);
+            await expect(socialLending.connect(lender).cancelLoanOffer(0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidOfferState");
+        });
+
+        it("should revert for a non-existent offer", async function () {
+            await expect(socialLending.connect(lender).cancelLoanOffer(99))
+                .to.be.revertedWithCustomError(socialLending, "InvalidOfferId");
+        });
+    });
+
+    describe("Accept Offer", function () {
+        beforeEach(async function () {
+            await createOffer();
+        });
+
+        it("should create a funded loan in one transaction", async function () {
+            const amount = ethers.parseEther("1");
+            const collateralAmount = ethers.parseEther("2");
+            const fee = amount * 100n / BASIS_POINTS;
+
+            const tx = socialLending.connect(borrower).acceptOffer(0, amount, DURATION, await mockToken.getAddress(), collateralAmount);
+            await expect(tx)
+                .to.emit(socialLending, "LoanOfferAccepted")
+                .withArgs(0, 0, borrower.address, amount)
+                .and.to.emit(socialLending, "LoanFunded")
+                .withArgs(0, lender.address);
+            await expect(tx).to.changeEtherBalance(borrower, amount - fee);
+            expect(await socialLending.pendingWithdrawals(feeRecipient.address)).to.equal(fee);
+
+            const interest = amount * BigInt(INTEREST_RATE) / BASIS_POINTS * BigInt(DURATION) / SECONDS_PER_YEAR;
+            const loan = await socialLending.loans(0);
+            expect(loan.borrower).to.equal(borrower.address);
+            expect(loan.lender).to.equal(lender.address);
+            expect(loan.state).to.equal(1); // Funded
+            expect(loan.principalAmount).to.equal(amount);
+            expect(loan.interestRate).to.equal(INTEREST_RATE);
+            expect(loan.repaymentAmount).to.equal(amount + interest);
+            expect(loan.startTime).to.not.equal(0);
+
+            const offer = await socialLending.loanOffers(0);
+            expect(offer.availableAmount).to.equal(OFFER_AMOUNT - amount);
+            expect(offer.state).to.equal(0); // Still Open
+
+            expect(await socialLending.lockedETH()).to.equal(OFFER_AMOUNT - amount);
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(collateralAmount);
+            expect(await socialLending.borrowerActiveLoans(borrower.address)).to.equal(1);
+            expect(await socialLending.lenderActiveLoans(lender.address)).to.equal(1);
+            expect(await socialLending.getBorrowerLoans(borrower.address)).to.deep.equal([0n]);
+            expect(await socialLending.getLenderLoans(lender.address)).to.deep.equal([0n]);
+            expect((await socialLending.getStats()).activeLoans).to.equal(1);
+        });
+
+        it("should mark the offer as filled when the escrow is used up", async function () {
+            const token = await mockToken.getAddress();
+            await socialLending.connect(borrower).acceptOffer(0, ethers.parseEther("2"), DURATION, token, ethers.parseEther("4"));
+            await socialLending.connect(borrower).acceptOffer(0, ethers.parseEther("1"), DURATION, token, ethers.parseEther("2"));
+
+            const offer = await socialLending.loanOffers(0);
+            expect(offer.state).to.equal(1); // Filled
+            expect(offer.availableAmount).to.equal(0);
+
+            await expect(socialLending.connect(borrower).acceptOffer(0, ethers.parseEther("1"), DURATION, token, ethers.parseEther("2")))
+                .to.be.revertedWithCustomError(socialLending, "InvalidOfferState");
+        });
+
+        it("should allow the loan to be repaid like any other loan", async function () {
+            await socialLending.connect(borrower).acceptOffer(0, ethers.parseEther("1"), DURATION, await mockToken.getAddress(), ethers.parseEther("2"));
+            const loan = await socialLending.loans(0);
+
+            await expect(socialLending.connect(borrower).repayLoan(0, { value: loan.remainingRepaymentAmount }))
+                .to.emit(socialLending, "LoanRepaid")
+                .withArgs(0, borrower.address, lender.address, loan.remainingRepaymentAmount);
+        });
+
+        it("should enforce the offer's minimum collateral ratio", async function () {
+            // 1.8 tokens = 180% < 200% required by the offer
+            await expect(socialLending.connect(borrower).acceptOffer(0, ethers.parseEther("1"), DURATION, await mockToken.getAddress(), ethers.parseEther("1.8")))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+        });
+
+        it("should enforce the platform collateral ratio when the offer's ratio is lower", async function () {
+            await createOffer(11000);
+            // 1.2 tokens = 120% < 150% platform ratio
+            await expect(socialLending.connect(borrower).acceptOffer(1, ethers.parseEther("1"), DURATION, await mockToken.getAddress(), ethers.parseEther("1.2")))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+        });
+
+        it("should revert if the collateral token is not accepted by the offer", async function () {
+            await expect(socialLending.connect(borrower).acceptOffer(0, ethers.parseEther("1"), DURATION, await otherToken.getAddress(), ethers.parseEther("2")))
+                .to.be.revertedWithCustomError(socialLending, "TokenNotAllowed");
+        });
+
+        it("should revert if the amount exceeds the offer limits", async function () {
+            const token = await mockToken.getAddress();
+            await expect(socialLending.connect(borrower).acceptOffer(0, MAX_AMOUNT + 1n, DURATION, token, ethers.parseEther("10")))
+                .to.be.revertedWithCustomError(socialLending, "OfferAmountExceeded");
+
+            await socialLending.connect(borrower).acceptOffer(0, ethers.parseEther("2"), DURATION, token, ethers.parseEther("4"));
+            await expect(socialLending.connect(borrower).acceptOffer(0, ethers.parseEther("1.5"), DURATION, token, ethers.parseEther("4")))
+                .to.be.revertedWithCustomError(socialLending, "OfferAmountExceeded");
+        });
+
+        it("should revert if the duration exceeds the offer's maximum", async function () {
+            await expect(socialLending.connect(borrower).acceptOffer(0, ethers.parseEther("1"), MAX_DURATION + 1, await mockToken.getAddress(), ethers.parseEther("2")))
+                .to.be.revertedWithCustomError(socialLending, "InvalidDuration");
+        });
+
+        it("should apply the platform borrowing limits", async function () {
+            await socialLending.setMaxActiveLoansPerBorrower(1);
+            const token = await mockToken.getAddress();
+            await socialLending.connect(borrower).acceptOffer(0, ethers.parseEther("1"), DURATION, token, ethers.parseEther("2"));
+
+            await expect(socialLending.connect(borrower).acceptOffer(0, ethers.parseEther("1"), DURATION, token, ethers.parseEther("2")))
+                .to.be.revertedWithCustomError(socialLending, "TooManyActiveLoans");
+        });
+
+        it("should revert if the lender accepts their own offer", async function () {
+            await expect(socialLending.connect(lender).acceptOffer(0, ethers.parseEther("1"), DURATION, await mockToken.getAddress(), ethers.parseEther("2")))
+                .to.be.revertedWithCustomError(socialLending, "SelfFunding");
+        });
+
+        it("should revert for a cancelled offer", async function () {
+            await socialLending.connect(lender).cancelLoanOffer(0);
+            await expect(socialLending.connect(borrower).acceptOffer(0, ethers.parseEther("1"), DURATION, await mockToken.getAddress(), ethers.parseEther("2")))
+                .to.be.revertedWithCustomError(socialLending, "InvalidOfferState");
+        });
+    });
+
+    describe("Escrow Protection", function () {
+        it("should prevent rescuing escrowed offer funds", async function () {
+            await createOffer();
+            await expect(timelockCall(socialLending, "rescueETH", [1, owner.address]))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientUnlockedBalance");
+        });
+    });
+});
@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Loan Queries", function () {
+    let socialLending, loanNote;
+    let owner, borrower, otherBorrower, lender, buyer, mockToken, otherToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+
+    // Bitmasks of LoanState values
+    const REQUESTED = 1 << 0;
+    const FUNDED = 1 << 1;
+    const REPAID = 1 << 2;
+    const CANCELLED = 1 << 4;
+
+    function ids(page) {
+        return page.map((item) => item.loanId);
+    }
+
+    async function requestLoan(signer) {
+        return socialLending.connect(signer).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, otherBorrower, lender, buyer] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+        otherToken = await MockToken.deploy("Other", "OTHER", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+        loanNote = await ethers.getContractAt("LoanNote", await socialLending.loanNote());
+
+        for (const token of [mockToken, otherToken]) {
+            await timelockCall(socialLending, "setCollateralTokenStatus", [await token.getAddress(), true]);
+            await timelockCall(socialLending, "setCollateralTokenDecimals", [await token.getAddress(), 18]);
+            await timelockCall(socialLending, "setPriceFeed", [await token.getAddress(), await mockPriceFeed.getAddress()]);
+            for (const user of [borrower, otherBorrower]) {
+                await token.mint(user.address, ethers.parseEther("1000"));
+                await token.connect(user).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+            }
+        }
+
+        // 0: funded, 1: repaid, 2: requested (borrower), 3: cancelled (otherBorrower)
+        await requestLoan(borrower);
+        await requestLoan(borrower);
+        await requestLoan(borrower);
+        await requestLoan(otherBorrower);
+        await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+        await socialLending.connect(lender).fundLoan(1, { value: LOAN_AMOUNT });
+        const loan = await socialLending.loans(1);
+        await socialLending.connect(borrower).repayLoan(1, { value: loan.repaymentAmount });
+        await socialLending.connect(otherBorrower).cancelLoanRequest(3);
+    });
+
+    describe("getLoans", function () {
+        it("should return every loan with its full struct", async function () {
+            const [page, nextCursor] = await socialLending.getLoans(0, 10, 0);
+            expect(nextCursor).to.equal(4);
+            expect(ids(page)).to.deep.equal([0n, 1n, 2n, 3n]);
+            for (const item of page) {
+                expect(item.loan).to.deep.equal(await socialLending.loans(item.loanId));
+            }
+        });
+
+        it("should filter by state", async function () {
+            let [page, nextCursor] = await socialLending.getLoans(0, 10, FUNDED);
+            expect(nextCursor).to.equal(4);
+            expect(ids(page)).to.deep.equal([0n]);
+
+            [page] = await socialLending.getLoans(0, 10, REQUESTED | CANCELLED);
+            expect(ids(page)).to.deep.equal([2n, 3n]);
+
+            [page] = await socialLending.getLoans(0, 10, REPAID | FUNDED);
+            expect(ids(page)).to.deep.equal([0n, 1n]);
+        });
+
+        it("should stop scanning once the page is full and continue from the cursor", async function () {
+            let [page, nextCursor] = await socialLending.getLoans(0, 2, 0);
+            expect(ids(page)).to.deep.equal([0n, 1n]);
+            expect(nextCursor).to.equal(2);
+
+            [page, nextCursor] = await socialLending.getLoans(nextCursor, 2, 0);
+            expect(ids(page)).to.deep.equal([2n, 3n]);
+            expect(nextCursor).to.equal(4);
+
+            [page, nextCursor] = await socialLending.getLoans(nextCursor, 2, 0);
+            expect(page.length).to.equal(0);
+            expect(nextCursor).to.equal(4);
+        });
+
+        it("should page the filtered list by cursor", async function () {
+            let [page, nextCursor] = await socialLending.getLoans(0, 1, REQUESTED | CANCELLED);
+            expect(ids(page)).to.deep.equal([2n]);
+            expect(nextCursor).to.equal(3);
+
+            [page, nextCursor] = await socialLending.getLoans(nextCursor, 1, REQUESTED | CANCELLED);
+            expect(ids(page)).to.deep.equal([3n]);
+            expect(nextCursor).to.equal(4);
+
+            // A cursor past the last loan returns an empty page
+            [page, nextCursor] = await socialLending.getLoans(10, 10, 0);
+            expect(page.length).to.equal(0);
+            expect(nextCursor).to.equal(10);
+        });
+
+        it("should revert for invalid page sizes", async function () {
+            const max = await socialLending.MAX_PAGE_SIZE();
+            await expect(socialLending.getLoans(0, 0, 0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(socialLending.getLoans(0, max + 1n, 0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+    });
+
+    describe("Derived Fields", function () {
+        it("should report the due date, amount owed and collateral ratio of funded loans", async function () {
+            const [page] = await socialLending.getLoans(0, 10, 0);
+            const funded = page[0];
+            expect(funded.dueDate).to.equal(await socialLending.getDueDate(0));
+            expect(funded.overdue).to.be.false;
+            expect(funded.amountOwed).to.equal(await socialLending.getAmountOwed(0));
+            expect(funded.ratioAvailable).to.be.true;
+            expect(funded.collateralizationRatio).to.equal(await socialLending.getCollateralizationRatio(0));
+            const [liquidationRatio, liquidatable] = await socialLending.getLiquidationRatio(0);
+            expect(funded.liquidationRatio).to.equal(liquidationRatio);
+            expect(funded.liquidatable).to.equal(liquidatable).and.to.be.false;
+
+            // Closed loans keep their due date but have no live figures
+            const repaid = page[1];
+            expect(repaid.dueDate).to.equal(repaid.loan.startTime + repaid.loan.duration);
+            expect(repaid.amountOwed).to.equal(0);
+            expect(repaid.ratioAvailable).to.be.false;
+            expect(repaid.liquidationRatio).to.equal(0);
+            expect(repaid.liquidatable).to.be.false;
+
+            // Requests have not started yet
+            expect(page[2].dueDate).to.equal(0);
+        });
+
+        it("should flag overdue loans and skip the ratio while the price is stale", async function () {
+            await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
+            await ethers.provider.send("evm_mine");
+
+            const [page] = await socialLending.getLoans(0, 10, FUNDED);
+            expect(page[0].overdue).to.be.true;
+            expect(page[0].amountOwed).to.equal(await socialLending.getAmountOwed(0));
+            expect(page[0].ratioAvailable).to.be.false;
+            expect(page[0].collateralizationRatio).to.equal(0);
+
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8));
+            const [refreshed] = await socialLending.getLoans(0, 10, FUNDED);
+            expect(refreshed[0].ratioAvailable).to.be.true;
+        });
+    });
+
+    describe("User History", function () {
+        it("should return the borrower's full history including closed loans", async function () {
+            let [page, total] = await socialLending.getBorrowerHistory(borrower.address, 0, 10);
+            expect(total).to.equal(3);
+            expect(ids(page)).to.deep.equal([0n, 1n, 2n]);
+            expect(page[1].loan.state).to.equal(2); // Repaid
+
+            [page, total] = await socialLending.getBorrowerHistory(otherBorrower.address, 0, 10);
+            expect(total).to.equal(1);
+            expect(page[0].loan.state).to.equal(4); // Cancelled
+
+            [page] = await socialLending.getBorrowerHistory(borrower.address, 2, 10);
+            expect(ids(page)).to.deep.equal([2n]);
+        });
+
+        it("should keep closed and transferred positions in the lender's history", async function () {
+            await loanNote.connect(lender).transferFrom(lender.address, buyer.address, 0);
+
+            // Active positions only list what is still held
+            expect(await socialLending.getLenderLoans(lender.address)).to.deep.equal([]);
+
+            const [page, total] = await socialLending.getLenderHistory(lender.address, 0, 10);
+            expect(total).to.equal(2);
+            expect(ids(page)).to.deep.equal([0n, 1n]);
+
+            const [buyerPage] = await socialLending.getLenderHistory(buyer.address, 0, 10);
+            expect(ids(buyerPage)).to.deep.equal([0n]);
+        });
+
+        it("should not list a loan twice when a note comes back", async function () {
+            await loanNote.connect(lender).transferFrom(lender.address, buyer.address, 0);
+            await loanNote.connect(buyer).transferFrom(buyer.address, lender.address, 0);
+
+            const [page] = await socialLending.getLenderHistory(lender.address, 0, 10);
+            expect(ids(page)).to.deep.equal([0n, 1n]);
+        });
+    });
+
+    describe("getLoansByCollateralToken", function () {
+        it("should list the loans that have used a collateral token", async function () {
+            await socialLending.connect(borrower).addCollateral(2, await otherToken.getAddress(), ethers.parseEther("1"));
+
+            let [page, total] = await socialLending.getLoansByCollateralToken(await mockToken.getAddress(), 0, 10);
+            expect(total).to.equal(4);
+            expect(ids(page)).to.deep.equal([0n, 1n, 2n, 3n]);
+
+            [page, total] = await socialLending.getLoansByCollateralToken(await otherToken.getAddress(), 0, 10);
+            expect(total).to.equal(1);
+            expect(ids(page)).to.deep.equal([2n]);
+        });
+
+        it("should not list a loan twice when a token is withdrawn and added again", async function () {
+            const token = await otherToken.getAddress();
+            await socialLending.connect(borrower).addCollateral(2, token, ethers.parseEther("1"));
+            await socialLending.connect(borrower).withdrawCollateral(2, token, ethers.parseEther("1"));
+            await socialLending.connect(borrower).addCollateral(2, token, ethers.parseEther("1"));
+
+            const [page, total] = await socialLending.getLoansByCollateralToken(token, 0, 10);
+            expect(total).to.equal(1);
+            expect(ids(page)).to.deep.equal([2n]);
+        });
+    });
+});
@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Oracle", function () {
+    let socialLending;
+    let owner, borrower, otherUser, mockToken, primaryFeed, secondaryFeed, ethUsdFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+    const HOUR = 60 * 60;
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    async function now() {
+        return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    async function setOracleConfig(overrides = {}) {
+        return timelockCall(socialLending, "setOracleConfig", [await mockToken.getAddress(), {
+            secondaryFeed: await secondaryFeed.getAddress(),
+            maxDeviation: 0,
+            usdQuoted: false,
+            ...overrides
+        }]);
+    }
+
+    async function requestLoan() {
+        return socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        primaryFeed = await MockPriceFeed.deploy();
+        secondaryFeed = await MockPriceFeed.deploy();
+        ethUsdFeed = await MockPriceFeed.deploy();
+        await primaryFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+        await secondaryFeed.setLatestPrice(ethers.parseUnits("0.9", 8)); // 0.9 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await primaryFeed.getAddress()]);
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+    });
+
+    describe("Configuration", function () {
+        it("should set a feed heartbeat through the timelock", async function () {
+            const feed = await primaryFeed.getAddress();
+            await expect(timelockCall(socialLending, "setFeedHeartbeat", [feed, 24 * HOUR]))
+                .to.emit(socialLending, "FeedHeartbeatUpdated")
+                .withArgs(feed, 24 * HOUR);
+            expect(await socialLending.feedHeartbeats(feed)).to.equal(24 * HOUR);
+        });
+
+        it("should revert for invalid heartbeats", async function () {
+            const max = await socialLending.MAX_FEED_HEARTBEAT();
+            await expect(timelockCall(socialLending, "setFeedHeartbeat", [await primaryFeed.getAddress(), max + 1n]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(timelockCall(socialLending, "setFeedHeartbeat", [ethers.ZeroAddress, HOUR]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
+            await expect(socialLending.connect(otherUser).setFeedHeartbeat(await primaryFeed.getAddress(), HOUR))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+
+        it("should set the oracle configuration of a token", async function () {
+            await expect(setOracleConfig({ maxDeviation: 500 }))
+                .to.emit(socialLending, "OracleConfigUpdated")
+                .withArgs(await mockToken.getAddress(), await secondaryFeed.getAddress(), 500, false);
+
+            const config = await socialLending.oracleConfigs(await mockToken.getAddress());
+            expect(config.secondaryFeed).to.equal(await secondaryFeed.getAddress());
+            expect(config.maxDeviation).to.equal(500);
+            expect(config.usdQuoted).to.be.false;
+        });
+
+        it("should revert for invalid oracle configurations", async function () {
+            const max = await socialLending.MAX_PRICE_DEVIATION();
+            await expect(setOracleConfig({ maxDeviation: max + 1n }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(timelockCall(socialLending, "setOracleConfig", [ethers.ZeroAddress, {
+                secondaryFeed: ethers.ZeroAddress,
+                maxDeviation: 0,
+                usdQuoted: false
+            }])).to.be.revertedWithCustomError(socialLending, "InvalidAddress");
+            await expect(timelockCall(socialLending, "setEthUsdPriceFeed", [ethers.ZeroAddress]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
+        });
+
+        it("should timelock the oracle configuration and the ETH/USD feed", async function () {
+            const config = { secondaryFeed: await secondaryFeed.getAddress(), maxDeviation: 0, usdQuoted: false };
+            await expect(socialLending.setOracleConfig(await mockToken.getAddress(), config))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            await expect(socialLending.setEthUsdPriceFeed(await ethUsdFeed.getAddress()))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+
+            const data = socialLending.interface.encodeFunctionData("setEthUsdPriceFeed", [await ethUsdFeed.getAddress()]);
+            await socialLending.queueChange(data);
+            await increaseTime(Number(await socialLending.timelockMinDelay()));
+            await socialLending.executeChange(data);
+            expect(await socialLending.ethUsdPriceFeed()).to.equal(await ethUsdFeed.getAddress());
+        });
+    });
+
+    describe("Heartbeats", function () {
+        it("should apply PRICE_FEED_TIMEOUT to feeds without a heartbeat", async function () {
+            await primaryFeed.setUpdatedAt(await now() - 2 * HOUR);
+            await expect(requestLoan())
+                .to.be.revertedWithCustomError(socialLending, "StaleData");
+        });
+
+        it("should accept answers within the feed's own heartbeat", async function () {
+            await timelockCall(socialLending, "setFeedHeartbeat", [await primaryFeed.getAddress(), 24 * HOUR]);
+            await primaryFeed.setUpdatedAt(await now() - 23 * HOUR);
+            await expect(requestLoan()).to.emit(socialLending, "LoanRequested");
+
+            await increaseTime(2 * HOUR);
+            await expect(requestLoan())
+                .to.be.revertedWithCustomError(socialLending, "StaleData");
+        });
+    });
+
+    describe("Secondary Feed", function () {
+        beforeEach(async function () {
+            await setOracleConfig();
+        });
+
+        it("should use the primary feed while it is valid", async function () {
+            expect(await socialLending.getPriceInETH(await mockToken.getAddress())).to.equal(ethers.parseEther("1"));
+        });
+
+        it("should fall back to the secondary feed when the primary is stale", async function () {
+            await primaryFeed.setUpdatedAt(await now() - 2 * HOUR);
+            expect(await socialLending.getPriceInETH(await mockToken.getAddress())).to.equal(ethers.parseEther("0.9"));
+            expect(await socialLending.getCollateralValueInETH(await mockToken.getAddress(), COLLATERAL_AMOUNT))
+                .to.equal(ethers.parseEther("1.8"));
+            await expect(requestLoan()).to.emit(socialLending, "LoanRequested");
+        });
+
+        it("should fall back to the secondary feed when the primary reverts or is invalid", async function () {
+            await primaryFeed.setReverting(true);
+            expect(await socialLending.getPriceInETH(await mockToken.getAddress())).to.equal(ethers.parseEther("0.9"));
+
+            await primaryFeed.setReverting(false);
+            await primaryFeed.setLatestPrice(0);
+            expect(await socialLending.getPriceInETH(await mockToken.getAddress())).to.equal(ethers.parseEther("0.9"));
+        });
+
+        it("should keep using the primary feed when the secondary is stale", async function () {
+            await secondaryFeed.setUpdatedAt(await now() - 2 * HOUR);
+            expect(await socialLending.getPriceInETH(await mockToken.getAddress())).to.equal(ethers.parseEther("1"));
+        });
+
+        it("should revert when both feeds are stale", async function () {
+            await increaseTime(2 * HOUR);
+            await expect(socialLending.getPriceInETH(await mockToken.getAddress()))
+                .to.be.revertedWithCustomError(socialLending, "StaleData");
+        });
+
+        it("should revert for a failing primary feed without a secondary", async function () {
+            await timelockCall(socialLending, "setOracleConfig", [await mockToken.getAddress(), {
+                secondaryFeed: ethers.ZeroAddress,
+                maxDeviation: 0,
+                usdQuoted: false
+            }]);
+            await primaryFeed.setReverting(true);
+            await expect(requestLoan())
+                .to.be.revertedWithCustomError(socialLending, "InvalidPriceData");
+        });
+    });
+
+    describe("Deviation Check", function () {
+        it("should revert when the feeds disagree by more than the maximum deviation", async function () {
+            await setOracleConfig({ maxDeviation: 500 });
+            // 0.9 vs 1.0 = 10% apart
+            await expect(socialLending.getPriceInETH(await mockToken.getAddress()))
+                .to.be.revertedWithCustomError(socialLending, "PriceDeviationTooHigh");
+            await expect(requestLoan())
+                .to.be.revertedWithCustomError(socialLending, "PriceDeviationTooHigh");
+        });
+
+        it("should use the primary price when the feeds agree", async function () {
+            await setOracleConfig({ maxDeviation: 1000 });
+            expect(await socialLending.getPriceInETH(await mockToken.getAddress())).to.equal(ethers.parseEther("1"));
+        });
+
+        it("should skip the check while the secondary is stale", async function () {
+            await setOracleConfig({ maxDeviation: 500 });
+            await secondaryFeed.setUpdatedAt(await now() - 2 * HOUR);
+            expect(await socialLending.getPriceInETH(await mockToken.getAddress())).to.equal(ethers.parseEther("1"));
+        });
+    });
+
+    describe("Two-Hop Pricing", function () {
+        beforeEach(async function () {
+            await primaryFeed.setLatestPrice(ethers.parseUnits("2000", 8)); // 1 MOCK = 2000 USD
+            await ethUsdFeed.setLatestPrice(ethers.parseUnits("4000", 8)); // 1 ETH = 4000 USD
+            await setOracleConfig({ secondaryFeed: ethers.ZeroAddress, usdQuoted: true });
+        });
+
+        it("should revert until the ETH/USD feed is set", async function () {
+            await expect(socialLending.getPriceInETH(await mockToken.getAddress()))
+                .to.be.revertedWithCustomError(socialLending, "PriceFeedNotAvailable");
+        });
+
+        it("should convert USD-quoted prices through the ETH/USD feed", async function () {
+            await expect(timelockCall(socialLending, "setEthUsdPriceFeed", [await ethUsdFeed.getAddress()]))
+                .to.emit(socialLending, "EthUsdPriceFeedUpdated")
+                .withArgs(await ethUsdFeed.getAddress());
+
+            expect(await socialLending.getPriceInETH(await mockToken.getAddress())).to.equal(ethers.parseEther("0.5"));
+            // 3 MOCK = 1.5 ETH, enough for a 1 ETH loan at 150%
+            await expect(socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), ethers.parseEther("3"), 0))
+                .to.emit(socialLending, "LoanRequested");
+        });
+
+        it("should handle feeds with different decimals", async function () {
+            await timelockCall(socialLending, "setEthUsdPriceFeed", [await ethUsdFeed.getAddress()]);
+            await ethUsdFeed.setDecimals(18);
+            await ethUsdFeed.setLatestPrice(ethers.parseEther("4000"));
+
+            expect(await socialLending.getPriceInETH(await mockToken.getAddress())).to.equal(ethers.parseEther("0.5"));
+        });
+
+        it("should revert when the ETH/USD feed is stale", async function () {
+            await timelockCall(socialLending, "setEthUsdPriceFeed", [await ethUsdFeed.getAddress()]);
+            await ethUsdFeed.setUpdatedAt(await now() - 2 * HOUR);
+            await expect(socialLending.getPriceInETH(await mockToken.getAddress()))
+                .to.be.revertedWithCustomError(socialLending, "StaleData");
+        });
+    });
+});
@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Pull Payments", function () {
+    let socialLending;
+    let owner, borrower, lender, feeRecipient, mockToken, mockPriceFeed, receiver;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+    const BASIS_POINTS = 10000n;
+
+    async function deployLending(feeRecipientAddress) {
+        socialLending = await deploySocialLending(feeRecipientAddress);
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, feeRecipient] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        const MaliciousReceiver = await ethers.getContractFactory("MaliciousReceiver");
+        receiver = await MaliciousReceiver.deploy();
+
+        await deployLending(feeRecipient.address);
+    });
+
+    describe("Hostile lender", function () {
+        beforeEach(async function () {
+            await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+            const data = socialLending.interface.encodeFunctionData("fundLoan", [0]);
+            await receiver.execute(await socialLending.getAddress(), data, { value: LOAN_AMOUNT });
+        });
+
+        it("should let the borrower repay and recover collateral", async function () {
+            const owed = (await socialLending.loans(0)).remainingRepaymentAmount;
+
+            const tx = socialLending.connect(borrower).repayLoan(0, { value: owed });
+            await expect(tx)
+                .to.emit(socialLending, "LoanRepaid")
+                .withArgs(0, borrower.address, await receiver.getAddress(), owed)
+                .and.to.emit(socialLending, "WithdrawalCredited")
+                .withArgs(await receiver.getAddress(), owed);
+            await expect(tx).to.changeTokenBalance(mockToken, borrower, COLLATERAL_AMOUNT);
+
+            expect((await socialLending.loans(0)).state).to.equal(2); // Repaid
+            expect(await socialLending.pendingWithdrawals(await receiver.getAddress())).to.equal(owed);
+        });
+
+        it("should let the lender withdraw once it accepts ETH", async function () {
+            const owed = (await socialLending.loans(0)).remainingRepaymentAmount;
+            await socialLending.connect(borrower).repayLoan(0, { value: owed });
+            const data = socialLending.interface.encodeFunctionData("withdraw");
+
+            await expect(receiver.execute(await socialLending.getAddress(), data))
+                .to.be.revertedWith("Address: unable to send value, recipient may have reverted");
+
+            const totalBefore = await socialLending.totalPendingWithdrawals();
+            await receiver.setRejectPayments(false);
+            await expect(receiver.execute(await socialLending.getAddress(), data))
+                .to.changeEtherBalance(receiver, owed);
+            expect(await socialLending.pendingWithdrawals(await receiver.getAddress())).to.equal(0);
+            expect(await socialLending.totalPendingWithdrawals()).to.equal(totalBefore - owed);
+        });
+    });
+
+    describe("Hostile borrower", function () {
+        it("should let the lender fund a borrower that rejects ETH", async function () {
+            const receiverAddress = await receiver.getAddress();
+            await mockToken.mint(receiverAddress, COLLATERAL_AMOUNT);
+            await receiver.execute(
+                await mockToken.getAddress(),
+                mockToken.interface.encodeFunctionData("approve", [await socialLending.getAddress(), COLLATERAL_AMOUNT])
+            );
+            await receiver.execute(
+                await socialLending.getAddress(),
+                socialLending.interface.encodeFunctionData("requestLoan", [LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0])
+            );
+
+            const fee = LOAN_AMOUNT * 100n / BASIS_POINTS;
+            await expect(socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "LoanFunded")
+                .withArgs(0, lender.address);
+            expect(await socialLending.pendingWithdrawals(receiverAddress)).to.equal(LOAN_AMOUNT - fee);
+        });
+    });
+
+    describe("Hostile fee recipient", function () {
+        it("should let loans be funded when the fee recipient rejects ETH", async function () {
+            await deployLending(await receiver.getAddress());
+            await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+
+            const fee = LOAN_AMOUNT * 100n / BASIS_POINTS;
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            expect(await socialLending.pendingWithdrawals(await receiver.getAddress())).to.equal(fee);
+            expect(await socialLending.pendingWithdrawals(borrower.address)).to.equal(LOAN_AMOUNT - fee);
+        });
+    });
+
+    describe("withdraw", function () {
+        beforeEach(async function () {
+            await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+        });
+
+        it("should pay out the credited balance", async function () {
+            const amount = await socialLending.pendingWithdrawals(borrower.address);
+
+            const tx = socialLending.connect(borrower).withdraw();
+            await expect(tx)
+                .to.emit(socialLending, "Withdrawn")
+                .withArgs(borrower.address, amount);
+            await expect(tx).to.changeEtherBalances([borrower, socialLending], [amount, -amount]);
+
+            await expect(socialLending.connect(borrower).withdraw())
+                .to.be.revertedWithCustomError(socialLending, "NothingToWithdraw");
+        });
+
+        it("should keep credited balances out of rescueETH", async function () {
+            await expect(timelockCall(socialLending, "rescueETH", [1, owner.address]))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientUnlockedBalance");
+        });
+
+        it("should allow withdrawals while paused", async function () {
+            await socialLending.pause();
+            await expect(socialLending.connect(feeRecipient).withdraw())
+                .to.emit(socialLending, "Withdrawn");
+        });
+    });
+});
@@ -0,0 +1,342 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Referrals", function () {
+    let socialLending;
+    let owner, borrower, lender, feeRecipient, borrowerReferrer, lenderReferrer, otherUser;
+    let mockToken, usdc, mockPriceFeed, usdcFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+    const BASIS_POINTS = 10000n;
+
+    // 1% platform fee, 20% of it to each referrer
+    const FEE = LOAN_AMOUNT * 100n / BASIS_POINTS;
+    const REFERRAL_CUT = FEE * 2000n / BASIS_POINTS;
+
+    async function loanParams(overrides = {}) {
+        return {
+            principalToken: ethers.ZeroAddress,
+            amount: LOAN_AMOUNT,
+            interestRate: INTEREST_RATE,
+            duration: DURATION,
+            expiresAt: 0,
+            collateralTokens: [await mockToken.getAddress()],
+            collateralAmounts: [COLLATERAL_AMOUNT],
+            ...overrides
+        };
+    }
+
+    async function requestWithReferrer(referrer, overrides = {}) {
+        return socialLending.connect(borrower).requestLoanWithReferrer(await loanParams(overrides), referrer.address);
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, feeRecipient, borrowerReferrer, lenderReferrer, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+        usdc = await MockToken.deploy("USD Coin", "USDC", 6);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        usdcFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+        await usdcFeed.setLatestPrice(ethers.parseUnits("0.0005", 8)); // 1 USDC = 0.0005 ETH
+
+        socialLending = await deploySocialLending(feeRecipient.address);
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await usdc.getAddress(), 6]);
+        await timelockCall(socialLending, "setPrincipalTokenStatus", [await usdc.getAddress(), true]);
+        await timelockCall(socialLending, "setPriceFeed", [await usdc.getAddress(), await usdcFeed.getAddress()]);
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+        await usdc.mint(lender.address, ethers.parseUnits("100000", 6));
+        await usdc.connect(lender).approve(await socialLending.getAddress(), ethers.parseUnits("100000", 6));
+
+        await socialLending.setReferrerStatus(borrowerReferrer.address, true);
+        await socialLending.setReferrerStatus(lenderReferrer.address, true);
+    });
+
+    describe("Registration", function () {
+        it("should let the treasury register and remove referrers", async function () {
+            await expect(socialLending.setReferrerStatus(otherUser.address, true))
+                .to.emit(socialLending, "ReferrerStatusUpdated")
+                .withArgs(otherUser.address, true);
+            expect(await socialLending.isReferrer(otherUser.address)).to.be.true;
+
+            await expect(socialLending.setReferrerStatus(otherUser.address, false))
+                .to.emit(socialLending, "ReferrerStatusUpdated")
+                .withArgs(otherUser.address, false);
+            expect(await socialLending.isReferrer(otherUser.address)).to.be.false;
+        });
+
+        it("should not let anyone register themselves", async function () {
+            await expect(socialLending.connect(otherUser).setReferrerStatus(otherUser.address, true))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+
+        it("should revert for the zero address or an unchanged status", async function () {
+            await expect(socialLending.setReferrerStatus(ethers.ZeroAddress, true))
+                .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
+            await expect(socialLending.setReferrerStatus(borrowerReferrer.address, true))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(socialLending.setReferrerStatus(otherUser.address, false))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+
+        it("should keep removed referrers out of new loans", async function () {
+            await socialLending.setReferrerStatus(borrowerReferrer.address, false);
+            await expect(requestWithReferrer(borrowerReferrer))
+                .to.be.revertedWithCustomError(socialLending, "InvalidReferrer");
+        });
+    });
+
+    describe("Attaching Referrers", function () {
+        it("should record the borrower's referrer on the request", async function () {
+            await expect(requestWithReferrer(borrowerReferrer))
+                .to.emit(socialLending, "LoanReferrerSet")
+                .withArgs(0, borrowerReferrer.address, true);
+
+            const referrers = await socialLending.loanReferrers(0);
+            expect(referrers.borrowerReferrer).to.equal(borrowerReferrer.address);
+            expect(referrers.lenderReferrer).to.equal(ethers.ZeroAddress);
+        });
+
+        it("should record the lender's referrer on funding", async function () {
+            await socialLending.connect(borrower).requestLoanWithParams(await loanParams());
+            await expect(socialLending.connect(lender).fundLoanWithReferrer(0, lenderReferrer.address, { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "LoanReferrerSet")
+                .withArgs(0, lenderReferrer.address, false)
+                .and.to.emit(socialLending, "LoanFunded");
+
+            expect((await socialLending.loanReferrers(0)).lenderReferrer).to.equal(lenderReferrer.address);
+        });
+
+        it("should reject unregistered referrers and self-referrals", async function () {
+            await expect(requestWithReferrer(otherUser))
+                .to.be.revertedWithCustomError(socialLending, "InvalidReferrer");
+            await expect(socialLending.connect(borrower).requestLoanWithReferrer(await loanParams(), ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(socialLending, "InvalidReferrer");
+
+            await socialLending.setReferrerStatus(borrower.address, true);
+            await socialLending.setReferrerStatus(lender.address, true);
+            await expect(requestWithReferrer(borrower))
+                .to.be.revertedWithCustomError(socialLending, "InvalidReferrer");
+
+            await socialLending.connect(borrower).requestLoanWithParams(await loanParams());
+            await expect(socialLending.connect(lender).fundLoanWithReferrer(0, lender.address, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidReferrer");
+            await expect(socialLending.connect(lender).fundLoanWithReferrer(0, borrower.address, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidReferrer");
+        });
+    });
+
+    describe("Offers and Syndicated Loans", function () {
+        async function createOfferWithReferrer(referrer) {
+            return socialLending.connect(lender).createLoanOfferWithReferrer(
+                LOAN_AMOUNT,
+                INTEREST_RATE,
+                DURATION,
+                [await mockToken.getAddress()],
+                [15000],
+                referrer.address,
+                { value: LOAN_AMOUNT }
+            );
+        }
+
+        it("should credit the offer's referrer when the offer is accepted", async function () {
+            await createOfferWithReferrer(lenderReferrer);
+            expect(await socialLending.offerReferrers(0)).to.equal(lenderReferrer.address);
+
+            await expect(socialLending.connect(borrower).acceptOffer(0, LOAN_AMOUNT, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT))
+                .to.emit(socialLending, "LoanReferrerSet")
+                .withArgs(0, lenderReferrer.address, false)
+                .and.to.emit(socialLending, "ReferralFeeCredited")
+                .withArgs(0, lenderReferrer.address, ethers.ZeroAddress, REFERRAL_CUT);
+        });
+
+        it("should reject unregistered or self referrers on offers", async function () {
+            await expect(createOfferWithReferrer(otherUser))
+                .to.be.revertedWithCustomError(socialLending, "InvalidReferrer");
+            await socialLending.setReferrerStatus(lender.address, true);
+            await expect(createOfferWithReferrer(lender))
+                .to.be.revertedWithCustomError(socialLending, "InvalidReferrer");
+
+            // The borrower cannot take the lender's referral cut
+            await socialLending.setReferrerStatus(borrower.address, true);
+            await createOfferWithReferrer(borrower);
+            await expect(socialLending.connect(borrower).acceptOffer(0, LOAN_AMOUNT, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT))
+                .to.be.revertedWithCustomError(socialLending, "InvalidReferrer");
+        });
+
+        it("should credit the lead lender's referrer when a syndicated loan is filled", async function () {
+            await socialLending.connect(borrower).requestLoanWithParams(await loanParams());
+            await expect(socialLending.connect(lender).fundLoanPartialWithReferrer(0, LOAN_AMOUNT / 2n, lenderReferrer.address, { value: LOAN_AMOUNT / 2n }))
+                .to.emit(socialLending, "LoanReferrerSet")
+                .withArgs(0, lenderReferrer.address, false);
+
+            // Later contributors cannot name a referrer
+            await expect(socialLending.connect(otherUser).fundLoanPartialWithReferrer(0, LOAN_AMOUNT / 2n, lenderReferrer.address, { value: LOAN_AMOUNT / 2n }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidReferrer");
+            await expect(socialLending.connect(otherUser).fundLoanPartial(0, LOAN_AMOUNT / 2n, { value: LOAN_AMOUNT / 2n }))
+                .to.emit(socialLending, "ReferralFeeCredited")
+                .withArgs(0, lenderReferrer.address, ethers.ZeroAddress, REFERRAL_CUT);
+        });
+
+        it("should drop the lead lender's referrer once the round is refunded", async function () {
+            await socialLending.connect(borrower).requestLoanWithParams(await loanParams());
+            await socialLending.connect(lender).fundLoanPartialWithReferrer(0, LOAN_AMOUNT / 2n, lenderReferrer.address, { value: LOAN_AMOUNT / 2n });
+            await ethers.provider.send("evm_increaseTime", [Number(await socialLending.syndicationPeriod()) + 1]);
+            await ethers.provider.send("evm_mine");
+            await socialLending.connect(lender).claimSubscriptionRefund(0);
+
+            expect((await socialLending.loanReferrers(0)).lenderReferrer).to.equal(ethers.ZeroAddress);
+            await expect(socialLending.connect(otherUser).fundLoan(0, { value: LOAN_AMOUNT }))
+                .to.not.emit(socialLending, "ReferralFeeCredited");
+        });
+    });
+
+    describe("Fee Sharing", function () {
+        it("should split the fee between the protocol and both referrers", async function () {
+            await requestWithReferrer(borrowerReferrer);
+            await expect(socialLending.connect(lender).fundLoanWithReferrer(0, lenderReferrer.address, { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "ReferralFeeCredited")
+                .withArgs(0, borrowerReferrer.address, ethers.ZeroAddress, REFERRAL_CUT)
+                .and.to.emit(socialLending, "ReferralFeeCredited")
+                .withArgs(0, lenderReferrer.address, ethers.ZeroAddress, REFERRAL_CUT);
+
+            expect(await socialLending.pendingWithdrawals(feeRecipient.address)).to.equal(FEE - REFERRAL_CUT * 2n);
+            expect(await socialLending.pendingWithdrawals(borrower.address)).to.equal(LOAN_AMOUNT - FEE);
+            expect(await socialLending.referralBalances(borrowerReferrer.address, ethers.ZeroAddress)).to.equal(REFERRAL_CUT);
+            expect(await socialLending.referralBalances(lenderReferrer.address, ethers.ZeroAddress)).to.equal(REFERRAL_CUT);
+            expect(await socialLending.totalReferralBalances(ethers.ZeroAddress)).to.equal(REFERRAL_CUT * 2n);
+        });
+
+        it("should pay the borrower's referrer when the loan is funded without a lender referrer", async function () {
+            await requestWithReferrer(borrowerReferrer);
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+
+            expect(await socialLending.pendingWithdrawals(feeRecipient.address)).to.equal(FEE - REFERRAL_CUT);
+            expect(await socialLending.getReferrerStats(borrowerReferrer.address, ethers.ZeroAddress))
+                .to.deep.equal([true, REFERRAL_CUT, REFERRAL_CUT, LOAN_AMOUNT]);
+        });
+
+        it("should pay the borrower's referrer when a syndicated loan is filled", async function () {
+            await requestWithReferrer(borrowerReferrer);
+            await socialLending.connect(lender).fundLoanPartial(0, LOAN_AMOUNT / 2n, { value: LOAN_AMOUNT / 2n });
+            await expect(socialLending.connect(otherUser).fundLoanPartial(0, LOAN_AMOUNT / 2n, { value: LOAN_AMOUNT / 2n }))
+                .to.emit(socialLending, "ReferralFeeCredited")
+                .withArgs(0, borrowerReferrer.address, ethers.ZeroAddress, REFERRAL_CUT);
+
+            expect(await socialLending.pendingWithdrawals(feeRecipient.address)).to.equal(FEE - REFERRAL_CUT);
+        });
+
+        it("should keep ERC20 referral earnings in the contract", async function () {
+            const amount = ethers.parseUnits("1000", 6);
+            const fee = amount * 100n / BASIS_POINTS;
+            const cut = fee * 2000n / BASIS_POINTS;
+            await requestWithReferrer(borrowerReferrer, { principalToken: await usdc.getAddress(), amount });
+
+            const tx = socialLending.connect(lender).fundLoanWithReferrer(0, lenderReferrer.address);
+            await expect(tx).to.changeTokenBalances(
+                usdc,
+                [lender, borrower, feeRecipient, socialLending],
+                [-amount, amount - fee, fee - cut * 2n, cut * 2n]
+            );
+
+            expect(await socialLending.referralBalances(lenderReferrer.address, await usdc.getAddress())).to.equal(cut);
+            expect(await socialLending.referredVolume(lenderReferrer.address, await usdc.getAddress())).to.equal(amount);
+        });
+
+        it("should record volume without earnings while the referral share is zero", async function () {
+            await timelockCall(socialLending, "setReferralShare", [0]);
+            await requestWithReferrer(borrowerReferrer);
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+
+            expect(await socialLending.pendingWithdrawals(feeRecipient.address)).to.equal(FEE);
+            expect(await socialLending.getReferrerStats(borrowerReferrer.address, ethers.ZeroAddress))
+                .to.deep.equal([true, 0n, 0n, LOAN_AMOUNT]);
+        });
+    });
+
+    describe("Claiming", function () {
+        beforeEach(async function () {
+            await requestWithReferrer(borrowerReferrer);
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+        });
+
+        it("should pay out the claimable ETH balance", async function () {
+            const tx = socialLending.connect(borrowerReferrer).claimReferralEarnings(ethers.ZeroAddress);
+            await expect(tx)
+                .to.emit(socialLending, "ReferralEarningsClaimed")
+                .withArgs(borrowerReferrer.address, ethers.ZeroAddress, REFERRAL_CUT);
+            await expect(tx).to.changeEtherBalance(borrowerReferrer, REFERRAL_CUT);
+
+            // Claimed earnings stay in the lifetime total
+            expect(await socialLending.getReferrerStats(borrowerReferrer.address, ethers.ZeroAddress))
+                .to.deep.equal([true, 0n, REFERRAL_CUT, LOAN_AMOUNT]);
+            expect(await socialLending.totalReferralBalances(ethers.ZeroAddress)).to.equal(0);
+        });
+
+        it("should revert when there is nothing to claim", async function () {
+            await socialLending.connect(borrowerReferrer).claimReferralEarnings(ethers.ZeroAddress);
+            await expect(socialLending.connect(borrowerReferrer).claimReferralEarnings(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(socialLending, "NothingToWithdraw");
+            await expect(socialLending.connect(borrowerReferrer).claimReferralEarnings(await usdc.getAddress()))
+                .to.be.revertedWithCustomError(socialLending, "NothingToWithdraw");
+        });
+
+        it("should keep unclaimed earnings out of rescues", async function () {
+            await socialLending.connect(feeRecipient).withdraw();
+            await socialLending.connect(borrower).withdraw();
+            expect(await ethers.provider.getBalance(await socialLending.getAddress())).to.equal(REFERRAL_CUT);
+
+            await expect(timelockCall(socialLending, "rescueETH", [1, owner.address]))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientUnlockedBalance");
+        });
+
+        it("should keep unclaimed ERC20 earnings out of rescues", async function () {
+            const amount = ethers.parseUnits("1000", 6);
+            await requestWithReferrer(borrowerReferrer, { principalToken: await usdc.getAddress(), amount });
+            await socialLending.connect(lender).fundLoan(1);
+
+            await expect(socialLending.rescueTokens(await usdc.getAddress(), 1, owner.address))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientUnlockedCollateral");
+        });
+    });
+
+    describe("Configuration", function () {
+        it("should default the referral share to 20%", async function () {
+            expect(await socialLending.referralShare()).to.equal(2000);
+        });
+
+        it("should allow the treasury to set the referral share", async function () {
+            await expect(timelockCall(socialLending, "setReferralShare", [5000]))
+                .to.emit(socialLending, "ReferralShareUpdated")
+                .withArgs(5000);
+            expect(await socialLending.referralShare()).to.equal(5000);
+        });
+
+        it("should revert for invalid referral shares or callers", async function () {
+            const max = await socialLending.MAX_REFERRAL_SHARE();
+            await expect(timelockCall(socialLending, "setReferralShare", [max + 1n]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(socialLending.connect(otherUser).setReferralShare(1000))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+
+        it("should require the timelock", async function () {
+            await expect(socialLending.setReferralShare(1000))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+        });
+    });
+});
@@ -0,0 +1,306 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Refinancing", function () {
+    let socialLending, loanNote;
+    let owner, borrower, lender, newLender, otherUser, mockToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1500; // 15%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const NEW_RATE = 800; // 8%
+    const NEW_DURATION = 90 * 24 * 60 * 60; // 90 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+    const BASIS_POINTS = 10000n;
+    const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+    async function signConsent(signer, { loanId = 0, lenderAddress = newLender.address, rate = NEW_RATE, duration = NEW_DURATION, nonce, deadline }) {
+        const domain = {
+            name: "SocialLendingWithCollateral",
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: await socialLending.getAddress()
+        };
+        const types = {
+            RefinanceConsent: [
+                { name: "loanId", type: "uint256" },
+                { name: "newLender", type: "address" },
+                { name: "newInterestRate", type: "uint256" },
+                { name: "newDuration", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" }
+            ]
+        };
+        const value = {
+            loanId,
+            newLender: lenderAddress,
+            newInterestRate: rate,
+            newDuration: duration,
+            nonce: nonce ?? await socialLending.refinanceNonces(borrower.address),
+            deadline
+        };
+        return signer.signTypedData(domain, types, value);
+    }
+
+    async function deadlineIn(seconds) {
+        return BigInt((await ethers.provider.getBlock("latest")).timestamp) + BigInt(seconds);
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, newLender, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+        loanNote = await ethers.getContractAt("LoanNote", await socialLending.loanNote());
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+
+        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+        await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+    });
+
+    it("should pay off the current lender and reset the terms", async function () {
+        const deadline = await deadlineIn(3600);
+        const signature = await signConsent(borrower, { deadline });
+        const payoff = (await socialLending.loans(0)).remainingRepaymentAmount;
+
+        const tx = await socialLending.connect(newLender).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff });
+        await expect(tx)
+            .to.emit(socialLending, "LoanRefinanced")
+            .withArgs(0, lender.address, newLender.address, payoff, NEW_RATE, NEW_DURATION)
+            .and.to.emit(socialLending, "LoanNoteIssued")
+            .withArgs(1, 0, newLender.address, payoff);
+
+        const startTime = BigInt((await ethers.provider.getBlock(tx.blockNumber)).timestamp);
+        const newRepayment = payoff + payoff * BigInt(NEW_RATE) * BigInt(NEW_DURATION) / (BASIS_POINTS * SECONDS_PER_YEAR);
+        const loan = await socialLending.loans(0);
+        expect(loan.lender).to.equal(newLender.address);
+        expect(loan.principalAmount).to.equal(payoff);
+        expect(loan.interestRate).to.equal(NEW_RATE);
+        expect(loan.duration).to.equal(NEW_DURATION);
+        expect(loan.startTime).to.equal(startTime);
+        expect(loan.repaymentAmount).to.equal(newRepayment);
+        expect(loan.remainingRepaymentAmount).to.equal(newRepayment);
+        expect(loan.state).to.equal(1); // Funded
+
+        expect(await socialLending.pendingWithdrawals(lender.address)).to.equal(payoff);
+        expect(await socialLending.refinanceNonces(borrower.address)).to.equal(1);
+        // Signed loan terms keep their own nonces
+        expect(await socialLending.nonces(borrower.address)).to.equal(0);
+    });
+
+    it("should keep the collateral locked", async function () {
+        const deadline = await deadlineIn(3600);
+        const signature = await signConsent(borrower, { deadline });
+        const payoff = (await socialLending.loans(0)).remainingRepaymentAmount;
+
+        await expect(socialLending.connect(newLender).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff }))
+            .to.changeTokenBalance(mockToken, socialLending, 0);
+        expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(COLLATERAL_AMOUNT);
+    });
+
+    it("should move the position between lender indexes and reissue the note", async function () {
+        const deadline = await deadlineIn(3600);
+        const signature = await signConsent(borrower, { deadline });
+        const payoff = (await socialLending.loans(0)).remainingRepaymentAmount;
+        await socialLending.connect(newLender).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff });
+
+        expect(await socialLending.getLenderLoans(lender.address)).to.deep.equal([]);
+        expect(await socialLending.lenderActiveLoans(lender.address)).to.equal(0);
+        expect(await socialLending.getLenderLoans(newLender.address)).to.deep.equal([0n]);
+        expect(await socialLending.lenderActiveLoans(newLender.address)).to.equal(1);
+        expect((await socialLending.getStats()).activeLoans).to.equal(1);
+
+        expect(await socialLending.getLoanNotes(0)).to.deep.equal([1n]);
+        expect(await loanNote.ownerOf(1)).to.equal(newLender.address);
+        await expect(loanNote.ownerOf(0)).to.be.revertedWith("ERC721: invalid token ID");
+    });
+
+    it("should refund excess ETH to the new lender", async function () {
+        const deadline = await deadlineIn(3600);
+        const signature = await signConsent(borrower, { deadline });
+        const payoff = (await socialLending.loans(0)).remainingRepaymentAmount;
+
+        await expect(socialLending.connect(newLender).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff + ethers.parseEther("1") }))
+            .to.changeEtherBalance(newLender, -payoff);
+    });
+
+    it("should revert if the payment does not cover the payoff", async function () {
+        const deadline = await deadlineIn(3600);
+        const signature = await signConsent(borrower, { deadline });
+        const payoff = (await socialLending.loans(0)).remainingRepaymentAmount;
+
+        await expect(socialLending.connect(newLender).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff - 1n }))
+            .to.be.revertedWithCustomError(socialLending, "IncorrectFundingAmount");
+    });
+
+    describe("Borrower consent", function () {
+        let payoff;
+
+        beforeEach(async function () {
+            payoff = (await socialLending.loans(0)).remainingRepaymentAmount;
+        });
+
+        it("should reject terms the borrower did not sign", async function () {
+            const deadline = await deadlineIn(3600);
+            const signature = await signConsent(borrower, { deadline });
+
+            await expect(socialLending.connect(newLender).refinanceLoan(0, NEW_RATE + 500, NEW_DURATION, deadline, signature, { value: payoff }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidSignature");
+        });
+
+        it("should reject a consent signed for another lender", async function () {
+            const deadline = await deadlineIn(3600);
+            const signature = await signConsent(borrower, { deadline, lenderAddress: otherUser.address });
+
+            await expect(socialLending.connect(newLender).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidSignature");
+        });
+
+        it("should reject a consent not signed by the borrower", async function () {
+            const deadline = await deadlineIn(3600);
+            const signature = await signConsent(otherUser, { deadline });
+
+            await expect(socialLending.connect(newLender).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidSignature");
+        });
+
+        it("should reject expired consents", async function () {
+            const deadline = await deadlineIn(-1);
+            const signature = await signConsent(borrower, { deadline });
+
+            await expect(socialLending.connect(newLender).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff }))
+                .to.be.revertedWithCustomError(socialLending, "SignatureExpired");
+        });
+
+        it("should not allow a consent to be replayed", async function () {
+            const deadline = await deadlineIn(3600);
+            const signature = await signConsent(borrower, { deadline });
+            await socialLending.connect(newLender).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff });
+
+            const newPayoff = (await socialLending.loans(0)).remainingRepaymentAmount;
+            await expect(socialLending.connect(newLender).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: newPayoff }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidSignature");
+        });
+
+        it("should let the borrower invalidate an outstanding consent", async function () {
+            const deadline = await deadlineIn(3600);
+            const signature = await signConsent(borrower, { deadline });
+
+            await expect(socialLending.connect(borrower).invalidateRefinanceNonce())
+                .to.emit(socialLending, "RefinanceNonceInvalidated")
+                .withArgs(borrower.address, 1);
+            await expect(socialLending.connect(newLender).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidSignature");
+        });
+
+        it("should not be invalidated by the signed loan terms nonces", async function () {
+            const deadline = await deadlineIn(3600);
+            const signature = await signConsent(borrower, { deadline });
+            await socialLending.connect(borrower).invalidateNonces(5);
+
+            await expect(socialLending.connect(newLender).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff }))
+                .to.emit(socialLending, "LoanRefinanced");
+        });
+
+        it("should not allow the borrower to refinance their own loan", async function () {
+            const deadline = await deadlineIn(3600);
+            const signature = await signConsent(borrower, { deadline, lenderAddress: borrower.address });
+
+            await expect(socialLending.connect(borrower).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff }))
+                .to.be.revertedWithCustomError(socialLending, "SelfFunding");
+        });
+
+        it("should accept a consent signed by a smart-contract wallet borrower", async function () {
+            const Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+            const wallet = await Wallet.deploy(borrower.address);
+            const walletAddress = await wallet.getAddress();
+            await mockToken.mint(walletAddress, COLLATERAL_AMOUNT);
+            await wallet.connect(borrower).execute(
+                await mockToken.getAddress(),
+                mockToken.interface.encodeFunctionData("approve", [await socialLending.getAddress(), COLLATERAL_AMOUNT])
+            );
+            await wallet.connect(borrower).execute(
+                await socialLending.getAddress(),
+                socialLending.interface.encodeFunctionData("requestLoan", [
+                    LOAN_AMOUNT,
+                    INTEREST_RATE,
+                    DURATION,
+                    await mockToken.getAddress(),
+                    COLLATERAL_AMOUNT,
+                    0
+                ])
+            );
+            await socialLending.connect(lender).fundLoan(1, { value: LOAN_AMOUNT });
+
+            const deadline = await deadlineIn(3600);
+            const signature = await signConsent(borrower, { loanId: 1, deadline, nonce: await socialLending.refinanceNonces(walletAddress) });
+            const walletPayoff = (await socialLending.loans(1)).remainingRepaymentAmount;
+
+            await expect(socialLending.connect(newLender).refinanceLoan(1, NEW_RATE, NEW_DURATION, deadline, signature, { value: walletPayoff }))
+                .to.emit(socialLending, "LoanRefinanced");
+
+            const otherSignature = await signConsent(otherUser, { loanId: 1, deadline, nonce: await socialLending.refinanceNonces(walletAddress) });
+            await expect(socialLending.connect(newLender).refinanceLoan(1, NEW_RATE, NEW_DURATION, deadline, otherSignature, { value: walletPayoff }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidSignature");
+        });
+    });
+
+    describe("Borrower limits", function () {
+        it("should revert if the payoff exceeds the borrower's loan limit", async function () {
+            const deadline = await deadlineIn(3600);
+            const signature = await signConsent(borrower, { deadline });
+            const payoff = (await socialLending.loans(0)).remainingRepaymentAmount;
+            await socialLending.setMaxLoanAmount(LOAN_AMOUNT);
+
+            await expect(socialLending.connect(newLender).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff }))
+                .to.be.revertedWithCustomError(socialLending, "LoanTooLarge");
+        });
+
+        it("should revert if the collateral no longer covers the payoff at the required ratio", async function () {
+            const deadline = await deadlineIn(3600);
+            const signature = await signConsent(borrower, { deadline });
+            const payoff = (await socialLending.loans(0)).remainingRepaymentAmount;
+            // 2 MOCK = 1.4 ETH: still above the liquidation threshold, but below 150% of the payoff
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("0.7", 8));
+
+            await expect(socialLending.connect(newLender).refinanceLoan(0, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff }))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+        });
+    });
+
+    describe("Syndicated loans", function () {
+        it("should pay every note holder pro-rata", async function () {
+            await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+            await socialLending.connect(lender).fundLoanPartial(1, ethers.parseEther("0.5"), { value: ethers.parseEther("0.5") });
+            await socialLending.connect(otherUser).fundLoanPartial(1, ethers.parseEther("0.5"), { value: ethers.parseEther("0.5") });
+
+            const deadline = await deadlineIn(3600);
+            const signature = await signConsent(borrower, { loanId: 1, deadline });
+            const payoff = (await socialLending.loans(1)).remainingRepaymentAmount;
+            const lenderCreditBefore = await socialLending.pendingWithdrawals(lender.address);
+
+            await socialLending.connect(newLender).refinanceLoan(1, NEW_RATE, NEW_DURATION, deadline, signature, { value: payoff });
+
+            expect(await socialLending.pendingWithdrawals(lender.address) - lenderCreditBefore).to.equal(payoff / 2n);
+            expect(await socialLending.pendingWithdrawals(otherUser.address)).to.equal(payoff - payoff / 2n);
+            expect(await socialLending.lenderActiveLoans(otherUser.address)).to.equal(0);
+            const [lenders] = await socialLending.getLoanLenders(1);
+            expect(lenders).to.deep.equal([]);
+            expect(await socialLending.lenderShares(1, lender.address)).to.equal(0);
+            expect(await socialLending.lenderShares(1, otherUser.address)).to.equal(0);
+        });
+    });
+});
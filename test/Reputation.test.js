@@ -0,0 +1,301 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Borrower Reputation", function () {
+    let socialLending;
+    let owner, borrower, lender, otherUser, mockToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+
+    const TIERS = [
+        { minScore: 10, collateralRatio: 13500, maxLoanAmount: ethers.parseEther("20"), maxActiveLoans: 5 },
+        { minScore: 30, collateralRatio: 12500, maxLoanAmount: ethers.parseEther("50"), maxActiveLoans: 10 }
+    ];
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    async function requestLoan(amount = LOAN_AMOUNT, collateralAmount = COLLATERAL_AMOUNT, duration = DURATION) {
+        return socialLending.connect(borrower).requestLoan(amount, INTEREST_RATE, duration, await mockToken.getAddress(), collateralAmount, 0);
+    }
+
+    async function fundAndRepay(loanId, lateSeconds = 0, funder = lender) {
+        const loan = await socialLending.loans(loanId);
+        await socialLending.connect(funder).fundLoan(loanId, { value: loan.principalAmount });
+        if (lateSeconds > 0) {
+            await increaseTime(DURATION + lateSeconds);
+        }
+        // Overpay slightly: the late penalty accrues per second and the excess is refunded
+        const owed = await socialLending.getAmountOwed(loanId);
+        return socialLending.connect(borrower).repayLoan(loanId, { value: owed + ethers.parseEther("0.01") });
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+    });
+
+    describe("Record", function () {
+        it("should start new borrowers with an empty record and the global terms", async function () {
+            const tier = await socialLending.getBorrowerTier(borrower.address);
+            expect(tier.score).to.equal(0);
+            expect(tier.tier).to.equal(0);
+            expect(tier.requiredCollateralRatio).to.equal(await socialLending.collateralRatio());
+            expect(tier.loanAmountLimit).to.equal(await socialLending.maxLoanAmount());
+            expect(tier.activeLoansLimit).to.equal(await socialLending.maxActiveLoansPerBorrower());
+        });
+
+        it("should record on-time repayments and their volume", async function () {
+            await requestLoan();
+            // 10 points for the on-time repayment + 1 point per ETH repaid
+            await expect(fundAndRepay(0))
+                .to.emit(socialLending, "ReputationUpdated")
+                .withArgs(borrower.address, 11);
+
+            const record = await socialLending.borrowerReputation(borrower.address);
+            expect(record.repaidLoans).to.equal(1);
+            expect(record.onTimeRepayments).to.equal(1);
+            expect(record.lateRepayments).to.equal(0);
+            expect(record.repaidVolume).to.equal(LOAN_AMOUNT);
+            expect(await socialLending.getReputationScore(borrower.address)).to.equal(11);
+        });
+
+        it("should record late repayments with fewer points", async function () {
+            await requestLoan();
+            await fundAndRepay(0, 24 * 60 * 60);
+
+            const record = await socialLending.borrowerReputation(borrower.address);
+            expect(record.repaidLoans).to.equal(1);
+            expect(record.onTimeRepayments).to.equal(0);
+            expect(record.lateRepayments).to.equal(1);
+            expect(await socialLending.getReputationScore(borrower.address)).to.equal(4);
+        });
+
+        it("should not update the record on partial repayments", async function () {
+            await requestLoan();
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+
+            await expect(socialLending.connect(borrower).repayLoan(0, { value: LOAN_AMOUNT / 2n }))
+                .to.not.emit(socialLending, "ReputationUpdated");
+            expect((await socialLending.borrowerReputation(borrower.address)).repaidLoans).to.equal(0);
+        });
+
+        it("should record defaults and floor the score at zero", async function () {
+            await requestLoan();
+            await fundAndRepay(0);
+            await requestLoan();
+            await socialLending.connect(lender).fundLoan(1, { value: LOAN_AMOUNT });
+            await increaseTime(DURATION + 10 * 24 * 60 * 60);
+
+            await expect(socialLending.connect(otherUser).checkAndDeclareDefault(1))
+                .to.emit(socialLending, "ReputationUpdated")
+                .withArgs(borrower.address, 0);
+            expect((await socialLending.borrowerReputation(borrower.address)).defaults).to.equal(1);
+        });
+
+        it("should record defaults declared by the lender", async function () {
+            await requestLoan();
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            await increaseTime(DURATION + 10 * 24 * 60 * 60);
+
+            await socialLending.connect(lender).declareDefault(0);
+            expect((await socialLending.borrowerReputation(borrower.address)).defaults).to.equal(1);
+        });
+
+        it("should not score repayments of short or small loans", async function () {
+            await requestLoan(LOAN_AMOUNT, COLLATERAL_AMOUNT, 6 * 24 * 60 * 60);
+            await expect(fundAndRepay(0))
+                .to.not.emit(socialLending, "ReputationUpdated");
+            await requestLoan(ethers.parseEther("0.09"), COLLATERAL_AMOUNT);
+            await expect(fundAndRepay(1))
+                .to.not.emit(socialLending, "ReputationUpdated");
+
+            const record = await socialLending.borrowerReputation(borrower.address);
+            expect(record.repaidLoans).to.equal(2);
+            expect(record.onTimeRepayments).to.equal(0);
+            expect(record.repaidVolume).to.equal(0);
+            expect(await socialLending.getReputationScore(borrower.address)).to.equal(0);
+        });
+
+        it("should cap the repayments scored with the same lender", async function () {
+            const max = await socialLending.REPUTATION_MAX_LOANS_PER_LENDER();
+            for (let i = 0n; i < max; i++) {
+                await requestLoan();
+                await fundAndRepay(i);
+            }
+            expect(await socialLending.scoredRepaymentsByLender(borrower.address, lender.address)).to.equal(max);
+            const score = await socialLending.getReputationScore(borrower.address);
+
+            await requestLoan();
+            await expect(fundAndRepay(max))
+                .to.not.emit(socialLending, "ReputationUpdated");
+            expect(await socialLending.getReputationScore(borrower.address)).to.equal(score);
+
+            // Another lender still counts
+            await requestLoan();
+            await expect(fundAndRepay(max + 1n, 0, otherUser))
+                .to.emit(socialLending, "ReputationUpdated")
+                .withArgs(borrower.address, score + 11n);
+        });
+
+        it("should record cancellations without changing the score", async function () {
+            await requestLoan();
+            await socialLending.connect(borrower).cancelLoanRequest(0);
+
+            expect((await socialLending.borrowerReputation(borrower.address)).cancellations).to.equal(1);
+            expect(await socialLending.getReputationScore(borrower.address)).to.equal(0);
+        });
+    });
+
+    describe("Tier Configuration", function () {
+        it("should allow owner to set the tiers", async function () {
+            await expect(timelockCall(socialLending, "setReputationTiers", [TIERS]))
+                .to.emit(socialLending, "ReputationTiersUpdated")
+                .withArgs(2);
+
+            const tiers = await socialLending.getReputationTiers();
+            expect(tiers.length).to.equal(2);
+            expect(tiers[1].minScore).to.equal(30);
+            expect(tiers[1].collateralRatio).to.equal(12500);
+        });
+
+        it("should allow owner to clear the tiers", async function () {
+            await timelockCall(socialLending, "setReputationTiers", [TIERS]);
+            await timelockCall(socialLending, "setReputationTiers", [[]]);
+            expect(await socialLending.getReputationTiers()).to.deep.equal([]);
+        });
+
+        it("should revert for tiers that are not sorted by score", async function () {
+            await expect(timelockCall(socialLending, "setReputationTiers", [[TIERS[1], TIERS[0]]]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(timelockCall(socialLending, "setReputationTiers", [[TIERS[0], TIERS[0]]]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+
+        it("should revert for invalid tier terms", async function () {
+            await expect(timelockCall(socialLending, "setReputationTiers", [[{ ...TIERS[0], collateralRatio: 9999 }]]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(timelockCall(socialLending, "setReputationTiers", [[{ ...TIERS[0], collateralRatio: 20001 }]]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            // Tier ratios must be above the liquidation threshold
+            await expect(timelockCall(socialLending, "setReputationTiers", [[{ ...TIERS[0], collateralRatio: 12000 }]]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(timelockCall(socialLending, "setReputationTiers", [[{ ...TIERS[0], maxLoanAmount: 0 }]]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(timelockCall(socialLending, "setReputationTiers", [[{ ...TIERS[0], maxActiveLoans: 0 }]]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+
+        it("should keep the liquidation threshold below every tier ratio", async function () {
+            await timelockCall(socialLending, "setReputationTiers", [TIERS]);
+            await expect(timelockCall(socialLending, "setLiquidationThreshold", [12500]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(timelockCall(socialLending, "setLiquidationThreshold", [12499]))
+                .to.emit(socialLending, "LiquidationThresholdUpdated");
+        });
+
+        it("should revert if there are more than MAX_REPUTATION_TIERS tiers", async function () {
+            const max = await socialLending.MAX_REPUTATION_TIERS();
+            const tiers = Array.from({ length: Number(max) + 1 }, (_, i) => ({ ...TIERS[0], minScore: i }));
+            await expect(timelockCall(socialLending, "setReputationTiers", [tiers]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+
+        it("should revert if called by non-owner", async function () {
+            await expect(socialLending.connect(otherUser).setReputationTiers(TIERS))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+    });
+
+    describe("Tiered Terms", function () {
+        beforeEach(async function () {
+            await timelockCall(socialLending, "setReputationTiers", [TIERS]);
+        });
+
+        it("should require the global collateral ratio below the first tier", async function () {
+            // 1.2 tokens = 120% < 150%
+            await expect(requestLoan(LOAN_AMOUNT, ethers.parseEther("1.2")))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+        });
+
+        it("should apply the tier terms once the borrower qualifies", async function () {
+            await requestLoan();
+            await fundAndRepay(0);
+
+            const tier = await socialLending.getBorrowerTier(borrower.address);
+            expect(tier.score).to.equal(11);
+            expect(tier.tier).to.equal(1);
+            expect(tier.requiredCollateralRatio).to.equal(13500);
+            expect(tier.loanAmountLimit).to.equal(ethers.parseEther("20"));
+            expect(tier.activeLoansLimit).to.equal(5);
+
+            await expect(requestLoan(LOAN_AMOUNT, ethers.parseEther("1.35")))
+                .to.emit(socialLending, "LoanRequested");
+            await expect(requestLoan(LOAN_AMOUNT, ethers.parseEther("1.3")))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+        });
+
+        it("should apply the tier loan amount limit", async function () {
+            await expect(requestLoan(ethers.parseEther("15"), ethers.parseEther("30")))
+                .to.be.revertedWithCustomError(socialLending, "LoanTooLarge");
+
+            await requestLoan();
+            await fundAndRepay(0);
+
+            await expect(requestLoan(ethers.parseEther("15"), ethers.parseEther("30")))
+                .to.emit(socialLending, "LoanRequested");
+        });
+
+        it("should apply the tier active loan limit", async function () {
+            await timelockCall(socialLending, "setReputationTiers", [[{ ...TIERS[0], minScore: 0, maxActiveLoans: 1 }]]);
+            await requestLoan();
+
+            await expect(requestLoan())
+                .to.be.revertedWithCustomError(socialLending, "TooManyActiveLoans");
+        });
+
+        it("should drop back to a lower tier after a default", async function () {
+            await requestLoan();
+            await fundAndRepay(0);
+            await requestLoan();
+            await socialLending.connect(lender).fundLoan(1, { value: LOAN_AMOUNT });
+            await increaseTime(DURATION + 10 * 24 * 60 * 60);
+            await socialLending.connect(lender).declareDefault(1);
+
+            expect((await socialLending.getBorrowerTier(borrower.address)).tier).to.equal(0);
+        });
+
+        it("should let qualified borrowers withdraw collateral down to the tier ratio", async function () {
+            await requestLoan();
+            await fundAndRepay(0);
+            await requestLoan();
+
+            // 1.35 tokens left = 135% of the 1 ETH principal
+            await expect(socialLending.connect(borrower).withdrawCollateral(1, await mockToken.getAddress(), ethers.parseEther("0.65")))
+                .to.emit(socialLending, "CollateralWithdrawn");
+            await expect(socialLending.connect(borrower).withdrawCollateral(1, await mockToken.getAddress(), 1))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+        });
+    });
+});
@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Request Expiry", function () {
+    let socialLending;
+    let owner, borrower, lender, guarantor, keeper, mockToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+    const DAY = 24 * 60 * 60;
+
+    async function now() {
+        return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    async function requestLoan(expiresAt) {
+        return socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, expiresAt);
+    }
+
+    // Moves past the given timestamp and refreshes the price feed
+    async function passExpiry(expiresAt) {
+        await ethers.provider.send("evm_setNextBlockTimestamp", [expiresAt + 1]);
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8));
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, guarantor, keeper] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        for (const user of [borrower, guarantor]) {
+            await mockToken.mint(user.address, ethers.parseEther("1000"));
+            await mockToken.connect(user).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+        }
+    });
+
+    describe("Request", function () {
+        it("should store the expiry of the request", async function () {
+            const expiresAt = await now() + DAY;
+            await requestLoan(expiresAt);
+            expect(await socialLending.requestExpiresAt(0)).to.equal(expiresAt);
+        });
+
+        it("should revert if the expiry is not in the future", async function () {
+            const expiresAt = await now() + 1;
+            // The request is mined at expiresAt
+            await expect(requestLoan(expiresAt))
+                .to.be.revertedWithCustomError(socialLending, "RequestExpired");
+        });
+    });
+
+    describe("Funding", function () {
+        let expiresAt;
+
+        beforeEach(async function () {
+            expiresAt = await now() + DAY;
+            await requestLoan(expiresAt);
+        });
+
+        it("should allow funding until the expiry", async function () {
+            await ethers.provider.send("evm_setNextBlockTimestamp", [expiresAt - 1]);
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8));
+            await expect(socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "LoanFunded");
+        });
+
+        it("should reject fundLoan and fundLoanPartial after the expiry", async function () {
+            await passExpiry(expiresAt);
+            await expect(socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "RequestExpired");
+            await expect(socialLending.connect(lender).fundLoanPartial(0, LOAN_AMOUNT / 2n, { value: LOAN_AMOUNT / 2n }))
+                .to.be.revertedWithCustomError(socialLending, "RequestExpired");
+        });
+
+        it("should reject guarantees after the expiry", async function () {
+            await socialLending.connect(borrower).requestGuaranteedLoan({
+                principalToken: ethers.ZeroAddress,
+                amount: LOAN_AMOUNT,
+                interestRate: INTEREST_RATE,
+                duration: DURATION,
+                expiresAt: expiresAt,
+                collateralTokens: [await mockToken.getAddress()],
+                collateralAmounts: [ethers.parseEther("1")]
+            }, [guarantor.address]);
+            await passExpiry(expiresAt);
+
+            await expect(socialLending.connect(guarantor).acceptGuarantee(1, await mockToken.getAddress(), ethers.parseEther("1")))
+                .to.be.revertedWithCustomError(socialLending, "RequestExpired");
+        });
+
+        it("should never expire requests without an expiry", async function () {
+            await requestLoan(0);
+            await ethers.provider.send("evm_increaseTime", [365 * DAY]);
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8));
+
+            await expect(socialLending.connect(lender).fundLoan(1, { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "LoanFunded");
+        });
+    });
+
+    describe("Expire Requests", function () {
+        let expiresAt;
+
+        beforeEach(async function () {
+            expiresAt = await now() + DAY;
+            await requestLoan(expiresAt); // 0: expires
+            await requestLoan(expiresAt); // 1: expires
+            await requestLoan(expiresAt + DAY); // 2: not yet expired
+        });
+
+        it("should cancel expired requests and return the collateral", async function () {
+            await passExpiry(expiresAt);
+            const balanceBefore = await mockToken.balanceOf(borrower.address);
+
+            await expect(socialLending.connect(keeper).expireRequests([0, 1]))
+                .to.emit(socialLending, "LoanRequestExpired")
+                .withArgs(0, borrower.address)
+                .and.to.emit(socialLending, "LoanRequestExpired")
+                .withArgs(1, borrower.address);
+
+            expect(await mockToken.balanceOf(borrower.address)).to.equal(balanceBefore + COLLATERAL_AMOUNT * 2n);
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(COLLATERAL_AMOUNT);
+            expect((await socialLending.loans(0)).state).to.equal(4); // Cancelled
+            expect((await socialLending.loans(1)).state).to.equal(4); // Cancelled
+            expect(await socialLending.borrowerActiveLoans(borrower.address)).to.equal(1);
+            expect(await socialLending.expiredLoansCount()).to.equal(2);
+            expect((await socialLending.getStats()).cancelledLoans).to.equal(2);
+        });
+
+        it("should record expired requests as cancellations in the borrower's reputation", async function () {
+            await passExpiry(expiresAt);
+            await socialLending.connect(keeper).expireRequests([0, 1, 2]);
+
+            expect((await socialLending.borrowerReputation(borrower.address)).cancellations).to.equal(2);
+        });
+
+        it("should skip requests that are unexpired, cancelled or out of range", async function () {
+            await socialLending.connect(borrower).cancelLoanRequest(1);
+            await requestLoan(0); // 3: no expiry
+            await passExpiry(expiresAt);
+
+            const ids = [0, 1, 2, 3, 99];
+            expect(await socialLending.connect(keeper).expireRequests.staticCall(ids)).to.equal(1);
+            await socialLending.connect(keeper).expireRequests(ids);
+
+            expect((await socialLending.loans(2)).state).to.equal(0); // Requested
+            expect((await socialLending.loans(3)).state).to.equal(0); // Requested
+            expect(await socialLending.expiredLoansCount()).to.equal(1);
+            expect((await socialLending.getStats()).cancelledLoans).to.equal(2);
+        });
+
+        it("should do nothing before the expiry", async function () {
+            await expect(socialLending.connect(keeper).expireRequests([0, 1]))
+                .to.not.emit(socialLending, "LoanRequestExpired");
+            expect((await socialLending.loans(0)).state).to.equal(0); // Requested
+        });
+
+        it("should return guarantor stakes of expired requests", async function () {
+            await socialLending.connect(borrower).cancelLoanRequest(2);
+            await socialLending.connect(borrower).requestGuaranteedLoan({
+                principalToken: ethers.ZeroAddress,
+                amount: LOAN_AMOUNT,
+                interestRate: INTEREST_RATE,
+                duration: DURATION,
+                expiresAt: expiresAt,
+                collateralTokens: [await mockToken.getAddress()],
+                collateralAmounts: [ethers.parseEther("1")]
+            }, [guarantor.address]);
+            await socialLending.connect(guarantor).acceptGuarantee(3, await mockToken.getAddress(), ethers.parseEther("1"));
+            const guarantorBalance = await mockToken.balanceOf(guarantor.address);
+            await passExpiry(expiresAt);
+
+            await socialLending.connect(keeper).expireRequests([3]);
+            expect(await mockToken.balanceOf(guarantor.address)).to.equal(guarantorBalance + ethers.parseEther("1"));
+        });
+
+        it("should let syndicate lenders reclaim their contribution", async function () {
+            const contribution = LOAN_AMOUNT / 2n;
+            await socialLending.connect(lender).fundLoanPartial(0, contribution, { value: contribution });
+            await passExpiry(expiresAt);
+            await socialLending.connect(keeper).expireRequests([0]);
+
+            await expect(socialLending.connect(lender).claimSubscriptionRefund(0))
+                .to.emit(socialLending, "SubscriptionRefunded")
+                .withArgs(0, lender.address, contribution);
+        });
+
+        it("should revert when paused", async function () {
+            await passExpiry(expiresAt);
+            await socialLending.pause();
+            await expect(socialLending.connect(keeper).expireRequests([0]))
+                .to.be.revertedWith("Pausable: paused");
+        });
+    });
+});
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
 
 describe("SocialLendingWithCollateral Security", function () {
     let socialLending;
@@ -15,12 +17,11 @@ describe("SocialLendingWithCollateral Security", function () {
         const MockPriceFeedFactory = await ethers.getContractFactory("MockPriceFeed");
         mockPriceFeed = await MockPriceFeedFactory.deploy();
 
-        const SocialLendingFactory = await ethers.getContractFactory("SocialLendingWithCollateral");
-        socialLending = await SocialLendingFactory.deploy(owner.address);
+        socialLending = await deploySocialLending(owner.address);
 
-        await socialLending.setCollateralTokenStatus(await mockToken.getAddress(), true);
-        await socialLending.setCollateralTokenDecimals(await mockToken.getAddress(), 18);
-        await socialLending.setPriceFeed(await mockToken.getAddress(), await mockPriceFeed.getAddress());
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
 
         await mockToken.mint(borrower.address, ethers.parseEther("1000"));
         await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
@@ -41,7 +42,8 @@ describe("SocialLendingWithCollateral Security", function () {
                     500,
                     30 * 86400,
                     await mockToken.getAddress(),
-                    collateralAmount
+                    collateralAmount,
+                    0
                 )
             ).to.be.revertedWithCustomError(socialLending, "LoanTooLarge");
         });
@@ -57,7 +59,8 @@ describe("SocialLendingWithCollateral Security", function () {
                     500,
                     30 * 86400,
                     await mockToken.getAddress(),
-                    collateralAmount
+                    collateralAmount,
+                    0
                 )
             }
 
@@ -68,7 +71,8 @@ describe("SocialLendingWithCollateral Security", function () {
                     500,
                     30 * 86400,
                     await mockToken.getAddress(),
-                    collateralAmount
+                    collateralAmount,
+                    0
                 )
             ).to.be.revertedWithCustomError(socialLending, "TooManyActiveLoans");
         });
@@ -84,7 +88,8 @@ describe("SocialLendingWithCollateral Security", function () {
                     500,
                     maxDuration + 1n,
                     await mockToken.getAddress(),
-                    collateralAmount
+                    collateralAmount,
+                    0
                 )
             ).to.be.revertedWithCustomError(socialLending, "InvalidDuration");
         });
@@ -100,7 +105,8 @@ describe("SocialLendingWithCollateral Security", function () {
                 500,
                 30 * 86400,
                 await mockToken.getAddress(),
-                collateralAmount
+                collateralAmount,
+                0
             );
 
             const locked = await socialLending.lockedCollateral(await mockToken.getAddress());
@@ -116,7 +122,8 @@ describe("SocialLendingWithCollateral Security", function () {
                 500,
                 30 * 86400,
                 await mockToken.getAddress(),
-                collateralAmount
+                collateralAmount,
+                0
             );
 
             // Try to rescue full balance (which is all locked)
@@ -172,7 +179,8 @@ describe("SocialLendingWithCollateral Security", function () {
                 interestRate,
                 duration,
                 await mockToken.getAddress(),
-                collateralAmount
+                collateralAmount,
+                0
             );
 
             const loan = await socialLending.loans(0);
@@ -0,0 +1,402 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Signed Loan Terms", function () {
+    let socialLending, loanNote;
+    let owner, borrower, lender, feeRecipient, otherUser, mockToken, usdc, mockPriceFeed, usdcFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const USDC_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC = 0.5 ETH
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+    const BASIS_POINTS = 10000n;
+
+    const TERMS_FIELDS = [
+        { name: "borrower", type: "address" },
+        { name: "lender", type: "address" },
+        { name: "principalToken", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "interestRate", type: "uint256" },
+        { name: "duration", type: "uint256" },
+        { name: "collateralTokens", type: "address[]" },
+        { name: "collateralAmounts", type: "uint256[]" },
+        { name: "referrer", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ];
+
+    async function deadlineIn(seconds) {
+        return BigInt((await ethers.provider.getBlock("latest")).timestamp) + BigInt(seconds);
+    }
+
+    async function requestTerms(overrides = {}) {
+        return {
+            borrower: borrower.address,
+            lender: ethers.ZeroAddress,
+            principalToken: ethers.ZeroAddress,
+            amount: LOAN_AMOUNT,
+            interestRate: INTEREST_RATE,
+            duration: DURATION,
+            collateralTokens: [await mockToken.getAddress()],
+            collateralAmounts: [COLLATERAL_AMOUNT],
+            referrer: ethers.ZeroAddress,
+            nonce: 0,
+            deadline: await deadlineIn(3600),
+            ...overrides
+        };
+    }
+
+    async function offerTerms(overrides = {}) {
+        return requestTerms({
+            borrower: ethers.ZeroAddress,
+            lender: lender.address,
+            principalToken: await usdc.getAddress(),
+            amount: USDC_AMOUNT,
+            ...overrides
+        });
+    }
+
+    async function sign(signer, primaryType, terms) {
+        const domain = {
+            name: "SocialLendingWithCollateral",
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: await socialLending.getAddress()
+        };
+        return signer.signTypedData(domain, { [primaryType]: TERMS_FIELDS }, terms);
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, feeRecipient, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+        usdc = await MockToken.deploy("USD Coin", "USDC", 6);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        usdcFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+        await usdcFeed.setLatestPrice(ethers.parseUnits("0.0005", 8)); // 1 USDC = 0.0005 ETH
+
+        socialLending = await deploySocialLending(feeRecipient.address);
+        loanNote = await ethers.getContractAt("LoanNote", await socialLending.loanNote());
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await usdc.getAddress(), 6]);
+        await timelockCall(socialLending, "setPrincipalTokenStatus", [await usdc.getAddress(), true]);
+        await timelockCall(socialLending, "setPriceFeed", [await usdc.getAddress(), await usdcFeed.getAddress()]);
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+        await usdc.mint(lender.address, ethers.parseUnits("100000", 6));
+        await usdc.connect(lender).approve(await socialLending.getAddress(), ethers.parseUnits("100000", 6));
+    });
+
+    describe("Signed Requests", function () {
+        it("should pull the collateral, fund and start the loan in one call", async function () {
+            const terms = await requestTerms();
+            const signature = await sign(borrower, "LoanRequest", terms);
+
+            const tx = socialLending.connect(lender).fundSignedRequest(terms, signature, { value: LOAN_AMOUNT });
+            await expect(tx)
+                .to.emit(socialLending, "LoanRequested")
+                .withArgs(0, borrower.address, LOAN_AMOUNT, INTEREST_RATE, DURATION, [await mockToken.getAddress()], [COLLATERAL_AMOUNT])
+                .and.to.emit(socialLending, "LoanFunded")
+                .withArgs(0, lender.address)
+                .and.to.emit(socialLending, "SignedTermsExecuted")
+                .withArgs(0, borrower.address, 0);
+            await expect(tx).to.changeEtherBalance(lender, -LOAN_AMOUNT);
+
+            const loan = await socialLending.loans(0);
+            expect(loan.borrower).to.equal(borrower.address);
+            expect(loan.lender).to.equal(lender.address);
+            expect(loan.state).to.equal(1); // Funded
+            expect(loan.startTime).to.be.gt(0);
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(COLLATERAL_AMOUNT);
+            expect(await socialLending.borrowerActiveLoans(borrower.address)).to.equal(1);
+            expect(await loanNote.ownerOf(0)).to.equal(lender.address);
+
+            // The borrower is not the caller, so the principal is credited for withdrawal
+            const fee = LOAN_AMOUNT * 100n / BASIS_POINTS;
+            expect(await socialLending.pendingWithdrawals(borrower.address)).to.equal(LOAN_AMOUNT - fee);
+            expect(await socialLending.usedNonces(borrower.address, 0)).to.be.true;
+        });
+
+        it("should only allow the named lender to fund", async function () {
+            const terms = await requestTerms({ lender: lender.address });
+            const signature = await sign(borrower, "LoanRequest", terms);
+
+            await expect(socialLending.connect(otherUser).fundSignedRequest(terms, signature, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "Unauthorized");
+            await expect(socialLending.connect(lender).fundSignedRequest(terms, signature, { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "LoanFunded");
+        });
+
+        it("should revert for tampered terms or a wrong signer", async function () {
+            const terms = await requestTerms();
+            const signature = await sign(borrower, "LoanRequest", terms);
+
+            await expect(socialLending.connect(lender).fundSignedRequest({ ...terms, interestRate: 100 }, signature, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidSignature");
+
+            const otherSignature = await sign(otherUser, "LoanRequest", terms);
+            await expect(socialLending.connect(lender).fundSignedRequest(terms, otherSignature, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidSignature");
+
+            // An offer signature cannot be used as a request
+            const offerSignature = await sign(borrower, "LoanOffer", terms);
+            await expect(socialLending.connect(lender).fundSignedRequest(terms, offerSignature, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidSignature");
+        });
+
+        it("should accept an ERC-1271 signature from a smart-contract wallet borrower", async function () {
+            const Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+            const wallet = await Wallet.deploy(borrower.address);
+            const walletAddress = await wallet.getAddress();
+            await mockToken.mint(walletAddress, COLLATERAL_AMOUNT);
+            await wallet.connect(borrower).execute(
+                await mockToken.getAddress(),
+                mockToken.interface.encodeFunctionData("approve", [await socialLending.getAddress(), COLLATERAL_AMOUNT])
+            );
+
+            // The wallet's owner signs on its behalf
+            const terms = await requestTerms({ borrower: walletAddress });
+            await expect(socialLending.connect(lender).fundSignedRequest(terms, await sign(otherUser, "LoanRequest", terms), { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidSignature");
+            await expect(socialLending.connect(lender).fundSignedRequest(terms, await sign(borrower, "LoanRequest", terms), { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "SignedTermsExecuted")
+                .withArgs(0, walletAddress, 0);
+
+            expect((await socialLending.loans(0)).borrower).to.equal(walletAddress);
+            expect(await socialLending.usedNonces(walletAddress, 0)).to.be.true;
+        });
+
+        it("should revert for an incorrect funding amount or self-funding", async function () {
+            const terms = await requestTerms();
+            const signature = await sign(borrower, "LoanRequest", terms);
+
+            await expect(socialLending.connect(lender).fundSignedRequest(terms, signature, { value: LOAN_AMOUNT - 1n }))
+                .to.be.revertedWithCustomError(socialLending, "IncorrectFundingAmount");
+            await expect(socialLending.connect(borrower).fundSignedRequest(terms, signature, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "SelfFunding");
+        });
+
+        it("should apply the same validation as requestLoan", async function () {
+            // Collateral ratio
+            let terms = await requestTerms({ collateralAmounts: [ethers.parseEther("1")] });
+            await expect(socialLending.connect(lender).fundSignedRequest(terms, await sign(borrower, "LoanRequest", terms), { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+
+            // maxLoanAmount
+            await socialLending.setMaxLoanAmount(ethers.parseEther("0.5"));
+            terms = await requestTerms();
+            await expect(socialLending.connect(lender).fundSignedRequest(terms, await sign(borrower, "LoanRequest", terms), { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "LoanTooLarge");
+        });
+
+        it("should enforce maxActiveLoansPerBorrower", async function () {
+            await socialLending.setMaxActiveLoansPerBorrower(1);
+            const first = await requestTerms({ nonce: 0 });
+            await socialLending.connect(lender).fundSignedRequest(first, await sign(borrower, "LoanRequest", first), { value: LOAN_AMOUNT });
+
+            const second = await requestTerms({ nonce: 1 });
+            await expect(socialLending.connect(lender).fundSignedRequest(second, await sign(borrower, "LoanRequest", second), { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "TooManyActiveLoans");
+        });
+
+        it("should revert when paused", async function () {
+            const terms = await requestTerms();
+            const signature = await sign(borrower, "LoanRequest", terms);
+            await socialLending.pause();
+
+            await expect(socialLending.connect(lender).fundSignedRequest(terms, signature, { value: LOAN_AMOUNT }))
+                .to.be.revertedWith("Pausable: paused");
+        });
+    });
+
+    describe("Signed Offers", function () {
+        it("should deposit the collateral, pull the principal from the lender and start the loan", async function () {
+            const terms = await offerTerms();
+            const signature = await sign(lender, "LoanOffer", terms);
+            const fee = USDC_AMOUNT * 100n / BASIS_POINTS;
+
+            const tx = socialLending.connect(borrower).acceptSignedOffer(terms, signature);
+            await expect(tx)
+                .to.emit(socialLending, "LoanFunded")
+                .withArgs(0, lender.address)
+                .and.to.emit(socialLending, "SignedTermsExecuted")
+                .withArgs(0, lender.address, 0);
+            await expect(tx).to.changeTokenBalances(
+                usdc,
+                [lender, borrower, feeRecipient],
+                [-USDC_AMOUNT, USDC_AMOUNT - fee, fee]
+            );
+
+            const loan = await socialLending.loans(0);
+            expect(loan.borrower).to.equal(borrower.address);
+            expect(loan.lender).to.equal(lender.address);
+            expect(loan.principalToken).to.equal(await usdc.getAddress());
+            expect(loan.state).to.equal(1); // Funded
+            expect(await socialLending.usedNonces(lender.address, 0)).to.be.true;
+        });
+
+        it("should only allow the named borrower to accept", async function () {
+            const terms = await offerTerms({ borrower: borrower.address });
+            const signature = await sign(lender, "LoanOffer", terms);
+
+            await expect(socialLending.connect(otherUser).acceptSignedOffer(terms, signature))
+                .to.be.revertedWithCustomError(socialLending, "Unauthorized");
+            await expect(socialLending.connect(borrower).acceptSignedOffer(terms, signature))
+                .to.emit(socialLending, "LoanFunded");
+        });
+
+        it("should revert for ETH principal and self-acceptance", async function () {
+            const ethTerms = await offerTerms({ principalToken: ethers.ZeroAddress, amount: LOAN_AMOUNT });
+            await expect(socialLending.connect(borrower).acceptSignedOffer(ethTerms, await sign(lender, "LoanOffer", ethTerms)))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+
+            const terms = await offerTerms();
+            await expect(socialLending.connect(lender).acceptSignedOffer(terms, await sign(lender, "LoanOffer", terms)))
+                .to.be.revertedWithCustomError(socialLending, "SelfFunding");
+        });
+    });
+
+    describe("Referrers", function () {
+        let borrowerReferrer, lenderReferrer;
+
+        beforeEach(async function () {
+            [, , , , , borrowerReferrer, lenderReferrer] = await ethers.getSigners();
+            await socialLending.setReferrerStatus(borrowerReferrer.address, true);
+            await socialLending.setReferrerStatus(lenderReferrer.address, true);
+        });
+
+        it("should credit the borrower's signed referrer and the funding lender's referrer", async function () {
+            const terms = await requestTerms({ referrer: borrowerReferrer.address });
+            const signature = await sign(borrower, "LoanRequest", terms);
+
+            await expect(socialLending.connect(lender).fundSignedRequestWithReferrer(terms, signature, lenderReferrer.address, { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "LoanReferrerSet")
+                .withArgs(0, borrowerReferrer.address, true)
+                .and.to.emit(socialLending, "LoanReferrerSet")
+                .withArgs(0, lenderReferrer.address, false)
+                .and.to.emit(socialLending, "ReferralFeeCredited");
+
+            const referrers = await socialLending.loanReferrers(0);
+            expect(referrers.borrowerReferrer).to.equal(borrowerReferrer.address);
+            expect(referrers.lenderReferrer).to.equal(lenderReferrer.address);
+        });
+
+        it("should credit the lender's signed referrer on a signed offer", async function () {
+            const terms = await offerTerms({ referrer: lenderReferrer.address });
+            const signature = await sign(lender, "LoanOffer", terms);
+
+            await expect(socialLending.connect(borrower).acceptSignedOffer(terms, signature))
+                .to.emit(socialLending, "LoanReferrerSet")
+                .withArgs(0, lenderReferrer.address, false);
+            expect(await socialLending.referralBalances(lenderReferrer.address, await usdc.getAddress())).to.be.gt(0);
+        });
+
+        it("should reject unregistered and self referrers", async function () {
+            const unregistered = await requestTerms({ referrer: otherUser.address });
+            await expect(socialLending.connect(lender).fundSignedRequest(unregistered, await sign(borrower, "LoanRequest", unregistered), { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidReferrer");
+
+            const terms = await requestTerms();
+            const signature = await sign(borrower, "LoanRequest", terms);
+            await expect(socialLending.connect(lender).fundSignedRequestWithReferrer(terms, signature, ethers.ZeroAddress, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidReferrer");
+            await socialLending.setReferrerStatus(lender.address, true);
+            await expect(socialLending.connect(lender).fundSignedRequestWithReferrer(terms, signature, lender.address, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidReferrer");
+        });
+    });
+
+    describe("Nonces and Deadlines", function () {
+        it("should not allow a signature to be used twice", async function () {
+            const terms = await requestTerms();
+            const signature = await sign(borrower, "LoanRequest", terms);
+            await socialLending.connect(lender).fundSignedRequest(terms, signature, { value: LOAN_AMOUNT });
+
+            await expect(socialLending.connect(lender).fundSignedRequest(terms, signature, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidNonce");
+        });
+
+        it("should accept nonces in any order", async function () {
+            const later = await requestTerms({ nonce: 5 });
+            const earlier = await requestTerms({ nonce: 2 });
+            await socialLending.connect(lender).fundSignedRequest(later, await sign(borrower, "LoanRequest", later), { value: LOAN_AMOUNT });
+            await expect(socialLending.connect(lender).fundSignedRequest(earlier, await sign(borrower, "LoanRequest", earlier), { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "LoanFunded");
+        });
+
+        it("should revert after the deadline", async function () {
+            const terms = await requestTerms({ deadline: await deadlineIn(60) });
+            const signature = await sign(borrower, "LoanRequest", terms);
+            await ethers.provider.send("evm_increaseTime", [61]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(socialLending.connect(lender).fundSignedRequest(terms, signature, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "SignatureExpired");
+        });
+
+        it("should invalidate every signature below the new nonce", async function () {
+            const cancelled = await requestTerms({ nonce: 9 });
+            const cancelledSignature = await sign(borrower, "LoanRequest", cancelled);
+
+            await expect(socialLending.connect(borrower).invalidateNonces(10))
+                .to.emit(socialLending, "NoncesInvalidated")
+                .withArgs(borrower.address, 10);
+            expect(await socialLending.nonces(borrower.address)).to.equal(10);
+
+            await expect(socialLending.connect(lender).fundSignedRequest(cancelled, cancelledSignature, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidNonce");
+
+            const valid = await requestTerms({ nonce: 10 });
+            await expect(socialLending.connect(lender).fundSignedRequest(valid, await sign(borrower, "LoanRequest", valid), { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "LoanFunded");
+        });
+
+        it("should only move the nonce forward", async function () {
+            await socialLending.connect(borrower).invalidateNonces(10);
+            await expect(socialLending.connect(borrower).invalidateNonces(10))
+                .to.be.revertedWithCustomError(socialLending, "InvalidNonce");
+            await expect(socialLending.connect(borrower).invalidateNonces(5))
+                .to.be.revertedWithCustomError(socialLending, "InvalidNonce");
+        });
+
+        it("should cancel a single nonce and keep the others usable", async function () {
+            const cancelled = await requestTerms({ nonce: 3 });
+            const cancelledSignature = await sign(borrower, "LoanRequest", cancelled);
+
+            await expect(socialLending.connect(borrower).cancelNonce(3))
+                .to.emit(socialLending, "NonceCancelled")
+                .withArgs(borrower.address, 3);
+            expect(await socialLending.usedNonces(borrower.address, 3)).to.be.true;
+            expect(await socialLending.nonces(borrower.address)).to.equal(0);
+
+            await expect(socialLending.connect(lender).fundSignedRequest(cancelled, cancelledSignature, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidNonce");
+
+            const valid = await requestTerms({ nonce: 2 });
+            await expect(socialLending.connect(lender).fundSignedRequest(valid, await sign(borrower, "LoanRequest", valid), { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "LoanFunded");
+        });
+
+        it("should not cancel a used or already invalidated nonce", async function () {
+            const terms = await requestTerms({ nonce: 12 });
+            await socialLending.connect(lender).fundSignedRequest(terms, await sign(borrower, "LoanRequest", terms), { value: LOAN_AMOUNT });
+            await expect(socialLending.connect(borrower).cancelNonce(12))
+                .to.be.revertedWithCustomError(socialLending, "InvalidNonce");
+
+            await socialLending.connect(borrower).invalidateNonces(10);
+            await expect(socialLending.connect(borrower).cancelNonce(9))
+                .to.be.revertedWithCustomError(socialLending, "InvalidNonce");
+        });
+    });
+});
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
 
 describe("SocialLendingWithCollateral", function () {
   let socialLending;
@@ -19,13 +21,12 @@ describe("SocialLendingWithCollateral", function () {
     mockPriceFeed = await MockPriceFeedFactory.deploy();
 
     // メインコントラクトのデプロイ
-    const SocialLendingFactory = await ethers.getContractFactory("SocialLendingWithCollateral");
-    socialLending = await SocialLendingFactory.deploy(feeRecipient.address);
+    socialLending = await deploySocialLending(feeRecipient.address);
 
     // 担保トークンの設定
-    await socialLending.setCollateralTokenStatus(mockToken.getAddress(), true);
-    await socialLending.setCollateralTokenDecimals(mockToken.getAddress(), 18);
-    await socialLending.setPriceFeed(mockToken.getAddress(), mockPriceFeed.getAddress());
+    await timelockCall(socialLending, "setCollateralTokenStatus", [mockToken.getAddress(), true]);
+    await timelockCall(socialLending, "setCollateralTokenDecimals", [mockToken.getAddress(), 18]);
+    await timelockCall(socialLending, "setPriceFeed", [mockToken.getAddress(), mockPriceFeed.getAddress()]);
 
     // 借り手にトークンを付与
     await mockToken.mint(borrower.address, ethers.parseEther("1000"));
@@ -35,7 +36,7 @@ describe("SocialLendingWithCollateral", function () {
   describe("基本設定", function () {
     it("コンストラクタが正しく設定されていること", async function () {
       expect(await socialLending.feeRecipient()).to.equal(feeRecipient.address);
-      expect(await socialLending.owner()).to.equal(owner.address);
+      expect(await socialLending.hasRole(await socialLending.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
     });
 
     it("担保トークンが正しく設定されていること", async function () {
@@ -60,14 +61,14 @@ describe("SocialLendingWithCollateral", function () {
       await expect(
         socialLending
           .connect(borrower)
-          .requestLoan(loanAmount, interestRate, duration, ethers.ZeroAddress, collateralAmount)
+          .requestLoan(loanAmount, interestRate, duration, ethers.ZeroAddress, collateralAmount, 0)
       ).to.be.revertedWithCustomError(socialLending, "InvalidAddress");
     });
 
     it("過剰なデシマル設定は拒否されること", async function () {
       const tokenAddress = await mockToken.getAddress();
       await expect(
-        socialLending.setCollateralTokenDecimals(tokenAddress, 19)
+        timelockCall(socialLending, "setCollateralTokenDecimals", [tokenAddress, 19])
       ).to.be.revertedWithCustomError(socialLending, "InvalidParameter");
     });
 
@@ -105,11 +106,12 @@ describe("SocialLendingWithCollateral", function () {
           interestRate,
           duration,
           tokenAddress,
-          collateralAmount
+          collateralAmount,
+          0
         )
       )
         .to.emit(socialLending, "LoanRequested")
-        .withArgs(0, borrower.address, loanAmount, interestRate, duration, tokenAddress, collateralAmount);
+        .withArgs(0, borrower.address, loanAmount, interestRate, duration, [tokenAddress], [collateralAmount]);
 
       // ローン情報の確認
       const loan = await socialLending.loans(0);
@@ -135,7 +137,8 @@ describe("SocialLendingWithCollateral", function () {
           interestRate,
           duration,
           tokenAddress,
-          collateralAmount
+          collateralAmount,
+          0
         )
       ).to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
     });
@@ -158,7 +161,8 @@ describe("SocialLendingWithCollateral", function () {
         interestRate,
         duration,
         tokenAddress,
-        collateralAmount
+        collateralAmount,
+        0
       );
     });
 
@@ -205,7 +209,8 @@ describe("SocialLendingWithCollateral", function () {
         interestRate,
         duration,
         tokenAddress,
-        collateralAmount
+        collateralAmount,
+        0
       );
 
       const loanId = 0;
@@ -243,7 +248,8 @@ describe("SocialLendingWithCollateral", function () {
         interestRate,
         duration,
         tokenAddress,
-        collateralAmount
+        collateralAmount,
+        0
       );
 
       // 資金提供
@@ -303,7 +309,8 @@ describe("SocialLendingWithCollateral", function () {
         interestRate,
         duration,
         tokenAddress,
-        collateralAmount
+        collateralAmount,
+        0
       );
 
       // 資金提供
@@ -316,7 +323,7 @@ describe("SocialLendingWithCollateral", function () {
       const loanId = 0;
 
       // 時間を進める
-      await ethers.provider.send("evm_increaseTime", [31 * 24 * 60 * 60]); // 31日
+      await ethers.provider.send("evm_increaseTime", [34 * 24 * 60 * 60]); // 34日（30日 + 猶予期間3日を超過）
       await ethers.provider.send("evm_mine");
 
       await expect(
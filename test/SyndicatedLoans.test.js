@@ -0,0 +1,314 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Syndicated Loans", function () {
+    let socialLending;
+    let owner, borrower, lenderA, lenderB, lenderC, feeRecipient, mockToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+    const BASIS_POINTS = 10000n;
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    async function fillLoan() {
+        await socialLending.connect(lenderA).fundLoanPartial(0, ethers.parseEther("0.25"), { value: ethers.parseEther("0.25") });
+        await socialLending.connect(lenderB).fundLoanPartial(0, ethers.parseEther("0.75"), { value: ethers.parseEther("0.75") });
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lenderA, lenderB, lenderC, feeRecipient] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(feeRecipient.address);
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+
+        await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+    });
+
+    describe("Configuration", function () {
+        it("should allow owner to set the syndication period", async function () {
+            await expect(socialLending.setSyndicationPeriod(3 * 24 * 60 * 60))
+                .to.emit(socialLending, "SyndicationPeriodUpdated")
+                .withArgs(3 * 24 * 60 * 60);
+            expect(await socialLending.syndicationPeriod()).to.equal(3 * 24 * 60 * 60);
+        });
+
+        it("should revert if the syndication period is out of range", async function () {
+            const max = await socialLending.MAX_SYNDICATION_PERIOD();
+            await expect(socialLending.setSyndicationPeriod(0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(socialLending.setSyndicationPeriod(max + 1n))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(socialLending.connect(lenderA).setSyndicationPeriod(1))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+    });
+
+    describe("Subscription", function () {
+        it("should escrow partial contributions and open a funding deadline", async function () {
+            const amount = ethers.parseEther("0.25");
+            await expect(socialLending.connect(lenderA).fundLoanPartial(0, amount, { value: amount }))
+                .to.emit(socialLending, "LoanSubscribed")
+                .withArgs(0, lenderA.address, amount, amount);
+
+            const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+            expect(await socialLending.fundingDeadline(0)).to.equal(now + await socialLending.syndicationPeriod());
+            expect(await socialLending.fundedAmount(0)).to.equal(amount);
+            expect(await socialLending.lockedETH()).to.equal(amount);
+            expect((await socialLending.loans(0)).state).to.equal(0); // Still Requested
+        });
+
+        it("should fund the loan once fully subscribed", async function () {
+            const fee = LOAN_AMOUNT * 100n / BASIS_POINTS;
+            await socialLending.connect(lenderA).fundLoanPartial(0, ethers.parseEther("0.25"), { value: ethers.parseEther("0.25") });
+
+            await expect(socialLending.connect(lenderB).fundLoanPartial(0, ethers.parseEther("0.75"), { value: ethers.parseEther("0.75") }))
+                .to.emit(socialLending, "LoanFunded")
+                .withArgs(0, lenderA.address);
+            expect(await socialLending.pendingWithdrawals(borrower.address)).to.equal(LOAN_AMOUNT - fee);
+            expect(await socialLending.pendingWithdrawals(feeRecipient.address)).to.equal(fee);
+
+            const loan = await socialLending.loans(0);
+            expect(loan.state).to.equal(1); // Funded
+            expect(loan.lender).to.equal(lenderA.address);
+            expect(await socialLending.lockedETH()).to.equal(0);
+
+            const [lenders, shares] = await socialLending.getLoanLenders(0);
+            expect(lenders).to.deep.equal([lenderA.address, lenderB.address]);
+            expect(shares).to.deep.equal([ethers.parseEther("0.25"), ethers.parseEther("0.75")]);
+        });
+
+        it("should track partial positions in the lender indexes", async function () {
+            await fillLoan();
+
+            for (const lender of [lenderA, lenderB]) {
+                expect(await socialLending.lenderActiveLoans(lender.address)).to.equal(1);
+                expect(await socialLending.getLenderLoans(lender.address)).to.deep.equal([0n]);
+            }
+            expect((await socialLending.getStats()).activeLoans).to.equal(1);
+        });
+
+        it("should revert on oversubscription, wrong value, self-funding and mixing with fundLoan", async function () {
+            await expect(socialLending.connect(lenderA).fundLoanPartial(0, LOAN_AMOUNT + 1n, { value: LOAN_AMOUNT + 1n }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidAmount");
+            await expect(socialLending.connect(lenderA).fundLoanPartial(0, ethers.parseEther("0.5"), { value: ethers.parseEther("0.4") }))
+                .to.be.revertedWithCustomError(socialLending, "IncorrectFundingAmount");
+            await expect(socialLending.connect(borrower).fundLoanPartial(0, ethers.parseEther("0.5"), { value: ethers.parseEther("0.5") }))
+                .to.be.revertedWithCustomError(socialLending, "SelfFunding");
+
+            await socialLending.connect(lenderA).fundLoanPartial(0, ethers.parseEther("0.5"), { value: ethers.parseEther("0.5") });
+            await expect(socialLending.connect(lenderB).fundLoan(0, { value: LOAN_AMOUNT }))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanState");
+        });
+
+        it("should refund the expired round and open a new one on a contribution after the funding deadline", async function () {
+            await socialLending.connect(lenderA).fundLoanPartial(0, ethers.parseEther("0.5"), { value: ethers.parseEther("0.5") });
+            await increaseTime(Number(await socialLending.syndicationPeriod()) + 1);
+
+            await expect(socialLending.connect(lenderB).fundLoanPartial(0, ethers.parseEther("0.5"), { value: ethers.parseEther("0.5") }))
+                .to.emit(socialLending, "SubscriptionRefunded")
+                .withArgs(0, lenderA.address, ethers.parseEther("0.5"));
+
+            expect(await socialLending.fundedAmount(0)).to.equal(ethers.parseEther("0.5"));
+            expect(await socialLending.lenderShares(0, lenderA.address)).to.equal(0);
+            expect(await socialLending.pendingWithdrawals(lenderA.address)).to.equal(ethers.parseEther("0.5"));
+            const [lenders] = await socialLending.getLoanLenders(0);
+            expect(lenders).to.deep.equal([lenderB.address]);
+            expect(await socialLending.fundingDeadline(0)).to.be.gt((await ethers.provider.getBlock("latest")).timestamp);
+        });
+    });
+
+    describe("Refunds", function () {
+        beforeEach(async function () {
+            await socialLending.connect(lenderA).fundLoanPartial(0, ethers.parseEther("0.5"), { value: ethers.parseEther("0.5") });
+        });
+
+        it("should not refund while the subscription window is open", async function () {
+            await expect(socialLending.connect(lenderA).claimSubscriptionRefund(0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanState");
+        });
+
+        it("should refund contributions once the deadline passes unfilled", async function () {
+            await increaseTime(Number(await socialLending.syndicationPeriod()) + 1);
+
+            const amount = ethers.parseEther("0.5");
+            const tx = socialLending.connect(lenderA).claimSubscriptionRefund(0);
+            await expect(tx)
+                .to.emit(socialLending, "SubscriptionRefunded")
+                .withArgs(0, lenderA.address, amount);
+            await expect(tx).to.changeEtherBalance(lenderA, amount);
+
+            expect(await socialLending.fundedAmount(0)).to.equal(0);
+            expect(await socialLending.lockedETH()).to.equal(0);
+            await expect(socialLending.connect(lenderA).claimSubscriptionRefund(0))
+                .to.be.revertedWithCustomError(socialLending, "NothingToRefund");
+        });
+
+        it("should refund contributions after the borrower cancels", async function () {
+            await socialLending.connect(borrower).cancelLoanRequest(0);
+            await expect(socialLending.connect(lenderA).claimSubscriptionRefund(0))
+                .to.changeEtherBalance(lenderA, ethers.parseEther("0.5"));
+        });
+
+        it("should open a new round once every contribution is refunded", async function () {
+            await increaseTime(Number(await socialLending.syndicationPeriod()) + 1);
+            await socialLending.connect(lenderA).claimSubscriptionRefund(0);
+
+            await socialLending.connect(lenderC).fundLoanPartial(0, LOAN_AMOUNT, { value: LOAN_AMOUNT });
+            const [lenders] = await socialLending.getLoanLenders(0);
+            expect(lenders).to.deep.equal([lenderC.address]);
+            expect((await socialLending.loans(0)).lender).to.equal(lenderC.address);
+        });
+
+        it("should let the request be funded when a lender never claims the refund", async function () {
+            await increaseTime(Number(await socialLending.syndicationPeriod()) + 1);
+
+            await expect(socialLending.connect(lenderC).fundLoan(0, { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "SubscriptionRefunded")
+                .withArgs(0, lenderA.address, ethers.parseEther("0.5"))
+                .and.to.emit(socialLending, "LoanFunded")
+                .withArgs(0, lenderC.address);
+
+            expect(await socialLending.fundedAmount(0)).to.equal(0);
+            expect(await socialLending.lockedETH()).to.equal(0);
+            await expect(socialLending.connect(lenderA).withdraw())
+                .to.changeEtherBalance(lenderA, ethers.parseEther("0.5"));
+            await expect(socialLending.connect(lenderA).claimSubscriptionRefund(0))
+                .to.be.revertedWithCustomError(socialLending, "InvalidLoanState");
+        });
+
+        it("should keep escrowed contributions out of rescueETH", async function () {
+            await expect(timelockCall(socialLending, "rescueETH", [1, owner.address]))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientUnlockedBalance");
+        });
+    });
+
+    describe("Settlement", function () {
+        beforeEach(async function () {
+            await fillLoan();
+        });
+
+        it("should split repayments pro-rata", async function () {
+            const loan = await socialLending.loans(0);
+            const partialAmount = loan.remainingRepaymentAmount / 2n;
+            const shareA = partialAmount / 4n;
+
+            await socialLending.connect(borrower).repayLoan(0, { value: partialAmount });
+            expect(await socialLending.pendingWithdrawals(lenderA.address)).to.equal(shareA);
+            expect(await socialLending.pendingWithdrawals(lenderB.address)).to.equal(partialAmount - shareA);
+
+            const rest = (await socialLending.loans(0)).remainingRepaymentAmount;
+            const restA = rest / 4n;
+            await socialLending.connect(borrower).repayLoan(0, { value: rest });
+            expect(await socialLending.pendingWithdrawals(lenderA.address)).to.equal(shareA + restA);
+            expect(await socialLending.pendingWithdrawals(lenderB.address)).to.equal(partialAmount - shareA + rest - restA);
+
+            for (const lender of [lenderA, lenderB]) {
+                expect(await socialLending.lenderActiveLoans(lender.address)).to.equal(0);
+            }
+        });
+
+        it("should split unsold defaulted collateral pro-rata", async function () {
+            await increaseTime(DURATION + Number(await socialLending.gracePeriod()) + 1);
+            await socialLending.connect(lenderB).checkAndDeclareDefault(0);
+            await increaseTime(Number(await socialLending.auctionDuration()) + 1);
+
+            const tx = socialLending.connect(lenderB).claimUnsoldCollateral(0);
+            await expect(tx).to.changeTokenBalances(
+                mockToken,
+                [lenderA, lenderB],
+                [COLLATERAL_AMOUNT / 4n, COLLATERAL_AMOUNT * 3n / 4n]
+            );
+
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(0);
+            for (const lender of [lenderA, lenderB]) {
+                expect(await socialLending.lenderActiveLoans(lender.address)).to.equal(0);
+                expect(await socialLending.getLenderLoans(lender.address)).to.deep.equal([]);
+            }
+        });
+
+        it("should split liquidation proceeds pro-rata", async function () {
+            await mockPriceFeed.setLatestPrice(ethers.parseUnits("0.55", 8));
+            const debt = (await socialLending.loans(0)).remainingRepaymentAmount;
+            const debtA = debt / 4n;
+
+            await socialLending.connect(lenderC).liquidate(0, { value: debt });
+            expect(await socialLending.pendingWithdrawals(lenderA.address)).to.equal(debtA);
+            expect(await socialLending.pendingWithdrawals(lenderB.address)).to.equal(debt - debtA);
+        });
+    });
+
+    describe("ERC20 Principal", function () {
+        let usdc;
+        const TOKEN_AMOUNT = ethers.parseUnits("1000", 6);
+
+        beforeEach(async function () {
+            const MockToken = await ethers.getContractFactory("MockERC20");
+            usdc = await MockToken.deploy("USD Coin", "USDC", 6);
+            const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+            const usdcFeed = await MockPriceFeed.deploy();
+            await usdcFeed.setLatestPrice(ethers.parseUnits("0.0005", 8));
+
+            await timelockCall(socialLending, "setCollateralTokenDecimals", [await usdc.getAddress(), 6]);
+            await timelockCall(socialLending, "setPrincipalTokenStatus", [await usdc.getAddress(), true]);
+            await timelockCall(socialLending, "setPriceFeed", [await usdc.getAddress(), await usdcFeed.getAddress()]);
+
+            for (const user of [borrower, lenderA, lenderB]) {
+                await usdc.mint(user.address, ethers.parseUnits("100000", 6));
+                await usdc.connect(user).approve(await socialLending.getAddress(), ethers.MaxUint256);
+            }
+
+            await socialLending.connect(borrower).requestLoanWithParams({
+                principalToken: await usdc.getAddress(),
+                amount: TOKEN_AMOUNT,
+                interestRate: INTEREST_RATE,
+                duration: DURATION,
+                expiresAt: 0,
+                collateralTokens: [await mockToken.getAddress()],
+                collateralAmounts: [COLLATERAL_AMOUNT]
+            });
+        });
+
+        it("should escrow token contributions and protect them from rescueTokens", async function () {
+            const amount = ethers.parseUnits("400", 6);
+            await expect(socialLending.connect(lenderA).fundLoanPartial(1, amount))
+                .to.changeTokenBalances(usdc, [lenderA, socialLending], [-amount, amount]);
+            expect(await socialLending.lockedPrincipal(await usdc.getAddress())).to.equal(amount);
+
+            await expect(socialLending.rescueTokens(await usdc.getAddress(), 1, owner.address))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientUnlockedCollateral");
+        });
+
+        it("should disburse from escrow and split token repayments", async function () {
+            const fee = TOKEN_AMOUNT * 100n / BASIS_POINTS;
+            await socialLending.connect(lenderA).fundLoanPartial(1, ethers.parseUnits("400", 6));
+            await expect(socialLending.connect(lenderB).fundLoanPartial(1, ethers.parseUnits("600", 6)))
+                .to.changeTokenBalances(usdc, [borrower, feeRecipient], [TOKEN_AMOUNT - fee, fee]);
+            expect(await usdc.balanceOf(await socialLending.getAddress())).to.equal(0);
+
+            const owed = (await socialLending.loans(1)).remainingRepaymentAmount;
+            const owedA = owed * 400n / 1000n;
+            await expect(socialLending.connect(borrower).repayLoanWithToken(1, owed))
+                .to.changeTokenBalances(usdc, [borrower, lenderA, lenderB], [-owed, owedA, owed - owedA]);
+        });
+    });
+});
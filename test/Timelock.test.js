@@ -0,0 +1,283 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Timelocked Admin Changes", function () {
+    let socialLending;
+    let owner, user, mockToken, mockPriceFeed, newPriceFeed;
+    const DELAY = 2 * 24 * 60 * 60; // 2 days (default)
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    function encode(functionName, args) {
+        return socialLending.interface.encodeFunctionData(functionName, args);
+    }
+
+    beforeEach(async function () {
+        [owner, user] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        newPriceFeed = await MockPriceFeed.deploy();
+
+        socialLending = await deploySocialLending(owner.address);
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+    });
+
+    describe("Direct Calls", function () {
+        it("should start with the default delay", async function () {
+            expect(await socialLending.timelockMinDelay()).to.equal(DELAY);
+        });
+
+        it("should require the timelock even from role holders", async function () {
+            await expect(socialLending.setPlatformFee(200))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            await expect(socialLending.setCollateralRatio(16000))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            await expect(socialLending.setPriceFeed(await mockToken.getAddress(), await newPriceFeed.getAddress()))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            await expect(socialLending.setFeeRecipient(user.address))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            await expect(socialLending.setCollateralTokenStatus(await mockToken.getAddress(), false))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            await expect(socialLending.setGracePeriod(DELAY))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            await expect(socialLending.setLiquidationThreshold(11000))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            await expect(socialLending.setLiquidationBonus(1000))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            await expect(socialLending.setReputationTiers([]))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            await expect(socialLending.setFeedHeartbeat(await mockPriceFeed.getAddress(), DELAY))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            await expect(socialLending.setCollateralTokenDecimals(await mockToken.getAddress(), 6))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            await expect(socialLending.setPrincipalTokenStatus(await mockToken.getAddress(), true))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            await expect(socialLending.rescueETH(0, user.address))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            await expect(socialLending.setTimelockMinDelay(DELAY))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+        });
+
+        it("should require the timelock for per-token collateral risk parameters", async function () {
+            // A higher token liquidation threshold makes open loans liquidatable at once
+            const params = { minCollateralRatio: 20000, liquidationThreshold: 19999, supplyCap: 0, maxPerLoan: 0 };
+            await expect(socialLending.setCollateralRiskParams(await mockToken.getAddress(), params))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+
+            const data = encode("setCollateralRiskParams", [await mockToken.getAddress(), params]);
+            await socialLending.queueChange(data);
+            await increaseTime(DELAY);
+            await expect(socialLending.executeChange(data))
+                .to.emit(socialLending, "CollateralRiskParamsUpdated");
+            expect((await socialLending.collateralRiskParams(await mockToken.getAddress())).liquidationThreshold).to.equal(19999);
+        });
+
+        it("should keep pause and other setters instant", async function () {
+            await expect(socialLending.pause()).to.emit(socialLending, "Paused");
+            await expect(socialLending.setMaxLoanAmount(ethers.parseEther("5")))
+                .to.emit(socialLending, "MaxLoanAmountUpdated");
+        });
+
+        it("should revert timelocked setters called by non-owner", async function () {
+            await expect(socialLending.connect(user).setPlatformFee(200))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+
+        it("should revert if the delay is outside MIN_TIMELOCK_DELAY and MAX_TIMELOCK_DELAY", async function () {
+            const min = await socialLending.MIN_TIMELOCK_DELAY();
+            const max = await socialLending.MAX_TIMELOCK_DELAY();
+            const changes = [encode("setTimelockMinDelay", [max + 1n]), encode("setTimelockMinDelay", [min - 1n]), encode("setTimelockMinDelay", [0])];
+            for (const data of changes) {
+                await socialLending.queueChange(data);
+            }
+            await increaseTime(DELAY);
+
+            for (const data of changes) {
+                await expect(socialLending.executeChange(data))
+                    .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            }
+        });
+    });
+
+    describe("Queue", function () {
+        it("should queue a change with an eta after the minimum delay", async function () {
+            const data = encode("setPriceFeed", [await mockToken.getAddress(), await newPriceFeed.getAddress()]);
+            const changeId = ethers.keccak256(data);
+
+            const tx = await socialLending.queueChange(data);
+            const eta = BigInt((await ethers.provider.getBlock(tx.blockNumber)).timestamp) + BigInt(DELAY);
+            await expect(tx)
+                .to.emit(socialLending, "ChangeQueued")
+                .withArgs(changeId, data.slice(0, 10), data, eta);
+
+            const [changeIds, pendingData, etas] = await socialLending.getPendingChanges();
+            expect(changeIds).to.deep.equal([changeId]);
+            expect(pendingData).to.deep.equal([data]);
+            expect(etas).to.deep.equal([eta]);
+        });
+
+        it("should revert for functions that are not timelocked", async function () {
+            await expect(socialLending.queueChange(encode("setMaxLoanAmount", [1])))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(socialLending.queueChange(encode("pause", [])))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+            await expect(socialLending.queueChange("0x1234"))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+
+        it("should revert if the change is already queued", async function () {
+            const data = encode("setPlatformFee", [200]);
+            await socialLending.queueChange(data);
+            await expect(socialLending.queueChange(data))
+                .to.be.revertedWithCustomError(socialLending, "ChangeAlreadyQueued");
+        });
+
+        it("should revert if called by non-owner", async function () {
+            await expect(socialLending.connect(user).queueChange(encode("setPlatformFee", [200])))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+    });
+
+    describe("Execute", function () {
+        it("should apply the change after the delay", async function () {
+            const data = encode("setPriceFeed", [await mockToken.getAddress(), await newPriceFeed.getAddress()]);
+            await socialLending.queueChange(data);
+
+            await expect(socialLending.executeChange(data))
+                .to.be.revertedWithCustomError(socialLending, "ChangeNotReady");
+
+            await increaseTime(DELAY);
+            await expect(socialLending.executeChange(data))
+                .to.emit(socialLending, "ChangeExecuted")
+                .withArgs(ethers.keccak256(data), data.slice(0, 10), data)
+                .and.to.emit(socialLending, "PriceFeedUpdated")
+                .withArgs(await mockToken.getAddress(), await newPriceFeed.getAddress());
+
+            expect(await socialLending.priceFeeds(await mockToken.getAddress())).to.equal(await newPriceFeed.getAddress());
+            const [changeIds] = await socialLending.getPendingChanges();
+            expect(changeIds).to.deep.equal([]);
+            await expect(socialLending.executeChange(data))
+                .to.be.revertedWithCustomError(socialLending, "ChangeNotQueued");
+        });
+
+        it("should execute each timelocked setter", async function () {
+            const changes = [
+                encode("setPlatformFee", [200]),
+                encode("setCollateralRatio", [16000]),
+                encode("setFeeRecipient", [user.address]),
+                encode("setCollateralTokenStatus", [await mockToken.getAddress(), false])
+            ];
+            for (const data of changes) {
+                await socialLending.queueChange(data);
+            }
+            await increaseTime(DELAY);
+            for (const data of changes) {
+                await socialLending.executeChange(data);
+            }
+
+            expect(await socialLending.platformFee()).to.equal(200);
+            expect(await socialLending.collateralRatio()).to.equal(16000);
+            expect(await socialLending.feeRecipient()).to.equal(user.address);
+            expect(await socialLending.allowedCollateralTokens(await mockToken.getAddress())).to.be.false;
+        });
+
+        it("should rescue ETH through the timelock", async function () {
+            await owner.sendTransaction({ to: await socialLending.getAddress(), value: ethers.parseEther("1") });
+            const data = encode("rescueETH", [ethers.parseEther("1"), user.address]);
+            await socialLending.queueChange(data);
+            await increaseTime(DELAY);
+
+            await expect(socialLending.executeChange(data))
+                .to.changeEtherBalance(user, ethers.parseEther("1"));
+        });
+
+        it("should bubble up reverts from the change", async function () {
+            const data = encode("setPlatformFee", [10000]);
+            await socialLending.queueChange(data);
+            await increaseTime(DELAY);
+
+            await expect(socialLending.executeChange(data))
+                .to.be.revertedWithCustomError(socialLending, "InvalidParameter");
+        });
+
+        it("should revert once the execution window has passed", async function () {
+            const data = encode("setPlatformFee", [200]);
+            await socialLending.queueChange(data);
+            await increaseTime(DELAY + Number(await socialLending.TIMELOCK_EXECUTION_WINDOW()) + 1);
+
+            await expect(socialLending.executeChange(data))
+                .to.be.revertedWithCustomError(socialLending, "ChangeExpired");
+        });
+
+        it("should timelock changes to the delay itself", async function () {
+            const min = await socialLending.MIN_TIMELOCK_DELAY();
+            const data = encode("setTimelockMinDelay", [min]);
+            await socialLending.queueChange(data);
+            await increaseTime(DELAY);
+            await expect(socialLending.executeChange(data))
+                .to.emit(socialLending, "TimelockMinDelayUpdated")
+                .withArgs(min);
+
+            expect(await socialLending.timelockMinDelay()).to.equal(min);
+            await expect(socialLending.setPlatformFee(200))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+            const tx = await socialLending.queueChange(encode("setPlatformFee", [200]));
+            const [, , etas] = await socialLending.getPendingChanges();
+            expect(etas[0]).to.equal(BigInt((await ethers.provider.getBlock(tx.blockNumber)).timestamp) + min);
+        });
+
+        it("should revert if called by non-owner", async function () {
+            const data = encode("setPlatformFee", [200]);
+            await socialLending.queueChange(data);
+            await increaseTime(DELAY);
+
+            await expect(socialLending.connect(user).executeChange(data))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+    });
+
+    describe("Cancel", function () {
+        it("should cancel a queued change and keep the others pending", async function () {
+            const first = encode("setPlatformFee", [200]);
+            const second = encode("setCollateralRatio", [16000]);
+            const third = encode("setFeeRecipient", [user.address]);
+            for (const data of [first, second, third]) {
+                await socialLending.queueChange(data);
+            }
+
+            await expect(socialLending.cancelChange(ethers.keccak256(first)))
+                .to.emit(socialLending, "ChangeCancelled")
+                .withArgs(ethers.keccak256(first));
+
+            const [changeIds] = await socialLending.getPendingChanges();
+            expect([...changeIds]).to.have.members([ethers.keccak256(second), ethers.keccak256(third)]);
+
+            await increaseTime(DELAY);
+            await expect(socialLending.executeChange(first))
+                .to.be.revertedWithCustomError(socialLending, "ChangeNotQueued");
+            await socialLending.executeChange(third);
+            expect(await socialLending.feeRecipient()).to.equal(user.address);
+        });
+
+        it("should revert for unknown changes or non-owner", async function () {
+            await expect(socialLending.cancelChange(ethers.ZeroHash))
+                .to.be.revertedWithCustomError(socialLending, "ChangeNotQueued");
+
+            const data = encode("setPlatformFee", [200]);
+            await socialLending.queueChange(data);
+            await expect(socialLending.connect(user).cancelChange(ethers.keccak256(data)))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+    });
+});
@@ -0,0 +1,234 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("ERC20 Principal Loans", function () {
+    let socialLending;
+    let owner, borrower, lender, feeRecipient, liquidator, collateralToken, usdc, collateralFeed, usdcFeed;
+    const LOAN_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC = 0.5 ETH
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("1"); // 1 token = 1 ETH = 2000 USDC
+    const BASIS_POINTS = 10000n;
+
+    async function requestTokenLoan(overrides = {}) {
+        return socialLending.connect(borrower).requestLoanWithParams({
+            principalToken: await usdc.getAddress(),
+            amount: LOAN_AMOUNT,
+            interestRate: INTEREST_RATE,
+            duration: DURATION,
+            expiresAt: 0,
+            collateralTokens: [await collateralToken.getAddress()],
+            collateralAmounts: [COLLATERAL_AMOUNT],
+            ...overrides
+        });
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, feeRecipient, liquidator] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        collateralToken = await MockToken.deploy("Mock", "MOCK", 18);
+        usdc = await MockToken.deploy("USD Coin", "USDC", 6);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        collateralFeed = await MockPriceFeed.deploy();
+        usdcFeed = await MockPriceFeed.deploy();
+        await collateralFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+        await usdcFeed.setLatestPrice(ethers.parseUnits("0.0005", 8)); // 1 USDC = 0.0005 ETH
+
+        socialLending = await deploySocialLending(feeRecipient.address);
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await collateralToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await collateralToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await collateralToken.getAddress(), await collateralFeed.getAddress()]);
+
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await usdc.getAddress(), 6]);
+        await timelockCall(socialLending, "setPrincipalTokenStatus", [await usdc.getAddress(), true]);
+        await timelockCall(socialLending, "setPriceFeed", [await usdc.getAddress(), await usdcFeed.getAddress()]);
+
+        await collateralToken.mint(borrower.address, ethers.parseEther("1000"));
+        await collateralToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+
+        for (const user of [borrower, lender, liquidator]) {
+            await usdc.mint(user.address, ethers.parseUnits("100000", 6));
+            await usdc.connect(user).approve(await socialLending.getAddress(), ethers.parseUnits("100000", 6));
+        }
+    });
+
+    describe("Configuration", function () {
+        it("should allow owner to set principal token status", async function () {
+            await expect(timelockCall(socialLending, "setPrincipalTokenStatus", [await usdc.getAddress(), false]))
+                .to.emit(socialLending, "PrincipalTokenStatusUpdated")
+                .withArgs(await usdc.getAddress(), false);
+            expect(await socialLending.allowedPrincipalTokens(await usdc.getAddress())).to.be.false;
+        });
+
+        it("should revert setPrincipalTokenStatus with invalid address or caller", async function () {
+            await expect(timelockCall(socialLending, "setPrincipalTokenStatus", [ethers.ZeroAddress, true]))
+                .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
+            await expect(socialLending.connect(borrower).setPrincipalTokenStatus(await usdc.getAddress(), true))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+
+        it("should require the decimals to be set before allowing a principal token", async function () {
+            const MockToken = await ethers.getContractFactory("MockERC20");
+            const token = await MockToken.deploy("Mock USDT", "USDT", 6);
+            await expect(timelockCall(socialLending, "setPrincipalTokenStatus", [await token.getAddress(), true]))
+                .to.be.revertedWithCustomError(socialLending, "DecimalsNotSet");
+
+            await timelockCall(socialLending, "setCollateralTokenDecimals", [await token.getAddress(), 6]);
+            await timelockCall(socialLending, "setPrincipalTokenStatus", [await token.getAddress(), true]);
+            expect(await socialLending.allowedPrincipalTokens(await token.getAddress())).to.be.true;
+
+            // 許可中の元本トークンの桁数は消せない
+            await expect(timelockCall(socialLending, "setCollateralTokenDecimals", [await token.getAddress(), 0]))
+                .to.be.revertedWithCustomError(socialLending, "DecimalsNotSet");
+        });
+    });
+
+    describe("Valuation", function () {
+        it("should price collateral in the principal asset", async function () {
+            expect(await socialLending.getCollateralValue(await collateralToken.getAddress(), COLLATERAL_AMOUNT, await usdc.getAddress()))
+                .to.equal(ethers.parseUnits("2000", 6));
+        });
+
+        it("should price collateral in ETH when the principal is ETH", async function () {
+            expect(await socialLending.getCollateralValue(await collateralToken.getAddress(), COLLATERAL_AMOUNT, ethers.ZeroAddress))
+                .to.equal(await socialLending.getCollateralValueInETH(await collateralToken.getAddress(), COLLATERAL_AMOUNT));
+        });
+    });
+
+    describe("Request", function () {
+        it("should record the principal token on the loan", async function () {
+            await expect(requestTokenLoan())
+                .to.emit(socialLending, "LoanRequested")
+                .withArgs(0, borrower.address, LOAN_AMOUNT, INTEREST_RATE, DURATION, [await collateralToken.getAddress()], [COLLATERAL_AMOUNT]);
+
+            const loan = await socialLending.loans(0);
+            expect(loan.principalToken).to.equal(await usdc.getAddress());
+            expect(loan.principalAmount).to.equal(LOAN_AMOUNT);
+        });
+
+        it("should record ETH as the principal asset for requestLoan", async function () {
+            await socialLending.connect(borrower).requestLoan(ethers.parseEther("0.5"), INTEREST_RATE, DURATION, await collateralToken.getAddress(), COLLATERAL_AMOUNT, 0);
+            expect((await socialLending.loans(0)).principalToken).to.equal(ethers.ZeroAddress);
+        });
+
+        it("should revert if the principal token is not allowed", async function () {
+            await timelockCall(socialLending, "setPrincipalTokenStatus", [await usdc.getAddress(), false]);
+            await expect(requestTokenLoan())
+                .to.be.revertedWithCustomError(socialLending, "TokenNotAllowed");
+        });
+
+        it("should check the collateral ratio in the principal asset", async function () {
+            // 0.7 tokens = 1400 USDC < 1500 USDC required
+            await expect(requestTokenLoan({ collateralAmounts: [ethers.parseEther("0.7")] }))
+                .to.be.revertedWithCustomError(socialLending, "InsufficientCollateralValue");
+        });
+
+        it("should apply maxLoanAmount to the ETH value of the principal", async function () {
+            await socialLending.setMaxLoanAmount(ethers.parseEther("0.4"));
+            await expect(requestTokenLoan())
+                .to.be.revertedWithCustomError(socialLending, "LoanTooLarge");
+        });
+    });
+
+    describe("Funding & Repayment", function () {
+        beforeEach(async function () {
+            await requestTokenLoan();
+        });
+
+        it("should fund the loan in the principal token and collect the fee", async function () {
+            const fee = LOAN_AMOUNT * 100n / BASIS_POINTS;
+
+            const tx = socialLending.connect(lender).fundLoan(0);
+            await expect(tx)
+                .to.emit(socialLending, "LoanFunded")
+                .withArgs(0, lender.address);
+            await expect(tx).to.changeTokenBalances(usdc, [lender, borrower, feeRecipient], [-LOAN_AMOUNT, LOAN_AMOUNT - fee, fee]);
+
+            expect(await ethers.provider.getBalance(await socialLending.getAddress())).to.equal(0);
+        });
+
+        it("should reject ETH when funding a token loan", async function () {
+            await expect(socialLending.connect(lender).fundLoan(0, { value: 1 }))
+                .to.be.revertedWithCustomError(socialLending, "IncorrectFundingAmount");
+        });
+
+        it("should reject repayment in the wrong asset", async function () {
+            await socialLending.connect(lender).fundLoan(0);
+            await expect(socialLending.connect(borrower).repayLoan(0, { value: 1 }))
+                .to.be.revertedWithCustomError(socialLending, "PrincipalTokenMismatch");
+
+            await socialLending.connect(borrower).requestLoan(ethers.parseEther("0.5"), INTEREST_RATE, DURATION, await collateralToken.getAddress(), COLLATERAL_AMOUNT, 0);
+            await socialLending.connect(lender).fundLoan(1, { value: ethers.parseEther("0.5") });
+            await expect(socialLending.connect(borrower).repayLoanWithToken(1, 1))
+                .to.be.revertedWithCustomError(socialLending, "PrincipalTokenMismatch");
+        });
+
+        it("should accept partial repayments in the principal token", async function () {
+            await socialLending.connect(lender).fundLoan(0);
+            const loan = await socialLending.loans(0);
+            const partialAmount = loan.remainingRepaymentAmount / 2n;
+
+            const tx = socialLending.connect(borrower).repayLoanWithToken(0, partialAmount);
+            await expect(tx)
+                .to.emit(socialLending, "LoanPartiallyRepaid")
+                .withArgs(0, borrower.address, partialAmount, loan.remainingRepaymentAmount - partialAmount);
+            await expect(tx).to.changeTokenBalances(usdc, [borrower, lender], [-partialAmount, partialAmount]);
+        });
+
+        it("should only pull the amount owed on full repayment and return the collateral", async function () {
+            await socialLending.connect(lender).fundLoan(0);
+            const loan = await socialLending.loans(0);
+            const owed = loan.remainingRepaymentAmount;
+
+            const tx = socialLending.connect(borrower).repayLoanWithToken(0, owed + ethers.parseUnits("500", 6));
+            await expect(tx)
+                .to.emit(socialLending, "LoanRepaid")
+                .withArgs(0, borrower.address, lender.address, owed);
+            await expect(tx).to.changeTokenBalances(usdc, [borrower, lender], [-owed, owed]);
+
+            expect((await socialLending.loans(0)).state).to.equal(2); // Repaid
+            expect(await collateralToken.balanceOf(await socialLending.getAddress())).to.equal(0);
+            expect(await socialLending.lockedCollateral(await collateralToken.getAddress())).to.equal(0);
+        });
+
+        it("should report the collateralization ratio in the principal asset", async function () {
+            await socialLending.connect(lender).fundLoan(0);
+            const loan = await socialLending.loans(0);
+            const expectedRatio = ethers.parseUnits("2000", 6) * BASIS_POINTS / loan.remainingRepaymentAmount;
+
+            expect(await socialLending.getCollateralizationRatio(0)).to.equal(expectedRatio);
+        });
+    });
+
+    describe("Liquidation", function () {
+        beforeEach(async function () {
+            await requestTokenLoan();
+            await socialLending.connect(lender).fundLoan(0);
+            // 1 token = 0.55 ETH = 1100 USDC, below the 120% threshold
+            await collateralFeed.setLatestPrice(ethers.parseUnits("0.55", 8));
+        });
+
+        it("should let the liquidator repay the debt in the principal token", async function () {
+            const loan = await socialLending.loans(0);
+            const debt = loan.remainingRepaymentAmount;
+
+            const tx = socialLending.connect(liquidator).liquidate(0);
+            await expect(tx)
+                .to.emit(socialLending, "LoanLiquidated");
+            await expect(tx).to.changeTokenBalances(usdc, [liquidator, lender], [-debt, debt]);
+
+            expect((await socialLending.loans(0)).state).to.equal(5); // Liquidated
+            expect(await collateralToken.balanceOf(liquidator.address)).to.be.gt(0);
+        });
+
+        it("should reject ETH when liquidating a token loan", async function () {
+            await expect(socialLending.connect(liquidator).liquidate(0, { value: 1 }))
+                .to.be.revertedWithCustomError(socialLending, "IncorrectFundingAmount");
+        });
+    });
+});
@@ -0,0 +1,207 @@
+const { expect } = require("chai");
+const { ethers, upgrades, artifacts } = require("hardhat");
+const { MODULES, deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
+
+describe("Upgradeability", function () {
+    let socialLending, implementationV2;
+    let owner, borrower, lender, otherUser, mockToken, mockPriceFeed;
+    const LOAN_AMOUNT = ethers.parseEther("1");
+    const INTEREST_RATE = 1000; // 10%
+    const DURATION = 30 * 24 * 60 * 60; // 30 days
+    const COLLATERAL_AMOUNT = ethers.parseEther("2");
+    // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+    async function implementationOf(proxy) {
+        const slot = await ethers.provider.getStorage(await proxy.getAddress(), IMPLEMENTATION_SLOT);
+        return ethers.getAddress("0x" + slot.slice(26));
+    }
+
+    async function snapshot() {
+        const loans = [];
+        for (let i = 0; i < 3; i++) {
+            loans.push((await socialLending.loans(i)).toArray());
+        }
+        return {
+            loans,
+            borrowerLoans: await socialLending.getBorrowerLoans(borrower.address),
+            lockedCollateral: await socialLending.lockedCollateral(await mockToken.getAddress()),
+            stats: (await socialLending.getStats()).toArray(),
+            borrowerActiveLoans: await socialLending.borrowerActiveLoans(borrower.address),
+            loanNote: await socialLending.loanNote(),
+            feeRecipient: await socialLending.feeRecipient()
+        };
+    }
+
+    beforeEach(async function () {
+        [owner, borrower, lender, otherUser] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock", "MOCK", 18);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.setLatestPrice(ethers.parseUnits("1", 8)); // 1 ETH
+
+        socialLending = await deploySocialLending(owner.address);
+
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
+
+        await mockToken.mint(borrower.address, ethers.parseEther("1000"));
+        await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
+
+        const SocialLendingV2 = await ethers.getContractFactory("SocialLendingWithCollateralV2");
+        implementationV2 = await SocialLendingV2.deploy(await socialLending.nextModule());
+    });
+
+    describe("Initialization", function () {
+        it("should initialize the proxy with the default parameters", async function () {
+            expect(await socialLending.hasRole(await socialLending.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+            expect(await socialLending.feeRecipient()).to.equal(owner.address);
+            expect(await socialLending.platformFee()).to.equal(100);
+            expect(await socialLending.maxLoanAmount()).to.equal(ethers.parseEther("10"));
+            expect(await socialLending.gracePeriod()).to.equal(3 * 24 * 60 * 60);
+            expect(await socialLending.auctionStartPremium()).to.equal(2000);
+
+            const loanNote = await ethers.getContractAt("LoanNote", await socialLending.loanNote());
+            expect(await loanNote.issuer()).to.equal(await socialLending.getAddress());
+        });
+
+        it("should not allow initializing twice", async function () {
+            await expect(socialLending.initialize(otherUser.address))
+                .to.be.revertedWith("Initializable: contract is already initialized");
+        });
+
+        it("should not allow initializing the implementation", async function () {
+            await expect(implementationV2.initialize(otherUser.address))
+                .to.be.revertedWith("Initializable: contract is already initialized");
+        });
+
+        it("should revert for a zero fee recipient", async function () {
+            await expect(deploySocialLending(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(socialLending, "InvalidAddress");
+        });
+
+        it("should initialize the EIP-712 domain for the proxy", async function () {
+            const domain = await socialLending.eip712Domain();
+            expect(domain.name).to.equal("SocialLendingWithCollateral");
+            expect(domain.version).to.equal("1");
+            expect(domain.verifyingContract).to.equal(await socialLending.getAddress());
+        });
+    });
+
+    describe("Storage Layout", function () {
+        it("should pass the upgrade safety checks", async function () {
+            await upgrades.validateImplementation(await ethers.getContractFactory("SocialLendingWithCollateral"), {
+                kind: "uups",
+                constructorArgs: [await socialLending.nextModule()]
+            });
+        });
+
+        it("should keep the storage layout of the deployed implementation in V2", async function () {
+            const SocialLending = await ethers.getContractFactory("SocialLendingWithCollateral");
+            const constructorArgs = [await socialLending.nextModule()];
+            await upgrades.forceImport(await socialLending.getAddress(), SocialLending, { kind: "uups", constructorArgs });
+
+            await upgrades.validateUpgrade(
+                await socialLending.getAddress(),
+                await ethers.getContractFactory("SocialLendingWithCollateralV2"),
+                { kind: "uups", constructorArgs }
+            );
+        });
+
+        it("should give every module the storage layout of the main contract", async function () {
+            async function storageLayout(name) {
+                const { sourceName } = await artifacts.readArtifact(name);
+                const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${name}`);
+                // Struct, enum and contract types carry AST IDs that differ between compilation jobs
+                return buildInfo.output.contracts[sourceName][name].storageLayout.storage
+                    .map(({ label, slot, offset, type }) => ({
+                        label,
+                        slot,
+                        offset,
+                        type: type.replace(/t_(struct|enum|contract)\((\w+)\)\d+/g, "t_$1($2)")
+                    }));
+            }
+
+            // The main contract only appends the storage gaps of UUPSUpgradeable to the shared layout
+            const layout = await storageLayout("SocialLendingWithCollateral");
+            for (const name of MODULES) {
+                const moduleLayout = await storageLayout(name);
+                expect(moduleLayout, name).to.deep.equal(layout.slice(0, moduleLayout.length));
+                expect(layout.slice(moduleLayout.length).map(({ label }) => label), name).to.deep.equal(["__gap", "__gap"]);
+            }
+        });
+    });
+
+    describe("Upgrade", function () {
+        beforeEach(async function () {
+            // 0: funded, 1: repaid, 2: requested
+            for (let i = 0; i < 3; i++) {
+                await socialLending.connect(borrower).requestLoan(LOAN_AMOUNT, INTEREST_RATE, DURATION, await mockToken.getAddress(), COLLATERAL_AMOUNT, 0);
+            }
+            await socialLending.connect(lender).fundLoan(0, { value: LOAN_AMOUNT });
+            await socialLending.connect(lender).fundLoan(1, { value: LOAN_AMOUNT });
+            const loan = await socialLending.loans(1);
+            await socialLending.connect(borrower).repayLoan(1, { value: loan.repaymentAmount });
+        });
+
+        it("should keep loans, borrower loan IDs, locked collateral and counters", async function () {
+            const before = await snapshot();
+            expect(before.borrowerLoans).to.deep.equal([0n, 2n]);
+            expect(before.lockedCollateral).to.equal(COLLATERAL_AMOUNT * 2n);
+
+            const upgraded = await ethers.getContractAt("SocialLendingWithCollateralV2", await socialLending.getAddress());
+            await expect(timelockCall(socialLending, "upgradeToAndCall", [
+                await implementationV2.getAddress(),
+                upgraded.interface.encodeFunctionData("initializeV2")
+            ])).to.emit(socialLending, "Upgraded")
+                .withArgs(await implementationV2.getAddress());
+
+            expect(await implementationOf(socialLending)).to.equal(await implementationV2.getAddress());
+            expect(await upgraded.version()).to.equal("2");
+            expect(await upgraded.upgradeCount()).to.equal(1);
+            expect(await snapshot()).to.deep.equal(before);
+        });
+
+        it("should keep serving open loans after the upgrade", async function () {
+            await timelockCall(socialLending, "upgradeTo", [await implementationV2.getAddress()]);
+
+            const loan = await socialLending.loans(0);
+            await expect(socialLending.connect(borrower).repayLoan(0, { value: loan.repaymentAmount }))
+                .to.emit(socialLending, "LoanRepaid");
+            await expect(socialLending.connect(lender).fundLoan(2, { value: LOAN_AMOUNT }))
+                .to.emit(socialLending, "LoanFunded");
+            expect(await socialLending.lockedCollateral(await mockToken.getAddress())).to.equal(COLLATERAL_AMOUNT);
+        });
+
+        it("should only allow the admin to upgrade", async function () {
+            await expect(socialLending.connect(otherUser).upgradeTo(await implementationV2.getAddress()))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+        });
+
+        it("should require the timelock", async function () {
+            const delay = await socialLending.timelockMinDelay();
+            await expect(socialLending.upgradeTo(await implementationV2.getAddress()))
+                .to.be.revertedWithCustomError(socialLending, "TimelockRequired");
+
+            const data = socialLending.interface.encodeFunctionData("upgradeTo", [await implementationV2.getAddress()]);
+            await expect(socialLending.connect(otherUser).queueChange(data))
+                .to.be.revertedWith(/AccessControl: account .* is missing role/);
+            await socialLending.queueChange(data);
+            await ethers.provider.send("evm_increaseTime", [Number(delay)]);
+            await ethers.provider.send("evm_mine");
+            await socialLending.executeChange(data);
+
+            expect(await implementationOf(socialLending)).to.equal(await implementationV2.getAddress());
+        });
+
+        it("should not allow upgrading the implementation directly", async function () {
+            await expect(implementationV2.upgradeTo(await implementationV2.getAddress()))
+                .to.be.revertedWith("Function must be called through delegatecall");
+        });
+    });
+});
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deploySocialLending } = require("./helpers/deploySocialLending");
+const { timelockCall } = require("./helpers/timelock");
 
 describe("SocialLendingWithCollateral View Functions", function () {
     let socialLending;
@@ -14,12 +16,11 @@ describe("SocialLendingWithCollateral View Functions", function () {
         const MockPriceFeedFactory = await ethers.getContractFactory("MockPriceFeed");
         mockPriceFeed = await MockPriceFeedFactory.deploy();
 
-        const SocialLendingFactory = await ethers.getContractFactory("SocialLendingWithCollateral");
-        socialLending = await SocialLendingFactory.deploy(owner.address);
+        socialLending = await deploySocialLending(owner.address);
 
-        await socialLending.setCollateralTokenStatus(await mockToken.getAddress(), true);
-        await socialLending.setCollateralTokenDecimals(await mockToken.getAddress(), 18);
-        await socialLending.setPriceFeed(await mockToken.getAddress(), await mockPriceFeed.getAddress());
+        await timelockCall(socialLending, "setCollateralTokenStatus", [await mockToken.getAddress(), true]);
+        await timelockCall(socialLending, "setCollateralTokenDecimals", [await mockToken.getAddress(), 18]);
+        await timelockCall(socialLending, "setPriceFeed", [await mockToken.getAddress(), await mockPriceFeed.getAddress()]);
 
         await mockToken.mint(borrower.address, ethers.parseEther("1000"));
         await mockToken.connect(borrower).approve(await socialLending.getAddress(), ethers.parseEther("1000"));
@@ -29,8 +30,8 @@ describe("SocialLendingWithCollateral View Functions", function () {
 
     it("should return correct borrower loans", async function () {
         // Create 2 loans
-        await socialLending.connect(borrower).requestLoan(ethers.parseEther("0.1"), 500, 3600, await mockToken.getAddress(), ethers.parseEther("0.1"));
-        await socialLending.connect(borrower).requestLoan(ethers.parseEther("0.2"), 500, 3600, await mockToken.getAddress(), ethers.parseEther("0.2"));
+        await socialLending.connect(borrower).requestLoan(ethers.parseEther("0.1"), 500, 3600, await mockToken.getAddress(), ethers.parseEther("0.1"), 0);
+        await socialLending.connect(borrower).requestLoan(ethers.parseEther("0.2"), 500, 3600, await mockToken.getAddress(), ethers.parseEther("0.2"), 0);
 
         const loans = await socialLending.getBorrowerLoans(borrower.address);
         expect(loans.length).to.equal(2);
@@ -40,7 +41,7 @@ describe("SocialLendingWithCollateral View Functions", function () {
 
     it("should return correct lender loans", async function () {
         // Create loan
-        await socialLending.connect(borrower).requestLoan(ethers.parseEther("1.0"), 500, 3600, await mockToken.getAddress(), ethers.parseEther("1.0"));
+        await socialLending.connect(borrower).requestLoan(ethers.parseEther("1.0"), 500, 3600, await mockToken.getAddress(), ethers.parseEther("1.0"), 0);
 
         // Fund loan
         await socialLending.connect(lender).fundLoan(0, { value: ethers.parseEther("1.0") });
@@ -52,17 +53,17 @@ describe("SocialLendingWithCollateral View Functions", function () {
 
     it("should return correct stats", async function () {
         // 0: Funding
-        await socialLending.connect(borrower).requestLoan(ethers.parseEther("1.0"), 500, 3600, await mockToken.getAddress(), ethers.parseEther("1.0"));
+        await socialLending.connect(borrower).requestLoan(ethers.parseEther("1.0"), 500, 3600, await mockToken.getAddress(), ethers.parseEther("1.0"), 0);
         await socialLending.connect(lender).fundLoan(0, { value: ethers.parseEther("1.0") });
 
         // 1: Repaid
-        await socialLending.connect(borrower).requestLoan(ethers.parseEther("1.0"), 500, 3600, await mockToken.getAddress(), ethers.parseEther("1.0"));
+        await socialLending.connect(borrower).requestLoan(ethers.parseEther("1.0"), 500, 3600, await mockToken.getAddress(), ethers.parseEther("1.0"), 0);
         await socialLending.connect(lender).fundLoan(1, { value: ethers.parseEther("1.0") });
         const loan1 = await socialLending.loans(1);
         await socialLending.connect(borrower).repayLoan(1, { value: loan1.repaymentAmount }); // Full repay
 
         // 2: Cancelled
-        await socialLending.connect(borrower).requestLoan(ethers.parseEther("1.0"), 500, 3600, await mockToken.getAddress(), ethers.parseEther("1.0"));
+        await socialLending.connect(borrower).requestLoan(ethers.parseEther("1.0"), 500, 3600, await mockToken.getAddress(), ethers.parseEther("1.0"), 0);
         await socialLending.connect(borrower).cancelLoanRequest(2);
 
         const stats = await socialLending.getStats();
@@ -0,0 +1,59 @@
+const { ethers } = require("hardhat");
+
+// Modules in the order the fallback forwards calls to them (see SocialLendingBase.nextModule)
+const MODULES = [
+    "LoanRequestModule",
+    "LoanFundingModule",
+    "LoanRepaymentModule",
+    "LoanNoteModule",
+    "LoanCollateralModule",
+    "LoanOfferModule",
+    "LoanSignedTermsModule",
+    "LoanRefinanceModule",
+    "LoanDefaultModule",
+    "LoanConfigModule",
+    "LoanQueryModule"
+];
+
+// Deploys the module chain from the end, so that each module points at the next, and returns the first module's address
+async function deployModules() {
+    let nextModule = ethers.ZeroAddress;
+    for (const name of [...MODULES].reverse()) {
+        const Module = await ethers.getContractFactory(name);
+        const module = await Module.deploy(nextModule);
+        nextModule = await module.getAddress();
+    }
+    return nextModule;
+}
+
+// Combines the ABIs of the implementation and the modules, which the proxy serves together
+async function socialLendingInterface(implementationName = "SocialLendingWithCollateral") {
+    const seen = new Set();
+    const fragments = [];
+    for (const name of [implementationName, ...MODULES]) {
+        const { interface: iface } = await ethers.getContractFactory(name);
+        for (const fragment of iface.fragments) {
+            const key = fragment.type + ":" + (fragment.type === "constructor" ? "" : fragment.format("sighash"));
+            if (seen.has(key)) continue;
+            seen.add(key);
+            fragments.push(fragment);
+        }
+    }
+    return new ethers.Interface(fragments);
+}
+
+// Deploys SocialLendingWithCollateral and its modules behind a UUPS proxy and returns the proxy with their combined ABI
+async function deploySocialLending(feeRecipient, implementationName = "SocialLendingWithCollateral") {
+    const SocialLending = await ethers.getContractFactory(implementationName);
+    const implementation = await SocialLending.deploy(await deployModules());
+
+    const Proxy = await ethers.getContractFactory("SocialLendingProxy");
+    const proxy = await Proxy.deploy(
+        await implementation.getAddress(),
+        SocialLending.interface.encodeFunctionData("initialize", [feeRecipient])
+    );
+    const [runner] = await ethers.getSigners();
+    return new ethers.Contract(await proxy.getAddress(), await socialLendingInterface(implementationName), runner);
+}
+
+module.exports = { MODULES, deployModules, deploySocialLending };
@@ -0,0 +1,20 @@
+const { ethers } = require("hardhat");
+
+// Applies a timelocked admin change as the contract's own call, the way executeChange does, without waiting out the delay
+// The contract holds no ETH for gas, so the call is sent at a zero gas price
+async function timelockCall(socialLending, functionName, args = []) {
+    const timelock = await ethers.getImpersonatedSigner(await socialLending.getAddress());
+    await ethers.provider.send("hardhat_setNextBlockBaseFeePerGas", ["0x0"]);
+    return socialLending.connect(timelock)[functionName](...args, { gasPrice: 0 });
+}
+
+// Queues a timelocked admin change from the contract's runner, waits out the delay and executes it
+async function queueAndExecute(socialLending, functionName, args = []) {
+    const data = socialLending.interface.encodeFunctionData(functionName, args);
+    await socialLending.queueChange(data);
+    await ethers.provider.send("evm_increaseTime", [Number(await socialLending.timelockMinDelay())]);
+    await ethers.provider.send("evm_mine");
+    return socialLending.executeChange(data);
+}
+
+module.exports = { timelockCall, queueAndExecute };